@@ -187,7 +187,18 @@ AppBase = Y.Base.create('app', Y.Base, [View, Router, PjaxBase], {
     the view info metadata defined in the `views` object. The passed-in `config`
     object is passed to the view constructor function.
 
-    This function also maps a view instance back to its view info metadata.
+    This function also maps a view instance back to its view info metadata, and
+    gives the view a `generateURL()` method, bound to this app, so it can build
+    links to the app's named routes (see `Router.generateURL()`):
+
+        Y.UserView = Y.Base.create('userView', Y.View, [], {
+            render: function () {
+                var url = this.generateURL('user', {id: this.get('model').get('id')});
+
+                this.get('container').setHTML('<a href="' + url + '">Profile</a>');
+                return this;
+            }
+        });
 
     @method createView
     @param {String} name The name of a view defined on the `views` object.
@@ -209,6 +220,8 @@ AppBase = Y.Base.create('app', Y.Base, [View, Router, PjaxBase], {
         view = new ViewConstructor(config);
         this._viewInfoMap[Y.stamp(view, true)] = viewInfo;
 
+        this._provideURLGenerator(view);
+
         return view;
     },
 
@@ -454,6 +467,9 @@ AppBase = Y.Base.create('app', Y.Base, [View, Router, PjaxBase], {
         // Bubble the view's events to this app.
         view.addTarget(this);
 
+        // Views that weren't created by `createView()` can build links too.
+        this._provideURLGenerator(view);
+
         // Save the view instance in the `views` registry.
         if (viewInfo) {
             viewInfo.instance = view;
@@ -703,6 +719,23 @@ AppBase = Y.Base.create('app', Y.Base, [View, Router, PjaxBase], {
         return PjaxBase.prototype._navigate.call(this, url, options);
     },
 
+    /**
+    Gives the specified _view_ a `generateURL()` method which is bound to this
+    app's `generateURL()` method (see `View.generateURL()`), unless the view
+    already has one, whether of its own or from its class. This never replaces
+    a method that a View subclass defines.
+
+    @method _provideURLGenerator
+    @param {View} view View instance.
+    @protected
+    @since 3.19.0
+    **/
+    _provideURLGenerator: function (view) {
+        if (view && !view.generateURL) {
+            view.generateURL = Y.bind(this.generateURL, this);
+        }
+    },
+
     /**
     Will either save a history entry using `pushState()` or the location hash,
     or gracefully-degrade to sending a request to the server causing a full-page
@@ -0,0 +1,362 @@
+/**
+`Y.App` extension that renders an app's views to HTML strings on the server, and
+hydrates those server-rendered views in the browser.
+
+@module app
+@submodule app-ssr
+@since 3.19.0
+**/
+
+var Lang    = Y.Lang,
+    YObject = Y.Object,
+
+    // Matches container templates made of a single, empty element, e.g.
+    // `<div/>` or `<ul class="items"></ul>`.
+    CONTAINER_REGEX = /^\s*<([a-zA-Z][\w\-]*)([^>]*?)\s*\/?>(?:\s*<\/\1>)?\s*$/,
+
+    // Attribute which holds the name of a server-rendered view.
+    VIEW_ATTR = 'data-view';
+
+/**
+`Y.App` extension that renders an app's views to HTML strings on the server, and
+hydrates those server-rendered views in the browser.
+
+The same app, with the same routes, can run in both places. On the server (e.g.
+Node.js), `renderToString()` dispatches to the app's routes using a request URL,
+and the view the routes show is rendered to an HTML string instead of to a DOM
+node. In the browser, `hydrate()` dispatches to the current URL, and the view the
+routes show takes over the server-rendered container node instead of rendering
+again.
+
+Views are rendered on the server by calling their `toHTML()` method, which must
+return the HTML contents of the view's container without touching the DOM. The
+view's `render()` method can use the same method in the browser:
+
+    Y.UserView = Y.Base.create('userView', Y.View, [], {
+        toHTML: function () {
+            return Y.Lang.sub('<h1>{name}</h1>', {
+                name: Y.Escape.html(this.get('model').get('name'))
+            });
+        },
+
+        render: function () {
+            this.get('container').setHTML(this.toHTML());
+            return this;
+        }
+    });
+
+When the `"app-ssr"` module is used, it will automatically mix itself into
+`Y.App`. It isn't part of the `"app"` rollup module, so it must be used
+explicitly.
+
+The `"app-base"` module depends on the `"node"` and `"history"` modules, which
+need a DOM and a global `location` to load. On Node.js, provide them with a
+library such as jsdom, through the YUI `win` and `doc` config and
+`global.location`. The app never renders into the DOM.
+
+This works best with the `serverRouting` attribute set to `true`, since the
+server is then expected to render every URL the app produces.
+
+@class App.SSR
+@extensionfor App
+@since 3.19.0
+**/
+function AppSSR() {}
+
+AppSSR.prototype = {
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    Server-rendered container node waiting to be used by the next view shown.
+
+    @property _hydrateNode
+    @type Node
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    Function which finishes the current `renderToString()` call.
+
+    @property _serverRender
+    @type Function
+    @protected
+    @since 3.19.0
+    **/
+
+    // -- Lifecycle Methods ----------------------------------------------------
+    initializer: function () {
+        Y.Do.before(this._beforeShowView, this, 'showView');
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Dispatches to the route handlers that match the current URL, using the
+    server-rendered view inside the `viewContainer` node.
+
+    The server-rendered container is the child of the `viewContainer` with a
+    `data-view` attribute, like the ones produced by `renderToString()`. When
+    the routes show a view with the same name, that view is created with the
+    server-rendered node as its `container`, and it's not rendered again. If
+    the routes show a different view, the server-rendered node is removed.
+
+    @example
+        var app = new Y.App({
+            serverRouting: true,
+            viewContainer: '#views',
+            views        : {user: {type: 'UserView'}}
+        });
+
+        app.route('/users/:id', function (req) {
+            this.showView('user', {model: new Y.User({id: req.params.id})});
+        });
+
+        app.render().hydrate();
+
+    @method hydrate
+    @chainable
+    @since 3.19.0
+    **/
+    hydrate: function () {
+        this._hydrateNode = this.get('viewContainer').one('> [' + VIEW_ATTR + ']');
+        return this.dispatch();
+    },
+
+    /**
+    Dispatches to the route handlers that match the specified _url_, and
+    renders the view they show to an HTML string.
+
+    The view isn't rendered into a DOM node and doesn't become the
+    `activeView`. Instead its `toHTML()` method provides the contents of its
+    container, which is built from the view's `containerTemplate`. The
+    container includes a `data-view` attribute with the view's name, which is
+    used by `hydrate()` in the browser. A view created by the app for this
+    call is destroyed once the _callback_ returns; view instances passed to
+    `showView()` are left alone.
+
+    Rendering finishes as soon as a route handler shows a view, which may
+    happen asynchronously. The _callback_ receives an error when no route
+    matches the _url_, when the matching routes pass an error to `next()` or
+    call `next()` without showing a view, or when the navigation is cancelled
+    by a route guard.
+
+    An app instance should only render one URL at a time; it's best to create
+    an app for each request.
+
+    @example
+        app.renderToString('/users/1', function (err, html) {
+            if (err) {
+                return response.send(404);
+            }
+
+            response.send('<div id="views">' + html + '</div>');
+        });
+
+    @method renderToString
+    @param {String} url URL to dispatch to, usually the path and query of the
+        server's request.
+    @param {Function} callback Function to call once the view is rendered.
+      @param {Any} callback.err Error, if any.
+      @param {String} callback.html HTML of the view's container.
+      @param {View} callback.view The view which was rendered.
+    @chainable
+    @since 3.19.0
+    **/
+    renderToString: function (url, callback) {
+        var self = this,
+            req  = self._getServerRequest(url),
+            res  = self._getResponse(req),
+            done = false;
+
+        self._serverRender = function (err, html, view) {
+            if (done) { return; }
+
+            done = true;
+            self._serverRender = null;
+
+            callback.call(self, err || null, html, view);
+        };
+
+        if (!self.match(req.path).length) {
+            self._serverRender('App: No route matches: ' + req.path);
+            return self;
+        }
+
+        self._dispatch(req, res, function (err) {
+            if (self._serverRender) {
+                self._serverRender(err || 'App: No view was shown for: ' + req.path);
+            }
+        });
+
+        return self;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Returns the HTML for the specified _view_'s container with the specified
+    _html_ as its contents. The container's tag and attributes come from the
+    view's `containerTemplate`, which must be a single, empty element.
+
+    @method _getContainerHTML
+    @param {View} view View instance.
+    @param {String} html HTML contents of the container.
+    @param {String} [name] Name of the view, which is added as the container's
+        `data-view` attribute.
+    @return {String} HTML of the container.
+    @protected
+    @since 3.19.0
+    **/
+    _getContainerHTML: function (view, html, name) {
+        var match = CONTAINER_REGEX.exec(view.containerTemplate),
+            attrs;
+
+        if (!match) {
+            Y.error('App: Cannot render a container template on the server: ' +
+                    view.containerTemplate, null, 'app');
+            return '';
+        }
+
+        attrs = match[2];
+
+        if (name) {
+            attrs += ' ' + VIEW_ATTR + '="' + Y.Escape.html(name) + '"';
+        }
+
+        return '<' + match[1] + attrs + '>' + html + '</' + match[1] + '>';
+    },
+
+    /**
+    Gets a request object for the specified _url_ without relying on the
+    browser's location, which doesn't exist on the server.
+
+    @method _getServerRequest
+    @param {String} url URL of the request.
+    @return {Object} Request object.
+    @protected
+    @since 3.19.0
+    **/
+    _getServerRequest: function (url) {
+        var parts = url.match(this._regexURL) || [];
+
+        return {
+            app   : this,
+            path  : parts[2] || '/',
+            query : this._parseQuery((parts[3] || '').substring(1)),
+            router: this,
+            src   : 'server',
+            url   : url
+        };
+    },
+
+    /**
+    Renders the specified _view_ to an HTML string and finishes the current
+    `renderToString()` call.
+
+    @method _renderServerView
+    @param {String|View} view The name of a view defined in the `views` object,
+        or a view instance.
+    @param {Object} [config] Configuration to use when creating a new view
+        instance, or to update the view when `options.update` is `true`.
+    @param {Object} options Normalized `showView()` options.
+    @protected
+    @since 3.19.0
+    **/
+    _renderServerView: function (view, config, options) {
+        var name    = Lang.isString(view) ? view : '',
+            created = !!name,
+            html, viewInfo;
+
+        if (created) {
+            view = this.createView(name, config);
+        } else {
+            if (options.update) {
+                view.setAttrs(config);
+            }
+
+            viewInfo = this.getViewInfo(view);
+
+            YObject.some(this.views, function (info, key) {
+                if (info === viewInfo) {
+                    name = key;
+                    return true;
+                }
+            });
+        }
+
+        if (!Lang.isFunction(view.toHTML)) {
+            this._serverRender('App: View cannot be rendered on the server: ' +
+                    (name || view.name));
+        } else {
+            html = this._getContainerHTML(view, view.toHTML(), name);
+
+            if (options.callback) {
+                options.callback.call(this, view);
+            }
+
+            this._serverRender(null, html, view);
+        }
+
+        // Nothing else references a view created for this render.
+        if (created) {
+            view.destroy();
+        }
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Runs before `showView()`. While rendering on the server, this renders the
+    view to an HTML string and prevents `showView()` from running. While
+    hydrating, this makes the view use the server-rendered container node.
+
+    @method _beforeShowView
+    @param {String|View} view The name of a view defined in the `views` object,
+        or a view instance.
+    @param {Object} [config] Configuration for the view.
+    @param {Object} [options] `showView()` options.
+    @param {Function} [callback] Function to call once the view is shown.
+    @return {Do.Halt|Do.AlterArgs|undefined} Return value for `Y.Do`.
+    @protected
+    @since 3.19.0
+    **/
+    _beforeShowView: function (view, config, options, callback) {
+        var node = this._hydrateNode;
+
+        if (!this._serverRender && !node) {
+            return;
+        }
+
+        // Support the callback function being either the third or fourth arg.
+        if (Lang.isFunction(options)) {
+            callback = options;
+            options  = {};
+        }
+
+        options = Y.merge(options, callback ? {callback: callback} : null,
+                {render: false});
+
+        if (this._serverRender) {
+            this._renderServerView(view, config, options);
+            return new Y.Do.Halt('Rendered on the server.', this);
+        }
+
+        this._hydrateNode = null;
+
+        // Reuse the server-rendered node only for a new view with the same
+        // name; otherwise the node is stale.
+        if (Lang.isString(view) && node.getAttribute(VIEW_ATTR) === view &&
+                !(this.getViewInfo(view) || {}).instance) {
+
+            return new Y.Do.AlterArgs('Hydrating.',
+                    [view, Y.merge(config, {container: node}), options]);
+        }
+
+        node.remove(true);
+    }
+};
+
+// -- Namespace ----------------------------------------------------------------
+Y.App.SSR = AppSSR;
+Y.Base.mix(Y.App, [AppSSR]);
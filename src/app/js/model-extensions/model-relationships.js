@@ -0,0 +1,537 @@
+/**
+An extension that adds declarative `hasMany` and `belongsTo` relationships to a
+Model subclass.
+
+@module app
+@submodule model-relationships
+@since 3.19.0
+**/
+
+var Lang    = Y.Lang,
+    YArray  = Y.Array,
+    YObject = Y.Object,
+
+    BELONGS_TO = 'belongsTo',
+    HAS_MANY   = 'hasMany';
+
+/**
+An extension that adds declarative `hasMany` and `belongsTo` relationships to a
+Model subclass.
+
+Each relationship is exposed as an attribute. A `hasMany` attribute's value is
+always the same ModelList instance, and setting the attribute to an array of
+models or attribute hashes (or to another list) resets that list. A `belongsTo`
+attribute's value is a single model, or `null`, and may be set to a model, an
+attribute hash, or an id.
+
+    Y.Comment = Y.Base.create('comment', Y.Model, []);
+
+    Y.CommentList = Y.Base.create('commentList', Y.ModelList, [], {
+        model: Y.Comment
+    });
+
+    Y.User = Y.Base.create('user', Y.Model, []);
+
+    Y.Post = Y.Base.create('post', Y.Model, [Y.Model.Relationships], {
+        belongsTo: {
+            author: {type: Y.User, foreignKey: 'authorId'}
+        },
+
+        hasMany: {
+            comments: Y.CommentList
+        }
+    });
+
+    var post = new Y.Post({
+        authorId: 1,
+        comments: [{text: 'First!'}, {text: 'Second!'}]
+    });
+
+    post.get('comments').size(); // => 2
+
+Nested data is converted into related models when the model is created, when
+attributes are set, and when a sync layer's response is parsed, and it's
+serialized back into nested data by `toJSON()`.
+
+Events fired by related models and lists bubble to the model that owns them, so
+changes to related models can be observed using their prefixed event names:
+
+    post.after('comment:change', function (e) {
+        // A comment in `post.get('comments')` changed.
+    });
+
+When a `belongsTo` relationship specifies a `foreignKey`, the related model is
+identified by its id. `toJSON()` writes the related model's id to the foreign
+key rather than nesting its data, and ids are resolved against model lists that
+have been registered with `Y.Model.Relationships.registerList()`:
+
+    var users = new Y.ModelList({model: Y.User});
+
+    Y.Model.Relationships.registerList(users);
+    users.add({id: 1, name: 'Eric'});
+
+    post.get('author').get('name'); // => "Eric"
+
+Relationship attributes are added automatically, so they shouldn't also be
+declared in `ATTRS`.
+
+@class Model.Relationships
+@extensionfor Model
+@since 3.19.0
+**/
+function Relationships() {}
+
+/**
+Model lists registered with `registerList()`.
+
+@property _lists
+@type ModelList[]
+@static
+@protected
+@since 3.19.0
+**/
+Relationships._lists = [];
+
+/**
+Registers a model list to be used to resolve the ids of `belongsTo`
+relationships whose type matches the list's `model`.
+
+@method registerList
+@param {ModelList} list Model list to register.
+@static
+@since 3.19.0
+**/
+Relationships.registerList = function (list) {
+    if (YArray.indexOf(Relationships._lists, list) === -1) {
+        Relationships._lists.push(list);
+    }
+};
+
+/**
+Unregisters a model list that was registered with `registerList()`.
+
+@method unregisterList
+@param {ModelList} list Model list to unregister.
+@static
+@since 3.19.0
+**/
+Relationships.unregisterList = function (list) {
+    var index = YArray.indexOf(Relationships._lists, list);
+
+    if (index > -1) {
+        Relationships._lists.splice(index, 1);
+    }
+};
+
+Relationships.prototype = {
+    // -- Public Properties ----------------------------------------------------
+
+    /**
+    Hash of `belongsTo` relationships, keyed by attribute name. Each value is
+    either the related Model class (or the name of a class on `Y`), or an
+    object with the following properties:
+
+      * `type`: The related Model class, or the name of a class on `Y`.
+      * `foreignKey`: Optional name of the property that contains the related
+        model's id in parsed and serialized data.
+
+    @property belongsTo
+    @type Object
+    @default {}
+    @since 3.19.0
+    **/
+    belongsTo: {},
+
+    /**
+    Hash of `hasMany` relationships, keyed by attribute name. Each value is
+    either the related ModelList class (or the name of a class on `Y`), or an
+    object with a `type` property containing the class.
+
+    @property hasMany
+    @type Object
+    @default {}
+    @since 3.19.0
+    **/
+    hasMany: {},
+
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    Hash of the related lists and models currently owned by this model, keyed
+    by attribute name.
+
+    @property _related
+    @type Object
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    Hash of the ids of related `belongsTo` models, keyed by attribute name.
+    Used to resolve models that weren't available when the id was set.
+
+    @property _relatedKeys
+    @type Object
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    Array of normalized relationship descriptors.
+
+    @property _relationships
+    @type Object[]
+    @protected
+    @since 3.19.0
+    **/
+
+    // -- Lifecycle Methods ----------------------------------------------------
+    initializer: function (config) {
+        config || (config = {});
+
+        this._related       = {};
+        this._relatedKeys   = {};
+        this._relationships = this._getRelationships();
+
+        YArray.each(this._relationships, function (rel) {
+            var name    = rel.name,
+                attrCfg = {},
+                value;
+
+            // Values passed to the constructor were added as ad-hoc attributes
+            // before this initializer ran, so they're replaced by the
+            // relationship attribute.
+            if (this.attrAdded(name)) {
+                value = config[name];
+                this.removeAttr(name);
+            }
+
+            if (rel.foreignKey && this.attrAdded(rel.foreignKey)) {
+                if (value === undefined) {
+                    value = config[rel.foreignKey];
+                }
+
+                this.removeAttr(rel.foreignKey);
+            }
+
+            if (rel.kind === HAS_MANY) {
+                attrCfg.setter = '_setHasMany';
+            } else {
+                attrCfg.getter = '_getBelongsTo';
+                attrCfg.setter = '_setBelongsTo';
+            }
+
+            // Always set an initial value, so that a `hasMany` list exists
+            // even if no value was provided.
+            attrCfg.value = value !== undefined ? value :
+                    rel.kind === HAS_MANY ? [] : null;
+
+            this.addAttr(name, attrCfg);
+        }, this);
+
+        Y.Do.after(this._relationshipsAfterParse, this, '_parse');
+        Y.Do.after(this._relationshipsAfterToJSON, this, 'toJSON');
+    },
+
+    destructor: function () {
+        YObject.each(this._related, function (related) {
+            if (!related) {
+                return;
+            }
+
+            related.removeTarget(this);
+
+            // Lists created for `hasMany` relationships are owned by this
+            // model.
+            if (related._isYUIModelList) {
+                related.destroy();
+            }
+        }, this);
+
+        this._related     = {};
+        this._relatedKeys = {};
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Returns the model with the specified _id_ from the first registered list
+    whose `model` is _type_, or `null` if there isn't one.
+
+    @method _findRelated
+    @param {Function} type Model class.
+    @param {String|Number} id Model id.
+    @return {Model} Related model, or `null`.
+    @protected
+    @since 3.19.0
+    **/
+    _findRelated: function (type, id) {
+        var lists = Relationships._lists,
+            model;
+
+        for (var i = 0, len = lists.length; i < len; i++) {
+            if (lists[i].model === type && (model = lists[i].getById(id))) {
+                return model;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+    Returns the relationship descriptor for the specified attribute.
+
+    @method _getRelationship
+    @param {String} name Attribute name.
+    @return {Object} Relationship descriptor, or `undefined`.
+    @protected
+    @since 3.19.0
+    **/
+    _getRelationship: function (name) {
+        return YArray.find(this._relationships, function (rel) {
+            return rel.name === name;
+        });
+    },
+
+    /**
+    Returns an array of normalized relationship descriptors built from the
+    `belongsTo` and `hasMany` properties. Each descriptor has `name`, `kind`,
+    and `type` properties, and a `foreignKey` property if one was specified.
+
+    @method _getRelationships
+    @return {Object[]} Relationship descriptors.
+    @protected
+    @since 3.19.0
+    **/
+    _getRelationships: function () {
+        var relationships = [];
+
+        YArray.each([BELONGS_TO, HAS_MANY], function (kind) {
+            YObject.each(this[kind], function (cfg, name) {
+                if (typeof cfg === 'function' || typeof cfg === 'string') {
+                    cfg = {type: cfg};
+                }
+
+                relationships.push({
+                    foreignKey: cfg.foreignKey,
+                    kind      : kind,
+                    name      : name,
+                    type      : cfg.type
+                });
+            });
+        }, this);
+
+        return relationships;
+    },
+
+    /**
+    Returns the class for the specified relationship, looking up namespaced
+    class names on `Y`.
+
+    @method _getRelatedType
+    @param {Object} rel Relationship descriptor.
+    @return {Function} Related class.
+    @protected
+    @since 3.19.0
+    **/
+    _getRelatedType: function (rel) {
+        var type = rel.type;
+
+        if (typeof type === 'string') {
+            type = YObject.getValue(Y, type.split('.'));
+
+            if (!type) {
+                Y.error('Model.Relationships: Class not found: ' + rel.type);
+            }
+        }
+
+        return type;
+    },
+
+    /**
+    Makes this model a bubble target of _related_ in place of the model or list
+    previously related through the attribute _name_.
+
+    @method _setRelated
+    @param {String} name Attribute name.
+    @param {Model|ModelList|null} related Related model or list.
+    @protected
+    @since 3.19.0
+    **/
+    _setRelated: function (name, related) {
+        var prev = this._related[name];
+
+        if (prev === related) {
+            return;
+        }
+
+        prev && prev.removeTarget(this);
+        related && related.addTarget(this);
+
+        this._related[name] = related;
+    },
+
+    // -- Protected Attribute Getters and Setters ------------------------------
+
+    /**
+    Getter for `belongsTo` attributes. Resolves an id that couldn't be resolved
+    when it was set against the registered model lists.
+
+    @method _getBelongsTo
+    @param {Model|null} value Stored value.
+    @param {String} name Attribute name.
+    @return {Model|null} Related model, or `null`.
+    @protected
+    @since 3.19.0
+    **/
+    _getBelongsTo: function (value, name) {
+        var key = this._relatedKeys[name];
+
+        if (!value && Lang.isValue(key)) {
+            value = this._findRelated(this._getRelatedType(this._getRelationship(name)), key);
+        }
+
+        return value || null;
+    },
+
+    /**
+    Setter for `belongsTo` attributes.
+
+    @method _setBelongsTo
+    @param {Model|Object|String|Number|null} value Related model, attribute
+        hash, or id.
+    @param {String} name Attribute name.
+    @return {Model|null} Related model, or `null`.
+    @protected
+    @since 3.19.0
+    **/
+    _setBelongsTo: function (value, name) {
+        var Type  = this._getRelatedType(this._getRelationship(name)),
+            model = null,
+            key   = null,
+            id;
+
+        if (value && value._isYUIModel) {
+            model = value;
+        } else if (Lang.isObject(value)) {
+            // Reuse a registered model with the same id rather than creating a
+            // duplicate.
+            id    = value[Type.prototype.idAttribute];
+            model = (Lang.isValue(id) && this._findRelated(Type, id)) ||
+                    new Type(value);
+        } else if (Lang.isValue(value)) {
+            key   = value;
+            model = this._findRelated(Type, value);
+        }
+
+        if (model) {
+            key = model.get('id');
+        }
+
+        this._relatedKeys[name] = key;
+        this._setRelated(name, model);
+
+        return model;
+    },
+
+    /**
+    Setter for `hasMany` attributes. Always returns the same list, resetting it
+    with the models or attribute hashes in _value_.
+
+    @method _setHasMany
+    @param {Model[]|Object[]|ModelList|null} value Models or attribute hashes.
+    @param {String} name Attribute name.
+    @return {ModelList} Related list.
+    @protected
+    @since 3.19.0
+    **/
+    _setHasMany: function (value, name) {
+        var list = this._related[name],
+            Type;
+
+        if (!list) {
+            Type = this._getRelatedType(this._getRelationship(name));
+            list = new Type();
+
+            this._setRelated(name, list);
+        }
+
+        if (value !== list) {
+            if (value && value._isYUIModelList) {
+                value = value.toArray();
+            }
+
+            list.reset(value || []);
+        }
+
+        return list;
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Moves foreign keys in the hash returned by `_parse()` to the attributes of
+    their `belongsTo` relationships.
+
+    @method _relationshipsAfterParse
+    @return {Do.AlterReturn} Altered return value.
+    @protected
+    @since 3.19.0
+    **/
+    _relationshipsAfterParse: function () {
+        var parsed = Y.Do.currentRetVal;
+
+        if (!Lang.isObject(parsed) || Lang.isArray(parsed)) {
+            return;
+        }
+
+        // Avoid modifying the sync layer's response.
+        parsed = Y.merge(parsed);
+
+        YArray.each(this._relationships, function (rel) {
+            var fk = rel.foreignKey;
+
+            if (fk && YObject.owns(parsed, fk)) {
+                if (!YObject.owns(parsed, rel.name)) {
+                    parsed[rel.name] = parsed[fk];
+                }
+
+                delete parsed[fk];
+            }
+        });
+
+        return new Y.Do.AlterReturn('Model.Relationships: foreign keys', parsed);
+    },
+
+    /**
+    Serializes related models and lists in the hash returned by `toJSON()`.
+
+    @method _relationshipsAfterToJSON
+    @protected
+    @since 3.19.0
+    **/
+    _relationshipsAfterToJSON: function () {
+        var json = Y.Do.currentRetVal;
+
+        if (!Lang.isObject(json)) {
+            return;
+        }
+
+        YArray.each(this._relationships, function (rel) {
+            var name    = rel.name,
+                related = this.get(name);
+
+            if (rel.kind === HAS_MANY) {
+                json[name] = related.toJSON();
+            } else if (rel.foreignKey) {
+                delete json[name];
+                json[rel.foreignKey] = related ? related.get('id') :
+                        Lang.isValue(this._relatedKeys[name]) ? this._relatedKeys[name] : null;
+            } else {
+                json[name] = related ? related.toJSON() : null;
+            }
+        }, this);
+    }
+};
+
+Y.Model.Relationships = Relationships;
@@ -0,0 +1,941 @@
+/**
+An extension which provides a sync implementation backed by IndexedDB, falling
+back onto an in-memory store when IndexedDB isn't available, that can be mixed
+into a Model or ModelList subclass.
+
+@module app
+@submodule model-sync-indexeddb
+@since 3.19.0
+**/
+
+var Lang    = Y.Lang,
+    YArray  = Y.Array,
+    YObject = Y.Object,
+
+    ERR_NOT_FOUND = 'Data not found in IndexedDB';
+
+/**
+An extension which provides a sync implementation backed by IndexedDB, falling
+back onto an in-memory store when IndexedDB isn't available, that can be mixed
+into a Model or ModelList subclass.
+
+Each model is stored as a separate record in an object store named by `root`,
+so saving a model only writes that model's record. Indexes declared on the
+Model class make queries on the indexed attributes faster:
+
+    var User = Y.Base.create('user', Y.Model, [Y.ModelSync.IndexedDB], {
+        root     : 'users',
+        dbVersion: 2,
+
+        indexes: {
+            email   : {unique: true},
+            lastName: {}
+        },
+
+        migrations: {
+            // Upgrades records stored by version 1 of the schema.
+            2: function (record) {
+                record.lastName = record.name.split(' ').pop();
+                return record;
+            }
+        }
+    });
+
+    var Users = Y.Base.create('users', Y.ModelList, [Y.ModelSync.IndexedDB], {
+        model: User
+    });
+
+    // Load the first 10 users named "Smith", ordered by email.
+    new Users().load({
+        where  : {lastName: 'Smith'},
+        orderBy: 'email',
+        limit  : 10
+    });
+
+When IndexedDB isn't available, such as when running in Node.js, records are
+kept in an in-memory store that supports the same features, which makes it
+possible to test code that uses this extension without a browser. Records in
+the in-memory store only last as long as the page or process.
+
+@class ModelSync.IndexedDB
+@extensionfor Model
+@extensionfor ModelList
+@since 3.19.0
+**/
+function IndexedDBSync() {}
+
+/**
+Properties that shouldn't be turned into ad-hoc attributes when passed to a
+Model or ModelList constructor.
+
+@property _NON_ATTRS_CFG
+@type Array
+@default ["root"]
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._NON_ATTRS_CFG = ['root'];
+
+/**
+Returns the IndexedDB factory object, or `null` if IndexedDB isn't available.
+
+@method _getIndexedDB
+@return {IDBFactory} IndexedDB factory, or `null`.
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._getIndexedDB = function () {
+    var win = Y.config.win;
+
+    try {
+        return (win && win.indexedDB) || null;
+    } catch (ex) {
+        // Accessing `indexedDB` throws in some sandboxed environments.
+        return null;
+    }
+};
+
+/**
+In-memory databases used when IndexedDB isn't available, keyed by database
+name. Each database has a `version` and a hash of `records` keyed by id.
+
+@property _memory
+@type Object
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._memory = {};
+
+/**
+Opened stores, keyed by database name.
+
+@property _stores
+@type Object
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._stores = {};
+
+/**
+Returns `true` if _record_ matches all the conditions in _where_.
+
+Each condition is either a value, which the record's property must equal, or an
+object with one or more of the `gt`, `gte`, `lt`, and `lte` operators.
+
+@method _matches
+@param {Object} record Record to test.
+@param {Object} [where] Conditions, keyed by property name.
+@return {Boolean} `true` if the record matches.
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._matches = function (record, where) {
+    var name, condition, value;
+
+    for (name in where) {
+        if (!YObject.owns(where, name)) {
+            continue;
+        }
+
+        condition = where[name];
+        value     = record[name];
+
+        if (Lang.isObject(condition) && !Lang.isDate(condition)) {
+            // Missing values are never within a range, just as they're never
+            // part of an index.
+            if (!Lang.isValue(value) ||
+                ('gt'  in condition && value <= condition.gt)  ||
+                ('gte' in condition && value <  condition.gte) ||
+                ('lt'  in condition && value >= condition.lt)  ||
+                ('lte' in condition && value >  condition.lte)) {
+
+                return false;
+            }
+        } else if (value !== condition) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+Filters, sorts, and limits an array of records according to the query
+_options_.
+
+@method _query
+@param {Object[]} records Records to query.
+@param {Object} [options] Query options, as accepted by `sync()`.
+@return {Object[]} Matching records.
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._query = function (records, options) {
+    var orderBy    = options && options.orderBy,
+        descending = options && options.descending,
+        offset     = (options && options.offset) || 0,
+        limit      = options && options.limit;
+
+    if (options && options.where) {
+        records = YArray.filter(records, function (record) {
+            return IndexedDBSync._matches(record, options.where);
+        });
+    }
+
+    if (orderBy) {
+        records.sort(function (a, b) {
+            var aVal = a[orderBy],
+                bVal = b[orderBy],
+                result = aVal < bVal ? -1 : (aVal > bVal ? 1 : 0);
+
+            return descending ? -result : result;
+        });
+    }
+
+    return records.slice(offset, Lang.isNumber(limit) ? offset + limit : undefined);
+};
+
+/**
+In-memory store used when IndexedDB isn't available. Operations call their
+callbacks synchronously.
+
+@class ModelSync.IndexedDB.MemoryStore
+@constructor
+@param {Object} schema Store schema.
+@protected
+@since 3.19.0
+**/
+function MemoryStore(schema) {
+    this.schema = schema;
+}
+
+MemoryStore.prototype = {
+    /**
+    Opens the store, creating it or upgrading its records if necessary.
+
+    @method open
+    @param {Function} callback Called when the store is open.
+        @param {String|null} callback.err Error, if any.
+    **/
+    open: function (callback) {
+        var schema = this.schema,
+            db     = IndexedDBSync._memory[schema.name];
+
+        if (!db) {
+            db = IndexedDBSync._memory[schema.name] = {records: {}, version: 0};
+        }
+
+        if (db.version > schema.version) {
+            callback('Database ' + schema.name + ' is newer than version ' +
+                    schema.version);
+            return;
+        }
+
+        if (db.version < schema.version) {
+            YObject.each(db.records, function (record, id) {
+                db.records[id] = IndexedDBSync._migrate(record, schema,
+                        db.version);
+            });
+
+            db.version = schema.version;
+        }
+
+        this._db = db;
+        callback(null);
+    },
+
+    /**
+    Retrieves the record with the specified id.
+
+    @method get
+    @param {String|Number} id Record id.
+    @param {Function} callback Called with an error, or `null` and the record
+        (or `undefined` if it doesn't exist).
+    **/
+    get: function (id, callback) {
+        callback(null, this._copy(this._db.records[id]));
+    },
+
+    /**
+    Retrieves the records that match the query _options_.
+
+    @method query
+    @param {Object} [options] Query options.
+    @param {Function} callback Called with an error, or `null` and an array of
+        records.
+    **/
+    query: function (options, callback) {
+        var records = YArray.map(YObject.values(this._db.records), this._copy);
+        callback(null, IndexedDBSync._query(records, options));
+    },
+
+    /**
+    Stores a record, replacing any existing record with the same id.
+
+    @method put
+    @param {Object} record Record to store.
+    @param {Function} callback Called with an error, or `null`.
+    **/
+    put: function (record, callback) {
+        var keyPath = this.schema.keyPath,
+            records = this._db.records,
+            id      = record[keyPath],
+            conflict;
+
+        // Enforce unique indexes, just like IndexedDB does.
+        conflict = YArray.some(YObject.keys(this.schema.indexes), function (name) {
+            var index = this.schema.indexes[name];
+
+            return index.unique && YArray.some(YObject.values(records), function (other) {
+                return other[keyPath] !== id && Lang.isValue(record[name]) &&
+                        other[name] === record[name];
+            });
+        }, this);
+
+        if (conflict) {
+            callback('ConstraintError');
+            return;
+        }
+
+        records[id] = this._copy(record);
+        callback(null);
+    },
+
+    /**
+    Removes the record with the specified id.
+
+    @method remove
+    @param {String|Number} id Record id.
+    @param {Function} callback Called with an error, or `null`.
+    **/
+    remove: function (id, callback) {
+        delete this._db.records[id];
+        callback(null);
+    },
+
+    /**
+    Returns a copy of _record_, so stored records can't be modified by
+    reference.
+
+    @method _copy
+    @param {Object} record Record to copy.
+    @return {Object} Copy of the record.
+    @protected
+    **/
+    _copy: function (record) {
+        return record && Y.JSON.parse(Y.JSON.stringify(record));
+    }
+};
+
+/**
+Store backed by IndexedDB.
+
+@class ModelSync.IndexedDB.IDBStore
+@constructor
+@param {Object} schema Store schema.
+@protected
+@since 3.19.0
+**/
+function IDBStore(schema) {
+    this.schema = schema;
+}
+
+IDBStore.prototype = {
+    /**
+    Opens the database, creating or upgrading its object store and indexes, and
+    migrating existing records if necessary.
+
+    @method open
+    @param {Function} callback Called when the database is open.
+        @param {String|null} callback.err Error, if any.
+    **/
+    open: function (callback) {
+        var self   = this,
+            schema = this.schema,
+            request;
+
+        // Opening throws when storage is disabled, as in some private browsing
+        // modes, or when the version is invalid.
+        try {
+            request = IndexedDBSync._getIndexedDB().open(schema.name,
+                    schema.version);
+        } catch (ex) {
+            callback((ex && (ex.name || ex.message)) || 'IndexedDB error');
+            return;
+        }
+
+        request.onupgradeneeded = function (e) {
+            self._upgrade(request.result, request.transaction, e.oldVersion);
+        };
+
+        request.onsuccess = function () {
+            var db = self._db = request.result;
+
+            // Let other pages upgrade the database.
+            db.onversionchange = function () {
+                db.close();
+                delete IndexedDBSync._stores[schema.name];
+            };
+
+            callback(null);
+        };
+
+        request.onerror = function () {
+            callback(self._getError(request));
+        };
+    },
+
+    /**
+    Retrieves the record with the specified id.
+
+    @method get
+    @param {String|Number} id Record id.
+    @param {Function} callback Called with an error, or `null` and the record
+        (or `undefined` if it doesn't exist).
+    **/
+    get: function (id, callback) {
+        this._request('readonly', function (store) {
+            return store.get(id);
+        }, callback);
+    },
+
+    /**
+    Retrieves the records that match the query _options_. Uses an index to
+    narrow the records that are read when a `where` condition applies to an
+    indexed property.
+
+    @method query
+    @param {Object} [options] Query options.
+    @param {Function} callback Called with an error, or `null` and an array of
+        records.
+    **/
+    query: function (options, callback) {
+        var self    = this,
+            records = [],
+            source, range, request, tx;
+
+        try {
+            tx     = this._db.transaction(this.schema.name, 'readonly');
+            source = tx.objectStore(this.schema.name);
+            range  = this._getIndexRange(options && options.where);
+
+            if (range) {
+                source = source.index(range.index);
+                range  = range.range;
+            }
+
+            request = source.openCursor(range || null);
+        } catch (ex) {
+            callback(ex.name || ex.message);
+            return;
+        }
+
+        request.onsuccess = function () {
+            var cursor = request.result;
+
+            if (cursor) {
+                records.push(cursor.value);
+                cursor['continue']();
+            }
+        };
+
+        tx.oncomplete = function () {
+            callback(null, IndexedDBSync._query(records, options));
+        };
+
+        tx.onerror = function () {
+            callback(self._getError(tx));
+        };
+    },
+
+    /**
+    Stores a record, replacing any existing record with the same id.
+
+    @method put
+    @param {Object} record Record to store.
+    @param {Function} callback Called with an error, or `null`.
+    **/
+    put: function (record, callback) {
+        this._request('readwrite', function (store) {
+            return store.put(record);
+        }, callback);
+    },
+
+    /**
+    Removes the record with the specified id.
+
+    @method remove
+    @param {String|Number} id Record id.
+    @param {Function} callback Called with an error, or `null`.
+    **/
+    remove: function (id, callback) {
+        this._request('readwrite', function (store) {
+            return store['delete'](id);
+        }, callback);
+    },
+
+    /**
+    Returns the name of the error of a failed request or transaction.
+
+    @method _getError
+    @param {IDBRequest|IDBTransaction} request Failed request or transaction.
+    @return {String} Error name.
+    @protected
+    **/
+    _getError: function (request) {
+        var error = request.error;
+        return (error && (error.name || error.message)) || 'IndexedDB error';
+    },
+
+    /**
+    Returns the index and key range to use for the first `where` condition that
+    applies to an indexed property, or `null` if there isn't one.
+
+    @method _getIndexRange
+    @param {Object} [where] Query conditions.
+    @return {Object} Object with `index` and `range` properties, or `null`.
+    @protected
+    **/
+    _getIndexRange: function (where) {
+        var KeyRange = Y.config.win.IDBKeyRange,
+            indexes  = this.schema.indexes,
+            names    = YObject.keys(where || {}),
+            condition, i, len, name;
+
+        for (i = 0, len = names.length; i < len; i++) {
+            name = names[i];
+
+            if (!YObject.owns(indexes, name) || indexes[name].multiEntry) {
+                continue;
+            }
+
+            condition = where[name];
+
+            if (!Lang.isObject(condition) || Lang.isDate(condition)) {
+                return {index: name, range: KeyRange.only(condition)};
+            }
+
+            if ('gt' in condition || 'gte' in condition) {
+                if ('lt' in condition || 'lte' in condition) {
+                    return {
+                        index: name,
+                        range: KeyRange.bound(
+                            'gt' in condition ? condition.gt : condition.gte,
+                            'lt' in condition ? condition.lt : condition.lte,
+                            'gt' in condition,
+                            'lt' in condition
+                        )
+                    };
+                }
+
+                return {
+                    index: name,
+                    range: KeyRange.lowerBound(
+                        'gt' in condition ? condition.gt : condition.gte,
+                        'gt' in condition
+                    )
+                };
+            }
+
+            if ('lt' in condition || 'lte' in condition) {
+                return {
+                    index: name,
+                    range: KeyRange.upperBound(
+                        'lt' in condition ? condition.lt : condition.lte,
+                        'lt' in condition
+                    )
+                };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+    Performs a single request in a new transaction, and calls the _callback_
+    with the request's result once the transaction completes.
+
+    @method _request
+    @param {String} mode Transaction mode.
+    @param {Function} fn Function that receives the object store and returns
+        an `IDBRequest`.
+    @param {Function} callback Called with an error, or `null` and the result.
+    @protected
+    **/
+    _request: function (mode, fn, callback) {
+        var self = this,
+            request, tx;
+
+        try {
+            tx      = this._db.transaction(this.schema.name, mode);
+            request = fn(tx.objectStore(this.schema.name));
+        } catch (ex) {
+            callback(ex.name || ex.message);
+            return;
+        }
+
+        tx.oncomplete = function () {
+            callback(null, request.result);
+        };
+
+        tx.onerror = function () {
+            callback(self._getError(tx));
+        };
+    },
+
+    /**
+    Creates or upgrades the object store and its indexes, and migrates the
+    existing records.
+
+    @method _upgrade
+    @param {IDBDatabase} db Database being upgraded.
+    @param {IDBTransaction} tx Version change transaction.
+    @param {Number} oldVersion Previous version of the database, or `0` if it
+        didn't exist.
+    @protected
+    **/
+    _upgrade: function (db, tx, oldVersion) {
+        var schema    = this.schema,
+            indexes   = schema.indexes,
+            prevNames = [],
+            i, len, request, store;
+
+        if (db.objectStoreNames.contains(schema.name)) {
+            store = tx.objectStore(schema.name);
+        } else {
+            store = db.createObjectStore(schema.name, {keyPath: schema.keyPath});
+        }
+
+        // Copy the index names first, since deleting an index modifies the
+        // list.
+        for (i = 0, len = store.indexNames.length; i < len; i++) {
+            prevNames.push(store.indexNames.item(i));
+        }
+
+        // Remove indexes that are no longer declared.
+        YArray.each(prevNames, function (name) {
+            if (!YObject.owns(indexes, name)) {
+                store.deleteIndex(name);
+            }
+        });
+
+        YObject.each(indexes, function (index, name) {
+            if (!store.indexNames.contains(name)) {
+                store.createIndex(name, name, {
+                    multiEntry: !!index.multiEntry,
+                    unique    : !!index.unique
+                });
+            }
+        });
+
+        if (!oldVersion) {
+            return;
+        }
+
+        request = store.openCursor();
+
+        request.onsuccess = function () {
+            var cursor = request.result;
+
+            if (cursor) {
+                cursor.update(IndexedDBSync._migrate(cursor.value, schema, oldVersion));
+                cursor['continue']();
+            }
+        };
+    }
+};
+
+/**
+Applies the migrations for every version after _fromVersion_ to _record_, in
+order, and returns the migrated record.
+
+@method _migrate
+@param {Object} record Record to migrate.
+@param {Object} schema Store schema.
+@param {Number} fromVersion Version of the schema the record was stored with.
+@return {Object} Migrated record.
+@static
+@protected
+@since 3.19.0
+**/
+IndexedDBSync._migrate = function (record, schema, fromVersion) {
+    var migrations = schema.migrations,
+        version;
+
+    for (version = fromVersion + 1; version <= schema.version; version++) {
+        if (migrations[version]) {
+            record = migrations[version](record) || record;
+        }
+    }
+
+    return record;
+};
+
+IndexedDBSync.MemoryStore = MemoryStore;
+IndexedDBSync.IDBStore    = IDBStore;
+
+IndexedDBSync.prototype = {
+    // -- Public Properties ----------------------------------------------------
+
+    /**
+    Version of the database schema. Increment this whenever the `indexes`
+    change or a migration is added to `migrations`.
+
+    When this extension is mixed into a ModelList, the `dbVersion` of the list's
+    `model` is used.
+
+    @property dbVersion
+    @type Number
+    @default 1
+    @since 3.19.0
+    **/
+    dbVersion: 1,
+
+    /**
+    Indexes to create on the object store, keyed by attribute name. Each value
+    is an object with the following optional properties:
+
+      * `unique`: If `true`, no two records may have the same value.
+      * `multiEntry`: If `true` and the value is an array, each item in the
+        array is indexed.
+
+    When this extension is mixed into a ModelList, the `indexes` of the list's
+    `model` are used.
+
+    @property indexes
+    @type Object
+    @default {}
+    @since 3.19.0
+    **/
+    indexes: {},
+
+    /**
+    Functions that migrate records stored with an older version of the schema,
+    keyed by the version they migrate to. Each function receives a record and
+    returns the migrated record. When the database is opened with a newer
+    `dbVersion`, the migrations for every version after the stored one are
+    applied to each record, in order.
+
+    When this extension is mixed into a ModelList, the `migrations` of the
+    list's `model` are used.
+
+    @property migrations
+    @type Object
+    @default {}
+    @since 3.19.0
+    **/
+    migrations: {},
+
+    /**
+    Name of the database and object store in which records are stored.
+
+    When this extension is mixed into a ModelList and no `root` is specified,
+    the `root` of the list's `model` is used.
+
+    @property root
+    @type String
+    @default ""
+    @since 3.19.0
+    **/
+    root: '',
+
+    // -- Lifecycle Methods ----------------------------------------------------
+    initializer: function (config) {
+        config || (config = {});
+
+        if ('root' in config) {
+            this.root = config.root || '';
+        }
+
+        if (!this.root && this.model && this.model.prototype.root) {
+            this.root = this.model.prototype.root;
+        }
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Generates a unique id for a new model. This can be overridden if you have
+    another method of generating ids.
+
+    @method generateID
+    @param {String} pre Id prefix.
+    @return {String} Unique id.
+    @since 3.19.0
+    **/
+    generateID: function (pre) {
+        return Y.guid(pre + '_');
+    },
+
+    /**
+    Reads, writes, or deletes records in IndexedDB, or in the in-memory store
+    when IndexedDB isn't available.
+
+    This method is called internally by load(), save(), and destroy().
+
+    @method sync
+    @param {String} action Sync action to perform. May be one of the following:
+
+      * `create`: Store a newly-created model for the first time.
+      * `delete`: Delete an existing model.
+      * `read`  : Load an existing model, or load a model list.
+      * `update`: Update an existing model.
+
+    @param {Object} [options] Sync options. When loading a model list, the
+        following query options are supported:
+      @param {Object} [options.where] Conditions that records must match, keyed
+        by attribute name. Each condition is either a value that the attribute
+        must equal, or an object with one or more of the `gt`, `gte`, `lt`, and
+        `lte` operators. Conditions on indexed attributes use the index.
+      @param {String} [options.orderBy] Name of the attribute to sort records
+        by.
+      @param {Boolean} [options.descending=false] Whether to sort records in
+        descending order.
+      @param {Number} [options.offset=0] Number of matching records to skip.
+      @param {Number} [options.limit] Maximum number of records to load.
+    @param {Function} [callback] Called when the sync operation finishes.
+      @param {String|null} callback.err If an error occurred, this parameter
+        will contain the error. If the sync operation succeeded, _err_ will be
+        `null`.
+      @param {Object|Object[]} [callback.response] The stored record or
+        records.
+    **/
+    sync: function (action, options, callback) {
+        var self = this;
+
+        options || (options = {});
+
+        this._getStore(function (err, store) {
+            var record;
+
+            function finish(err, response) {
+                if (err) {
+                    callback(err);
+                } else if (!response && action !== 'delete') {
+                    callback(ERR_NOT_FOUND);
+                } else {
+                    callback(null, response);
+                }
+            }
+
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            switch (action) {
+            case 'read':
+                if (self._isYUIModelList) {
+                    store.query(options, finish);
+                } else {
+                    store.get(self.get('id'), finish);
+                }
+                break;
+
+            case 'create':
+            case 'update':
+                record = self.toJSON();
+
+                if (action === 'create' && !Lang.isValue(record[store.schema.keyPath])) {
+                    record[store.schema.keyPath] = self.generateID(self.root);
+                }
+
+                store.put(record, function (err) {
+                    finish(err, record);
+                });
+                break;
+
+            case 'delete':
+                store.remove(self.get('id'), finish);
+                break;
+            }
+        });
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Returns the schema for this model's or model list's store, built from the
+    `root`, `dbVersion`, `indexes`, and `migrations` properties.
+
+    @method _getSchema
+    @return {Object} Store schema.
+    @protected
+    @since 3.19.0
+    **/
+    _getSchema: function () {
+        var proto = this._isYUIModelList ? this.model.prototype : this;
+
+        return {
+            indexes   : proto.indexes || {},
+            keyPath   : proto.idAttribute || 'id',
+            migrations: proto.migrations || {},
+            name      : this.root,
+            version   : proto.dbVersion || 1
+        };
+    },
+
+    /**
+    Opens the store for this model or model list, if it isn't already open,
+    and passes it to the _callback_. Stores are shared by every model and list
+    with the same `root`.
+
+    @method _getStore
+    @param {Function} callback Called when the store is open.
+        @param {String|null} callback.err Error, if any.
+        @param {ModelSync.IndexedDB.IDBStore|ModelSync.IndexedDB.MemoryStore}
+            callback.store Open store.
+    @protected
+    @since 3.19.0
+    **/
+    _getStore: function (callback) {
+        var schema = this._getSchema(),
+            entry  = IndexedDBSync._stores[schema.name];
+
+        if (!schema.name) {
+            callback('ModelSync.IndexedDB requires a root');
+            return;
+        }
+
+        if (entry) {
+            if (entry.callbacks) {
+                entry.callbacks.push(callback);
+            } else {
+                callback(null, entry.store);
+            }
+
+            return;
+        }
+
+        entry = IndexedDBSync._stores[schema.name] = {
+            callbacks: [callback],
+            store    : IndexedDBSync._getIndexedDB() ? new IDBStore(schema) :
+                    new MemoryStore(schema)
+        };
+
+        entry.store.open(function (err) {
+            var callbacks = entry.callbacks;
+
+            entry.callbacks = null;
+
+            // Let the next request try again.
+            if (err) {
+                delete IndexedDBSync._stores[schema.name];
+            }
+
+            YArray.each(callbacks, function (fn) {
+                fn(err, err ? null : entry.store);
+            });
+        });
+    }
+};
+
+// -- Namespace ----------------------------------------------------------------
+
+Y.namespace('ModelSync').IndexedDB = IndexedDBSync;
@@ -0,0 +1,755 @@
+/**
+Provides the `ModelSync.Outbox` class, which queues the changes made by models
+using `ModelSync.REST` while the network is unavailable, and sends them once it's
+available again.
+
+@module app
+@submodule model-sync-outbox
+@since 3.19.0
+**/
+
+var Lang     = Y.Lang,
+    YArray   = Y.Array,
+    RESTSync = Y.ModelSync.REST,
+
+    /**
+    Fired when the server responds to a replayed change with a 409 (Conflict)
+    status. The change is discarded, so listeners should resolve the conflict,
+    e.g. by reloading the model and saving it again.
+
+    @event conflict
+    @param {Object} error HTTP error object with `code` and `msg` properties.
+    @param {Model|null} model Model that made the change, if it's still
+        around.
+    @param {Object} operation Queued operation. See `getQueue()`.
+    @param {Object} response The `Y.io` response object.
+    **/
+    EVT_CONFLICT = 'conflict',
+
+    /**
+    Fired when the server rejects a replayed change with a status other than
+    409 (Conflict) that won't succeed if it's retried. The change is discarded.
+
+    @event error
+    @param {Object} error HTTP error object with `code` and `msg` properties.
+    @param {Model|null} model Model that made the change, if it's still
+        around.
+    @param {Object} operation Queued operation. See `getQueue()`.
+    @param {Object} response The `Y.io` response object.
+    @param {String} src Source of the error. Always "replay".
+    **/
+    EVT_ERROR = 'error',
+
+    /**
+    Fired when a model that was created while offline is saved to the server,
+    and the temporary id it was given is replaced by the server's id. Queued
+    changes to the model are updated to use the server's id.
+
+    @event idMap
+    @param {String} tempId Temporary id.
+    @param {String|Number} id Id assigned by the server.
+    @param {Model|null} model Model that was created, if it's still around.
+    **/
+    EVT_ID_MAP = 'idMap',
+
+    Outbox;
+
+/**
+Queues the changes made by models using `ModelSync.REST` while the network is
+unavailable, persists them in `localStorage` so they survive page reloads, and
+sends them to the server, in order, once the network is available again.
+
+To use an outbox, set it as the `outbox` property of a Model subclass that uses
+`ModelSync.REST`:
+
+    var outbox = new Y.ModelSync.Outbox();
+
+    Y.Todo = Y.Base.create('todo', Y.Model, [Y.ModelSync.REST], {
+        outbox: outbox,
+        root  : '/todos'
+    });
+
+    outbox.on('conflict', function (e) {
+        // The server rejected a change to `e.model`. Reload it so the user can
+        // try again.
+        e.model && e.model.load();
+    });
+
+While the outbox is empty and the network is available, changes are sent
+immediately and calls to `save()` and `destroy()` finish when the server
+responds, just as they do without an outbox. Otherwise, changes are queued and
+those calls finish right away, as if the change succeeded.
+
+Queued changes are combined when possible:
+
+  * Repeated updates to the same model are merged into a single request.
+  * Updates to a model that hasn't been created on the server yet are merged
+    into the request that creates it.
+  * Deleting a model that hasn't been created on the server yet discards its
+    queued changes without sending anything.
+
+A model that's created while offline is given a temporary id so that it can be
+updated and deleted like any other model. When the server creates it, the model
+is updated with the server's response, queued changes to it are updated to use
+the server's id, and an `idMap` event is fired.
+
+Queued changes are sent when the browser reports that it's back online, when
+`flush()` is called, and whenever another change is made while the outbox is
+online. Requests that fail without a response or with a 5xx status are kept and
+retried later.
+
+Since queued changes must be sent after the models that made them are gone,
+they're always sent as JSON, using the data returned by each model's `toJSON()`
+(or `getDirtyAttrs()` for PATCH requests) rather than its `serialize()` method.
+
+@class ModelSync.Outbox
+@constructor
+@extends Base
+@since 3.19.0
+**/
+Outbox = Y.Base.create('modelSyncOutbox', Y.Base, [], {
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    Operation that's currently being sent, if any.
+
+    @property {Object} _inFlight
+    @protected
+    **/
+
+    /**
+    Queued operations, oldest first.
+
+    @property {Object[]} _queue
+    @protected
+    **/
+
+    // -- Lifecycle Methods ----------------------------------------------------
+    initializer: function () {
+        var win = Y.config.win;
+
+        this._inFlight = null;
+        this._queue    = this._loadQueue();
+
+        this.publish(EVT_CONFLICT, {preventable: false});
+        this.publish(EVT_ERROR, {preventable: false});
+        this.publish(EVT_ID_MAP, {preventable: false});
+
+        this._outboxEvents = [
+            this.after('onlineChange', this._afterOnlineChange)
+        ];
+
+        if (win && win.addEventListener) {
+            this._outboxEvents.push(
+                Y.on('online', this._onWindowOnline, win, this),
+                Y.on('offline', this._onWindowOffline, win, this)
+            );
+        }
+
+        this.flush();
+    },
+
+    destructor: function () {
+        (new Y.EventHandle(this._outboxEvents)).detach();
+
+        this._inFlight = null;
+        this._queue    = [];
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Discards every queued change, both in memory and in storage.
+
+    @method clear
+    @chainable
+    **/
+    clear: function () {
+        this._queue = this._inFlight ? [this._inFlight] : [];
+        this._saveQueue();
+
+        return this;
+    },
+
+    /**
+    Sends queued changes to the server, in order, if the outbox is online. Does
+    nothing if changes are already being sent.
+
+    @method flush
+    @chainable
+    **/
+    flush: function () {
+        if (!this._inFlight && this.get('online')) {
+            this._sendNext();
+        }
+
+        return this;
+    },
+
+    /**
+    Returns a copy of the queued operations, oldest first. Each operation is an
+    object with the following properties:
+
+      * `action`: Sync action, "create", "update", or "delete".
+      * `data`: Data to send, or `null` for a delete.
+      * `id`: Id of the model, or the temporary id of a model being created.
+      * `idAttribute`: Name of the model's id attribute.
+      * `options`: The `csrfToken`, `headers`, and `timeout` sync options.
+      * `patch`: Whether an update will be sent as a PATCH request.
+      * `root`: The model's `root`.
+      * `url`: URL to send the request to.
+
+    @method getQueue
+    @return {Object[]} Queued operations.
+    **/
+    getQueue: function () {
+        return YArray.map(this._queue, this._serializeOperation);
+    },
+
+    /**
+    Sends or queues a change made by a model. This is called by
+    `ModelSync.REST`'s `sync()` method for the models that use this outbox.
+
+    @method send
+    @param {Model} model Model that made the change.
+    @param {String} action Sync action, "create", "update", or "delete".
+    @param {Object} [options] Sync options.
+    @param {Function} [callback] Called when the change is sent, or as soon as
+        it's queued if it can't be sent immediately.
+        @param {Object|null} callback.err Error, if the server rejected the
+            change.
+        @param {Object} [callback.response] The `Y.io` response object, if the
+            change was sent.
+    **/
+    send: function (model, action, options, callback) {
+        var op;
+
+        options || (options = {});
+
+        op = {
+            action     : action,
+            data       : null,
+            id         : model.get('id'),
+            idAttribute: model.idAttribute,
+            options    : {
+                csrfToken: options.csrfToken,
+                headers  : options.headers,
+                timeout  : options.timeout
+            },
+            patch      : !!(action === 'update' && options.patch),
+            root       : model.root || model.url,
+            url        : model.getURL(action, options),
+
+            _callbacks: callback ? [callback] : [],
+            _models   : [model]
+        };
+
+        if (action === 'create') {
+            op.id = Y.guid('tmp_');
+            op.data = model.toJSON();
+        } else if (action === 'update') {
+            op.data = op.patch ? model.getDirtyAttrs() : model.toJSON();
+        }
+
+        if (!this._coalesce(op)) {
+            this._queue.push(op);
+        }
+
+        this._saveQueue();
+
+        if (this.get('online')) {
+            this.flush();
+        } else {
+            this._finishQueued();
+        }
+    },
+
+    /**
+    Returns the number of queued changes.
+
+    @method size
+    @return {Number} Number of queued changes.
+    **/
+    size: function () {
+        return this._queue.length;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Combines _op_ with a queued operation for the same model, if possible.
+    Returns `true` if _op_ no longer needs to be queued.
+
+    @method _coalesce
+    @param {Object} op New operation.
+    @return {Boolean} `true` if _op_ was combined with a queued operation.
+    @protected
+    **/
+    _coalesce: function (op) {
+        var queue = this._queue,
+            prev, i;
+
+        if (op.action === 'create') {
+            return false;
+        }
+
+        // Find the latest queued operation for the same model.
+        for (i = queue.length - 1; i >= 0; i--) {
+            if (queue[i].id === op.id && queue[i].root === op.root) {
+                prev = queue[i];
+                break;
+            }
+        }
+
+        if (!prev || prev === this._inFlight || prev.action === 'delete') {
+            return false;
+        }
+
+        if (op.action === 'update') {
+            prev.data       = Y.merge(prev.data, op.data);
+            prev.patch      = prev.patch && op.patch;
+            prev.options    = op.options;
+            prev._callbacks = prev._callbacks.concat(op._callbacks);
+            prev._models    = this._mergeModels(prev._models, op._models);
+
+            return true;
+        }
+
+        // Deleting a model discards its queued changes, and if the server
+        // doesn't know about it yet, there's nothing to delete.
+        for (i = queue.length - 1; i >= 0; i--) {
+            prev = queue[i];
+
+            if (prev.id === op.id && prev.root === op.root &&
+                    prev !== this._inFlight) {
+
+                queue.splice(i, 1);
+                this._finish(prev, null);
+
+                if (prev.action === 'create') {
+                    this._finish(op, null);
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    },
+
+    /**
+    Calls the pending callbacks of _op_ with the specified arguments.
+
+    @method _finish
+    @param {Object} op Operation.
+    @param {Object|null} err Error, if any.
+    @param {Object} [response] The `Y.io` response object.
+    @protected
+    **/
+    _finish: function (op, err, response) {
+        var callbacks = op._callbacks;
+
+        op._callbacks = [];
+
+        YArray.each(callbacks, function (callback) {
+            callback(err, response);
+        });
+    },
+
+    /**
+    Finishes the pending callbacks of every queued operation that isn't being
+    sent, as if they succeeded. Models created by queued operations are given
+    their temporary ids first.
+
+    @method _finishQueued
+    @protected
+    **/
+    _finishQueued: function () {
+        YArray.each(this._queue.concat(), function (op) {
+            if (op === this._inFlight || !op._callbacks.length) {
+                return;
+            }
+
+            if (op.action === 'create') {
+                YArray.each(op._models, function (model) {
+                    if (model.isNew()) {
+                        model.set('id', op.id, {src: 'outbox'});
+                    }
+                });
+            }
+
+            this._finish(op, null);
+        }, this);
+    },
+
+    /**
+    Returns the queue stored under `storageKey`, or an empty array.
+
+    @method _loadQueue
+    @return {Object[]} Queued operations.
+    @protected
+    **/
+    _loadQueue: function () {
+        var key     = this.get('storageKey'),
+            storage = Outbox._getStorage(),
+            data;
+
+        try {
+            data = storage ? storage.getItem(key) : Outbox._data[key];
+            data = data ? Y.JSON.parse(data) : [];
+        } catch (ex) {
+            data = [];
+        }
+
+        return YArray.map(data, function (op) {
+            op._callbacks = [];
+            op._models    = [];
+
+            return op;
+        });
+    },
+
+    /**
+    Replaces the temporary id of a created model with the id assigned by the
+    server, in the model and in queued operations.
+
+    @method _mapId
+    @param {Object} op Create operation that succeeded.
+    @param {Object} response The `Y.io` response object.
+    @protected
+    **/
+    _mapId: function (op, response) {
+        var tempId = op.id,
+            model  = op._models[0] || null,
+            id, parsed;
+
+        if (model) {
+            parsed = model._parse(response);
+        } else {
+            try {
+                parsed = Y.JSON.parse(response.responseText);
+            } catch (ex) {
+                parsed = null;
+            }
+        }
+
+        // Models whose `save()` is still waiting will set the parsed
+        // attributes themselves.
+        if (parsed && !op._callbacks.length) {
+            YArray.each(op._models, function (created) {
+                created.setAttrs(parsed, {src: 'outbox'});
+            });
+        }
+
+        id = parsed && parsed[op.idAttribute];
+
+        if (!Lang.isValue(id) || id === tempId) {
+            return;
+        }
+
+        YArray.each(this._queue, function (queued) {
+            if (queued.id !== tempId || queued.root !== op.root) {
+                return;
+            }
+
+            queued.id  = id;
+            queued.url = queued.url.split(encodeURIComponent(tempId))
+                    .join(encodeURIComponent(id));
+
+            if (queued.data && queued.data[queued.idAttribute] === tempId) {
+                queued.data[queued.idAttribute] = id;
+            }
+        });
+
+        this.fire(EVT_ID_MAP, {
+            id    : id,
+            model : model,
+            tempId: tempId
+        });
+    },
+
+    /**
+    Returns _models_ with the models in _others_ that it doesn't already
+    contain.
+
+    @method _mergeModels
+    @param {Model[]} models Models.
+    @param {Model[]} others Other models.
+    @return {Model[]} Merged array of models.
+    @protected
+    **/
+    _mergeModels: function (models, others) {
+        var merged = models.concat();
+
+        YArray.each(others, function (model) {
+            if (YArray.indexOf(merged, model) === -1) {
+                merged.push(model);
+            }
+        });
+
+        return merged;
+    },
+
+    /**
+    Handles the server's response to a queued operation.
+
+    @method _onSendComplete
+    @param {Object} op Operation that was sent.
+    @param {Object|null} err HTTP error object, if the request failed.
+    @param {Object} response The `Y.io` response object.
+    @protected
+    **/
+    _onSendComplete: function (op, err, response) {
+        var facade;
+
+        this._inFlight = null;
+
+        // Requests that fail without a response, or due to a server error,
+        // might succeed later, so keep them queued.
+        if (err && (!err.code || err.code >= 500)) {
+            this._finishQueued();
+            return;
+        }
+
+        this._queue.splice(YArray.indexOf(this._queue, op), 1);
+
+        if (err) {
+            facade = {
+                error    : err,
+                model    : op._models[0] || null,
+                operation: this._serializeOperation(op),
+                response : response
+            };
+
+            if (err.code === 409) {
+                this.fire(EVT_CONFLICT, facade);
+            } else {
+                facade.src = 'replay';
+                this.fire(EVT_ERROR, facade);
+            }
+        } else if (op.action === 'create') {
+            this._mapId(op, response);
+        }
+
+        this._saveQueue();
+        this._finish(op, err, response);
+        this.flush();
+    },
+
+    /**
+    Stores the queue under `storageKey`.
+
+    @method _saveQueue
+    @protected
+    **/
+    _saveQueue: function () {
+        var key     = this.get('storageKey'),
+            storage = Outbox._getStorage(),
+            data    = Y.JSON.stringify(this.getQueue());
+
+        if (storage) {
+            try {
+                storage.setItem(key, data);
+                return;
+            } catch (ex) {
+                // Fall through to the in-memory store if storage is full.
+            }
+        }
+
+        Outbox._data[key] = data;
+    },
+
+    /**
+    Sends the oldest queued operation, if any.
+
+    @method _sendNext
+    @protected
+    **/
+    _sendNext: function () {
+        var self = this,
+            op   = this._queue[0];
+
+        if (!op) {
+            return;
+        }
+
+        this._inFlight = op;
+
+        this._sendRequest(op, function (err, response) {
+            self._onSendComplete(op, err, response);
+        });
+    },
+
+    /**
+    Sends the request for a queued operation.
+
+    @method _sendRequest
+    @param {Object} op Operation to send.
+    @param {Function} callback Called when the request finishes.
+        @param {Object|null} callback.err HTTP error object with `code` and
+            `msg` properties, if the request failed.
+        @param {Object} callback.response The `Y.io` response object.
+    @return {Object} The resulting `Y.io()` request object.
+    @protected
+    **/
+    _sendRequest: function (op, callback) {
+        var method = RESTSync.HTTP_METHODS[op.action],
+            data   = op.data,
+            config, entity;
+
+        if (op.patch) {
+            method = 'PATCH';
+        }
+
+        if (data) {
+            // The server assigns the ids of new models.
+            if (op.action === 'create') {
+                data = Y.merge(data);
+                delete data[op.idAttribute];
+            }
+
+            entity = Y.JSON.stringify(data);
+        }
+
+        config = RESTSync._getSyncIOConfig(method, op.options);
+
+        return Y.io(op.url, {
+            data   : entity,
+            headers: config.headers,
+            method : config.method,
+            timeout: config.timeout,
+
+            on: {
+                failure: function (txId, res) {
+                    callback({code: res.status, msg: res.statusText}, res);
+                },
+
+                success: function (txId, res) {
+                    callback(null, res);
+                }
+            }
+        });
+    },
+
+    /**
+    Returns a copy of _op_ without its in-memory properties, suitable for
+    storage.
+
+    @method _serializeOperation
+    @param {Object} op Operation.
+    @return {Object} Copy of the operation.
+    @protected
+    **/
+    _serializeOperation: function (op) {
+        return {
+            action     : op.action,
+            data       : op.data && Y.merge(op.data),
+            id         : op.id,
+            idAttribute: op.idAttribute,
+            options    : op.options,
+            patch      : op.patch,
+            root       : op.root,
+            url        : op.url
+        };
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Sends queued changes when the outbox comes online, and finishes pending
+    callbacks when it goes offline.
+
+    @method _afterOnlineChange
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterOnlineChange: function (e) {
+        if (e.newVal) {
+            this.flush();
+        } else {
+            this._finishQueued();
+        }
+    },
+
+    /**
+    Handles the window's `offline` event.
+
+    @method _onWindowOffline
+    @protected
+    **/
+    _onWindowOffline: function () {
+        this.set('online', false);
+    },
+
+    /**
+    Handles the window's `online` event.
+
+    @method _onWindowOnline
+    @protected
+    **/
+    _onWindowOnline: function () {
+        this.set('online', true);
+    }
+}, {
+    ATTRS: {
+        /**
+        Whether the network is available. Defaults to the browser's
+        `navigator.onLine` value, and is updated when the browser fires
+        `online` and `offline` events. Queued changes are sent whenever this
+        becomes `true`.
+
+        @attribute online
+        @type Boolean
+        **/
+        online: {
+            validator: Lang.isBoolean,
+            valueFn  : function () {
+                var nav = Y.config.win && Y.config.win.navigator;
+                return !(nav && nav.onLine === false);
+            }
+        },
+
+        /**
+        Key under which queued changes are stored in `localStorage`. Outboxes
+        with different keys have separate queues.
+
+        @attribute storageKey
+        @type String
+        @default "yui-model-sync-outbox"
+        @initOnly
+        **/
+        storageKey: {
+            validator: Lang.isString,
+            value    : 'yui-model-sync-outbox',
+            writeOnce: 'initOnly'
+        }
+    },
+
+    /**
+    In-memory store used when `localStorage` isn't available, keyed by
+    `storageKey`.
+
+    @property _data
+    @type Object
+    @static
+    @protected
+    **/
+    _data: {},
+
+    /**
+    Returns `localStorage`, or `null` if it isn't available.
+
+    @method _getStorage
+    @return {Storage} `localStorage`, or `null`.
+    @static
+    @protected
+    **/
+    _getStorage: function () {
+        try {
+            return Y.config.win.localStorage || null;
+        } catch (ex) {
+            return null;
+        }
+    }
+});
+
+Y.namespace('ModelSync').Outbox = Outbox;
@@ -36,6 +36,9 @@ a value for `root` when sub-classing `Y.Model`.
 
         // PUT updated user data at: "/users/1"
         firstUser.set('name', 'Eric').save();
+
+        // PATCH only the changed attributes at: "/users/1"
+        firstUser.set('name', 'Ryan').save({patch: true});
     });
 
 @class ModelSync.REST
@@ -74,12 +77,12 @@ will have a `X-CSRF-Token` header added with the token value.
 RESTSync.CSRF_TOKEN = YUI.Env.CSRF_TOKEN;
 
 /**
-Static flag to use the HTTP POST method instead of PUT or DELETE.
+Static flag to use the HTTP POST method instead of PUT, PATCH, or DELETE.
 
 If the server-side HTTP framework isn't RESTful, setting this flag to `true`
-will cause all PUT and DELETE requests to instead use the POST HTTP method, and
-add a `X-HTTP-Method-Override` HTTP header with the value of the method type
-which was overridden.
+will cause all PUT, PATCH, and DELETE requests to instead use the POST HTTP
+method, and add a `X-HTTP-Method-Override` HTTP header with the value of the
+method type which was overridden.
 
 @property EMULATE_HTTP
 @type Boolean
@@ -165,10 +168,94 @@ Model or ModelList constructor.
 **/
 RESTSync._NON_ATTRS_CFG = ['root', 'url'];
 
+/**
+Returns the HTTP method, headers, and timeout to use for a request, taking into
+account the static `HTTP_HEADERS`, `HTTP_TIMEOUT`, `EMULATE_HTTP`, and
+`CSRF_TOKEN` properties, and the per-request _options_.
+
+This is shared by `sync()` and `ModelSync.Outbox`, which replays requests after
+the models that made them may be gone.
+
+@method _getSyncIOConfig
+@param {String} method The HTTP request method.
+@param {Object} [options] Sync options:
+  @param {String} [options.csrfToken] The authenticity token.
+  @param {Object} [options.headers] The HTTP headers to mix with the default
+    headers.
+  @param {Number} [options.timeout] The number of milliseconds before the
+    request will timeout.
+@return {Object} Object with `headers`, `method`, and `timeout` properties.
+@static
+@protected
+@since 3.19.0
+**/
+RESTSync._getSyncIOConfig = function (method, options) {
+    options || (options = {});
+
+    var headers   = Y.merge(RESTSync.HTTP_HEADERS, options.headers),
+        timeout   = options.timeout || RESTSync.HTTP_TIMEOUT,
+        csrfToken = options.csrfToken || RESTSync.CSRF_TOKEN;
+
+    // Remove header if no content is being sent.
+    if (!(method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+        delete headers['Content-Type'];
+    }
+
+    // Setup HTTP emulation for older servers if we need it.
+    if (RESTSync.EMULATE_HTTP &&
+            (method === 'PUT' || method === 'PATCH' || method === 'DELETE')) {
+
+        // Pass along original method type in the headers.
+        headers['X-HTTP-Method-Override'] = method;
+
+        // Fall-back to using POST method type.
+        method = 'POST';
+    }
+
+    // Add CSRF token to HTTP request headers if one is specified and the
+    // request will cause side effects on the server.
+    if (csrfToken && (method === 'POST' || method === 'PUT' ||
+            method === 'PATCH' || method === 'DELETE')) {
+
+        headers['X-CSRF-Token'] = csrfToken;
+    }
+
+    return {
+        headers: headers,
+        method : method,
+        timeout: timeout
+    };
+};
+
 RESTSync.prototype = {
 
     // -- Public Properties ----------------------------------------------------
 
+    /**
+    A `ModelSync.Outbox` instance which queues this model's changes (create,
+    update, and delete requests) while the network is unavailable, and sends
+    them once it's available again. If `null`, changes are sent immediately.
+
+    This is usually set on the prototype, so every instance of a Model subclass
+    shares the same outbox:
+
+    @example
+        var outbox = new Y.ModelSync.Outbox();
+
+        Y.User = Y.Base.create('user', Y.Model, [Y.ModelSync.REST], {
+            outbox: outbox,
+            root  : '/users'
+        });
+
+    Model lists always load their data immediately.
+
+    @property outbox
+    @type ModelSync.Outbox
+    @default null
+    @since 3.19.0
+    **/
+    outbox: null,
+
     /**
     A string which represents the root or collection part of the URL which
     relates to a Model or ModelList. Usually this value should be same for all
@@ -400,13 +487,24 @@ RESTSync.prototype = {
     need to modify which attributes are serialized to JSON, that's a better
     place to start.
 
+    When the _action_ is "update" and `options.patch` is `true`, only the
+    attributes returned by this model's `getDirtyAttrs()` method are serialized,
+    since the request will be a PATCH of the changed attributes.
+
     @method serialize
     @param {String} [action] Optional `sync()` action for which to generate the
         the serialized representation of this model.
+    @param {Object} [options] Optional options passed to `sync()`.
+      @param {Boolean} [options.patch=false] Whether to serialize only the dirty
+        attributes of this model when updating it.
     @return {String} serialized HTTP request entity body.
     @since 3.6.0
     **/
-    serialize: function (action) {
+    serialize: function (action, options) {
+        if (action === 'update' && options && options.patch) {
+            return Y.JSON.stringify(this.getDirtyAttrs());
+        }
+
         return Y.JSON.stringify(this);
     },
 
@@ -419,6 +517,9 @@ RESTSync.prototype = {
 
     This method relies heavily on standard RESTful HTTP conventions
 
+    If this model has an `outbox`, create, update, and delete requests are
+    handed off to it instead of being sent immediately.
+
     @method sync
     @param {String} action Sync action to perform. May be one of the following:
 
@@ -434,6 +535,10 @@ RESTSync.prototype = {
         `CSRF_TOKEN` property.
       @param {Object} [options.headers] The HTTP headers to mix with the default
         headers specified by the static `HTTP_HEADERS` property.
+      @param {Boolean} [options.patch=false] If `true`, an `update` of a model
+        will be sent as a PATCH request containing only the model's dirty
+        attributes (see `Model.getDirtyAttrs()`), instead of a PUT request
+        containing all its attributes. Since 3.19.0.
       @param {Number} [options.timeout] The number of milliseconds before the
         request will timeout and be aborted. This overrides the default provided
         by the static `HTTP_TIMEOUT` property.
@@ -446,47 +551,36 @@ RESTSync.prototype = {
     sync: function (action, options, callback) {
         options || (options = {});
 
-        var url       = this.getURL(action, options),
-            method    = RESTSync.HTTP_METHODS[action],
-            headers   = Y.merge(RESTSync.HTTP_HEADERS, options.headers),
-            timeout   = options.timeout || RESTSync.HTTP_TIMEOUT,
-            csrfToken = options.csrfToken || RESTSync.CSRF_TOKEN,
-            entity;
+        var method = RESTSync.HTTP_METHODS[action],
+            config, entity, url;
 
-        // Prepare the content if we are sending data to the server.
-        if (method === 'POST' || method === 'PUT') {
-            entity = this.serialize(action);
-        } else {
-            // Remove header, no content is being sent.
-            delete headers['Content-Type'];
+        // Hand changes off to the outbox, which sends them when it can.
+        if (this.outbox && action !== 'read' && !this._isYUIModelList) {
+            this.outbox.send(this, action, options, callback);
+            return;
         }
 
-        // Setup HTTP emulation for older servers if we need it.
-        if (RESTSync.EMULATE_HTTP &&
-                (method === 'PUT' || method === 'DELETE')) {
+        url = this.getURL(action, options);
 
-            // Pass along original method type in the headers.
-            headers['X-HTTP-Method-Override'] = method;
-
-            // Fall-back to using POST method type.
-            method = 'POST';
+        // Only send the changed attributes when patching an existing model.
+        if (action === 'update' && options.patch) {
+            method = 'PATCH';
         }
 
-        // Add CSRF token to HTTP request headers if one is specified and the
-        // request will cause side effects on the server.
-        if (csrfToken &&
-                (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
-
-            headers['X-CSRF-Token'] = csrfToken;
+        // Prepare the content if we are sending data to the server.
+        if (method === 'POST' || method === 'PUT' || method === 'PATCH') {
+            entity = this.serialize(action, options);
         }
 
+        config = RESTSync._getSyncIOConfig(method, options);
+
         this._sendSyncIORequest({
             action  : action,
             callback: callback,
             entity  : entity,
-            headers : headers,
-            method  : method,
-            timeout : timeout,
+            headers : config.headers,
+            method  : config.method,
+            timeout : config.timeout,
             url     : url
         });
     },
@@ -0,0 +1,370 @@
+/**
+An extension that adds declarative, per-attribute validation rules to a Model
+subclass.
+
+@module app
+@submodule model-validation
+@since 3.19.0
+**/
+
+var Lang    = Y.Lang,
+    YArray  = Y.Array,
+    YObject = Y.Object;
+
+/**
+An extension that adds declarative, per-attribute validation rules to a Model
+subclass.
+
+Rules are specified using the `rules` property of an attribute's configuration.
+The extension's `validate()` method checks every attribute that has rules and
+reports all the failures at once, rather than stopping at the first one:
+
+    Y.User = Y.Base.create('user', Y.Model, [Y.Model.Validation], {}, {
+        ATTRS: {
+            name: {
+                value: '',
+                rules: {required: true, type: 'string', maxLength: 50}
+            },
+
+            age: {
+                rules: {type: 'number', min: 13, max: 150}
+            },
+
+            role: {
+                value: 'member',
+                rules: {oneOf: ['admin', 'member']}
+            },
+
+            username: {
+                rules: {
+                    pattern: /^[a-z0-9_]+$/,
+
+                    custom: function (value, attrs, callback) {
+                        checkAvailability(value, function (available) {
+                            callback(available ? null : 'Username is taken.');
+                        });
+                    }
+                }
+            }
+        }
+    });
+
+The following rules are supported. Except for `required`, rules are skipped
+when an attribute's value is empty (`undefined`, `null`, or `""`).
+
+  * `required`: The value must not be empty.
+  * `type`: The value's type, as returned by `Y.Lang.type()`, e.g. "string",
+    "number", "boolean", "array", or "date".
+  * `min`, `max`: Minimum and maximum values (inclusive).
+  * `minLength`, `maxLength`: Minimum and maximum lengths (inclusive) of a
+    string or array value.
+  * `pattern`: Regular expression that the value must match.
+  * `oneOf`: Array of allowed values.
+  * `custom`: Function that validates the value asynchronously. It receives the
+    value, the hash of all attributes being validated, and a callback, which
+    should be called with an error message (or any other non-empty value) if
+    validation fails, or with no arguments if it succeeds. Custom validators are
+    only called if all of an attribute's other rules pass.
+
+Validation errors are aggregated into an object keyed by attribute name, where
+each value is an array of errors for that attribute. Each error is an object
+with the following properties:
+
+  * `rule`: Name of the rule that failed.
+  * `message`: Error message.
+
+Since `save()` validates a model before saving it, a failed save fires an
+`error` event whose `error` property is this object, which makes it easy to
+show every error in a form at once:
+
+    user.on('error', function (e) {
+        if (e.src === 'validate') {
+            Y.Object.each(e.error, function (errors, attrName) {
+                showFieldErrors(attrName, errors);
+            });
+        }
+    });
+
+Error messages are generated from the templates in
+`Y.Model.Validation.MESSAGES`, and may be customized per attribute using a
+`messages` object in its rules:
+
+    name: {
+        rules: {
+            required: true,
+            messages: {required: 'Please enter your name.'}
+        }
+    }
+
+@class Model.Validation
+@extensionfor Model
+@since 3.19.0
+**/
+function Validation() {}
+
+/**
+Error message templates for each rule, keyed by rule name. Templates are
+processed by `Y.Lang.sub()` using the attribute's rules, so a template may
+refer to a rule's value using a placeholder such as `{min}`.
+
+@property MESSAGES
+@type Object
+@static
+@since 3.19.0
+**/
+Validation.MESSAGES = {
+    custom   : 'Invalid value.',
+    max      : 'Must be no more than {max}.',
+    maxLength: 'Must be no more than {maxLength} characters long.',
+    min      : 'Must be at least {min}.',
+    minLength: 'Must be at least {minLength} characters long.',
+    oneOf    : 'Must be one of the allowed values.',
+    pattern  : 'Invalid format.',
+    required : 'Required.',
+    type     : 'Must be a {type}.'
+};
+
+/**
+Attribute configuration properties added by this extension. Tells `Y.Base` to
+keep the `rules` property of each attribute's configuration.
+
+@property _ATTR_CFG
+@type String[]
+@static
+@protected
+@since 3.19.0
+**/
+Validation._ATTR_CFG = ['rules'];
+
+/**
+Built-in rule tests, keyed by rule name, in the order they're applied. Each
+test receives the value being validated and the rule's value, and returns
+`true` if the value passes.
+
+@property _RULES
+@type Object
+@static
+@protected
+@since 3.19.0
+**/
+Validation._RULES = {
+    type: function (value, type) {
+        return Lang.type(value) === type;
+    },
+
+    min: function (value, min) {
+        return value >= min;
+    },
+
+    max: function (value, max) {
+        return value <= max;
+    },
+
+    minLength: function (value, minLength) {
+        return value.length >= minLength;
+    },
+
+    maxLength: function (value, maxLength) {
+        return value.length <= maxLength;
+    },
+
+    pattern: function (value, pattern) {
+        return pattern.test(String(value));
+    },
+
+    oneOf: function (value, values) {
+        return YArray.indexOf(values, value) > -1;
+    }
+};
+
+Validation.prototype = {
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Validates _attrs_ against the `rules` of each attribute, and calls the
+    _callback_ with an object containing every validation error, keyed by
+    attribute name, if any rule failed. If every rule passed, the _callback_
+    is called with no arguments.
+
+    This method is called automatically by `save()`. If you override it in a
+    subclass, you can still call this implementation to check the declared
+    rules:
+
+        validate: function (attrs, callback) {
+            Y.Model.Validation.prototype.validate.call(this, attrs, function (errors) {
+                // Add additional checks here.
+                callback(errors);
+            });
+        }
+
+    @method validate
+    @param {Object} attrs Attribute hash containing all model attributes to be
+        validated.
+    @param {Function} callback Called when validation finishes.
+        @param {Object} [callback.errors] Hash of attribute names and arrays of
+            errors. Not provided if validation succeeded.
+    **/
+    validate: function (attrs, callback) {
+        var self    = this,
+            errors  = {},
+            rules   = this._getAttrRules(),
+            pending = 1,
+            failed  = false;
+
+        function addError(name, error) {
+            failed = true;
+            (errors[name] || (errors[name] = [])).push(error);
+        }
+
+        function done() {
+            pending -= 1;
+
+            if (pending || !callback) {
+                return;
+            }
+
+            if (failed) {
+                callback(errors);
+            } else {
+                callback();
+            }
+        }
+
+        YObject.each(rules, function (attrRules, name) {
+            var value      = attrs[name],
+                ruleErrors = this._checkRules(value, attrRules);
+
+            if (ruleErrors.length) {
+                YArray.each(ruleErrors, function (error) {
+                    addError(name, error);
+                });
+
+                return;
+            }
+
+            if (attrRules.custom && !this._isEmptyValue(value)) {
+                pending += 1;
+
+                attrRules.custom.call(self, value, attrs, function (err) {
+                    if (!self._isEmptyValue(err)) {
+                        addError(name, {
+                            message: typeof err === 'string' ? err :
+                                (err.message || self._getRuleMessage('custom', attrRules)),
+                            rule   : 'custom'
+                        });
+                    }
+
+                    done();
+                });
+            }
+        }, this);
+
+        done();
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Checks _value_ against the built-in rules in _rules_, and returns an array
+    of errors for the rules that failed.
+
+    @method _checkRules
+    @param {Any} value Value to check.
+    @param {Object} rules Attribute rules.
+    @return {Object[]} Array of errors, each with `rule` and `message`
+        properties.
+    @protected
+    @since 3.19.0
+    **/
+    _checkRules: function (value, rules) {
+        var tests  = Validation._RULES,
+            errors = [],
+            rule;
+
+        if (this._isEmptyValue(value)) {
+            if (rules.required) {
+                errors.push({
+                    message: this._getRuleMessage('required', rules),
+                    rule   : 'required'
+                });
+            }
+
+            return errors;
+        }
+
+        for (rule in tests) {
+            if (YObject.owns(tests, rule) && YObject.owns(rules, rule) &&
+                    !tests[rule](value, rules[rule])) {
+
+                errors.push({
+                    message: this._getRuleMessage(rule, rules),
+                    rule   : rule
+                });
+
+                // There's no point in checking other rules once the type is
+                // wrong.
+                if (rule === 'type') {
+                    break;
+                }
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+    Returns a hash of the `rules` of every attribute that has them, keyed by
+    attribute name.
+
+    @method _getAttrRules
+    @return {Object} Hash of attribute names and rules.
+    @protected
+    @since 3.19.0
+    **/
+    _getAttrRules: function () {
+        var rules = {};
+
+        YObject.each(this._state.data, function (data, name) {
+            var cfg = this._isLazyAttr(name) || this._getAttrCfg(name);
+
+            if (cfg.rules) {
+                rules[name] = cfg.rules;
+            }
+        }, this);
+
+        return rules;
+    },
+
+    /**
+    Returns the error message for a failed _rule_, using the attribute's custom
+    `messages` if it has one.
+
+    @method _getRuleMessage
+    @param {String} rule Rule name.
+    @param {Object} rules Attribute rules.
+    @return {String} Error message.
+    @protected
+    @since 3.19.0
+    **/
+    _getRuleMessage: function (rule, rules) {
+        var messages = rules.messages,
+            message  = (messages && messages[rule]) || Validation.MESSAGES[rule];
+
+        return Lang.sub(message, rules);
+    },
+
+    /**
+    Returns `true` if _value_ is `undefined`, `null`, or an empty string.
+
+    @method _isEmptyValue
+    @param {Any} value Value to check.
+    @return {Boolean} `true` if _value_ is empty.
+    @protected
+    @since 3.19.0
+    **/
+    _isEmptyValue: function (value) {
+        return !Lang.isValue(value) || value === '';
+    }
+};
+
+Y.Model.Validation = Validation;
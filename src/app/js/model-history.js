@@ -0,0 +1,546 @@
+/**
+Provides the ModelHistory class, which records changes to models and model lists
+so they can be undone and redone.
+
+@module app
+@submodule model-history
+@since 3.19.0
+**/
+
+var YArray = Y.Array;
+
+/**
+Records changes to models and model lists as reversible commands, providing
+`undo()` and `redo()`.
+
+Each `change` event of a tracked model, and each `add`, `remove`, and `reset`
+event of a tracked model list (along with the `change` events of the models it
+contains), is recorded as a single undoable step. Call `batch()` to group
+several changes into one step.
+
+    var history = new Y.ModelHistory({maxDepth: 50});
+
+    history.track(todoList);
+
+    todoList.add({title: 'Buy milk'});
+    todoList.item(0).set('done', true);
+
+    history.undo(); // `done` is false again.
+    history.undo(); // The todo is removed.
+    history.redo(); // The todo is added back.
+
+The `canUndo` and `canRedo` attributes reflect whether there's anything to undo
+or redo, which makes it easy to enable and disable undo and redo buttons:
+
+    history.after(['canUndoChange', 'canRedoChange'], function () {
+        undoButton.set('disabled', !history.get('canUndo'));
+        redoButton.set('disabled', !history.get('canRedo'));
+    });
+
+Changes made while undoing or redoing aren't recorded, and changes to models and
+lists are made with `src: 'history'`. Sorting a list isn't recorded, since a
+sorted list would just sort itself again.
+
+@class ModelHistory
+@constructor
+@param {Object} [config] Config options.
+    @param {Model[]|ModelList[]} [config.models] Models and model lists to
+        track, as if passed to `track()`.
+@extends Base
+@since 3.19.0
+**/
+Y.ModelHistory = Y.Base.create('modelHistory', Y.Base, [], {
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    Steps that can be redone, oldest first. Each step is an array of commands.
+
+    @property {Object[][]} _redoStack
+    @protected
+    **/
+
+    /**
+    Tracked models and lists, each with the event handles of its
+    subscriptions.
+
+    @property {Object[]} _tracked
+    @protected
+    **/
+
+    /**
+    Steps that can be undone, oldest first. Each step is an array of commands.
+
+    @property {Object[][]} _undoStack
+    @protected
+    **/
+
+    // -- Lifecycle Methods ----------------------------------------------------
+    initializer: function (config) {
+        this._batch      = null;
+        this._batchDepth = 0;
+        this._redoStack  = [];
+        this._tracked    = [];
+        this._undoStack  = [];
+
+        this.after('maxDepthChange', this._afterMaxDepthChange);
+
+        if (config && config.models) {
+            YArray.each(config.models, function (target) {
+                this.track(target);
+            }, this);
+        }
+    },
+
+    destructor: function () {
+        YArray.each(this._tracked, function (entry) {
+            (new Y.EventHandle(entry.handles)).detach();
+        });
+
+        this._batch     = null;
+        this._redoStack = [];
+        this._tracked   = [];
+        this._undoStack = [];
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Executes _fn_ and records all the changes it makes as a single step, so
+    they'll be undone and redone together. Calls to `batch()` may be nested, in
+    which case all changes are recorded as a single step when the outermost
+    batch finishes.
+
+    @method batch
+    @param {Function} fn Function that makes changes.
+    @param {Object} [thisObj] `this` object to use when executing _fn_.
+    @chainable
+    **/
+    batch: function (fn, thisObj) {
+        var batch;
+
+        if (!this._batchDepth) {
+            this._batch = [];
+        }
+
+        this._batchDepth += 1;
+
+        try {
+            fn.call(thisObj);
+        } finally {
+            this._batchDepth -= 1;
+
+            if (!this._batchDepth) {
+                batch       = this._batch;
+                this._batch = null;
+
+                if (batch.length) {
+                    this._push(batch);
+                }
+            }
+        }
+
+        return this;
+    },
+
+    /**
+    Discards all recorded steps.
+
+    @method clear
+    @chainable
+    **/
+    clear: function () {
+        this._redoStack = [];
+        this._undoStack = [];
+        this._syncState();
+
+        return this;
+    },
+
+    /**
+    Redoes the most recently undone step, if any.
+
+    @method redo
+    @chainable
+    **/
+    redo: function () {
+        var step = this._redoStack.pop();
+
+        if (step) {
+            this._replay(step, 'redo');
+            this._undoStack.push(step);
+            this._syncState();
+        }
+
+        return this;
+    },
+
+    /**
+    Starts recording changes to the specified model or model list. Changes to
+    the models in a list are recorded too.
+
+    @method track
+    @param {Model|ModelList} target Model or model list to track.
+    @chainable
+    **/
+    track: function (target) {
+        var entry;
+
+        if (this._getTrackedIndex(target) > -1) {
+            return this;
+        }
+
+        entry = {handles: [], target: target};
+
+        if (target._isYUIModelList) {
+            entry.handles.push(
+                target.after('*:change', this._afterModelChange, this),
+                target.after('add', this._afterListAdd, this),
+                target.after('remove', this._afterListRemove, this),
+                target.on('reset', this._onListReset, this, entry),
+                target.after('reset', this._afterListReset, this, entry)
+            );
+        } else {
+            entry.handles.push(
+                target.after('change', this._afterModelChange, this)
+            );
+        }
+
+        this._tracked.push(entry);
+
+        return this;
+    },
+
+    /**
+    Undoes the most recent step, if any.
+
+    @method undo
+    @chainable
+    **/
+    undo: function () {
+        var step = this._undoStack.pop();
+
+        if (step) {
+            this._replay(step, 'undo');
+            this._redoStack.push(step);
+            this._syncState();
+        }
+
+        return this;
+    },
+
+    /**
+    Stops recording changes to the specified model or model list. Steps that
+    were already recorded are kept.
+
+    @method untrack
+    @param {Model|ModelList} target Model or model list to stop tracking.
+    @chainable
+    **/
+    untrack: function (target) {
+        var index = this._getTrackedIndex(target);
+
+        if (index > -1) {
+            (new Y.EventHandle(this._tracked[index].handles)).detach();
+            this._tracked.splice(index, 1);
+        }
+
+        return this;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Returns the index of the specified target in `_tracked`, or `-1`.
+
+    @method _getTrackedIndex
+    @param {Model|ModelList} target Model or model list.
+    @return {Number} Index, or `-1`.
+    @protected
+    **/
+    _getTrackedIndex: function (target) {
+        var tracked = this._tracked;
+
+        for (var i = 0, len = tracked.length; i < len; i++) {
+            if (tracked[i].target === target) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+    Pushes a step onto the undo stack, discarding the redo stack and the oldest
+    steps beyond `maxDepth`.
+
+    @method _push
+    @param {Object[]} step Array of commands.
+    @protected
+    **/
+    _push: function (step) {
+        this._undoStack.push(step);
+        this._redoStack = [];
+        this._trim();
+        this._syncState();
+    },
+
+    /**
+    Records a command with `undo` and `redo` functions, either as its own step
+    or as part of the current batch.
+
+    @method _record
+    @param {Object} command Command with `undo` and `redo` functions.
+    @protected
+    **/
+    _record: function (command) {
+        if (this._replaying) {
+            return;
+        }
+
+        if (this._batch) {
+            this._batch.push(command);
+        } else {
+            this._push([command]);
+        }
+    },
+
+    /**
+    Undoes or redoes the commands in a step. Commands are undone in reverse
+    order.
+
+    @method _replay
+    @param {Object[]} step Array of commands.
+    @param {String} action "undo" or "redo".
+    @protected
+    **/
+    _replay: function (step, action) {
+        var len = step.length,
+            i;
+
+        this._replaying = true;
+
+        try {
+            if (action === 'undo') {
+                for (i = len - 1; i >= 0; i--) {
+                    step[i].undo();
+                }
+            } else {
+                for (i = 0; i < len; i++) {
+                    step[i].redo();
+                }
+            }
+        } finally {
+            this._replaying = false;
+        }
+    },
+
+    /**
+    Updates the `canUndo` and `canRedo` attributes.
+
+    @method _syncState
+    @protected
+    **/
+    _syncState: function () {
+        this._set('canUndo', this._undoStack.length > 0);
+        this._set('canRedo', this._redoStack.length > 0);
+    },
+
+    /**
+    Discards the oldest steps beyond `maxDepth`.
+
+    @method _trim
+    @protected
+    **/
+    _trim: function () {
+        var maxDepth = this.get('maxDepth'),
+            excess   = this._undoStack.length - maxDepth;
+
+        if (maxDepth > 0 && excess > 0) {
+            this._undoStack.splice(0, excess);
+        }
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Records a model added to a tracked list.
+
+    @method _afterListAdd
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterListAdd: function (e) {
+        var list  = e.target,
+            model = e.model,
+            index = e.index;
+
+        this._record({
+            redo: function () {
+                list.add(model, {index: index, src: 'history'});
+            },
+
+            undo: function () {
+                list.remove(model, {src: 'history'});
+            }
+        });
+    },
+
+    /**
+    Records a model removed from a tracked list.
+
+    @method _afterListRemove
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterListRemove: function (e) {
+        var list  = e.target,
+            model = e.model,
+            index = e.index;
+
+        this._record({
+            redo: function () {
+                list.remove(model, {src: 'history'});
+            },
+
+            undo: function () {
+                list.add(model, {index: index, src: 'history'});
+            }
+        });
+    },
+
+    /**
+    Records a reset of a tracked list, using the models captured by
+    `_onListReset()`.
+
+    @method _afterListReset
+    @param {EventFacade} e
+    @param {Object} entry Tracking entry for the list.
+    @protected
+    **/
+    _afterListReset: function (e, entry) {
+        var list       = e.target,
+            models     = e.models.concat(),
+            prevModels = entry.prevModels;
+
+        entry.prevModels = null;
+
+        if (e.src === 'sort' || !prevModels) {
+            return;
+        }
+
+        this._record({
+            redo: function () {
+                list.reset(models, {src: 'history'});
+            },
+
+            undo: function () {
+                list.reset(prevModels, {src: 'history'});
+            }
+        });
+    },
+
+    /**
+    Trims the undo stack when `maxDepth` changes.
+
+    @method _afterMaxDepthChange
+    @protected
+    **/
+    _afterMaxDepthChange: function () {
+        this._trim();
+        this._syncState();
+    },
+
+    /**
+    Records a change to a tracked model, or to a model in a tracked list.
+
+    @method _afterModelChange
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterModelChange: function (e) {
+        var model    = e.target,
+            changed  = e.changed,
+            newVals  = {},
+            prevVals = {},
+            name;
+
+        // A change to a model that's tracked both directly and through a list,
+        // or through several lists, is seen more than once, but the `changed`
+        // object is shared.
+        if (!model._isYUIModel || changed === this._lastChanged) {
+            return;
+        }
+
+        this._lastChanged = changed;
+
+        for (name in changed) {
+            if (changed.hasOwnProperty(name)) {
+                newVals[name]  = changed[name].newVal;
+                prevVals[name] = changed[name].prevVal;
+            }
+        }
+
+        this._record({
+            redo: function () {
+                model.setAttrs(newVals, {src: 'history'});
+            },
+
+            undo: function () {
+                model.setAttrs(prevVals, {src: 'history'});
+            }
+        });
+    },
+
+    /**
+    Captures the models of a tracked list before it's reset.
+
+    @method _onListReset
+    @param {EventFacade} e
+    @param {Object} entry Tracking entry for the list.
+    @protected
+    **/
+    _onListReset: function (e, entry) {
+        entry.prevModels = e.target.toArray();
+    }
+}, {
+    ATTRS: {
+        /**
+        Whether there's a step that can be redone.
+
+        @attribute canRedo
+        @type Boolean
+        @default false
+        @readOnly
+        **/
+        canRedo: {
+            readOnly: true,
+            value   : false
+        },
+
+        /**
+        Whether there's a step that can be undone.
+
+        @attribute canUndo
+        @type Boolean
+        @default false
+        @readOnly
+        **/
+        canUndo: {
+            readOnly: true,
+            value   : false
+        },
+
+        /**
+        Maximum number of steps to keep. When more steps are recorded, the
+        oldest ones are discarded. Set to `0` to keep every step.
+
+        @attribute maxDepth
+        @type Number
+        @default 100
+        **/
+        maxDepth: {
+            validator: Y.Lang.isNumber,
+            value    : 100
+        }
+    }
+});
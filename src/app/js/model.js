@@ -193,11 +193,24 @@ Y.Model = Y.extend(Model, Y.Base, {
     **/
     _isYUIModel: true,
 
+    /**
+    Hash of the last-synced values of attributes that have changed since this
+    model was last loaded or saved. Attributes that have been changed back to
+    their last-synced values are removed from this hash.
+
+    @property _syncedAttrs
+    @type Object
+    @default {}
+    @protected
+    @since 3.19.0
+    **/
+
     // -- Lifecycle Methods ----------------------------------------------------
     initializer: function (config) {
-        this.changed    = {};
-        this.lastChange = {};
-        this.lists      = [];
+        this.changed      = {};
+        this.lastChange   = {};
+        this.lists        = [];
+        this._syncedAttrs = {};
     },
 
     // -- Public Methods -------------------------------------------------------
@@ -301,6 +314,45 @@ Y.Model = Y.extend(Model, Y.Base, {
 
     // get() is defined by Y.Attribute.
 
+    /**
+    Returns a hash of the current values of the attributes whose values differ
+    from their values when this model was last loaded or saved.
+
+    Unlike the `changed` property, an attribute that's changed and then changed
+    back to its last-synced value isn't included. Values are compared using
+    `===`, so setting an object or array attribute to a new object or array
+    always makes it dirty.
+
+    If you've specified a custom attribute name in the `idAttribute` property,
+    the default `id` attribute will not be included in the returned object.
+
+    @example
+        model.load(function () {
+            model.set('name', 'Eric');
+            model.getDirtyAttrs(); // => {name: 'Eric'}
+        });
+
+    @method getDirtyAttrs
+    @return {Object} Hash of dirty attribute names and their current values.
+    @since 3.19.0
+    **/
+    getDirtyAttrs: function () {
+        var idAttribute = this.idAttribute,
+            synced      = this._syncedAttrs,
+            dirty       = {},
+            name;
+
+        for (name in synced) {
+            if (YObject.owns(synced, name) &&
+                    !(name === 'id' && idAttribute !== 'id')) {
+
+                dirty[name] = this.get(name);
+            }
+        }
+
+        return dirty;
+    },
+
     /**
     Returns an HTML-escaped version of the value of the specified string
     attribute. The value is escaped using `Y.Escape.html()`.
@@ -328,6 +380,27 @@ Y.Model = Y.extend(Model, Y.Base, {
         return encodeURIComponent(Lang.isValue(value) ? String(value) : '');
     },
 
+    /**
+    Returns `true` if the specified attribute's value differs from its value
+    when this model was last loaded or saved. If no attribute name is
+    specified, returns `true` if any attribute is dirty.
+
+    See `getDirtyAttrs()` for details on how dirtiness is determined.
+
+    @method isDirty
+    @param {String} [name] Attribute name.
+    @return {Boolean} `true` if the attribute (or any attribute, if no name was
+      specified) is dirty, `false` otherwise.
+    @since 3.19.0
+    **/
+    isDirty: function (name) {
+        if (name) {
+            return YObject.owns(this._syncedAttrs, name);
+        }
+
+        return !YObject.isEmpty(this._syncedAttrs);
+    },
+
     /**
     Returns `true` if any attribute of this model has been changed since the
     model was last saved.
@@ -386,7 +459,8 @@ Y.Model = Y.extend(Model, Y.Base, {
     @chainable
     **/
     load: function (options, callback) {
-        var self = this;
+        var self = this,
+            synced;
 
         // Allow callback as only arg.
         if (typeof options === 'function') {
@@ -396,6 +470,10 @@ Y.Model = Y.extend(Model, Y.Base, {
 
         options || (options = {});
 
+        // Attributes that change while the load is pending, and that aren't in
+        // the response, are still dirty afterward.
+        synced = self.getAttrs();
+
         self.sync('read', options, function (err, response) {
             var facade = {
                     options : options,
@@ -421,6 +499,7 @@ Y.Model = Y.extend(Model, Y.Base, {
 
                 self.setAttrs(parsed, options);
                 self.changed = {};
+                self._resetSyncedAttrs(synced, parsed);
 
                 self.fire(EVT_LOAD, facade);
             }
@@ -466,6 +545,49 @@ Y.Model = Y.extend(Model, Y.Base, {
         return response;
     },
 
+    /**
+    Reverts dirty attributes to their values when this model was last loaded or
+    saved.
+
+    If an _attrNames_ array is provided, then only the named attributes will be
+    reverted (and only if they're dirty). If no _attrNames_ array is provided,
+    then all dirty attributes will be reverted.
+
+    Unlike `undo()`, which only reverts the last change, `revert()` discards
+    every change made since the last sync.
+
+    @method revert
+    @param {String[]} [attrNames] Array of specific attribute names to revert.
+      If not specified, all dirty attributes will be reverted.
+    @param {Object} [options] Data to be mixed into the event facade of the
+        change event(s) for these attributes.
+      @param {Boolean} [options.silent=false] If `true`, no `change` event will
+          be fired.
+    @chainable
+    @since 3.19.0
+    **/
+    revert: function (attrNames, options) {
+        var idAttribute = this.idAttribute,
+            synced      = this._syncedAttrs,
+            toRevert    = {},
+            needRevert;
+
+        attrNames || (attrNames = YObject.keys(synced));
+
+        YArray.each(attrNames, function (name) {
+            // The default `id` attribute is kept in sync with a custom id
+            // attribute, so only the custom one needs to be reverted.
+            name = name === 'id' ? idAttribute : name;
+
+            if (YObject.owns(synced, name)) {
+                needRevert     = true;
+                toRevert[name] = synced[name];
+            }
+        });
+
+        return needRevert ? this.setAttrs(toRevert, options) : this;
+    },
+
     /**
     Saves this model to the server.
 
@@ -505,11 +627,17 @@ Y.Model = Y.extend(Model, Y.Base, {
         options || (options = {});
 
         self._validate(self.toJSON(), function (err) {
+            var synced;
+
             if (err) {
                 callback && callback.call(null, err);
                 return;
             }
 
+            // The attributes as they're sent are the last-synced values once the
+            // save succeeds, even if they change while it's pending.
+            synced = self.getAttrs();
+
             self.sync(self.isNew() ? 'create' : 'update', options, function (err, response) {
                 var facade = {
                         options : options,
@@ -537,6 +665,8 @@ Y.Model = Y.extend(Model, Y.Base, {
                     }
 
                     self.changed = {};
+                    self._resetSyncedAttrs(synced, parsed);
+
                     self.fire(EVT_SAVE, facade);
                 }
 
@@ -592,7 +722,7 @@ Y.Model = Y.extend(Model, Y.Base, {
     **/
     setAttrs: function (attributes, options) {
         var idAttribute = this.idAttribute,
-            changed, e, key, lastChange, transaction;
+            changed, e, key, lastChange, synced, transaction;
 
         // Makes a shallow copy of the `options` object before adding the
         // `_transaction` object to it so we don't modify someone else's object.
@@ -621,6 +751,7 @@ Y.Model = Y.extend(Model, Y.Base, {
         if (!YObject.isEmpty(transaction)) {
             changed    = this.changed;
             lastChange = this.lastChange = {};
+            synced     = this._syncedAttrs;
 
             for (key in transaction) {
                 if (YObject.owns(transaction, key)) {
@@ -628,6 +759,15 @@ Y.Model = Y.extend(Model, Y.Base, {
 
                     changed[key] = e.newVal;
 
+                    // Remember the last-synced value the first time an
+                    // attribute changes, and forget it once the attribute is
+                    // changed back.
+                    if (!YObject.owns(synced, key)) {
+                        synced[key] = e.prevVal;
+                    } else if (synced[key] === e.newVal) {
+                        delete synced[key];
+                    }
+
                     lastChange[key] = {
                         newVal : e.newVal,
                         prevVal: e.prevVal,
@@ -882,6 +1022,43 @@ Y.Model = Y.extend(Model, Y.Base, {
         return this.parse(response);
     },
 
+    /**
+    Resets the last-synced values of attributes after a successful load or
+    save.
+
+    Attributes in the server's response are clean, and so are attributes that
+    still have the values they had when the sync began. Any other attribute was
+    changed while the sync was pending, so it stays dirty, with the value it had
+    when the sync began as its last-synced value.
+
+    @method _resetSyncedAttrs
+    @param {Object} attrs Attribute values when the sync began.
+    @param {Object} [parsed] Attribute hash parsed from the server's response.
+    @protected
+    @since 3.19.0
+    **/
+    _resetSyncedAttrs: function (attrs, parsed) {
+        var idAttribute = this.idAttribute,
+            synced      = this._syncedAttrs = {},
+            name, inResponse;
+
+        parsed || (parsed = {});
+
+        for (name in attrs) {
+            if (YObject.owns(attrs, name)) {
+                // The default `id` attribute is kept in sync with a custom id
+                // attribute, so a response with either one has both.
+                inResponse = (name === 'id' || name === idAttribute) ?
+                        YObject.owns(parsed, 'id') || YObject.owns(parsed, idAttribute) :
+                        YObject.owns(parsed, name);
+
+                if (!inResponse && this.get(name) !== attrs[name]) {
+                    synced[name] = attrs[name];
+                }
+            }
+        }
+    },
+
     /**
     Calls the public, overridable `validate()` method and fires an `error` event
     if validation fails.
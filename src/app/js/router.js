@@ -35,7 +35,31 @@ var HistoryHash = Y.HistoryHash,
       (most likely due to a history change).
     @fireOnce
     **/
-    EVT_READY = 'ready';
+    EVT_READY = 'ready',
+
+    /**
+    Fired when a `beforeLeave` or `beforeEnter` route guard cancels a
+    navigation. None of the route callbacks will have been called for the
+    cancelled request.
+
+    The default behavior is to restore the URL of the last request that was
+    dispatched, so the URL continues to reflect the current route even when the
+    navigation came from the browser's back or forward buttons. Call
+    `preventDefault()` to leave the URL as-is.
+
+    @event cancel
+    @param {Any} [error] Error the guard's promise was rejected with, if any.
+    @param {String} guard Type of the guard which cancelled the navigation:
+      `"beforeLeave"` or `"beforeEnter"`.
+    @param {String} prevURL URL of the last request that was dispatched, which
+      will be restored.
+    @param {Object} req Request object for the cancelled navigation.
+    @param {Object} route Route object that the guard belongs to.
+    @param {String} src What initiated the cancelled navigation.
+    @param {String} url URL of the cancelled navigation.
+    @since 3.19.0
+    **/
+    EVT_CANCEL = 'cancel';
 
 /**
 Provides URL-based routing using HTML5 `pushState()` or the location hash.
@@ -63,6 +87,36 @@ function Router() {
 Y.Router = Y.extend(Router, Y.Base, {
     // -- Protected Properties -------------------------------------------------
 
+    /**
+    Path of the last request whose route guards passed. Used to determine when
+    `beforeLeave` guards need to run.
+
+    @property _activePath
+    @type String
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    Routes matched by the last request whose route guards passed. These are the
+    routes whose `beforeLeave` guards run on the next navigation.
+
+    @property _activeRoutes
+    @type Object[]
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    URL of the last request whose route guards passed. This is the URL that's
+    restored when a navigation is cancelled.
+
+    @property _activeURL
+    @type String
+    @protected
+    @since 3.19.0
+    **/
+
     /**
     Whether or not `_dispatch()` has been called since this router was
     instantiated.
@@ -99,6 +153,25 @@ Y.Router = Y.extend(Router, Y.Base, {
     @protected
     **/
 
+    /**
+    Map of named routes in the form: `name` -> route object.
+
+    @property _namedRoutes
+    @type Object
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    Request which is waiting on its route guards to resolve. A newer request
+    replaces it, causing the older one to be discarded once its guards resolve.
+
+    @property _pendingRequest
+    @type Object
+    @protected
+    @since 3.19.0
+    **/
+
     /**
     Map which holds the registered param handlers in the form:
     `name` -> RegExp | Function.
@@ -118,6 +191,18 @@ Y.Router = Y.extend(Router, Y.Base, {
     @protected
     **/
 
+    /**
+    URL that's being restored after a cancelled navigation. The history change
+    this causes won't be dispatched. It's cleared by the next history change,
+    which, with hash-based history, may be a newer navigation that landed
+    before the restore did.
+
+    @property _restoreURL
+    @type String
+    @protected
+    @since 3.19.0
+    **/
+
     /**
     Regex used to break up a URL string around the URL's path.
 
@@ -146,11 +231,25 @@ Y.Router = Y.extend(Router, Y.Base, {
 
       2. Parameter name, if specified, otherwise it is a wildcard match.
 
+      3. Parameter constraint, if specified. This is the pattern between the
+         parentheses following the parameter name, e.g. `\d+` for `:id(\d+)`.
+
     @property _regexPathParam
     @type RegExp
     @protected
     **/
-    _regexPathParam: /([:*])([\w\-]+)?/g,
+    _regexPathParam: /([:*])(?:([\w\-]+)(?:\(((?:\\.|[^\\()])+)\))?)?/g,
+
+    /**
+    Regex that matches a query param name ending in brackets, e.g. `a[]` or
+    `filter[status]`, which is parsed into an array or nested object.
+
+    @property _regexBracketedParam
+    @type RegExp
+    @protected
+    @since 3.19.0
+    **/
+    _regexBracketedParam: /\[[^\]]*\]$/,
 
     /**
     Regex that matches and captures the query portion of a URL, minus the
@@ -185,10 +284,12 @@ Y.Router = Y.extend(Router, Y.Base, {
     initializer: function (config) {
         var self = this;
 
-        self._html5  = self.get('html5');
-        self._params = {};
-        self._routes = [];
-        self._url    = self._getURL();
+        self._html5        = self.get('html5');
+        self._activeRoutes = [];
+        self._namedRoutes  = {};
+        self._params       = {};
+        self._routes       = [];
+        self._url          = self._getURL();
 
         // Necessary because setters don't run on init.
         self._setRoutes(config && config.routes ? config.routes :
@@ -214,6 +315,8 @@ Y.Router = Y.extend(Router, Y.Base, {
             preventable: false
         });
 
+        self.publish(EVT_CANCEL, {defaultFn: self._defCancelFn});
+
         self.once('initializedChange', function () {
             Y.once('load', function () {
                 setTimeout(function () {
@@ -268,6 +371,93 @@ Y.Router = Y.extend(Router, Y.Base, {
         return this;
     },
 
+    /**
+    Generates a URL for the route with the specified _name_, substituting the
+    specified _params_ for the route's named parameters, and appending a query
+    string built from _query_. The URL includes this router's `root`, which
+    makes it suitable for links and for passing to `save()` or `replace()`.
+
+    Param values are URL-encoded. For splat (`*`) params, each path segment is
+    encoded separately so the `/` separators are preserved.
+
+    An error is thrown if no route has the specified _name_, if the route's
+    path is a regex, or if a value is missing for one of the route's named
+    params or doesn't match the param's constraint.
+
+    @example
+        router.route({name: 'user', path: '/users/:id'}, 'showUser');
+        router.route({name: 'file', path: '/files/*path'}, 'showFile');
+
+        router.generateURL('user', {id: 'Eric F'});
+        // => "/users/Eric%20F"
+
+        router.generateURL('user', {id: 42}, {tab: 'photos'});
+        // => "/users/42?tab=photos"
+
+        router.generateURL('file', {path: 'docs/read me.txt'});
+        // => "/files/docs/read%20me.txt"
+
+    @method generateURL
+    @param {String} name Name of the route.
+    @param {Object} [params] Values for the route's named params.
+    @param {Object|String} [query] Hash of query params, or a query string.
+    @return {String} Generated URL.
+    @since 3.19.0
+    **/
+    generateURL: function (name, params, query) {
+        var route = this._namedRoutes[name],
+            path;
+
+        if (!route) {
+            Y.error('Router: Route not found: ' + name, null, 'router');
+            return null;
+        }
+
+        if (typeof route.path !== 'string') {
+            Y.error('Router: Cannot generate a URL for a route without a string path: ' + name, null, 'router');
+            return null;
+        }
+
+        params || (params = {});
+
+        path = route.path.replace(this._regexPathParam, function (match, operator, key, constraint) {
+            var value;
+
+            // Key-less wildcards don't have a value to substitute.
+            if (!key) {
+                return operator === '*' ? '' : match;
+            }
+
+            value = params[key];
+
+            if (!YLang.isValue(value) || value === '') {
+                Y.error('Router: Missing required param "' + key + '" for route: ' + name, null, 'router');
+                return match;
+            }
+
+            value = String(value);
+
+            if (constraint && !new RegExp('^(?:' + constraint + ')$').test(value)) {
+                Y.error('Router: Param "' + key + '" does not match "' + constraint + '" for route: ' + name, null, 'router');
+                return match;
+            }
+
+            return operator === '*' ?
+                    YArray.map(value.split('/'), encodeURIComponent).join('/') :
+                    encodeURIComponent(value);
+        });
+
+        if (query && typeof query !== 'string') {
+            query = this._stringifyQuery(query);
+        }
+
+        if (query && query.charAt(0) === '?') {
+            query = query.substring(1);
+        }
+
+        return this._joinURL(path) + (query ? '?' + query : '');
+    },
+
     /**
     Gets the current route path.
 
@@ -531,6 +721,13 @@ Y.Router = Y.extend(Router, Y.Base, {
     made available as keys on the `req.params` object that's passed to route
     handlers.
 
+    A named parameter can be constrained to a pattern by following its name
+    with a regex source in parentheses. The route will only match when the
+    parameter's value matches the pattern. Patterns can't contain unescaped
+    parentheses, use character classes or escapes instead:
+
+        router.route('/users/:id(\\d+)', 'showUser');
+
     If the `route` parameter is a regex, all pattern matches will be made
     available as numbered keys on `req.params`, starting with `0` for the full
     match, then `1` for the first subpattern match, and so on.
@@ -544,6 +741,12 @@ Y.Router = Y.extend(Router, Y.Base, {
     **Note:** Any additional data contained on the route object will be
     preserved.
 
+    A route object may have a `name`, which makes it possible to generate URLs
+    for the route using `generateURL()`:
+
+        router.route({name: 'user', path: '/users/:id'}, 'showUser');
+        router.generateURL('user', {id: 42}); // => "/users/42"
+
     Here's a set of sample routes along with URL paths that they match:
 
       * Route: `/photos/:tag/:page`
@@ -554,6 +757,10 @@ Y.Router = Y.extend(Router, Y.Base, {
         * URL: `/file/foo/bar/baz.txt`, params: `{path: 'foo/bar/baz.txt'}`
         * URL: `/file/foo`, params: `{path: 'foo'}`
 
+      * Route: `/posts/:id(\d+)`
+        * URL: `/posts/42`, params: `{id: '42'}`
+        * URL: `/posts/new`, no match
+
     **Middleware**: Routes also support an arbitrary number of callback
     functions. This allows you to easily reuse parts of your route-handling code
     with different route. This method is liberal in how it processes the
@@ -563,6 +770,27 @@ Y.Router = Y.extend(Router, Y.Base, {
     If multiple route match a given URL, they will be executed in the order they
     were added. The first route that was added will be the first to be executed.
 
+    **Route Guards**: Route objects may have `beforeLeave` and `beforeEnter`
+    guards, which are functions (or names of functions on this router instance)
+    that decide whether a navigation may proceed before any route callbacks are
+    called. `beforeLeave` guards of the current routes run when navigating to a
+    different path, then `beforeEnter` guards of the matching routes run every
+    time they're dispatched to. Guards receive the `req` of the new navigation
+    and the route they belong to; `req.params` is populated for `beforeEnter`
+    guards.
+
+    A guard that returns `false` cancels the navigation and fires the `cancel`
+    event. A guard may also return a promise, in which case dispatching waits
+    for the promise to settle. The navigation is cancelled if the promise is
+    rejected or fulfilled with `false`, and the rejection reason is passed to
+    the `cancel` event as its `error`. This makes `beforeEnter` guards a good
+    place to load data that a route needs before it's considered entered.
+
+    While a guard's promise is pending, the router isn't blocked: `save()` and
+    `replace()` go ahead, and a newer navigation replaces the pending one, whose
+    guards are then ignored once they settle. A promise that never settles
+    leaves its navigation pending until a newer navigation replaces it.
+
     **Passing Control**: Invoking the `next()` function within a route callback
     will pass control to the next callback function (if any) or route handler
     (if any). If a value is passed to `next()`, it's assumed to be an error,
@@ -589,6 +817,26 @@ Y.Router = Y.extend(Router, Y.Base, {
             Y.log('Current user:' req.user.get('name'));
         });
 
+        // Using route guards.
+
+        router.route({
+            path: '/users/:user/edit',
+
+            beforeEnter: function (req) {
+                var user = req.user = this.get('users').getById(req.params.user);
+
+                return new Y.Promise(function (resolve, reject) {
+                    user.load(function (err) {
+                        err ? reject(err) : resolve();
+                    });
+                });
+            },
+
+            beforeLeave: function (req) {
+                return !this.get('dirty') || confirm('Discard your changes?');
+            }
+        }, 'showUserEditor');
+
     @method route
     @param {String|RegExp|Object} route Route to match. May be a string or a
       regular expression, or a route object.
@@ -613,7 +861,10 @@ Y.Router = Y.extend(Router, Y.Base, {
           after this one in the dispatch chain.
         @param {Object} callbacks.req.query Query hash representing the URL
           query string, if any. Parameter names are keys, and are mapped to
-          parameter values.
+          parameter values. `[]`-suffixed params are parsed into arrays
+          (`a[]=1&a[]=2`), and bracketed params into nested objects
+          (`filter[status]=open`). The last value of a repeated plain param
+          wins.
         @param {Object} callbacks.req.route Reference to the current route
           object whose callbacks are being dispatched.
         @param {Object} callbacks.req.router Reference to this router instance.
@@ -693,6 +944,12 @@ Y.Router = Y.extend(Router, Y.Base, {
         }
 
         this._routes.push(route);
+
+        // Later routes with the same name replace earlier ones.
+        if (route.name) {
+            this._namedRoutes[route.name] = route;
+        }
+
         return this;
     },
 
@@ -730,6 +987,54 @@ Y.Router = Y.extend(Router, Y.Base, {
         return this._queue(url);
     },
 
+    /**
+    Updates the query string of the current URL and dispatches to the first
+    matching route handler, if any.
+
+    The specified _query_ is merged into the current query, and params with a
+    `null` or `undefined` value are removed. The path stays the same. Arrays
+    and nested objects are serialized so they're parsed back into the same
+    structure on `req.query`.
+
+    @example
+        // Starting URL: http://example.com/issues?page=2
+
+        router.setQuery({filter: {status: 'open'}, page: null});
+        // New URL: http://example.com/issues?filter[status]=open
+
+        router.setQuery({tags: ['bug', 'ui']}, {replace: true});
+        // New URL: http://example.com/issues?filter[status]=open&tags[]=bug&tags[]=ui
+
+    @method setQuery
+    @param {Object} query Hash of query params to merge into the current query.
+    @param {Object} [options] Options.
+      @param {Boolean} [options.replace=false] Whether to replace the current
+        history entry instead of creating a new one.
+    @chainable
+    @since 3.19.0
+    **/
+    setQuery: function (query, options) {
+        var params = this._parseQuery(this._getQuery()),
+            url;
+
+        YObject.each(query, function (value, key) {
+            if (YLang.isValue(value)) {
+                params[key] = value;
+            } else {
+                delete params[key];
+            }
+        });
+
+        url   = this._getPath();
+        query = this._stringifyQuery(params);
+
+        if (query) {
+            url += '?' + query;
+        }
+
+        return options && options.replace ? this.replace(url) : this.save(url);
+    },
+
     /**
     Upgrades a hash-based URL to an HTML5 URL if necessary. In non-HTML5
     browsers, this method is a noop.
@@ -810,22 +1115,107 @@ Y.Router = Y.extend(Router, Y.Base, {
     This ensures normalized behavior between Chrome (which fires a `popstate`
     event on every pageview) and other browsers (which do not).
 
+    Any `beforeLeave` and `beforeEnter` route guards are run first. When all of
+    the guards return synchronously, so does dispatching; otherwise the route
+    callbacks are called once the guards' promises settle, and queued
+    `_save()` calls aren't held up in the meantime.
+
     @method _dispatch
     @param {object} req Request object.
     @param {String} res Response object.
+    @param {Function} [callback] Called when the dispatch is done: after the
+        last matching route calls `next()`, when no routes match, or when the
+        navigation is cancelled. When specified, errors passed to `next()` are
+        passed to this function instead of being thrown.
+      @param {Any} callback.err Error passed to `next()`, or the reason the
+        navigation was cancelled, if any.
     @chainable
     @protected
     **/
-    _dispatch: function (req, res) {
+    _dispatch: function (req, res, callback) {
+        var self   = this,
+            routes = self.match(req.path);
+
+        self._dispatching = self._dispatched = true;
+        self._pendingRequest = req;
+
+        self._runGuards(self._getGuards(req, routes), req, function (guard, err) {
+            // Discard this request if a newer one came along while its guards
+            // were pending.
+            if (self._pendingRequest !== req || self.get('destroyed')) {
+                return;
+            }
+
+            self._pendingRequest = null;
+
+            if (guard) {
+                self._dispatching = false;
+
+                self.fire(EVT_CANCEL, {
+                    error  : err,
+                    guard  : guard.type,
+                    prevURL: self._activeURL,
+                    req    : req,
+                    route  : guard.route,
+                    src    : req.src,
+                    url    : req.url
+                });
+
+                self._dequeue();
+
+                if (callback) {
+                    callback(err || 'Router: Navigation cancelled by a ' +
+                            guard.type + ' guard: ' + req.path);
+                }
+
+                return;
+            }
+
+            self._activePath   = req.path;
+            self._activeRoutes = routes.concat();
+            self._activeURL    = req.url;
+            self._dispatching  = true;
+
+            self._dispatchRoutes(req, res, routes, callback);
+        });
+
+        // Don't hold up queued saves while a guard's promise is pending. A save
+        // that goes ahead makes a newer request, which replaces this one.
+        if (self._pendingRequest === req) {
+            self._dispatching = false;
+            self._dequeue();
+        }
+
+        return self;
+    },
+
+    /**
+    Calls the callbacks of the specified `routes` in sequence, passing control
+    along via the `next()` function. This is called by `_dispatch()` once all of
+    the route guards have passed.
+
+    @method _dispatchRoutes
+    @param {Object} req Request object.
+    @param {Object} res Response object.
+    @param {Object[]} routes Routes which match the request's path.
+    @param {Function} [done] Called when the dispatch is done; see the
+        `callback` param of `_dispatch()`.
+    @chainable
+    @protected
+    @since 3.19.0
+    **/
+    _dispatchRoutes: function (req, res, routes, done) {
         var self      = this,
-            routes    = self.match(req.path),
             callbacks = [],
             routePath, paramValues;
 
-        self._dispatching = self._dispatched = true;
-
         if (!routes || !routes.length) {
             self._dispatching = false;
+
+            if (done) {
+                done();
+            }
+
             return self;
         }
 
@@ -840,6 +1230,8 @@ Y.Router = Y.extend(Router, Y.Base, {
                 if (err === 'route') {
                     callbacks = [];
                     next();
+                } else if (done) {
+                    done(err);
                 } else {
                     Y.error(err);
                 }
@@ -884,6 +1276,10 @@ Y.Router = Y.extend(Router, Y.Base, {
 
                 // Execute this route's `callbacks`.
                 next();
+
+            } else if (done) {
+                // All of the matching routes have passed control along.
+                done();
             }
         }
 
@@ -893,6 +1289,57 @@ Y.Router = Y.extend(Router, Y.Base, {
         return self._dequeue();
     },
 
+    /**
+    Returns the route guards which need to run before dispatching the specified
+    `req` to its matching `routes`.
+
+    The `beforeLeave` guards of the active routes come first, but only when the
+    request is for a different path. They're followed by the `beforeEnter`
+    guards of each matching route whose params are accepted by the param
+    handlers.
+
+    @method _getGuards
+    @param {Object} req Request object.
+    @param {Object[]} routes Routes which match the request's path.
+    @return {Object[]} Guards in the form: `{fn, params, route, type}`.
+    @protected
+    @since 3.19.0
+    **/
+    _getGuards: function (req, routes) {
+        var self   = this,
+            guards = [],
+            routePath;
+
+        function add(type, route, params) {
+            YArray.each(YArray.flatten([route[type] || []]), function (fn) {
+                guards.push({fn: fn, params: params, route: route, type: type});
+            });
+        }
+
+        if (req.path !== self._activePath) {
+            YArray.each(self._activeRoutes, function (route) {
+                add('beforeLeave', route);
+            });
+        }
+
+        if (routes && routes.length) {
+            routePath = self.removeRoot(req.path);
+
+            YArray.each(routes, function (route) {
+                var params;
+
+                if (route.beforeEnter) {
+                    params = self._getParamValues(route, routePath);
+                    if (params) {
+                        add('beforeEnter', route, params);
+                    }
+                }
+            });
+        }
+
+        return guards;
+    },
+
     /**
     Returns the resolved path from the hash fragment, or an empty string if the
     hash is not path-like.
@@ -1103,7 +1550,7 @@ Y.Router = Y.extend(Router, Y.Base, {
             return (/.*/);
         }
 
-        path = path.replace(this._regexPathParam, function (match, operator, key) {
+        path = path.replace(this._regexPathParam, function (match, operator, key, constraint) {
             // Only `*` operators are supported for key-less matches to allowing
             // in-path wildcards like: '/foo/*'.
             if (!key) {
@@ -1111,6 +1558,11 @@ Y.Router = Y.extend(Router, Y.Base, {
             }
 
             keys.push(key);
+
+            if (constraint) {
+                return '(' + constraint + ')';
+            }
+
             return operator === '*' ? '(.*?)' : '([^/#?]+)';
         });
 
@@ -1274,30 +1726,70 @@ Y.Router = Y.extend(Router, Y.Base, {
     },
 
     /**
-    Parses a URL query string into a key/value hash. If `Y.QueryString.parse` is
-    available, this method will be an alias to that.
+    Parses a URL query string into a key/value hash.
+
+    Values of plain params are decoded as-is, and the last value of a repeated
+    param wins. Bracketed params are parsed with `Y.QueryString.parse()`, so
+    `[]`-suffixed params become arrays and params with named brackets become
+    nested objects:
+
+        router._parseQuery('a[]=1&a[]=2&filter[status]=open&q=x&q=y');
+        // => {a: ['1', '2'], filter: {status: 'open'}, q: 'y'}
+
+    Values are always strings, like the values of path params.
 
     @method _parseQuery
     @param {String} query Query string to parse.
     @return {Object} Hash of key/value pairs for query parameters.
     @protected
     **/
-    _parseQuery: QS && QS.parse ? QS.parse : function (query) {
-        var decode = this._decode,
-            params = query.split('&'),
-            i      = 0,
-            len    = params.length,
-            result = {},
-            param;
+    _parseQuery: function (query) {
+        var decode    = this._decode,
+            params    = query.split('&'),
+            bracketed = [],
+            result    = {},
+            i, len, param;
+
+        // `Y.QueryString.parse()` converts numeric values into numbers, but
+        // only when that's lossless, so `String()` restores the original.
+        function toStrings(value) {
+            if (YLang.isArray(value)) {
+                return YArray.map(value, toStrings);
+            }
 
-        for (; i < len; ++i) {
+            if (YLang.isObject(value)) {
+                YObject.each(value, function (item, key) {
+                    value[key] = toStrings(item);
+                });
+
+                return value;
+            }
+
+            return String(value);
+        }
+
+        for (i = 0, len = params.length; i < len; ++i) {
             param = params[i].split('=');
 
-            if (param[0]) {
+            if (!param[0]) {
+                continue;
+            }
+
+            // Only literal brackets are array or nested-object syntax; encoded
+            // brackets are part of a plain key.
+            if (this._regexBracketedParam.test(param[0])) {
+                bracketed.push(params[i]);
+            } else {
                 result[decode(param[0])] = decode(param[1] || '');
             }
         }
 
+        if (bracketed.length) {
+            YObject.each(QS.parse(bracketed.join('&')), function (value, key) {
+                result[key] = toStrings(value);
+            });
+        }
+
         return result;
     },
 
@@ -1451,6 +1943,71 @@ Y.Router = Y.extend(Router, Y.Base, {
         return resolved + (query ? ('?' + query) : '') + (hash || '');
     },
 
+    /**
+    Runs the specified route `guards` in sequence, waiting on any promises they
+    return, then calls `callback`.
+
+    @method _runGuards
+    @param {Object[]} guards Guards from `_getGuards()`.
+    @param {Object} req Request object passed to each guard.
+    @param {Function} callback Called once all of the guards have passed, or as
+        soon as one of them cancels the navigation.
+      @param {Object} [callback.guard] The guard that cancelled the navigation.
+      @param {Any} [callback.err] Error the guard's promise was rejected with.
+    @protected
+    @since 3.19.0
+    **/
+    _runGuards: function (guards, req, callback) {
+        var self = this;
+
+        guards = guards.concat();
+
+        function next() {
+            var guard = guards.shift(),
+                fn, result;
+
+            if (!guard) {
+                callback();
+                return;
+            }
+
+            fn = guard.fn;
+
+            if (typeof fn === 'string') {
+                fn = self[guard.fn];
+
+                if (!fn) {
+                    Y.error('Router: Guard not found: ' + guard.fn, null, 'router');
+                }
+            }
+
+            if (guard.params) {
+                req.params = guard.params;
+                req.route  = guard.route;
+            }
+
+            result = fn.call(self, req, guard.route);
+
+            if (result && typeof result.then === 'function') {
+                result.then(function (value) {
+                    if (value === false) {
+                        callback(guard);
+                    } else {
+                        next();
+                    }
+                }, function (err) {
+                    callback(guard, err);
+                });
+            } else if (result === false) {
+                callback(guard);
+            } else {
+                next();
+            }
+        }
+
+        next();
+    },
+
     /**
     Saves a history entry using either `pushState()` or the location hash.
 
@@ -1543,7 +2100,8 @@ Y.Router = Y.extend(Router, Y.Base, {
     @protected
     **/
     _setRoutes: function (routes) {
-        this._routes = [];
+        this._namedRoutes = {};
+        this._routes      = [];
 
         YArray.each(routes, function (route) {
             this.route(route);
@@ -1552,6 +2110,47 @@ Y.Router = Y.extend(Router, Y.Base, {
         return this._routes.concat();
     },
 
+    /**
+    Serializes a key/value hash into a URL query string.
+
+    Array values are serialized with a `[]` suffix, e.g. `a[]=1&a[]=2`, and
+    nested objects with bracketed keys, e.g. `filter[status]=open`, so they
+    round-trip through `_parseQuery()`. Only the brackets added for arrays and
+    nested objects are left unencoded; brackets within keys and values are
+    encoded like any other character.
+
+    @method _stringifyQuery
+    @param {Object} params Hash of key/value pairs for query parameters.
+    @return {String} Query string, without a leading `?`.
+    @protected
+    @since 3.19.0
+    **/
+    _stringifyQuery: function (params) {
+        var encode = encodeURIComponent,
+            pairs  = [];
+
+        function stringify(value, key) {
+            if (YLang.type(value) === 'object') {
+                YObject.each(value, function (item, name) {
+                    stringify(item, key ? key + '[' + encode(name) + ']' :
+                            encode(name));
+                });
+            } else if (YLang.isArray(value)) {
+                YArray.each(value, function (item) {
+                    pairs.push(key + '[]=' +
+                            encode(YLang.isValue(item) ? item : ''));
+                });
+            } else {
+                pairs.push(key + '=' +
+                        encode(YLang.isValue(value) ? value : ''));
+            }
+        }
+
+        stringify(params, '');
+
+        return pairs.join('&');
+    },
+
     /**
     Upgrades a hash-based URL to a full-path URL, if necessary.
 
@@ -1609,10 +2208,28 @@ Y.Router = Y.extend(Router, Y.Base, {
             src        = e.src,
             prevURL    = self._url,
             currentURL = self._getURL(),
-            req, res;
+            req, res, restoring;
 
         self._url = currentURL;
 
+        // Don't dispatch the history change which restored the URL after a
+        // navigation was cancelled. If a newer navigation landed first, that
+        // one is dispatched instead.
+        restoring        = self._restoreURL === currentURL;
+        self._restoreURL = null;
+
+        if (restoring) {
+            return;
+        }
+
+        // The `hashchange` event is async, and reads the hash when it fires, so
+        // a hash change which was already overtaken by a newer one (such as the
+        // restore of a cancelled navigation) sees the same hash as the newer
+        // one. Only dispatch it once.
+        if (!self._html5 && e.oldHash === e.newHash) {
+            return;
+        }
+
         // Handles the awkwardness that is the `popstate` event. HTML5 browsers
         // fire `popstate` right before they fire `hashchange`, and Chrome fires
         // `popstate` on page load. If this router is not ready or the previous
@@ -1632,6 +2249,27 @@ Y.Router = Y.extend(Router, Y.Base, {
 
     // -- Default Event Handlers -----------------------------------------------
 
+    /**
+    Default handler for the `cancel` event. Restores the URL of the last
+    request that was dispatched, so it still matches the active routes.
+
+    The URL is only restored while it's still the URL of the cancelled request.
+    Otherwise a newer navigation has already replaced it.
+
+    @method _defCancelFn
+    @param {EventFacade} e
+    @protected
+    @since 3.19.0
+    **/
+    _defCancelFn: function (e) {
+        var url = e.prevURL;
+
+        if (url && url !== e.url && e.url === this._getURL()) {
+            this._restoreURL = url;
+            this._save(url, true);
+        }
+    },
+
     /**
     Default handler for the `ready` event.
 
@@ -1746,8 +2384,11 @@ Y.Router = Y.extend(Router, Y.Base, {
             objects when dispatching to route handlers.
 
         Any additional data contained on these route objects will be retained.
-        This is useful to store extra metadata about a route; e.g., a `name` to
-        give routes logical names.
+        This is useful to store extra metadata about a route. A `name` gives a
+        route a logical name which can be passed to `generateURL()`.
+
+        Route objects may also specify `beforeLeave` and `beforeEnter` guards;
+        see the docs for the `route()` method for more details.
 
         This attribute is intended to be used to set routes at init time, or to
         completely reset all routes after init. To add routes after init without
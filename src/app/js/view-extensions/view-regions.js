@@ -0,0 +1,345 @@
+/**
+View extension that manages child views attached to named regions inside a
+view's container.
+
+@module app
+@submodule view-regions
+@since 3.19.0
+**/
+
+var YObject = Y.Object;
+
+/**
+View extension that manages child views attached to named regions inside a
+view's container.
+
+Regions are declared in the `regions` property, which maps region names to CSS
+selectors relative to the view's container. A child view is attached to a region
+by calling `setView()`; it's rendered, appended to the region's node, and its
+events bubble to the parent view. Replacing or removing a child view destroys
+it, and destroying the parent view destroys all of its child views.
+
+    Y.PageView = Y.Base.create('pageView', Y.View, [Y.View.Regions], {
+        regions: {
+            main   : '.main',
+            sidebar: '.sidebar'
+        },
+
+        render: function () {
+            this.get('container').setHTML(
+                '<div class="sidebar"></div><div class="main"></div>'
+            );
+
+            return this;
+        }
+    });
+
+    var page = new Y.PageView().render();
+
+    page.setView('sidebar', new Y.NavView());
+    page.setView('main', new Y.UserView({model: user}));
+
+Child views are re-attached to their regions each time the parent view is
+rendered, so the parent's `render()` method may replace the container's HTML.
+It shouldn't _destroy_ the region nodes' children though (e.g. with
+`container.empty()`), since that would also destroy the child views' containers.
+
+@class View.Regions
+@extensionfor View
+@since 3.19.0
+**/
+function Regions() {}
+
+/**
+Properties that shouldn't be turned into ad-hoc attributes when passed to a
+View constructor.
+
+@property _NON_ATTRS_CFG
+@type Array
+@default ['regions']
+@static
+@protected
+@since 3.19.0
+**/
+Regions._NON_ATTRS_CFG = ['regions'];
+
+Regions.prototype = {
+    // -- Public Properties ----------------------------------------------------
+
+    /**
+    Hash of region names mapped to CSS selectors for the region nodes. The
+    selectors are relative to the view's `container`.
+
+    Regions specified in the config passed to the constructor are merged into
+    this object.
+
+    @property regions
+    @type Object
+    @default {}
+    @since 3.19.0
+    **/
+    regions: {},
+
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    Handles for the `Y.Do` hooks which re-attach child views after this view is
+    rendered.
+
+    @property _regionEvents
+    @type EventHandle[]
+    @protected
+    @since 3.19.0
+    **/
+
+    /**
+    Hash of region names mapped to the child views attached to them, and the
+    subscriptions to those views' `destroy` events. Entries have the form:
+    `{handle, view}`.
+
+    @property _regionViews
+    @type Object
+    @protected
+    @since 3.19.0
+    **/
+
+    // -- Lifecycle Methods ----------------------------------------------------
+    initializer: function (config) {
+        this.regions = config && config.regions ?
+                Y.merge(this.regions, config.regions) : this.regions;
+
+        this._regionViews  = {};
+        this._regionEvents = [
+            Y.Do.after(this._attachRegionViews, this, 'render')
+        ];
+    },
+
+    destructor: function () {
+        YObject.each(this._regionViews, function (entry, name) {
+            this.removeView(name);
+        }, this);
+
+        new Y.EventHandle(this._regionEvents).detach();
+
+        this._regionEvents = [];
+        this._regionViews  = {};
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Returns the node for the specified region, or `null` if the region's node
+    isn't in this view's container (e.g. because the view hasn't been rendered
+    yet).
+
+    @method getRegion
+    @param {String} name Region name.
+    @return {Node} Region node, or `null`.
+    @since 3.19.0
+    **/
+    getRegion: function (name) {
+        var selector = this._getRegionSelector(name);
+        return this.get('container').one(selector);
+    },
+
+    /**
+    Returns the child view attached to the specified region, or `null` if there
+    isn't one.
+
+    @method getView
+    @param {String} name Region name.
+    @return {View} Child view, or `null`.
+    @since 3.19.0
+    **/
+    getView: function (name) {
+        var entry = this._regionViews[name];
+        return entry ? entry.view : null;
+    },
+
+    /**
+    Removes the child view attached to the specified region, and stops bubbling
+    its events to this view.
+
+    The child view is destroyed along with its container, unless
+    `options.preserve` is `true`, in which case its container is only removed
+    from the DOM.
+
+    @method removeView
+    @param {String} name Region name.
+    @param {Object} [options] Optional object containing any of the following
+        properties:
+      @param {Boolean} [options.preserve=false] Whether to preserve the child
+          view rather than destroy it.
+    @chainable
+    @since 3.19.0
+    **/
+    removeView: function (name, options) {
+        var entry = this._regionViews[name],
+            view;
+
+        if (!entry) {
+            return this;
+        }
+
+        view = entry.view;
+
+        delete this._regionViews[name];
+        entry.handle.detach();
+
+        view.removeTarget(this);
+
+        if (options && options.preserve) {
+            view.remove();
+        } else {
+            view.destroy({remove: true});
+        }
+
+        return this;
+    },
+
+    /**
+    Attaches the specified child _view_ to the specified region, replacing and
+    destroying the child view that was attached to it, if any.
+
+    The child view is rendered, its container is appended to the region's node,
+    and its events bubble to this view. When the region's node isn't in this
+    view's container yet, the child view is appended to it the next time this
+    view is rendered.
+
+    When the child view is destroyed, it's automatically removed from the
+    region.
+
+    @example
+        page.setView('main', new Y.UserView({model: user}));
+
+        page.on('userView:save', function (e) {
+            // Handle an event fired by the child view.
+        });
+
+    @method setView
+    @param {String} name Region name.
+    @param {View} view Child view.
+    @param {Object} [options] Optional object containing any of the following
+        properties:
+      @param {Boolean} [options.preserve=false] Whether to preserve the child
+          view being replaced rather than destroy it.
+      @param {Boolean} [options.render=true] Whether to render the child view.
+          When `false`, the child view is expected to be rendered already.
+    @chainable
+    @since 3.19.0
+    **/
+    setView: function (name, view, options) {
+        var current = this.getView(name);
+
+        options || (options = {});
+
+        // Validates the region name.
+        this._getRegionSelector(name);
+
+        if (current === view) {
+            return this;
+        }
+
+        if (current) {
+            this.removeView(name, {preserve: options.preserve});
+        }
+
+        this._regionViews[name] = {
+            handle: view.onceAfter('destroy', function () {
+                this._afterRegionViewDestroy(name);
+            }, this),
+
+            view: view
+        };
+
+        view.addTarget(this);
+
+        if (options.render !== false) {
+            view.render();
+        }
+
+        this._attachRegionView(name);
+
+        return this;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Appends the container of the child view attached to the specified region to
+    the region's node, if it isn't there already.
+
+    @method _attachRegionView
+    @param {String} name Region name.
+    @protected
+    @since 3.19.0
+    **/
+    _attachRegionView: function (name) {
+        var view   = this.getView(name),
+            region = view && this.getRegion(name),
+            container;
+
+        if (!region) {
+            return;
+        }
+
+        container = view.get('container');
+
+        if (!region.contains(container)) {
+            region.append(container);
+        }
+    },
+
+    /**
+    Appends the containers of all child views to their regions' nodes. This is
+    called after this view is rendered.
+
+    @method _attachRegionViews
+    @protected
+    @since 3.19.0
+    **/
+    _attachRegionViews: function () {
+        YObject.each(this._regionViews, function (entry, name) {
+            this._attachRegionView(name);
+        }, this);
+    },
+
+    /**
+    Returns the CSS selector for the specified region, throwing an error if the
+    region isn't declared in the `regions` property.
+
+    @method _getRegionSelector
+    @param {String} name Region name.
+    @return {String} CSS selector.
+    @protected
+    @since 3.19.0
+    **/
+    _getRegionSelector: function (name) {
+        if (!YObject.owns(this.regions, name)) {
+            Y.error('View: Region not found: ' + name, null, 'view');
+        }
+
+        return this.regions[name];
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Handles `destroy` events of child views which were destroyed while still
+    attached to a region, by removing them from the region.
+
+    @method _afterRegionViewDestroy
+    @param {String} name Region name.
+    @protected
+    @since 3.19.0
+    **/
+    _afterRegionViewDestroy: function (name) {
+        var entry = this._regionViews[name];
+
+        delete this._regionViews[name];
+        entry.view.removeTarget(this);
+    }
+};
+
+// -- Namespace ----------------------------------------------------------------
+Y.View.Regions = Regions;
@@ -269,6 +269,23 @@ Y.View = Y.extend(View, Y.Base, {
         return this;
     },
 
+    /**
+    Returns a URL for one of an app's named routes (see
+    `Router.generateURL()`).
+
+    View doesn't implement this method itself. An `App` adds it to each view it
+    creates with `createView()` or shows with `showView()`, bound to the app,
+    unless the view or its class already has a `generateURL()` method of its
+    own.
+
+    @method generateURL
+    @param {String} name Name of the route.
+    @param {Object} [params] Values for the route's named params.
+    @param {Object} [query] Hash of query params to append to the URL.
+    @return {String} URL for the route.
+    @since 3.19.0
+    **/
+
     /**
     Removes this view's container element from the DOM (if it's in the DOM),
     but doesn't destroy it or any event listeners attached to it.
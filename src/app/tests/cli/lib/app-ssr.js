@@ -0,0 +1,89 @@
+YUI.add('app-ssr-tests', function (Y) {
+
+var Assert = Y.Assert,
+    suite  = new Y.Test.Suite('App SSR (Node.js)');
+
+suite.add(new Y.Test.Case({
+    name: 'renderToString()',
+
+    setUp: function () {
+        Y.TestView = Y.Base.create('testView', Y.View, [], {
+            containerTemplate: '<section class="user"/>',
+
+            toHTML: function () {
+                return '<h1>' + Y.Escape.html(this.get('name')) + '</h1>';
+            }
+        });
+
+        this.app = new Y.App({
+            serverRouting: true,
+            views        : {user: {type: 'TestView'}}
+        });
+    },
+
+    tearDown: function () {
+        this.app.destroy();
+
+        delete this.app;
+        delete Y.TestView;
+    },
+
+    '`renderToString()` should render the matching route\'s view to a string': function () {
+        var app   = this.app,
+            calls = 0;
+
+        app.route('/users/:name', function (req) {
+            Assert.areSame('server', req.src);
+            Assert.areSame('2', req.query.page);
+
+            this.showView('user', {name: req.params.name + ' & co'});
+        });
+
+        app.renderToString('/users/eric?page=2', function (err, html) {
+            calls += 1;
+
+            Assert.isNull(err);
+            Assert.areSame('<section class="user" data-view="user"><h1>eric &amp; co</h1></section>', html);
+            Assert.isNull(app.get('activeView'));
+        });
+
+        Assert.areSame(1, calls);
+        Assert.areSame(0, Y.config.doc.body.childNodes.length,
+            'The document should not be rendered into.');
+    },
+
+    '`renderToString()` should wait for asynchronous routes': function () {
+        var test = this,
+            app  = this.app;
+
+        app.route('/', function () {
+            setTimeout(function () {
+                app.showView('user', {name: 'later'});
+            }, 10);
+        });
+
+        app.renderToString('/', function (err, html) {
+            test.resume(function () {
+                Assert.isNull(err);
+                Assert.areSame('<section class="user" data-view="user"><h1>later</h1></section>', html);
+            });
+        });
+
+        test.wait(1000);
+    },
+
+    '`renderToString()` should pass an error when no route matches': function () {
+        var errors = [];
+
+        this.app.renderToString('/foo', function (err) {
+            errors.push(err);
+        });
+
+        Assert.areSame(1, errors.length);
+        Assert.areSame('App: No route matches: /foo', errors[0]);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+});
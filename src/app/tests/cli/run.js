@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+process.chdir(__dirname);
+
+var YUITest = require('yuitest'),
+    JSDOM = require('jsdom').JSDOM,
+    path = require('path'),
+    dir = path.join(__dirname, '../../../../build-npm/'),
+    YUI = require(dir).YUI,
+    win;
+
+// The `node` and `history` modules that `app-base` depends on need a DOM and a
+// global `location` to load. The app renders its views to strings and never
+// renders into the DOM.
+win = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: 'http://localhost/'
+}).window;
+
+global.location = win.location;
+
+YUI({useSync: true, win: win, doc: win.document}).use('test', function (Y) {
+    Y.Test.Runner = YUITest.TestRunner;
+    Y.Test.Case = YUITest.TestCase;
+    Y.Test.Suite = YUITest.TestSuite;
+    Y.Assert = YUITest.Assert;
+
+    Y.applyConfig({
+        modules: {
+            'app-ssr-tests': {
+                fullpath: path.join(__dirname, './lib/app-ssr.js'),
+                requires: ['app-base', 'app-ssr', 'escape', 'test']
+            }
+        }
+    });
+
+    Y.use('app-ssr-tests');
+
+    Y.Test.Runner.setName('app cli tests');
+
+});
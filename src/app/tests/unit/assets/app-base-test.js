@@ -472,6 +472,52 @@ appBaseSuite.add(new Y.Test.Case({
         Assert.areSame(container, view.get('container'));
     },
 
+    '`createView()` should give the view a `generateURL()` method bound to the app': function () {
+        var app  = this.app = new Y.App({root: '/app/'}),
+            view = app.createView();
+
+        app.route({name: 'user', path: '/users/:id'}, function () {});
+
+        Assert.isFunction(view.generateURL);
+        Assert.areSame('/app/users/1', view.generateURL('user', {id: 1}));
+    },
+
+    '`showView()` should give views that were not created by the app a `generateURL()` method': function () {
+        var app  = this.app = new Y.App(),
+            view = new Y.View(),
+            generateURL = function () {},
+            ownView     = new Y.View();
+
+        ownView.generateURL = generateURL;
+
+        app.route({name: 'home', path: '/'}, function () {});
+
+        app.showView(view);
+        Assert.areSame('/', view.generateURL('home'));
+
+        app.showView(ownView);
+        Assert.areSame(generateURL, ownView.generateURL, 'Existing methods should not be replaced.');
+    },
+
+    '`createView()` should not replace a `generateURL()` method defined by the view class': function () {
+        var TestView = Y.Base.create('testView', Y.View, [], {
+                generateURL: function () {
+                    return 'own';
+                }
+            }),
+
+            app  = this.app = new Y.App({views: {test: {type: TestView}}}),
+            view = app.createView('test');
+
+        app.route({name: 'home', path: '/'}, function () {});
+
+        Assert.areSame('own', view.generateURL('home'));
+        Assert.isFalse(view.hasOwnProperty('generateURL'), 'The view should not get an instance property.');
+
+        app.showView(view);
+        Assert.areSame('own', view.generateURL('home'));
+    },
+
     '`getViewInfo()` should return the metadata for a named, registered view': function () {
         var myviewInfo = {type: function () {}},
             app        = this.app = new Y.App({views: {myview: myviewInfo}});
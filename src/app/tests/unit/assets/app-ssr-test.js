@@ -0,0 +1,340 @@
+YUI.add('app-ssr-test', function (Y) {
+
+var Assert = Y.Assert,
+
+    html5 = Y.Router.html5,
+    win   = Y.config.win,
+
+    originalURL = (win && win.location.toString()) || '',
+
+    suite,
+    appSSRSuite;
+
+function resetURL() {
+    if (!win) { return; }
+
+    if (html5) {
+        win.history.replaceState(null, null, originalURL);
+    } else {
+        win.location.hash = '';
+    }
+}
+
+// -- Global Suite -------------------------------------------------------------
+suite = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App'));
+
+// -- App SSR Suite ------------------------------------------------------------
+appSSRSuite = new Y.Test.Suite({
+    name: 'App SSR',
+
+    setUp: function () {
+        resetURL();
+    },
+
+    tearDown: function () {
+        resetURL();
+    }
+});
+
+// -- App SSR: renderToString() ------------------------------------------------
+appSSRSuite.add(new Y.Test.Case({
+    name: 'renderToString()',
+
+    setUp: function () {
+        this.rendered = 0;
+
+        Y.TestView = Y.Base.create('testView', Y.View, [], {
+            containerTemplate: '<section class="user"/>',
+
+            toHTML: function () {
+                return '<h1>' + Y.Escape.html(this.get('name')) + '</h1>';
+            },
+
+            render: function () {
+                Y.TestView.rendered += 1;
+                return this;
+            }
+        });
+
+        Y.TestView.rendered = 0;
+
+        this.app = new Y.App({
+            serverRouting: true,
+            views        : {user: {type: 'TestView'}}
+        });
+    },
+
+    tearDown: function () {
+        this.app.destroy();
+
+        delete this.app;
+        delete Y.TestView;
+    },
+
+    'should be mixed into Y.App': function () {
+        Assert.areSame(Y.App.SSR.prototype.renderToString, Y.App.prototype.renderToString);
+        Assert.areSame(Y.App.SSR.prototype.hydrate, Y.App.prototype.hydrate);
+    },
+
+    '`renderToString()` should render the view shown by the matching route to a string': function () {
+        var app   = this.app,
+            calls = 0,
+            rendered;
+
+        app.route('/users/:name', function (req) {
+            Assert.areSame('/users/eric', req.path);
+            Assert.areSame('server', req.src);
+            Assert.areSame(app, req.app);
+
+            this.showView('user', {name: req.params.name + ' & co'});
+        });
+
+        Assert.areSame(app, app.renderToString('/users/eric', function (err, html, view) {
+            calls += 1;
+
+            Assert.isNull(err);
+            Assert.areSame(app, this);
+            Assert.areSame('<section class="user" data-view="user"><h1>eric &amp; co</h1></section>', html);
+            Assert.isInstanceOf(Y.TestView, view);
+            Assert.isFalse(view.get('destroyed'));
+            Assert.isUndefined(view._container, 'The view should not have a container node.');
+            Assert.areSame(0, Y.TestView.rendered, '`render()` should not be called.');
+            Assert.isNull(app.get('activeView'), 'The view should not become the `activeView`.');
+
+            rendered = view;
+        }));
+
+        Assert.areSame(1, calls);
+        Assert.isTrue(rendered.get('destroyed'), 'The created view should be destroyed.');
+    },
+
+    '`renderToString()` should pass the parsed query to route handlers': function () {
+        var app   = this.app,
+            calls = 0;
+
+        app.route('/users', function (req) {
+            Assert.areSame('/users', req.path);
+            Assert.areSame('2', req.query.page);
+            Assert.areSame('name', req.query.sort.by);
+
+            this.showView('user', {name: 'all'});
+        });
+
+        app.renderToString('/users?page=2&sort[by]=name#foo', function (err) {
+            calls += 1;
+            Assert.isNull(err);
+        });
+
+        Assert.areSame(1, calls);
+    },
+
+    '`renderToString()` should support the `showView()` callback and view instances': function () {
+        var app      = this.app,
+            instance = new Y.TestView({name: 'existing'}),
+            calls    = [];
+
+        app.route('/', function () {
+            this.showView(instance, {name: 'updated'}, {update: true}, function (view) {
+                calls.push(view);
+            });
+        });
+
+        app.renderToString('/', function (err, html, view) {
+            calls.push(html);
+        });
+
+        Assert.areSame(2, calls.length);
+        Assert.areSame(instance, calls[0]);
+        Assert.areSame('<section class="user"><h1>updated</h1></section>', calls[1]);
+        Assert.isFalse(instance.get('destroyed'), 'View instances should not be destroyed.');
+
+        instance.destroy();
+    },
+
+    '`renderToString()` should wait for asynchronous routes': function () {
+        var test = this,
+            app  = this.app;
+
+        app.route('/', function () {
+            setTimeout(function () {
+                app.showView('user', {name: 'later'});
+            }, 10);
+        });
+
+        app.renderToString('/', function (err, html) {
+            test.resume(function () {
+                Assert.isNull(err);
+                Assert.areSame('<section class="user" data-view="user"><h1>later</h1></section>', html);
+            });
+        });
+
+        test.wait(1000);
+    },
+
+    '`renderToString()` should pass an error when no route matches': function () {
+        var errors = [];
+
+        this.app.route('/users', function () {});
+
+        this.app.renderToString('/foo', function (err, html) {
+            errors.push(err);
+            Assert.isUndefined(html);
+        });
+
+        Assert.areSame(1, errors.length);
+        Assert.areSame('App: No route matches: /foo', errors[0]);
+    },
+
+    '`renderToString()` should pass an error when no view is shown': function () {
+        var errors = [];
+
+        this.app.route('/', function (req, res, next) {
+            next();
+        });
+
+        this.app.renderToString('/', function (err) {
+            errors.push(err);
+        });
+
+        Assert.areSame(1, errors.length);
+        Assert.areSame('App: No view was shown for: /', errors[0]);
+    },
+
+    '`renderToString()` should pass errors from route handlers': function () {
+        var errors = [];
+
+        this.app.route('/', function (req, res, next) {
+            next('Not found.');
+        });
+
+        this.app.renderToString('/', function (err) {
+            errors.push(err);
+        });
+
+        Assert.areSame(1, errors.length);
+        Assert.areSame('Not found.', errors[0]);
+    },
+
+    '`renderToString()` should pass an error when the view has no `toHTML()` method': function () {
+        var errors = [];
+
+        Y.PlainView = Y.Base.create('plainView', Y.View, []);
+
+        this.app.set('views', {plain: {type: 'PlainView'}});
+
+        this.app.route('/', function () {
+            this.showView('plain');
+        });
+
+        this.app.renderToString('/', function (err) {
+            errors.push(err);
+        });
+
+        delete Y.PlainView;
+
+        Assert.areSame(1, errors.length);
+        Assert.areSame('App: View cannot be rendered on the server: plain', errors[0]);
+    }
+}));
+
+// -- App SSR: hydrate() -------------------------------------------------------
+appSSRSuite.add(new Y.Test.Case({
+    name: 'hydrate()',
+
+    _should: {
+        ignore: {
+            '`hydrate()` should reuse the server-rendered container': !win,
+            '`hydrate()` should remove a server-rendered container for a different view': !win
+        }
+    },
+
+    setUp: function () {
+        Y.TestView = Y.Base.create('testView', Y.View, [], {
+            render: function () {
+                Y.TestView.rendered += 1;
+                this.get('container').setHTML('<h1>client</h1>');
+                return this;
+            }
+        });
+
+        Y.TestView.rendered = 0;
+
+        this.container = Y.one('body').appendChild(
+            '<div id="ssr-views"><div data-view="user"><h1>server</h1></div></div>'
+        );
+    },
+
+    tearDown: function () {
+        if (this.app) {
+            this.app.destroy();
+            delete this.app;
+        }
+
+        this.container.remove(true);
+
+        delete this.container;
+        delete Y.TestView;
+    },
+
+    '`hydrate()` should reuse the server-rendered container': function () {
+        var test = this,
+            node = this.container.one('[data-view]'),
+            app;
+
+        app = this.app = new Y.App({
+            container    : '#ssr-views',
+            viewContainer: '#ssr-views',
+            serverRouting: true,
+            views        : {user: {type: 'TestView'}}
+        });
+
+        app.route('*', function () {
+            this.showView('user', {}, function (view) {
+                test.resume(function () {
+                    Assert.areSame(node, view.get('container'));
+                    Assert.areSame(view, app.get('activeView'));
+                    Assert.areSame(0, Y.TestView.rendered, '`render()` should not be called.');
+                    Assert.areSame('<h1>server</h1>', node.getHTML().toLowerCase());
+                    Assert.areSame(1, test.container.get('children').size());
+                });
+            });
+        });
+
+        Assert.areSame(app, app.hydrate());
+
+        test.wait(1000);
+    },
+
+    '`hydrate()` should remove a server-rendered container for a different view': function () {
+        var test = this,
+            node = this.container.one('[data-view]'),
+            app;
+
+        app = this.app = new Y.App({
+            container    : '#ssr-views',
+            viewContainer: '#ssr-views',
+            serverRouting: true,
+            views        : {other: {type: 'TestView'}}
+        });
+
+        app.route('*', function () {
+            this.showView('other', {}, function (view) {
+                test.resume(function () {
+                    Assert.areNotSame(node, view.get('container'));
+                    Assert.isFalse(test.container.contains(node), 'The stale node should be removed.');
+                    Assert.areSame(1, Y.TestView.rendered);
+                });
+            });
+        });
+
+        app.hydrate();
+
+        test.wait(1000);
+    }
+}));
+
+suite.add(appSSRSuite);
+
+}, '@VERSION@', {
+    requires: ['app-ssr', 'escape', 'test']
+});
@@ -0,0 +1,433 @@
+YUI.add('model-history-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+
+    suite,
+    modelHistorySuite;
+
+// -- Global Suite -------------------------------------------------------------
+suite = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App Framework'));
+
+// -- ModelHistory Suite -------------------------------------------------------
+modelHistorySuite = new Y.Test.Suite('ModelHistory');
+
+function titles(list) {
+    return list.map(function (model) {
+        return model.get('title');
+    });
+}
+
+// -- ModelHistory: Lifecycle --------------------------------------------------
+modelHistorySuite.add(new Y.Test.Case({
+    name: 'Lifecycle',
+
+    'models passed to the constructor should be tracked': function () {
+        var model   = new Y.Model({title: 'a'}),
+            history = new Y.ModelHistory({models: [model]});
+
+        model.set('title', 'b');
+
+        Assert.isTrue(history.get('canUndo'));
+
+        history.destroy();
+    },
+
+    'destructor should stop tracking all models and lists': function () {
+        var model   = new Y.Model(),
+            list    = new Y.ModelList(),
+            history = new Y.ModelHistory({models: [model, list]});
+
+        history.destroy();
+
+        model.set('title', 'b');
+        list.add({});
+
+        Assert.isFalse(history.get('canUndo'));
+        ArrayAssert.isEmpty(history._tracked);
+    }
+}));
+
+// -- ModelHistory: Attributes -------------------------------------------------
+modelHistorySuite.add(new Y.Test.Case({
+    name: 'Attributes',
+
+    setUp: function () {
+        this.model   = new Y.Model({title: 'a'});
+        this.history = new Y.ModelHistory({models: [this.model]});
+    },
+
+    tearDown: function () {
+        this.history.destroy();
+        this.model.destroy();
+    },
+
+    '`canUndo` and `canRedo` should be false by default': function () {
+        Assert.isFalse(this.history.get('canUndo'));
+        Assert.isFalse(this.history.get('canRedo'));
+    },
+
+    '`canUndo` and `canRedo` should reflect the history': function () {
+        var changes = [];
+
+        this.history.after(['canUndoChange', 'canRedoChange'], function (e) {
+            changes.push(e.attrName + ':' + e.newVal);
+        });
+
+        this.model.set('title', 'b');
+        Assert.isTrue(this.history.get('canUndo'));
+        Assert.isFalse(this.history.get('canRedo'));
+
+        this.history.undo();
+        Assert.isFalse(this.history.get('canUndo'));
+        Assert.isTrue(this.history.get('canRedo'));
+
+        this.history.redo();
+        Assert.isTrue(this.history.get('canUndo'));
+        Assert.isFalse(this.history.get('canRedo'));
+
+        ArrayAssert.itemsAreSame([
+            'canUndo:true',
+            'canUndo:false', 'canRedo:true',
+            'canUndo:true', 'canRedo:false'
+        ], changes);
+    },
+
+    '`canUndo` and `canRedo` should be read-only': function () {
+        this.history.set('canUndo', true);
+        this.history.set('canRedo', true);
+
+        Assert.isFalse(this.history.get('canUndo'));
+        Assert.isFalse(this.history.get('canRedo'));
+    },
+
+    '`maxDepth` should default to 100': function () {
+        Assert.areSame(100, this.history.get('maxDepth'));
+    },
+
+    '`maxDepth` should limit the number of steps': function () {
+        var i;
+
+        this.history.set('maxDepth', 3);
+
+        for (i = 0; i < 5; i++) {
+            this.model.set('title', 'title' + i);
+        }
+
+        this.history.undo().undo().undo();
+
+        Assert.areSame('title1', this.model.get('title'));
+        Assert.isFalse(this.history.get('canUndo'));
+    },
+
+    'lowering `maxDepth` should discard the oldest steps': function () {
+        this.model.set('title', 'b');
+        this.model.set('title', 'c');
+
+        this.history.set('maxDepth', 1);
+        this.history.undo();
+
+        Assert.areSame('b', this.model.get('title'));
+        Assert.isFalse(this.history.get('canUndo'));
+    },
+
+    '`maxDepth` of 0 should keep every step': function () {
+        var i;
+
+        this.history.set('maxDepth', 0);
+
+        for (i = 0; i < 150; i++) {
+            this.model.set('title', 'title' + i);
+        }
+
+        Assert.areSame(150, this.history._undoStack.length);
+    }
+}));
+
+// -- ModelHistory: Models -----------------------------------------------------
+modelHistorySuite.add(new Y.Test.Case({
+    name: 'Models',
+
+    setUp: function () {
+        this.model   = new Y.Model({title: 'a', done: false});
+        this.history = new Y.ModelHistory();
+        this.history.track(this.model);
+    },
+
+    tearDown: function () {
+        this.history.destroy();
+        this.model.destroy();
+    },
+
+    'undo() should revert an attribute change': function () {
+        this.model.set('title', 'b');
+        this.history.undo();
+
+        Assert.areSame('a', this.model.get('title'));
+    },
+
+    'undo() should revert all attributes changed at once': function () {
+        this.model.setAttrs({title: 'b', done: true});
+        this.history.undo();
+
+        Assert.areSame('a', this.model.get('title'));
+        Assert.isFalse(this.model.get('done'));
+    },
+
+    'undo() should revert changes one step at a time': function () {
+        this.model.set('title', 'b');
+        this.model.set('title', 'c');
+
+        this.history.undo();
+        Assert.areSame('b', this.model.get('title'));
+
+        this.history.undo();
+        Assert.areSame('a', this.model.get('title'));
+
+        this.history.undo();
+        Assert.areSame('a', this.model.get('title'), 'extra undo should do nothing');
+    },
+
+    'redo() should reapply an undone change': function () {
+        this.model.set('title', 'b');
+        this.history.undo().redo();
+
+        Assert.areSame('b', this.model.get('title'));
+    },
+
+    'undoing and redoing should not record new steps': function () {
+        this.model.set('title', 'b');
+        this.history.undo();
+        this.history.redo();
+
+        Assert.areSame(1, this.history._undoStack.length);
+    },
+
+    'undone changes should be made with `src: "history"`': function () {
+        var src;
+
+        this.model.set('title', 'b');
+
+        this.model.after('change', function (e) {
+            src = e.src;
+        });
+
+        this.history.undo();
+
+        Assert.areSame('history', src);
+    },
+
+    'a new change should discard the redo stack': function () {
+        this.model.set('title', 'b');
+        this.history.undo();
+        this.model.set('title', 'c');
+
+        Assert.isFalse(this.history.get('canRedo'));
+
+        this.history.redo();
+        Assert.areSame('c', this.model.get('title'));
+    },
+
+    'untrack() should stop recording changes': function () {
+        this.history.untrack(this.model);
+        this.model.set('title', 'b');
+
+        Assert.isFalse(this.history.get('canUndo'));
+    },
+
+    'track() should ignore targets that are already tracked': function () {
+        this.history.track(this.model);
+        this.model.set('title', 'b');
+
+        Assert.areSame(1, this.history._undoStack.length);
+    },
+
+    'clear() should discard all steps': function () {
+        this.model.set('title', 'b');
+        this.model.set('title', 'c');
+        this.history.undo();
+
+        this.history.clear();
+
+        Assert.isFalse(this.history.get('canUndo'));
+        Assert.isFalse(this.history.get('canRedo'));
+    }
+}));
+
+// -- ModelHistory: Lists ------------------------------------------------------
+modelHistorySuite.add(new Y.Test.Case({
+    name: 'Lists',
+
+    setUp: function () {
+        this.list = new Y.ModelList();
+        this.list.add([{title: 'a'}, {title: 'b'}]);
+
+        this.history = new Y.ModelHistory({models: [this.list]});
+    },
+
+    tearDown: function () {
+        this.history.destroy();
+        this.list.destroy();
+    },
+
+    'undo() should remove an added model, and redo() should add it back': function () {
+        var model = this.list.add({title: 'c'}, {index: 1});
+
+        this.history.undo();
+        ArrayAssert.itemsAreSame(['a', 'b'], titles(this.list));
+
+        this.history.redo();
+        ArrayAssert.itemsAreSame(['a', 'c', 'b'], titles(this.list));
+        Assert.areSame(model, this.list.item(1), 'the same model instance should be added back');
+    },
+
+    'undo() should add a removed model back at its index': function () {
+        this.list.remove(0);
+
+        this.history.undo();
+        ArrayAssert.itemsAreSame(['a', 'b'], titles(this.list));
+
+        this.history.redo();
+        ArrayAssert.itemsAreSame(['b'], titles(this.list));
+    },
+
+    'undo() should revert a reset': function () {
+        this.list.reset([{title: 'x'}]);
+
+        this.history.undo();
+        ArrayAssert.itemsAreSame(['a', 'b'], titles(this.list));
+
+        this.history.redo();
+        ArrayAssert.itemsAreSame(['x'], titles(this.list));
+    },
+
+    'sorting should not be recorded': function () {
+        this.list.comparator = function (model) {
+            return model.get('title');
+        };
+
+        this.list.sort({descending: true});
+
+        Assert.isFalse(this.history.get('canUndo'));
+    },
+
+    'changes to models in the list should be recorded': function () {
+        this.list.item(0).set('title', 'z');
+
+        this.history.undo();
+
+        Assert.areSame('a', this.list.item(0).get('title'));
+    },
+
+    'changes to a model tracked directly and through a list should be recorded once': function () {
+        var model = this.list.item(0),
+            other = new Y.ModelList();
+
+        other.add(model);
+
+        this.history.track(model);
+        this.history.track(other);
+
+        model.set('title', 'z');
+
+        Assert.areSame(1, this.history._undoStack.length);
+
+        other.destroy();
+    }
+}));
+
+// -- ModelHistory: Batches ----------------------------------------------------
+modelHistorySuite.add(new Y.Test.Case({
+    name: 'Batches',
+
+    setUp: function () {
+        this.list = new Y.ModelList();
+        this.list.add([{title: 'a'}, {title: 'b'}]);
+
+        this.history = new Y.ModelHistory({models: [this.list]});
+    },
+
+    tearDown: function () {
+        this.history.destroy();
+        this.list.destroy();
+    },
+
+    'batch() should record all changes as a single step': function () {
+        var list = this.list;
+
+        this.history.batch(function () {
+            list.item(0).set('title', 'a2');
+            list.add({title: 'c'});
+            list.remove(1);
+        });
+
+        ArrayAssert.itemsAreSame(['a2', 'c'], titles(list));
+        Assert.areSame(1, this.history._undoStack.length);
+
+        this.history.undo();
+        ArrayAssert.itemsAreSame(['a', 'b'], titles(list));
+
+        this.history.redo();
+        ArrayAssert.itemsAreSame(['a2', 'c'], titles(list));
+    },
+
+    'batch() should call the function with the specified `this` object': function () {
+        var obj = {},
+            self;
+
+        this.history.batch(function () {
+            self = this;
+        }, obj);
+
+        Assert.areSame(obj, self);
+    },
+
+    'nested batches should be recorded as a single step': function () {
+        var history = this.history,
+            list    = this.list;
+
+        history.batch(function () {
+            list.add({title: 'c'});
+
+            history.batch(function () {
+                list.add({title: 'd'});
+            });
+
+            Assert.isFalse(history.get('canUndo'), 'nested batch should not record a step');
+        });
+
+        Assert.areSame(1, history._undoStack.length);
+
+        history.undo();
+        ArrayAssert.itemsAreSame(['a', 'b'], titles(list));
+    },
+
+    'an empty batch should not record a step': function () {
+        this.history.batch(function () {});
+
+        Assert.isFalse(this.history.get('canUndo'));
+    },
+
+    'a batch should be recorded even if the function throws': function () {
+        var list = this.list;
+
+        try {
+            this.history.batch(function () {
+                list.add({title: 'c'});
+                throw new Error('oops');
+            });
+        } catch (ex) {}
+
+        Assert.isNull(this.history._batch);
+        Assert.isTrue(this.history.get('canUndo'));
+
+        list.add({title: 'd'});
+        Assert.areSame(2, this.history._undoStack.length, 'later changes should not be batched');
+    }
+}));
+
+suite.add(modelHistorySuite);
+
+}, '@VERSION@', {
+    requires: ['model-history', 'model-list', 'test']
+});
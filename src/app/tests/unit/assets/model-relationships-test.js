@@ -0,0 +1,308 @@
+YUI.add('model-relationships-test', function (Y) {
+
+var ArrayAssert  = Y.ArrayAssert,
+    Assert       = Y.Assert,
+    ObjectAssert = Y.ObjectAssert,
+
+    suite,
+    relationshipsSuite;
+
+// -- Global Suite -------------------------------------------------------------
+suite = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App Framework'));
+
+// -- Model.Relationships Suite ------------------------------------------------
+relationshipsSuite = new Y.Test.Suite('Model.Relationships');
+
+relationshipsSuite.setUp = function () {
+    Y.TestComment = Y.Base.create('testComment', Y.Model, []);
+
+    Y.TestCommentList = Y.Base.create('testCommentList', Y.ModelList, [], {
+        model: Y.TestComment
+    });
+
+    Y.TestUser = Y.Base.create('testUser', Y.Model, []);
+
+    Y.TestPost = Y.Base.create('testPost', Y.Model, [Y.Model.Relationships], {
+        belongsTo: {
+            author: {type: Y.TestUser, foreignKey: 'authorId'},
+            editor: 'TestUser'
+        },
+
+        hasMany: {
+            comments: Y.TestCommentList
+        }
+    });
+};
+
+relationshipsSuite.tearDown = function () {
+    delete Y.TestComment;
+    delete Y.TestCommentList;
+    delete Y.TestPost;
+    delete Y.TestUser;
+};
+
+// -- Model.Relationships: hasMany ---------------------------------------------
+relationshipsSuite.add(new Y.Test.Case({
+    name: 'hasMany',
+
+    tearDown: function () {
+        this.post && this.post.destroy();
+    },
+
+    'a hasMany attribute should default to an empty list': function () {
+        var post = this.post = new Y.TestPost();
+
+        Assert.isInstanceOf(Y.TestCommentList, post.get('comments'));
+        Assert.areSame(0, post.get('comments').size());
+        Assert.isFalse(post.isDirty(), 'creating the list should not make the model dirty');
+    },
+
+    'nested data passed to the constructor should be converted into models': function () {
+        var post = this.post = new Y.TestPost({
+                comments: [{text: 'one'}, {text: 'two'}]
+            }),
+
+            comments = post.get('comments');
+
+        Assert.areSame(2, comments.size());
+        Assert.isInstanceOf(Y.TestComment, comments.item(0));
+        Assert.areSame('two', comments.item(1).get('text'));
+    },
+
+    'setting a hasMany attribute should reset the same list': function () {
+        var post     = this.post = new Y.TestPost({comments: [{text: 'one'}]}),
+            comments = post.get('comments'),
+            other    = new Y.TestCommentList({items: [{text: 'a'}, {text: 'b'}]});
+
+        post.set('comments', [{text: 'two'}, {text: 'three'}]);
+
+        Assert.areSame(comments, post.get('comments'));
+        ArrayAssert.itemsAreSame(['two', 'three'], comments.get('text'));
+
+        post.set('comments', other);
+
+        Assert.areSame(comments, post.get('comments'));
+        ArrayAssert.itemsAreSame(['a', 'b'], comments.get('text'));
+
+        post.set('comments', null);
+        Assert.areSame(0, comments.size());
+    },
+
+    'events from related lists and their models should bubble to the model': function () {
+        var post  = this.post = new Y.TestPost({comments: [{text: 'one'}]}),
+            calls = [];
+
+        post.after('testComment:change', function (e) {
+            calls.push('change:' + e.changed.text.newVal);
+        });
+
+        post.after('testCommentList:add', function (e) {
+            calls.push('add:' + e.model.get('text'));
+        });
+
+        post.get('comments').item(0).set('text', 'uno');
+        post.get('comments').add({text: 'two'});
+
+        ArrayAssert.itemsAreSame(['change:uno', 'add:two'], calls);
+    },
+
+    'destroying the model should destroy its lists': function () {
+        var post     = new Y.TestPost({comments: [{text: 'one'}]}),
+            comments = post.get('comments');
+
+        post.destroy();
+
+        Assert.isTrue(comments.get('destroyed'));
+    }
+}));
+
+// -- Model.Relationships: belongsTo -------------------------------------------
+relationshipsSuite.add(new Y.Test.Case({
+    name: 'belongsTo',
+
+    setUp: function () {
+        this.users = new Y.ModelList({model: Y.TestUser});
+        this.users.add([{id: 1, name: 'Eric'}, {id: 2, name: 'Ryan'}]);
+
+        Y.Model.Relationships.registerList(this.users);
+    },
+
+    tearDown: function () {
+        Y.Model.Relationships.unregisterList(this.users);
+
+        this.post && this.post.destroy();
+        this.users.destroy();
+    },
+
+    'a belongsTo attribute should default to null': function () {
+        var post = this.post = new Y.TestPost();
+
+        Assert.isNull(post.get('author'));
+        Assert.isNull(post.get('editor'));
+    },
+
+    'a belongsTo attribute should accept a model': function () {
+        var user = new Y.TestUser({name: 'Dav'}),
+            post = this.post = new Y.TestPost({editor: user});
+
+        Assert.areSame(user, post.get('editor'));
+    },
+
+    'nested data should be converted into a model': function () {
+        var post = this.post = new Y.TestPost({editor: {name: 'Dav'}});
+
+        Assert.isInstanceOf(Y.TestUser, post.get('editor'));
+        Assert.areSame('Dav', post.get('editor').get('name'));
+    },
+
+    'nested data should reuse a registered model with the same id': function () {
+        var post = this.post = new Y.TestPost({editor: {id: 2, name: 'Ryan'}});
+
+        Assert.areSame(this.users.item(1), post.get('editor'));
+    },
+
+    'a foreign key passed to the constructor should be resolved against registered lists': function () {
+        var post = this.post = new Y.TestPost({authorId: 1});
+
+        Assert.areSame(this.users.item(0), post.get('author'));
+        Assert.isFalse(post.attrAdded('authorId'), 'foreign key should not be an attribute');
+    },
+
+    'an id should be resolved once the related model is registered': function () {
+        var post = this.post = new Y.TestPost({author: 3});
+
+        Assert.isNull(post.get('author'));
+
+        this.users.add({id: 3, name: 'Satyen'});
+
+        Assert.areSame(this.users.item(2), post.get('author'));
+    },
+
+    'unregistered lists should not be used to resolve ids': function () {
+        Y.Model.Relationships.unregisterList(this.users);
+
+        var post = this.post = new Y.TestPost({author: 1});
+
+        Assert.isNull(post.get('author'));
+    },
+
+    'events from related models should bubble to the model': function () {
+        var post  = this.post = new Y.TestPost({author: 1}),
+            user  = new Y.TestUser(),
+            calls = 0;
+
+        post.after('testUser:change', function () {
+            calls += 1;
+        });
+
+        this.users.item(0).set('name', 'Eric F');
+        Assert.areSame(1, calls);
+
+        post.set('author', user);
+
+        this.users.item(0).set('name', 'Eric');
+        Assert.areSame(1, calls, 'events should not bubble from a replaced model');
+
+        user.set('name', 'Dav');
+        Assert.areSame(2, calls);
+    }
+}));
+
+// -- Model.Relationships: Parsing and Serialization ---------------------------
+relationshipsSuite.add(new Y.Test.Case({
+    name: 'Parsing and Serialization',
+
+    setUp: function () {
+        this.users = new Y.ModelList({model: Y.TestUser});
+        this.users.add({id: 1, name: 'Eric'});
+
+        Y.Model.Relationships.registerList(this.users);
+    },
+
+    tearDown: function () {
+        Y.Model.Relationships.unregisterList(this.users);
+
+        this.post && this.post.destroy();
+        this.users.destroy();
+    },
+
+    'load() should convert nested data and foreign keys in the response': function () {
+        var post     = this.post = new Y.TestPost({id: 5}),
+            response = {
+                authorId: 1,
+                comments: [{text: 'one'}],
+                editor  : {name: 'Dav'},
+                id      : 5,
+                title   : 'Hello'
+            };
+
+        post.sync = function (action, options, callback) {
+            callback(null, Y.JSON.stringify(response));
+        };
+
+        post.load();
+
+        Assert.areSame(this.users.item(0), post.get('author'));
+        Assert.areSame('Dav', post.get('editor').get('name'));
+        Assert.areSame('one', post.get('comments').item(0).get('text'));
+        Assert.areSame('Hello', post.get('title'));
+        Assert.isFalse(post.attrAdded('authorId'));
+    },
+
+    '_parse() should not modify the response': function () {
+        var post     = this.post = new Y.TestPost(),
+            response = {authorId: 1};
+
+        ObjectAssert.areEqual({author: 1}, post._parse(response));
+        ObjectAssert.areEqual({authorId: 1}, response);
+    },
+
+    'toJSON() should serialize related lists and models': function () {
+        var post = this.post = new Y.TestPost({
+                author  : 1,
+                comments: [{text: 'one'}],
+                editor  : {name: 'Dav'},
+                title   : 'Hello'
+            }),
+
+            json = post.toJSON();
+
+        Assert.areSame(1, json.authorId);
+        Assert.isFalse('author' in json, 'foreign key relationships should not be nested');
+        Assert.areSame('one', json.comments[0].text);
+        Assert.areSame('Dav', json.editor.name);
+        Assert.areSame('Hello', json.title);
+    },
+
+    'toJSON() should serialize unresolved and empty relationships': function () {
+        var post = this.post = new Y.TestPost({author: 42}),
+            json = post.toJSON();
+
+        Assert.areSame(42, json.authorId);
+        Assert.isNull(json.editor);
+        ArrayAssert.isEmpty(json.comments);
+
+        post.set('author', null);
+        Assert.isNull(post.toJSON().authorId);
+    },
+
+    'JSON.stringify() should produce nested data that can be parsed back': function () {
+        var post = this.post = new Y.TestPost({
+                author  : 1,
+                comments: [{text: 'one'}, {text: 'two'}]
+            }),
+
+            copy = new Y.TestPost(Y.JSON.parse(Y.JSON.stringify(post)));
+
+        Assert.areSame(post.get('author'), copy.get('author'));
+        ArrayAssert.itemsAreSame(['one', 'two'], copy.get('comments').get('text'));
+
+        copy.destroy();
+    }
+}));
+
+suite.add(relationshipsSuite);
+
+}, '@VERSION@', {
+    requires: ['model-relationships', 'json-stringify', 'test']
+});
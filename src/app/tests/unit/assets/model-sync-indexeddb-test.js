@@ -0,0 +1,351 @@
+YUI.add('model-sync-indexeddb-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    IndexedDB   = Y.ModelSync.IndexedDB,
+
+    getIndexedDB = IndexedDB._getIndexedDB,
+
+    suite,
+    modelSyncIndexedDBSuite;
+
+// -- Global Suite -------------------------------------------------------------
+suite = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App Framework'));
+
+// -- ModelSync.IndexedDB Suite ------------------------------------------------
+modelSyncIndexedDBSuite = new Y.Test.Suite('ModelSync.IndexedDB');
+
+function setUpModels() {
+    // Always use the in-memory store, so tests behave the same everywhere.
+    IndexedDB._getIndexedDB = function () { return null; };
+    IndexedDB._memory = {};
+    IndexedDB._stores = {};
+
+    Y.TestModel = Y.Base.create('testModel', Y.Model, [IndexedDB], {
+        root: 'users',
+
+        indexes: {
+            email: {unique: true},
+            age  : {}
+        }
+    }, {
+        ATTRS: {
+            name : {value: ''},
+            email: {},
+            age  : {value: 0}
+        }
+    });
+
+    Y.TestModelList = Y.Base.create('testModelList', Y.ModelList, [IndexedDB], {
+        model: Y.TestModel
+    });
+}
+
+function tearDownModels() {
+    IndexedDB._getIndexedDB = getIndexedDB;
+    IndexedDB._memory = {};
+    IndexedDB._stores = {};
+
+    delete Y.TestModel;
+    delete Y.TestModelList;
+}
+
+function getNames(list) {
+    return list.get('name').join(',');
+}
+
+// -- ModelSync.IndexedDB: Lifecycle -------------------------------------------
+modelSyncIndexedDBSuite.add(new Y.Test.Case({
+    name: 'Lifecycle',
+
+    setUp   : setUpModels,
+    tearDown: tearDownModels,
+
+    'initializer should set the `root` property on the instance': function () {
+        var model     = new Y.TestModel({root: 'model'}),
+            modelList = new Y.TestModelList({root: 'list'});
+
+        Assert.areSame('model', model.root);
+        Assert.areSame('list', modelList.root);
+    },
+
+    'model lists should use the `root` of their model by default': function () {
+        Assert.areSame('users', new Y.TestModelList().root);
+    },
+
+    'model lists should use the schema of their model': function () {
+        var schema = new Y.TestModelList()._getSchema();
+
+        Assert.areSame('users', schema.name);
+        Assert.areSame('id', schema.keyPath);
+        Assert.areSame(1, schema.version);
+        Assert.isTrue(schema.indexes.email.unique);
+    }
+}));
+
+// -- ModelSync.IndexedDB: Sync ------------------------------------------------
+modelSyncIndexedDBSuite.add(new Y.Test.Case({
+    name: 'Sync',
+
+    setUp   : setUpModels,
+    tearDown: tearDownModels,
+
+    'save() should create a record with a generated id': function () {
+        var model = new Y.TestModel({name: 'Eric'}),
+            calls = 0;
+
+        model.save(function (err) {
+            calls += 1;
+            Assert.isNull(err);
+        });
+
+        Assert.areSame(1, calls);
+        Assert.isTrue(model.get('id').indexOf('users_') === 0);
+        Assert.areSame('Eric', IndexedDB._memory.users.records[model.get('id')].name);
+    },
+
+    'each model should be stored as a separate record': function () {
+        new Y.TestModel({id: 'a', name: 'Eric'}).save();
+        new Y.TestModel({id: 'b', name: 'Ryan'}).save();
+
+        ArrayAssert.itemsAreSame(['a', 'b'],
+                Y.Object.keys(IndexedDB._memory.users.records).sort());
+    },
+
+    'save() should update an existing record': function () {
+        var model = new Y.TestModel({id: 'a', name: 'Eric'});
+
+        model.save();
+        model.set('name', 'Ryan').save();
+
+        Assert.areSame('Ryan', IndexedDB._memory.users.records.a.name);
+    },
+
+    'load() should read a record': function () {
+        var model;
+
+        new Y.TestModel({id: 'a', name: 'Eric', age: 30}).save();
+
+        model = new Y.TestModel({id: 'a'});
+
+        model.load(function (err) {
+            Assert.isNull(err);
+        });
+
+        Assert.areSame('Eric', model.get('name'));
+        Assert.areSame(30, model.get('age'));
+    },
+
+    'stored records should not be modified by reference': function () {
+        var model = new Y.TestModel({id: 'a', name: 'Eric'});
+
+        model.save();
+        model.set('name', 'Ryan');
+
+        Assert.areSame('Eric', IndexedDB._memory.users.records.a.name);
+    },
+
+    'load() should fail if the record does not exist': function () {
+        var model = new Y.TestModel({id: 'missing'}),
+            error;
+
+        model.load(function (err) {
+            error = err;
+        });
+
+        Assert.areSame('Data not found in IndexedDB', error);
+    },
+
+    'destroy({remove: true}) should delete the record': function () {
+        var model = new Y.TestModel({id: 'a', name: 'Eric'});
+
+        model.save();
+
+        model.destroy({remove: true}, function (err) {
+            Assert.isNull(err);
+        });
+
+        Assert.isUndefined(IndexedDB._memory.users.records.a);
+    },
+
+    'unique indexes should be enforced': function () {
+        var error;
+
+        new Y.TestModel({id: 'a', email: 'eric@example.com'}).save();
+
+        new Y.TestModel({id: 'b', email: 'eric@example.com'}).save(function (err) {
+            error = err;
+        });
+
+        Assert.areSame('ConstraintError', error);
+        Assert.isUndefined(IndexedDB._memory.users.records.b);
+
+        // Updating the record that owns the value is fine.
+        new Y.TestModel({id: 'a', email: 'eric@example.com', name: 'Eric'}).save(function (err) {
+            Assert.isNull(err);
+        });
+    },
+
+    'sync should fail without a `root`': function () {
+        var model = new Y.TestModel({root: ''}),
+            error;
+
+        model.save(function (err) {
+            error = err;
+        });
+
+        Assert.areSame('ModelSync.IndexedDB requires a root', error);
+    },
+
+    'sync should fail and allow a retry when opening the database throws': function () {
+        var model = new Y.TestModel({name: 'Eric'}),
+            error;
+
+        IndexedDB._getIndexedDB = function () {
+            return {
+                open: function () {
+                    var ex = new Error('The operation is insecure.');
+                    ex.name = 'SecurityError';
+                    throw ex;
+                }
+            };
+        };
+
+        model.save(function (err) {
+            error = err;
+        });
+
+        Assert.areSame('SecurityError', error);
+        Assert.isUndefined(IndexedDB._stores.users, 'the failed store should not be kept');
+
+        IndexedDB._getIndexedDB = function () { return null; };
+
+        model.save(function (err) {
+            error = err;
+        });
+
+        Assert.isNull(error);
+        Assert.areSame('Eric', IndexedDB._memory.users.records[model.get('id')].name);
+    }
+}));
+
+// -- ModelSync.IndexedDB: Queries ---------------------------------------------
+modelSyncIndexedDBSuite.add(new Y.Test.Case({
+    name: 'Queries',
+
+    setUp: function () {
+        setUpModels();
+
+        new Y.TestModel({id: 'a', name: 'Eric', age: 30, email: 'e@x.com'}).save();
+        new Y.TestModel({id: 'b', name: 'Ryan', age: 25, email: 'r@x.com'}).save();
+        new Y.TestModel({id: 'c', name: 'Dav',  age: 40, email: 'd@x.com'}).save();
+        new Y.TestModel({id: 'd', name: 'Satyen', age: 25, email: 's@x.com'}).save();
+
+        this.list = new Y.TestModelList();
+    },
+
+    tearDown: function () {
+        this.list.destroy();
+        tearDownModels();
+    },
+
+    'load() should load every record': function () {
+        this.list.load({orderBy: 'name'});
+        Assert.areSame('Dav,Eric,Ryan,Satyen', getNames(this.list));
+    },
+
+    '`where` should match equal values': function () {
+        this.list.load({where: {age: 25}, orderBy: 'name'});
+        Assert.areSame('Ryan,Satyen', getNames(this.list));
+    },
+
+    '`where` should support range operators': function () {
+        this.list.load({where: {age: {gt: 25, lte: 40}}, orderBy: 'age'});
+        Assert.areSame('Eric,Dav', getNames(this.list));
+
+        this.list.load({where: {age: {gte: 30}, name: 'Dav'}});
+        Assert.areSame('Dav', getNames(this.list));
+    },
+
+    '`descending` should reverse the sort order': function () {
+        this.list.load({orderBy: 'age', descending: true, where: {age: {gt: 25}}});
+        Assert.areSame('Dav,Eric', getNames(this.list));
+    },
+
+    '`limit` and `offset` should page through the results': function () {
+        this.list.load({orderBy: 'name', limit: 2});
+        Assert.areSame('Dav,Eric', getNames(this.list));
+
+        this.list.load({orderBy: 'name', limit: 2, offset: 2});
+        Assert.areSame('Ryan,Satyen', getNames(this.list));
+    }
+}));
+
+// -- ModelSync.IndexedDB: Migrations ------------------------------------------
+modelSyncIndexedDBSuite.add(new Y.Test.Case({
+    name: 'Migrations',
+
+    setUp   : setUpModels,
+    tearDown: tearDownModels,
+
+    'records should be migrated when `dbVersion` increases': function () {
+        var calls = [],
+            model;
+
+        new Y.TestModel({id: 'a', name: 'Eric Ferraiuolo'}).save();
+
+        // Simulate a page load with a newer version of the schema.
+        IndexedDB._stores = {};
+
+        Y.TestModel = Y.Base.create('testModel', Y.Model, [IndexedDB], {
+            root     : 'users',
+            dbVersion: 3,
+
+            migrations: {
+                2: function (record) {
+                    calls.push(2);
+                    record.lastName = record.name.split(' ').pop();
+                    return record;
+                },
+
+                3: function (record) {
+                    calls.push(3);
+                    record.name = record.name.split(' ')[0];
+                    return record;
+                }
+            }
+        }, {
+            ATTRS: {
+                name    : {value: ''},
+                lastName: {value: ''}
+            }
+        });
+
+        model = new Y.TestModel({id: 'a'});
+        model.load();
+
+        ArrayAssert.itemsAreSame([2, 3], calls);
+        Assert.areSame('Eric', model.get('name'));
+        Assert.areSame('Ferraiuolo', model.get('lastName'));
+        Assert.areSame(3, IndexedDB._memory.users.version);
+    },
+
+    'opening an older version of the database should fail': function () {
+        var error;
+
+        IndexedDB._memory.users = {records: {}, version: 5};
+
+        new Y.TestModel({id: 'a'}).load(function (err) {
+            error = err;
+        });
+
+        Assert.areSame('Database users is newer than version 1', error);
+        Assert.isUndefined(IndexedDB._stores.users);
+    }
+}));
+
+suite.add(modelSyncIndexedDBSuite);
+
+}, '@VERSION@', {
+    requires: ['model-sync-indexeddb', 'model', 'model-list', 'test']
+});
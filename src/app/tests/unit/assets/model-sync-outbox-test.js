@@ -0,0 +1,443 @@
+YUI.add('model-sync-outbox-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    Outbox      = Y.ModelSync.Outbox,
+
+    STORAGE_KEY = 'model-sync-outbox-test',
+
+    suite,
+    modelSyncOutboxSuite;
+
+// -- Global Suite -------------------------------------------------------------
+suite = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App Framework'));
+
+// -- ModelSync.Outbox Suite ---------------------------------------------------
+modelSyncOutboxSuite = new Y.Test.Suite('ModelSync.Outbox');
+
+function createOutbox(test, config) {
+    var outbox = new Outbox(Y.merge({storageKey: STORAGE_KEY}, config));
+
+    // Overrides because `Y.io()` is too hard to test!
+    outbox._sendRequest = function (op, callback) {
+        test.requests.push({callback: callback, op: op});
+    };
+
+    return outbox;
+}
+
+function respond(request, status, body) {
+    var res = {
+        responseText: body ? Y.JSON.stringify(body) : '',
+        status      : status,
+        statusText  : ''
+    };
+
+    if (status >= 200 && status < 300) {
+        request.callback(null, res);
+    } else {
+        request.callback({code: status, msg: ''}, res);
+    }
+}
+
+function clearStorage() {
+    var storage = Outbox._getStorage();
+
+    storage && storage.removeItem(STORAGE_KEY);
+    Outbox._data = {};
+}
+
+// -- ModelSync.Outbox: Sending ------------------------------------------------
+modelSyncOutboxSuite.add(new Y.Test.Case({
+    name: 'Sending',
+
+    setUp: function () {
+        clearStorage();
+
+        this.requests = [];
+        this.outbox   = createOutbox(this);
+
+        this.TestModel = Y.Base.create('testModel', Y.Model, [Y.ModelSync.REST], {
+            outbox: this.outbox,
+            root  : '/todos'
+        }, {
+            ATTRS: {
+                done : {value: false},
+                title: {value: ''}
+            }
+        });
+    },
+
+    tearDown: function () {
+        this.outbox.destroy();
+        clearStorage();
+    },
+
+    'changes should be sent immediately when the outbox is online and empty': function () {
+        var model = new this.TestModel({title: 'Buy milk'}),
+            calls = 0;
+
+        model.save(function (err) {
+            calls += 1;
+            Assert.isNull(err);
+        });
+
+        Assert.areSame(1, this.requests.length);
+        Assert.areSame(0, calls, 'save() should wait for the server.');
+        Assert.areSame('/todos', this.requests[0].op.url);
+        Assert.areSame('Buy milk', this.requests[0].op.data.title);
+
+        respond(this.requests[0], 201, {id: 1, title: 'Buy milk'});
+
+        Assert.areSame(1, calls);
+        Assert.areSame(1, model.get('id'));
+        Assert.areSame(0, this.outbox.size());
+    },
+
+    'reads should not go through the outbox': function () {
+        var model = new this.TestModel({id: 1}),
+            sent;
+
+        model._sendSyncIORequest = function (config) {
+            sent = config;
+        };
+
+        model.load();
+
+        Assert.areSame('GET', sent.method);
+        Assert.areSame(0, this.requests.length);
+    },
+
+    'changes should be queued and finish immediately while offline': function () {
+        var model = new this.TestModel({title: 'Buy milk'}),
+            calls = 0;
+
+        this.outbox.set('online', false);
+
+        model.save(function (err) {
+            calls += 1;
+            Assert.isNull(err);
+        });
+
+        Assert.areSame(1, calls);
+        Assert.areSame(0, this.requests.length);
+        Assert.areSame(1, this.outbox.size());
+        Assert.isFalse(model.isNew());
+        Assert.areSame(0, model.get('id').indexOf('tmp_'), 'Model should have a temporary id.');
+    },
+
+    'queued changes should be persisted': function () {
+        var outbox;
+
+        this.outbox.set('online', false);
+
+        new this.TestModel({id: 1, title: 'Buy milk'}).save();
+        new this.TestModel({id: 2}).destroy({remove: true});
+
+        outbox = createOutbox(this, {online: false});
+
+        Assert.areSame(2, outbox.size());
+        Assert.areSame('update', outbox.getQueue()[0].action);
+        Assert.areSame('/todos/1', outbox.getQueue()[0].url);
+        Assert.areSame('delete', outbox.getQueue()[1].action);
+
+        outbox.destroy();
+    },
+
+    'clear() should discard queued changes': function () {
+        var outbox;
+
+        this.outbox.set('online', false);
+
+        new this.TestModel({id: 1, title: 'Buy milk'}).save();
+        this.outbox.clear();
+
+        outbox = createOutbox(this, {online: false});
+
+        Assert.areSame(0, this.outbox.size());
+        Assert.areSame(0, outbox.size());
+
+        outbox.destroy();
+    },
+
+    'queued changes should be sent in order when the outbox comes online': function () {
+        this.outbox.set('online', false);
+
+        new this.TestModel({id: 1, title: 'Buy milk'}).save();
+        new this.TestModel({id: 2}).destroy({remove: true});
+
+        this.outbox.set('online', true);
+
+        Assert.areSame(1, this.requests.length);
+        Assert.areSame('update', this.requests[0].op.action);
+
+        respond(this.requests[0], 200);
+
+        Assert.areSame(2, this.requests.length);
+        Assert.areSame('delete', this.requests[1].op.action);
+        Assert.areSame('/todos/2', this.requests[1].op.url);
+
+        respond(this.requests[1], 204);
+
+        Assert.areSame(0, this.outbox.size());
+    },
+
+    'requests that fail without a response should stay queued': function () {
+        var model = new this.TestModel({title: 'Buy milk'}),
+            calls = 0;
+
+        model.save(function (err) {
+            calls += 1;
+            Assert.isNull(err);
+        });
+
+        respond(this.requests[0], 0);
+
+        Assert.areSame(1, calls, 'save() should finish as if queued.');
+        Assert.areSame(1, this.outbox.size());
+        Assert.areSame(0, model.get('id').indexOf('tmp_'));
+
+        this.outbox.flush();
+
+        Assert.areSame(2, this.requests.length);
+        Assert.areSame('create', this.requests[1].op.action);
+    },
+
+    'requests that fail with a server error should stay queued': function () {
+        new this.TestModel({id: 1, title: 'Buy milk'}).save();
+
+        respond(this.requests[0], 503);
+
+        Assert.areSame(1, this.outbox.size());
+    }
+}));
+
+// -- ModelSync.Outbox: Coalescing ---------------------------------------------
+modelSyncOutboxSuite.add(new Y.Test.Case({
+    name: 'Coalescing',
+
+    setUp: function () {
+        clearStorage();
+
+        this.requests = [];
+        this.outbox   = createOutbox(this, {online: false});
+
+        this.TestModel = Y.Base.create('testModel', Y.Model, [Y.ModelSync.REST], {
+            outbox: this.outbox,
+            root  : '/todos'
+        }, {
+            ATTRS: {
+                done : {value: false},
+                title: {value: ''}
+            }
+        });
+    },
+
+    tearDown: function () {
+        this.outbox.destroy();
+        clearStorage();
+    },
+
+    'repeated updates to the same model should be merged': function () {
+        var model = new this.TestModel({id: 1, title: 'Buy milk'}),
+            op;
+
+        model.save();
+        model.set('title', 'Buy eggs').save();
+        model.set('done', true).save();
+
+        Assert.areSame(1, this.outbox.size());
+
+        op = this.outbox.getQueue()[0];
+
+        Assert.areSame('update', op.action);
+        Assert.areSame('Buy eggs', op.data.title);
+        Assert.isTrue(op.data.done);
+    },
+
+    'patches to the same model should be merged into a single patch': function () {
+        var model = new this.TestModel({id: 1}),
+            op;
+
+        model.set('title', 'Buy eggs').save({patch: true});
+        model.set('done', true).save({patch: true});
+
+        op = this.outbox.getQueue()[0];
+
+        Assert.areSame(1, this.outbox.size());
+        Assert.isTrue(op.patch);
+        ArrayAssert.itemsAreSame(['done', 'title'], Y.Object.keys(op.data).sort());
+    },
+
+    'updates to different models should not be merged': function () {
+        new this.TestModel({id: 1}).save();
+        new this.TestModel({id: 2}).save();
+
+        Assert.areSame(2, this.outbox.size());
+    },
+
+    'updates to a model that has not been created should be merged into the create': function () {
+        var model = new this.TestModel({title: 'Buy milk'}),
+            op;
+
+        model.save();
+        model.set('title', 'Buy eggs').save();
+
+        Assert.areSame(1, this.outbox.size());
+
+        op = this.outbox.getQueue()[0];
+
+        Assert.areSame('create', op.action);
+        Assert.areSame('Buy eggs', op.data.title);
+    },
+
+    'deleting a model that has not been created should discard its changes': function () {
+        var model = new this.TestModel({title: 'Buy milk'}),
+            calls = 0;
+
+        model.save();
+        model.set('title', 'Buy eggs').save();
+
+        model.destroy({remove: true}, function (err) {
+            calls += 1;
+            Assert.isNull(err);
+        });
+
+        Assert.areSame(1, calls);
+        Assert.areSame(0, this.outbox.size());
+
+        this.outbox.set('online', true);
+        Assert.areSame(0, this.requests.length);
+    },
+
+    'deleting a model should discard its queued updates': function () {
+        var model = new this.TestModel({id: 1});
+
+        model.set('title', 'Buy eggs').save();
+        model.destroy({remove: true});
+
+        Assert.areSame(1, this.outbox.size());
+        Assert.areSame('delete', this.outbox.getQueue()[0].action);
+    },
+
+    'changes should not be merged into a request that is being sent': function () {
+        var model = new this.TestModel({id: 1});
+
+        model.set('title', 'Buy eggs').save();
+        this.outbox.set('online', true);
+
+        model.set('title', 'Buy milk').save();
+
+        Assert.areSame(2, this.outbox.size());
+        Assert.areSame('Buy eggs', this.requests[0].op.data.title);
+    }
+}));
+
+// -- ModelSync.Outbox: Responses ----------------------------------------------
+modelSyncOutboxSuite.add(new Y.Test.Case({
+    name: 'Responses',
+
+    setUp: function () {
+        clearStorage();
+
+        this.requests = [];
+        this.outbox   = createOutbox(this, {online: false});
+
+        this.TestModel = Y.Base.create('testModel', Y.Model, [Y.ModelSync.REST], {
+            outbox: this.outbox,
+            root  : '/todos'
+        }, {
+            ATTRS: {
+                title: {value: ''}
+            }
+        });
+    },
+
+    tearDown: function () {
+        this.outbox.destroy();
+        clearStorage();
+    },
+
+    'temporary ids should be replaced by the server id after a create': function () {
+        var model = new this.TestModel({title: 'Buy milk'}),
+            tempId, mapped;
+
+        model.save();
+        tempId = model.get('id');
+
+        this.outbox.on('idMap', function (e) {
+            mapped = e;
+        });
+
+        // Start sending the create, then make another change.
+        this.outbox.set('online', true);
+        model.set('title', 'Buy eggs').save();
+
+        Assert.areSame(1, this.requests.length);
+        Assert.isUndefined(this.requests[0].op.data.id, 'Temporary ids should not be sent.');
+        Assert.areSame('/todos/' + tempId, this.outbox.getQueue()[1].url);
+
+        respond(this.requests[0], 201, {id: 42, title: 'Buy milk'});
+
+        Assert.areSame(42, model.get('id'));
+        Assert.areSame(tempId, mapped.tempId);
+        Assert.areSame(42, mapped.id);
+        Assert.areSame(model, mapped.model);
+
+        Assert.areSame(2, this.requests.length);
+        Assert.areSame('update', this.requests[1].op.action);
+        Assert.areSame('/todos/42', this.requests[1].op.url);
+        Assert.areSame(42, this.requests[1].op.data.id);
+    },
+
+    'a 409 response should fire a `conflict` event and discard the change': function () {
+        var model = new this.TestModel({id: 1, title: 'Buy milk'}),
+            conflict;
+
+        this.outbox.on('conflict', function (e) {
+            conflict = e;
+        });
+
+        model.save();
+        new this.TestModel({id: 2}).destroy({remove: true});
+
+        this.outbox.set('online', true);
+        respond(this.requests[0], 409, {error: 'Stale'});
+
+        Assert.isObject(conflict);
+        Assert.areSame(409, conflict.error.code);
+        Assert.areSame(model, conflict.model);
+        Assert.areSame('update', conflict.operation.action);
+
+        Assert.areSame(1, this.outbox.size());
+        Assert.areSame(2, this.requests.length, 'The next change should be sent.');
+    },
+
+    'other client errors should fire an `error` event and discard the change': function () {
+        var model = new this.TestModel({id: 1, title: 'Buy milk'}),
+            error, callbackErr;
+
+        this.outbox.set('online', true);
+
+        this.outbox.on('error', function (e) {
+            error = e;
+        });
+
+        model.save(function (err) {
+            callbackErr = err;
+        });
+
+        respond(this.requests[0], 422);
+
+        Assert.areSame('replay', error.src);
+        Assert.areSame(422, error.error.code);
+        Assert.areSame(422, callbackErr.code);
+        Assert.areSame(0, this.outbox.size());
+    }
+}));
+
+suite.add(modelSyncOutboxSuite);
+
+}, '@VERSION@', {
+    requires: ['model-sync-outbox', 'model', 'test']
+});
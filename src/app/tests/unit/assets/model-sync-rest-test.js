@@ -345,6 +345,16 @@ modelSyncRESTSuite.add(new Y.Test.Case({
         Assert.areSame(Y.JSON.stringify(model.toJSON()), model.serialize());
     },
 
+    'serialize() should return only the dirty attributes when patching an update': function () {
+        var model = new Y.TestModel({id: 123, name: 'Eric'});
+
+        model.set('age', 30);
+
+        Assert.areSame('{"age":30}', model.serialize('update', {patch: true}));
+        Assert.areSame(Y.JSON.stringify(model), model.serialize('create', {patch: true}));
+        Assert.areSame(Y.JSON.stringify(model), model.serialize('update', {patch: false}));
+    },
+
     'serialize() should be passed the `sync()` `action`': function () {
         var noop   = function () {},
             model  = new Y.TestModel(),
@@ -508,6 +518,52 @@ modelSyncRESTSuite.add(new Y.Test.Case({
         model.save();
     },
 
+    'save({patch: true}) should perform a PATCH XHR with only the dirty attributes': function () {
+        Y.TestModel.prototype.root = '/root/';
+
+        var model = new Y.TestModel({id: 1, name: 'Eric', age: 30}),
+            calls = 0;
+
+        // Overrides because `Y.io()` is too hard to test!
+        model._sendSyncIORequest = function (config) {
+            calls += 1;
+
+            Assert.areSame('update', config.action);
+            Assert.areSame('{"name":"Ryan"}', config.entity);
+            Assert.areSame('application/json', config.headers['Content-Type']);
+            Assert.areSame('asdf1234', config.headers['X-CSRF-Token']);
+            Assert.areSame('PATCH', config.method);
+            Assert.areSame('/root/1/', config.url);
+
+            this._onSyncIOSuccess(0, {
+                responseText: ''
+            }, {
+                callback: config.callback
+            });
+        };
+
+        model.set('name', 'Ryan');
+        model.save({patch: true});
+
+        Assert.areSame(1, calls);
+        Assert.isFalse(model.isDirty(), 'dirty attributes should be reset');
+    },
+
+    'save({patch: true}) should perform a POST XHR for a new model': function () {
+        Y.TestModel.prototype.root = '/root/';
+
+        var model = new Y.TestModel({name: 'Eric'});
+
+        // Overrides because `Y.io()` is too hard to test!
+        model._sendSyncIORequest = function (config) {
+            Assert.areSame('create', config.action);
+            Assert.areSame('POST', config.method);
+            Assert.areSame(Y.JSON.stringify(model), config.entity);
+        };
+
+        model.save({patch: true});
+    },
+
     'destroy({remove: true}) should perform a DELETE XHR to the `url` an exiting model': function () {
         Y.TestModel.prototype.root = '/root/';
 
@@ -537,7 +593,7 @@ modelSyncRESTSuite.add(new Y.Test.Case({
         model.destroy({remove: true});
     },
 
-    'EMULATE_HTTP should use POST instead of PUT or DELETE XHRs': function () {
+    'EMULATE_HTTP should use POST instead of PUT, PATCH, or DELETE XHRs': function () {
         Y.ModelSync.REST.EMULATE_HTTP = true;
         Y.TestModel.prototype.root    = '/root/';
 
@@ -554,7 +610,8 @@ modelSyncRESTSuite.add(new Y.Test.Case({
             Assert.isTrue(action === 'update' || action === 'delete');
 
             if (action === 'update') {
-                Assert.areSame('PUT', config.headers['X-HTTP-Method-Override']);
+                Assert.areSame(calls === 1 ? 'PUT' : 'PATCH',
+                        config.headers['X-HTTP-Method-Override']);
             }
 
             if (action === 'delete') {
@@ -571,9 +628,10 @@ modelSyncRESTSuite.add(new Y.Test.Case({
         Assert.isFalse(model.isNew());
 
         model.set('name', 'Eric').save();
+        model.set('name', 'Ryan').save({patch: true});
         model.destroy({remove: true});
 
-        Assert.areSame(2, calls);
+        Assert.areSame(3, calls);
     },
 
     'sync() should accept `csrfToken`, `headers`, and `timeout` options': function () {
@@ -500,6 +500,114 @@ modelSuite.add(new Y.Test.Case({
         Assert.isTrue(firstId.indexOf(this.TestModel.NAME) === 0);
     },
 
+    'getDirtyAttrs() should return the attributes changed since the last sync': function () {
+        var model = new this.TestModel({foo: 'foo', bar: 'bar'});
+
+        ObjectAssert.areEqual({}, model.getDirtyAttrs());
+
+        model.set('foo', 'moo');
+        ObjectAssert.areEqual({foo: 'moo'}, model.getDirtyAttrs());
+
+        model.set('foo', 'quux');
+        ObjectAssert.areEqual({foo: 'quux'}, model.getDirtyAttrs());
+    },
+
+    'getDirtyAttrs() should not include attributes changed back to their last-synced values': function () {
+        var model = new this.TestModel({foo: 'foo', bar: 'bar'});
+
+        model.setAttrs({foo: 'moo', bar: 'quux'});
+        model.set('foo', 'foo');
+
+        ObjectAssert.areEqual({bar: 'quux'}, model.getDirtyAttrs());
+        ObjectAssert.ownsKeys(['foo', 'bar'], model.changed);
+    },
+
+    'getDirtyAttrs() should include attributes changed silently': function () {
+        var model = new this.TestModel();
+
+        model.set('foo', 'moo', {silent: true});
+        ObjectAssert.areEqual({foo: 'moo'}, model.getDirtyAttrs());
+    },
+
+    'getDirtyAttrs() should not include `id` when a custom id attribute is used': function () {
+        var CustomTestModel = Y.Base.create('customTestModel', Y.Model, [], {
+                idAttribute: 'customId'
+            }, {
+                ATTRS: {
+                    customId: {value: null}
+                }
+            }),
+
+            model = new CustomTestModel();
+
+        model.set('customId', 1);
+        ObjectAssert.areEqual({customId: 1}, model.getDirtyAttrs());
+    },
+
+    'getDirtyAttrs() should be reset when the model is loaded or saved': function () {
+        var model = new this.TestModel();
+
+        model.set('foo', 'moo');
+        model.load();
+        ObjectAssert.areEqual({}, model.getDirtyAttrs());
+
+        model.set('bar', 'quux');
+        model.save();
+        ObjectAssert.areEqual({}, model.getDirtyAttrs());
+    },
+
+    'getDirtyAttrs() should not be reset when a save fails': function () {
+        var model = new this.TestModel();
+
+        model.sync = function (action, options, callback) {
+            callback('oh noes');
+        };
+
+        model.set('foo', 'moo');
+        model.save();
+
+        ObjectAssert.areEqual({foo: 'moo'}, model.getDirtyAttrs());
+    },
+
+    'getDirtyAttrs() should include attributes changed while a save is pending': function () {
+        var model = new this.TestModel({foo: 'foo', bar: 'bar'}),
+            done;
+
+        model.sync = function (action, options, callback) {
+            done = callback;
+        };
+
+        model.setAttrs({foo: 'moo', bar: 'moo'});
+        model.save();
+
+        model.set('foo', 'quux');
+        done(null, {bar: 'moo'});
+
+        ObjectAssert.areEqual({foo: 'quux'}, model.getDirtyAttrs());
+        Assert.isFalse(model.isDirty('bar'));
+
+        model.revert();
+        Assert.areSame('moo', model.get('foo'), 'The sent value should be the last-synced value.');
+        Assert.isFalse(model.isDirty());
+    },
+
+    'getDirtyAttrs() should include attributes changed while a load is pending': function () {
+        var model = new this.TestModel({foo: 'foo', bar: 'bar'}),
+            done;
+
+        model.sync = function (action, options, callback) {
+            done = callback;
+        };
+
+        model.load();
+
+        model.setAttrs({foo: 'moo', bar: 'moo'});
+        done(null, {bar: 'baz'});
+
+        ObjectAssert.areEqual({foo: 'moo'}, model.getDirtyAttrs());
+        Assert.areSame('baz', model.get('bar'));
+    },
+
     'getAsHTML() should return an HTML-escaped attribute value': function () {
         var value = '<div id="foo">hello!</div>',
             model = new this.TestModel({foo: value});
@@ -554,6 +662,22 @@ modelSuite.add(new Y.Test.Case({
         Assert.areSame('', model.getAsURL('falsy3'));
     },
 
+    'isDirty() should return true if an attribute is dirty': function () {
+        var model = new this.TestModel({foo: 'foo'});
+
+        Assert.isFalse(model.isDirty());
+        Assert.isFalse(model.isDirty('foo'));
+
+        model.set('foo', 'moo');
+        Assert.isTrue(model.isDirty());
+        Assert.isTrue(model.isDirty('foo'));
+        Assert.isFalse(model.isDirty('bar'));
+
+        model.set('foo', 'foo');
+        Assert.isFalse(model.isDirty());
+        Assert.isFalse(model.isDirty('foo'));
+    },
+
     'isModified() should return true if the model is new': function () {
         var model = new this.TestModel();
         Assert.isTrue(model.isModified());
@@ -649,6 +773,90 @@ modelSuite.add(new Y.Test.Case({
         Assert.areSame(object, model.parse(object));
     },
 
+    'revert() should revert all changes since the last sync': function () {
+        var attrs = {id: 'id', foo: 'foo', bar: 'bar'},
+            model = new this.TestModel(attrs);
+
+        model.set('foo', 'moo');
+        model.set('foo', 'zoo');
+        model.set('bar', 'quux');
+
+        Assert.areSame(model, model.revert(), 'revert() should be chainable');
+        ObjectAssert.areEqual(attrs, model.toJSON());
+        Assert.isFalse(model.isDirty());
+    },
+
+    'revert() should revert only the specified attributes when attributes are specified': function () {
+        var model = new this.TestModel({id: 'id', foo: 'foo', bar: 'bar'});
+
+        model.setAttrs({foo: 'moo', bar: 'quux'});
+
+        model.revert(['foo']);
+        ObjectAssert.areEqual({id: 'id', foo: 'foo', bar: 'quux'}, model.toJSON());
+        ObjectAssert.areEqual({bar: 'quux'}, model.getDirtyAttrs());
+    },
+
+    'revert() should revert to the values from the last load': function () {
+        var model = new this.TestModel();
+
+        model.sync = function (action, options, callback) {
+            callback(null, {foo: 'loaded'});
+        };
+
+        model.load();
+        model.set('foo', 'moo');
+        model.revert();
+
+        Assert.areSame('loaded', model.get('foo'));
+    },
+
+    'revert() should pass options to setAttrs() and fire a single change': function () {
+        var calls = 0,
+            model = new this.TestModel({foo: 'foo', bar: 'bar'});
+
+        model.setAttrs({foo: 'moo'});
+        model.setAttrs({bar: 'quux'});
+
+        model.on('change', function (e) {
+            calls += 1;
+            Assert.areSame('test', e.changed.foo.src);
+            Assert.areSame('test', e.changed.bar.src);
+        });
+
+        model.revert(null, {src: 'test'});
+        Assert.areSame(1, calls);
+    },
+
+    'revert() should do nothing when there are no dirty attributes': function () {
+        var model = new this.TestModel();
+
+        model.on('change', function () {
+            Assert.fail('`change` should not be called');
+        });
+
+        model.revert();
+        model.revert(['foo']);
+    },
+
+    'revert() should revert a custom id attribute': function () {
+        var CustomTestModel = Y.Base.create('customTestModel', Y.Model, [], {
+                idAttribute: 'customId'
+            }, {
+                ATTRS: {
+                    customId: {value: null}
+                }
+            }),
+
+            model = new CustomTestModel();
+
+        model.set('customId', 1);
+        model.revert(['id']);
+
+        Assert.isNull(model.get('customId'));
+        Assert.isNull(model.get('id'));
+        Assert.isFalse(model.isDirty());
+    },
+
     'save() should delegate to sync()': function () {
         var calls = 0,
             model = new this.TestModel(),
@@ -0,0 +1,306 @@
+YUI.add('model-validation-test', function (Y) {
+
+var ArrayAssert  = Y.ArrayAssert,
+    Assert       = Y.Assert,
+    ObjectAssert = Y.ObjectAssert,
+
+    suite,
+    validationSuite;
+
+// -- Global Suite -------------------------------------------------------------
+suite = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App Framework'));
+
+// -- Model.Validation Suite ---------------------------------------------------
+validationSuite = new Y.Test.Suite('Model.Validation');
+
+// Returns a hash of attribute names and comma-separated failed rule names.
+function failedRules(errors) {
+    var rules = {};
+
+    Y.Object.each(errors, function (attrErrors, name) {
+        rules[name] = Y.Array.map(attrErrors, function (error) {
+            return error.rule;
+        }).join(',');
+    });
+
+    return rules;
+}
+
+// -- Model.Validation: Rules --------------------------------------------------
+validationSuite.add(new Y.Test.Case({
+    name: 'Rules',
+
+    createModel: function (rules, attrs) {
+        var TestModel = Y.Base.create('testModel', Y.Model, [Y.Model.Validation], {}, {
+                ATTRS: {
+                    foo: {rules: rules}
+                }
+            });
+
+        return new TestModel(attrs);
+    },
+
+    validate: function (model) {
+        var result;
+
+        model.validate(model.toJSON(), function (errors) {
+            result = errors;
+        });
+
+        return result;
+    },
+
+    'validate() should call the callback with no arguments when all rules pass': function () {
+        var model = this.createModel({required: true, type: 'string'}, {foo: 'bar'}),
+            calls = 0;
+
+        model.validate(model.toJSON(), function () {
+            calls += 1;
+            Assert.areSame(0, arguments.length);
+        });
+
+        Assert.areSame(1, calls);
+    },
+
+    '`required` should fail for empty values': function () {
+        var model = this.createModel({required: true});
+
+        Y.Array.each([undefined, null, ''], function (value) {
+            model.set('foo', value);
+            ObjectAssert.areEqual({foo: 'required'}, failedRules(this.validate(model)));
+        }, this);
+
+        model.set('foo', 0);
+        Assert.isUndefined(this.validate(model));
+    },
+
+    'rules other than `required` should be skipped for empty values': function () {
+        var model = this.createModel({type: 'number', minLength: 3, pattern: /x/});
+
+        Assert.isUndefined(this.validate(model));
+    },
+
+    '`type` should check the type of the value': function () {
+        var model = this.createModel({type: 'number', min: 5});
+
+        model.set('foo', '10');
+        ObjectAssert.areEqual({foo: 'type'}, failedRules(this.validate(model)),
+                'other rules should not be checked when the type is wrong');
+
+        model.set('foo', 10);
+        Assert.isUndefined(this.validate(model));
+    },
+
+    '`min` and `max` should check the value': function () {
+        var model = this.createModel({min: 1, max: 3});
+
+        model.set('foo', 0);
+        ObjectAssert.areEqual({foo: 'min'}, failedRules(this.validate(model)));
+
+        model.set('foo', 4);
+        ObjectAssert.areEqual({foo: 'max'}, failedRules(this.validate(model)));
+
+        model.set('foo', 3);
+        Assert.isUndefined(this.validate(model));
+    },
+
+    '`minLength` and `maxLength` should check the length of the value': function () {
+        var model = this.createModel({minLength: 2, maxLength: 3});
+
+        model.set('foo', 'a');
+        ObjectAssert.areEqual({foo: 'minLength'}, failedRules(this.validate(model)));
+
+        model.set('foo', ['a', 'b', 'c', 'd']);
+        ObjectAssert.areEqual({foo: 'maxLength'}, failedRules(this.validate(model)));
+
+        model.set('foo', 'abc');
+        Assert.isUndefined(this.validate(model));
+    },
+
+    '`pattern` should check the value against a regex': function () {
+        var model = this.createModel({pattern: /^\d+$/});
+
+        model.set('foo', 'abc');
+        ObjectAssert.areEqual({foo: 'pattern'}, failedRules(this.validate(model)));
+
+        model.set('foo', 123);
+        Assert.isUndefined(this.validate(model));
+    },
+
+    '`oneOf` should check the value against a list of allowed values': function () {
+        var model = this.createModel({oneOf: ['a', 'b']});
+
+        model.set('foo', 'c');
+        ObjectAssert.areEqual({foo: 'oneOf'}, failedRules(this.validate(model)));
+
+        model.set('foo', 'b');
+        Assert.isUndefined(this.validate(model));
+    },
+
+    'all failing rules should be reported': function () {
+        var model = this.createModel({minLength: 5, pattern: /^\d+$/}, {foo: 'abc'});
+
+        ObjectAssert.areEqual({foo: 'minLength,pattern'}, failedRules(this.validate(model)));
+    },
+
+    'error messages should be generated from templates': function () {
+        var model  = this.createModel({min: 10}, {foo: 5}),
+            errors = this.validate(model);
+
+        Assert.areSame('Must be at least 10.', errors.foo[0].message);
+    },
+
+    'error messages should be customizable per attribute': function () {
+        var model  = this.createModel({min: 10, messages: {min: 'Too small: {min}'}}, {foo: 5}),
+            errors = this.validate(model);
+
+        Assert.areSame('Too small: 10', errors.foo[0].message);
+    }
+}));
+
+// -- Model.Validation: Custom Validators --------------------------------------
+validationSuite.add(new Y.Test.Case({
+    name: 'Custom Validators',
+
+    createModel: function (custom, attrs) {
+        var TestModel = Y.Base.create('testModel', Y.Model, [Y.Model.Validation], {}, {
+                ATTRS: {
+                    foo: {rules: {minLength: 2, custom: custom}},
+                    bar: {rules: {required: true}}
+                }
+            });
+
+        return new TestModel(attrs);
+    },
+
+    'custom validators should receive the value, all attributes, and a callback': function () {
+        var model = this.createModel(function (value, attrs, callback) {
+                Assert.areSame(model, this);
+                Assert.areSame('abc', value);
+                Assert.areSame('baz', attrs.bar);
+                callback();
+            }, {foo: 'abc', bar: 'baz'}),
+
+            called = false;
+
+        model.validate(model.toJSON(), function (errors) {
+            called = true;
+            Assert.isUndefined(errors);
+        });
+
+        Assert.isTrue(called);
+    },
+
+    'custom validator errors should be aggregated with other errors': function () {
+        var model = this.createModel(function (value, attrs, callback) {
+                callback('Taken.');
+            }, {foo: 'abc'}),
+
+            result;
+
+        model.validate(model.toJSON(), function (errors) {
+            result = errors;
+        });
+
+        ObjectAssert.areEqual({foo: 'custom', bar: 'required'}, failedRules(result));
+        Assert.areSame('Taken.', result.foo[0].message);
+    },
+
+    'custom validators should not be called if other rules fail': function () {
+        var model = this.createModel(function () {
+                Assert.fail('custom validator should not be called');
+            }, {foo: 'a', bar: 'baz'});
+
+        model.validate(model.toJSON(), function () {});
+    },
+
+    'the callback should wait for asynchronous custom validators': function () {
+        var test  = this,
+            model = this.createModel(function (value, attrs, callback) {
+                setTimeout(function () {
+                    callback({message: 'Nope.'});
+                }, 10);
+            }, {foo: 'abc', bar: 'baz'});
+
+        model.validate(model.toJSON(), function (errors) {
+            test.resume(function () {
+                ObjectAssert.areEqual({foo: 'custom'}, failedRules(errors));
+                Assert.areSame('Nope.', errors.foo[0].message);
+            });
+        });
+
+        this.wait(1000);
+    }
+}));
+
+// -- Model.Validation: Saving -------------------------------------------------
+validationSuite.add(new Y.Test.Case({
+    name: 'Saving',
+
+    setUp: function () {
+        this.TestModel = Y.Base.create('testModel', Y.Model, [Y.Model.Validation], {}, {
+            ATTRS: {
+                name : {rules: {required: true}},
+                email: {rules: {required: true, pattern: /@/}},
+                age  : {lazyAdd: true, rules: {type: 'number'}}
+            }
+        });
+    },
+
+    tearDown: function () {
+        delete this.TestModel;
+    },
+
+    'save() should fire an `error` event listing every failing attribute': function () {
+        var model = new this.TestModel({email: 'nope', age: 'old'}),
+            calls = 0,
+            saved = false;
+
+        model.sync = function (action, options, callback) {
+            saved = true;
+            callback();
+        };
+
+        model.on('error', function (e) {
+            calls += 1;
+
+            Assert.areSame('validate', e.src);
+            ObjectAssert.areEqual({
+                name : 'required',
+                email: 'pattern',
+                age  : 'type'
+            }, failedRules(e.error));
+        });
+
+        model.save(function (err) {
+            ArrayAssert.itemsAreSame(['name', 'email', 'age'], Y.Object.keys(err));
+        });
+
+        Assert.areSame(1, calls);
+        Assert.isFalse(saved);
+    },
+
+    'save() should succeed when all rules pass': function () {
+        var model = new this.TestModel({name: 'Eric', email: 'eric@example.com'}),
+            saved = false;
+
+        model.sync = function (action, options, callback) {
+            saved = true;
+            callback();
+        };
+
+        model.on('error', function () {
+            Assert.fail('`error` should not be fired');
+        });
+
+        model.save();
+
+        Assert.isTrue(saved);
+    }
+}));
+
+suite.add(validationSuite);
+
+}, '@VERSION@', {
+    requires: ['model-validation', 'test']
+});
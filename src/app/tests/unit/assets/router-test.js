@@ -404,6 +404,104 @@ routerSuite.add(new Y.Test.Case({
         Assert.areSame('foo', router.get('routes')[0].name);
     },
 
+    'route() should register routes with a `name`': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'user', path: '/users/:id'}, function () {});
+
+        Assert.areSame('/users/:id', router._namedRoutes.user.path);
+        ArrayAssert.itemsAreSame(['id'], router._namedRoutes.user.keys);
+
+        router.set('routes', []);
+        ObjectAssert.ownsNoKeys(router._namedRoutes);
+    },
+
+    'generateURL() should substitute and encode named params': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'user', path: '/users/:id'});
+        router.route({name: 'photo', path: '/users/:user/photos/:photo'});
+        router.route({name: 'file', path: '/files/*path'});
+
+        Assert.areSame('/users/42', router.generateURL('user', {id: 42}));
+        Assert.areSame('/users/Eric%20F', router.generateURL('user', {id: 'Eric F'}));
+        Assert.areSame('/users/a%2Fb', router.generateURL('user', {id: 'a/b'}));
+        Assert.areSame('/users/eric/photos/1', router.generateURL('photo', {user: 'eric', photo: 1}));
+        Assert.areSame('/files/docs/read%20me.txt', router.generateURL('file', {path: 'docs/read me.txt'}));
+    },
+
+    'generateURL() should append a query string': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'user', path: '/users/:id'});
+
+        Assert.areSame('/users/1?tab=photos', router.generateURL('user', {id: 1}, {tab: 'photos'}));
+        Assert.areSame('/users/1?tab=photos', router.generateURL('user', {id: 1}, '?tab=photos'));
+        Assert.areSame('/users/1?q=a%20b', router.generateURL('user', {id: 1}, {q: 'a b'}));
+        Assert.areSame('/users/1', router.generateURL('user', {id: 1}, {}));
+    },
+
+    'generateURL() should include the `root`': function () {
+        var router = this.router = new Y.Router({root: '/app/'});
+
+        router.route({name: 'user', path: '/users/:id'});
+
+        Assert.areSame('/app/users/1', router.generateURL('user', {id: 1}));
+    },
+
+    'generateURL() should use the last route with a given name': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'user', path: '/users/:id'});
+        router.route({name: 'user', path: '/people/:id'});
+
+        Assert.areSame('/people/1', router.generateURL('user', {id: 1}));
+    },
+
+    'generateURL() should error when a route is not found': function () {
+        var router = this.router = new Y.Router();
+
+        Assert.throwsError('Router: Route not found: user', function () {
+            router.generateURL('user', {id: 1});
+        });
+    },
+
+    'generateURL() should error when a required param is missing': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'user', path: '/users/:id'});
+
+        Assert.throwsError('Router: Missing required param "id" for route: user', function () {
+            router.generateURL('user', {});
+        });
+
+        Assert.throwsError('Router: Missing required param "id" for route: user', function () {
+            router.generateURL('user', {id: ''});
+        });
+    },
+
+    'generateURL() should error for routes with regex paths': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'user', path: /^\/users\/(\d+)$/});
+
+        Assert.throwsError('Router: Cannot generate a URL for a route without a string path: user', function () {
+            router.generateURL('user', {});
+        });
+    },
+
+    'generateURL() should error when a param does not match its constraint': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({name: 'post', path: '/posts/:id(\\d+)'});
+
+        Assert.areSame('/posts/42', router.generateURL('post', {id: 42}));
+
+        Assert.throwsError('Router: Param "id" does not match "\\d+" for route: post', function () {
+            router.generateURL('post', {id: 'new'});
+        });
+    },
+
     'param() should add a param': function () {
         var router = this.router = new Y.Router();
 
@@ -765,6 +863,51 @@ routerSuite.add(new Y.Test.Case({
         this.wait(1000);
     },
 
+    'setQuery() should merge params into the current query': function () {
+        var router = this.router = new Y.Router(),
+            saved;
+
+        router._getPath = function () {
+            return '/issues';
+        };
+
+        router._getQuery = function () {
+            return 'page=2&sort=date';
+        };
+
+        router.save = function (url) {
+            saved = url;
+            return this;
+        };
+
+        Assert.areSame(router, router.setQuery({filter: {status: 'open'}, page: null}));
+        Assert.areSame('/issues?sort=date&filter[status]=open', saved);
+
+        router.setQuery({page: undefined, sort: undefined});
+        Assert.areSame('/issues', saved);
+    },
+
+    'setQuery() should replace the current history entry when `replace` is `true`': function () {
+        var router = this.router = new Y.Router(),
+            replaced;
+
+        router._getPath = function () {
+            return '/issues';
+        };
+
+        router._getQuery = function () {
+            return '';
+        };
+
+        router.replace = function (url) {
+            replaced = url;
+            return this;
+        };
+
+        router.setQuery({tags: ['bug', 'ui']}, {replace: true});
+        Assert.areSame('/issues?tags[]=bug&tags[]=ui', replaced);
+    },
+
     'save() should create a new history entry': function () {
         var test   = this,
             router = this.router = new Y.Router();
@@ -970,6 +1113,59 @@ routerSuite.add(new Y.Test.Case({
         Assert.areSame('/foo/foo/bar', router._joinURL('foo/bar'));
     },
 
+    '_parseQuery() should parse arrays and nested params': function () {
+        var router = this.router = new Y.Router(),
+            query  = router._parseQuery('a[]=1&a[]=2&filter[status]=open&filter[tags][]=007&q=a+b');
+
+        Assert.areSame('1,2', query.a.join(','));
+        Assert.areSame('open', query.filter.status);
+        Assert.areSame('007', query.filter.tags.join(','));
+        Assert.areSame('a b', query.q);
+
+        Assert.isString(query.a[0], 'Numeric values should stay strings.');
+        ObjectAssert.ownsNoKeys(router._parseQuery(''));
+    },
+
+    '_parseQuery() should keep the last value of repeated plain params': function () {
+        var router = this.router = new Y.Router(),
+            query  = router._parseQuery('b=x&b=y&a[]=1&b=z');
+
+        Assert.areSame('z', query.b);
+        Assert.areSame('1', query.a.join(','));
+    },
+
+    '_parseQuery() should not trim the values of plain params': function () {
+        var router = this.router = new Y.Router(),
+            query  = router._parseQuery('q=%20foo%20&r=+bar+&s=');
+
+        Assert.areSame(' foo ', query.q);
+        Assert.areSame(' bar ', query.r);
+        Assert.areSame('', query.s);
+    },
+
+    '_stringifyQuery() should serialize arrays and nested params so they round-trip': function () {
+        var router = this.router = new Y.Router(),
+            str    = router._stringifyQuery({a: ['1'], filter: {status: 'open'}, q: 'a b'}),
+            query  = router._parseQuery(str);
+
+        Assert.areSame('a[]=1&filter[status]=open&q=a%20b', str);
+        Assert.areSame('1', query.a.join(','));
+        Assert.isArray(query.a);
+        Assert.areSame('open', query.filter.status);
+        Assert.areSame('a b', query.q);
+    },
+
+    '_stringifyQuery() should encode brackets in keys and values so they round-trip': function () {
+        var router = this.router = new Y.Router(),
+            str    = router._stringifyQuery({'a[b]': 'x', c: ['[d]']}),
+            query  = router._parseQuery(str);
+
+        Assert.areSame('a%5Bb%5D=x&c[]=%5Bd%5D', str);
+        Assert.areSame('x', query['a[b]']);
+        Assert.isUndefined(query.a);
+        Assert.areSame('[d]', query.c[0]);
+    },
+
     '_dispatch() should pass `src` through to request object passed to route handlers': function () {
         var router = this.router = new Y.Router(),
             src    = 'API';
@@ -984,6 +1180,49 @@ routerSuite.add(new Y.Test.Case({
         }, {});
     },
 
+    '_dispatch() should call the `callback` once the route handlers are exhausted': function () {
+        var router = this.router = new Y.Router(),
+            calls  = [];
+
+        router.route('/foo', function (req, res, next) {
+            calls.push('foo');
+            next();
+        });
+
+        router._dispatch({path: '/foo'}, {}, function (err) {
+            calls.push(err);
+        });
+
+        router._dispatch({path: '/bar'}, {}, function (err) {
+            calls.push(err);
+        });
+
+        ArrayAssert.itemsAreSame(['foo', undefined, undefined], calls);
+    },
+
+    '_dispatch() should pass route errors and cancellations to the `callback`': function () {
+        var router = this.router = new Y.Router(),
+            errors = [];
+
+        router.route('/error', function (req, res, next) {
+            next('Oops!');
+        });
+
+        router.route({path: '/guarded', beforeEnter: function () { return false; }});
+
+        router._dispatch({path: '/error'}, {}, function (err) {
+            errors.push(err);
+        });
+
+        router._dispatch({path: '/guarded'}, {}, function (err) {
+            errors.push(err);
+        });
+
+        Assert.areSame(2, errors.length);
+        Assert.areSame('Oops!', errors[0]);
+        Assert.areSame('Router: Navigation cancelled by a beforeEnter guard: /guarded', errors[1]);
+    },
+
     '_getRegex() should return regexes that do not match too much' : function() {
         var router = this.router = new Y.Router(),
             check = function(path, url) {
@@ -1547,6 +1786,33 @@ routerSuite.add(new Y.Test.Case({
         Assert.areSame(2, calls);
     },
 
+    'route params with a constraint should only match values matching the constraint': function () {
+        var calls  = [],
+            router = this.router = new Y.Router();
+
+        router.route('/posts/:id(\\d+)', function (req) {
+            calls.push('post:' + req.params.id);
+        });
+
+        router.route('/posts/:slug([a-z\\-]+)/:page(\\d+|last)', function (req) {
+            calls.push('slug:' + req.params.slug + ':' + req.params.page);
+        });
+
+        router.route('/files/*path(.+\\.js)', function (req) {
+            calls.push('js:' + req.params.path);
+        });
+
+        router._dispatch({path: '/posts/42'}, {});
+        router._dispatch({path: '/posts/new'}, {});
+        router._dispatch({path: '/posts/hello-world/last'}, {});
+        router._dispatch({path: '/posts/hello-world/first'}, {});
+        router._dispatch({path: '/files/lib/app.js'}, {});
+        router._dispatch({path: '/files/lib/app.css'}, {});
+
+        Assert.areSame('post:42,slug:hello-world:last,js:lib/app.js', calls.join(','));
+        ArrayAssert.itemsAreSame(['slug', 'page'], router.match('/posts/a/1')[0].keys);
+    },
+
     'request object should contain a `pendingRoutes` property': function () {
         var calls  = 0,
             router = this.router = new Y.Router();
@@ -1733,8 +1999,393 @@ routerSuite.add(new Y.Test.Case({
     }
 }));
 
+// -- Router: Guards -------------------------------------------------------
+routerSuite.add(new Y.Test.Case({
+    name: 'Guards',
+
+    tearDown: function () {
+        if (this.router) {
+            this.router.destroy();
+        }
+
+        delete this.router;
+    },
+
+    'a `beforeEnter` guard returning `false` should cancel the navigation': function () {
+        var router = this.router = new Y.Router(),
+            calls  = 0,
+            route, cancel;
+
+        router.route({
+            path       : '/users/:id',
+            beforeEnter: function (req) { return req.params.id !== 'nobody'; }
+        }, function () {
+            calls += 1;
+        });
+
+        route = router.match('/users/1')[0];
+
+        router.on('cancel', function (e) {
+            cancel = e;
+        });
+
+        router._dispatch({path: '/users/1'}, {});
+        Assert.areSame(1, calls);
+        Assert.isUndefined(cancel);
+
+        router._dispatch({path: '/users/nobody', src: 'test', url: '/users/nobody'}, {});
+        Assert.areSame(1, calls);
+        Assert.areSame('beforeEnter', cancel.guard);
+        Assert.areSame(route, cancel.route);
+        Assert.areSame('/users/nobody', cancel.req.path);
+        Assert.areSame('test', cancel.src);
+        Assert.areSame('/users/nobody', cancel.url);
+    },
+
+    '`beforeEnter` guards should receive the params and be called in the context of the router': function () {
+        var router = this.router = new Y.Router(),
+            calls  = 0;
+
+        router.checkUser = function (req, route) {
+            calls += 1;
+
+            Assert.areSame(router, this);
+            Assert.areSame('42', req.params.id);
+            Assert.areSame(route, req.route);
+            Assert.areSame('/users/:id', route.path);
+
+            req.user = 'Eric';
+        };
+
+        router.route({path: '/users/:id', beforeEnter: 'checkUser'}, function (req) {
+            Assert.areSame('Eric', req.user);
+        });
+
+        router._dispatch({path: '/users/42'}, {});
+        router._dispatch({path: '/users/42'}, {});
+
+        Assert.areSame(2, calls, '`beforeEnter` guards should run on every dispatch.');
+    },
+
+    '`beforeEnter` guards should not run when a param handler rejects the route': function () {
+        var router = this.router = new Y.Router(),
+            calls  = 0;
+
+        router.param('id', /^\d+$/);
+
+        router.route({
+            path       : '/users/:id',
+            beforeEnter: function () { calls += 1; }
+        });
+
+        router._dispatch({path: '/users/eric'}, {});
+        Assert.areSame(0, calls);
+    },
+
+    '`beforeLeave` guards should run when navigating to a different path': function () {
+        var router = this.router = new Y.Router(),
+            dirty  = false,
+            calls  = [],
+            left;
+
+        router.route({
+            path       : '/edit',
+            beforeLeave: function (req, route) {
+                left = req;
+
+                Assert.areSame(router, this);
+                Assert.areSame('/edit', route.path);
+
+                return !dirty;
+            }
+        }, function () {
+            calls.push('edit');
+        });
+
+        router.route('/list', function () {
+            calls.push('list');
+        });
+
+        router._dispatch({path: '/edit'}, {});
+        router._dispatch({path: '/edit', query: {a: '1'}}, {});
+        Assert.isUndefined(left, '`beforeLeave` should not run for the same path.');
+
+        dirty = true;
+        router._dispatch({path: '/list'}, {});
+        Assert.areSame('/list', left.path);
+        Assert.areSame('edit,edit', calls.join(','));
+
+        dirty = false;
+        router._dispatch({path: '/list'}, {});
+        router._dispatch({path: '/edit'}, {});
+        Assert.areSame('edit,edit,list,edit', calls.join(','));
+    },
+
+    'guards should throw an error when a named guard does not exist': function () {
+        var router = this.router = new Y.Router();
+
+        router.route({path: '/foo', beforeEnter: 'missing'});
+
+        Assert.throwsError('Router: Guard not found: missing', function () {
+            router._dispatch({path: '/foo'}, {});
+        });
+    },
+
+    'dispatching should wait on promises returned by guards': function () {
+        var test   = this,
+            router = this.router = new Y.Router(),
+            calls  = 0,
+            resolveEnter;
+
+        router.route({
+            path       : '/foo',
+            beforeEnter: function () {
+                return new Y.Promise(function (resolve) {
+                    resolveEnter = resolve;
+                });
+            }
+        }, function () {
+            calls += 1;
+        });
+
+        router._dispatch({path: '/foo'}, {});
+
+        Assert.areSame(0, calls);
+        Assert.isObject(router._pendingRequest);
+        Assert.isFalse(router._dispatching, 'Pending guards should not hold up queued saves.');
+
+        resolveEnter();
+
+        test.wait(function () {
+            Assert.areSame(1, calls);
+            Assert.isFalse(router._dispatching);
+        }, 50);
+    },
+
+    'a rejected guard promise should cancel the navigation': function () {
+        var test   = this,
+            router = this.router = new Y.Router(),
+            calls  = 0;
+
+        router.route({
+            path       : '/foo',
+            beforeEnter: function () {
+                return Y.Promise.reject('Nope');
+            }
+        }, function () {
+            calls += 1;
+        });
+
+        router.on('cancel', function (e) {
+            test.resume(function () {
+                Assert.areSame(0, calls);
+                Assert.areSame('Nope', e.error);
+                Assert.areSame('beforeEnter', e.guard);
+            });
+        });
+
+        router._dispatch({path: '/foo'}, {});
+        test.wait(500);
+    },
+
+    'queued saves should go ahead while a guard promise is pending': function () {
+        var router = this.router = new Y.Router({html5: false}),
+            saved  = [];
+
+        router._save = function (url) {
+            saved.push(url);
+        };
+
+        router.route({
+            path       : '/foo',
+            beforeEnter: function () {
+                return new Y.Promise(function () {});
+            }
+        });
+
+        router._dispatch({path: '/foo'}, {});
+        router._queue('/bar');
+
+        Assert.areSame('/bar', saved.join(','));
+    },
+
+    'a rejected guard promise should restore the previous URL': function () {
+        var test   = this,
+            router = this.router = new Y.Router(),
+            saved  = [];
+
+        router._getURL = function () {
+            return 'http://example.com/foo';
+        };
+
+        router._save = function (url, replace) {
+            saved.push([url, replace]);
+        };
+
+        router.route('/edit', function () {});
+        router.route({
+            path       : '/foo',
+            beforeEnter: function () {
+                return Y.Promise.reject(new Error('Nope'));
+            }
+        });
+
+        router._dispatch({path: '/edit', url: 'http://example.com/edit'}, {});
+        router._dispatch({path: '/foo', url: 'http://example.com/foo'}, {}, function (err) {
+            test.resume(function () {
+                Assert.areSame('Nope', err.message);
+                Assert.areSame(1, saved.length);
+                Assert.areSame('http://example.com/edit', saved[0][0]);
+                Assert.isTrue(saved[0][1]);
+            });
+        });
+
+        test.wait(500);
+    },
+
+    'a newer request should replace one with pending guards': function () {
+        var test   = this,
+            router = this.router = new Y.Router(),
+            calls  = [];
+
+        router.route({
+            path       : '/slow',
+            beforeEnter: function () { return Y.Promise.resolve(); }
+        }, function () {
+            calls.push('slow');
+        });
+
+        router.route('/fast', function () {
+            calls.push('fast');
+        });
+
+        router._dispatch({path: '/slow'}, {});
+        router._dispatch({path: '/fast'}, {});
+
+        test.wait(function () {
+            Assert.areSame('fast', calls.join(','));
+        }, 50);
+    },
+
+    'cancelling a navigation should restore the previous URL': function () {
+        var router = this.router = new Y.Router(),
+            saved  = [];
+
+        router._getURL = function () {
+            return 'http://example.com/popped';
+        };
+
+        router._save = function (url, replace) {
+            saved.push([url, replace]);
+        };
+
+        router.route({path: '/edit', beforeLeave: function () { return false; }});
+        router.route('/popped', function () {});
+
+        router._dispatch({path: '/edit', url: 'http://example.com/edit'}, {});
+        router._dispatch({path: '/popped', src: 'popstate', url: 'http://example.com/popped'}, {});
+
+        Assert.areSame(1, saved.length);
+        Assert.areSame('http://example.com/edit', saved[0][0]);
+        Assert.isTrue(saved[0][1]);
+        Assert.areSame('http://example.com/edit', router._restoreURL);
+    },
+
+    'preventing the `cancel` event should not restore the URL': function () {
+        var router = this.router = new Y.Router(),
+            saved  = 0;
+
+        router._save = function () {
+            saved += 1;
+        };
+
+        router.route({path: '/edit', beforeLeave: function () { return false; }});
+
+        router.on('cancel', function (e) {
+            e.preventDefault();
+        });
+
+        router._dispatch({path: '/edit', url: 'http://example.com/edit'}, {});
+        router._dispatch({path: '/other', url: 'http://example.com/other'}, {});
+
+        Assert.areSame(0, saved);
+    },
+
+    'the URL should not be restored once a newer navigation has replaced it': function () {
+        var router = this.router = new Y.Router(),
+            saved  = 0;
+
+        router._getURL = function () {
+            return 'http://example.com/newer';
+        };
+
+        router._save = function () {
+            saved += 1;
+        };
+
+        router._defCancelFn({
+            prevURL: 'http://example.com/edit',
+            url    : 'http://example.com/cancelled'
+        });
+
+        Assert.areSame(0, saved);
+        Assert.isUndefined(router._restoreURL);
+    },
+
+    'with hash-based history, a navigation that lands before the restore should be dispatched once': function () {
+        var router = this.router = new Y.Router({html5: false}),
+            url    = 'http://example.com/#/newer',
+            calls  = 0;
+
+        router._ready = true;
+
+        router._getURL = function () {
+            return url;
+        };
+
+        router.route('*', function () {
+            calls += 1;
+        });
+
+        router._restoreURL = 'http://example.com/#/edit';
+
+        // The restore's hash change, then the newer navigation's, which both
+        // read the newer hash.
+        router._afterHistoryChange({oldHash: '#/cancelled', newHash: '#/newer'});
+        router._afterHistoryChange({oldHash: '#/newer', newHash: '#/newer'});
+
+        Assert.areSame(1, calls);
+        Assert.isNull(router._restoreURL);
+
+        url = 'http://example.com/#/edit';
+        router._afterHistoryChange({oldHash: '#/newer', newHash: '#/edit'});
+
+        Assert.areSame(2, calls);
+    },
+
+    'the history change which restores the URL should not be dispatched': function () {
+        var router = this.router = new Y.Router(),
+            calls  = 0;
+
+        router._ready = true;
+
+        router.route('*', function () {
+            calls += 1;
+        });
+
+        router._restoreURL = router._getURL();
+        router._afterHistoryChange({src: 'replace'});
+
+        Assert.areSame(0, calls);
+        Assert.isNull(router._restoreURL);
+
+        router._afterHistoryChange({src: 'replace'});
+        Assert.areSame(1, calls);
+    }
+}));
+
 suite.add(routerSuite);
 
 }, '@VERSION@', {
-    requires: ['router', 'test']
+    requires: ['router', 'promise', 'test']
 });
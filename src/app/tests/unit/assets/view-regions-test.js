@@ -0,0 +1,284 @@
+YUI.add('view-regions-test', function (Y) {
+
+var Assert = Y.Assert,
+
+    suite,
+    regionsSuite,
+    ChildView,
+    PageView;
+
+suite        = Y.AppTestSuite || (Y.AppTestSuite = new Y.Test.Suite('App'));
+regionsSuite = new Y.Test.Suite('View.Regions');
+
+ChildView = Y.Base.create('childView', Y.View, [], {
+    events: {
+        button: {click: 'onClick'}
+    },
+
+    onClick: function () {
+        this.fire('press');
+    },
+
+    render: function () {
+        this.renderCount = (this.renderCount || 0) + 1;
+        this.get('container').setHTML('<button>Press</button>');
+        return this;
+    }
+});
+
+PageView = Y.Base.create('pageView', Y.View, [Y.View.Regions], {
+    regions: {
+        main   : '.main',
+        sidebar: '.sidebar'
+    },
+
+    render: function () {
+        this.get('container').setHTML(
+            '<div class="sidebar"></div><div class="main"></div>'
+        );
+
+        return this;
+    }
+});
+
+// -- Lifecycle ----------------------------------------------------------------
+regionsSuite.add(new Y.Test.Case({
+    name: 'Lifecycle',
+
+    tearDown: function () {
+        this.view && this.view.destroy({remove: true});
+        delete this.view;
+    },
+
+    'regions passed to the constructor should be merged into `regions`': function () {
+        var view = this.view = new PageView({regions: {footer: '.footer'}});
+
+        Assert.areSame('.main', view.regions.main);
+        Assert.areSame('.footer', view.regions.footer);
+        Assert.isUndefined(PageView.prototype.regions.footer, 'The prototype should not be modified.');
+        Assert.isFalse(view.attrAdded('regions'), '`regions` should not be an attribute.');
+    },
+
+    'destroying the parent view should destroy its child views': function () {
+        var view  = this.view = new PageView().render(),
+            child = new ChildView(),
+            other = new ChildView();
+
+        view.setView('main', child).setView('sidebar', other);
+        view.destroy({remove: true});
+
+        Assert.isTrue(child.get('destroyed'));
+        Assert.isTrue(other.get('destroyed'));
+        Assert.isNull(view.getView('main'));
+        Assert.areSame(0, child.getTargets().length, 'The parent should not be a bubble target.');
+
+        delete this.view;
+    },
+
+    'destroying the parent view should detach child view DOM events': function () {
+        var view  = this.view = new PageView().render(),
+            child = new ChildView(),
+            calls = 0,
+            button;
+
+        child.on('press', function () {
+            calls += 1;
+        });
+
+        view.setView('main', child);
+
+        button = child.get('container').one('button');
+        button.simulate('click');
+        Assert.areSame(1, calls);
+
+        view.destroy();
+
+        button.simulate('click');
+        Assert.areSame(1, calls, 'Child view DOM events should be detached.');
+
+        delete this.view;
+    }
+}));
+
+// -- Methods ------------------------------------------------------------------
+regionsSuite.add(new Y.Test.Case({
+    name: 'Methods',
+
+    setUp: function () {
+        this.view = new PageView().render();
+        Y.one('#test').append(this.view.get('container'));
+    },
+
+    tearDown: function () {
+        this.view.destroy({remove: true});
+        delete this.view;
+    },
+
+    'getRegion() should return the region node': function () {
+        var view = this.view;
+
+        Assert.areSame(view.get('container').one('.main'), view.getRegion('main'));
+    },
+
+    'getRegion() should return `null` when the region node is not rendered': function () {
+        var view = new PageView();
+
+        Assert.isNull(view.getRegion('main'));
+
+        view.destroy();
+    },
+
+    'getRegion() should throw an error for unknown regions': function () {
+        var view = this.view;
+
+        Assert.throwsError('View: Region not found: foo', function () {
+            view.getRegion('foo');
+        });
+    },
+
+    'setView() should render the child view and append it to the region': function () {
+        var view  = this.view,
+            child = new ChildView();
+
+        Assert.areSame(view, view.setView('main', child));
+        Assert.areSame(child, view.getView('main'));
+        Assert.areSame(1, child.renderCount);
+        Assert.isTrue(view.getRegion('main').contains(child.get('container')));
+    },
+
+    'setView() should not render the child view when `options.render` is `false`': function () {
+        var child = new ChildView();
+
+        this.view.setView('main', child, {render: false});
+
+        Assert.isUndefined(child.renderCount);
+        Assert.isTrue(this.view.getRegion('main').contains(child.get('container')));
+    },
+
+    'setView() should throw an error for unknown regions': function () {
+        var view = this.view;
+
+        Assert.throwsError('View: Region not found: foo', function () {
+            view.setView('foo', new ChildView());
+        });
+    },
+
+    'setView() should replace and destroy the current child view': function () {
+        var view  = this.view,
+            old   = new ChildView(),
+            child = new ChildView();
+
+        view.setView('main', old).setView('main', child);
+
+        Assert.isTrue(old.get('destroyed'));
+        Assert.areSame(child, view.getView('main'));
+        Assert.areSame(1, view.getRegion('main').get('children').size());
+    },
+
+    'setView() should preserve the current child view when `options.preserve` is `true`': function () {
+        var view  = this.view,
+            old   = new ChildView(),
+            child = new ChildView();
+
+        view.setView('main', old).setView('main', child, {preserve: true});
+
+        Assert.isFalse(old.get('destroyed'));
+        Assert.isNull(old.get('container').get('parentNode'));
+        Assert.areSame(0, old.getTargets().length);
+
+        old.destroy();
+    },
+
+    'setView() should do nothing when the view is already attached to the region': function () {
+        var child = new ChildView();
+
+        this.view.setView('main', child).setView('main', child);
+
+        Assert.areSame(1, child.renderCount);
+        Assert.isFalse(child.get('destroyed'));
+    },
+
+    'child views should be attached when the parent view is rendered': function () {
+        var view  = new PageView(),
+            child = new ChildView();
+
+        view.setView('main', child);
+        Assert.isNull(child.get('container').get('parentNode'));
+
+        view.render();
+        Assert.isTrue(view.getRegion('main').contains(child.get('container')));
+
+        // Re-rendering replaces the region nodes.
+        view.render();
+        Assert.isTrue(view.getRegion('main').contains(child.get('container')));
+        Assert.areSame(1, child.renderCount);
+
+        view.destroy();
+    },
+
+    'child view events should bubble to the parent view': function () {
+        var view  = this.view,
+            child = new ChildView(),
+            calls = 0;
+
+        view.on('childView:press', function (e) {
+            calls += 1;
+            Assert.areSame(child, e.target);
+        });
+
+        view.setView('main', child);
+        child.get('container').one('button').simulate('click');
+
+        Assert.areSame(1, calls);
+    },
+
+    'removeView() should destroy the child view and stop bubbling its events': function () {
+        var view  = this.view,
+            child = new ChildView(),
+            calls = 0;
+
+        view.on('childView:press', function () {
+            calls += 1;
+        });
+
+        view.setView('main', child);
+
+        Assert.areSame(view, view.removeView('main'));
+        Assert.isNull(view.getView('main'));
+        Assert.isTrue(child.get('destroyed'));
+        Assert.areSame(0, view.getRegion('main').get('children').size());
+
+        child.fire('press');
+        Assert.areSame(0, calls);
+    },
+
+    'removeView() should preserve the child view when `options.preserve` is `true`': function () {
+        var view  = this.view,
+            child = new ChildView();
+
+        view.setView('main', child).removeView('main', {preserve: true});
+
+        Assert.isNull(view.getView('main'));
+        Assert.isFalse(child.get('destroyed'));
+        Assert.areSame(0, view.getRegion('main').get('children').size());
+
+        child.destroy();
+    },
+
+    'destroying a child view should remove it from its region': function () {
+        var view  = this.view,
+            child = new ChildView();
+
+        view.setView('main', child);
+        child.destroy();
+
+        Assert.isNull(view.getView('main'));
+        Assert.areSame(0, child.getTargets().length);
+    }
+}));
+
+suite.add(regionsSuite);
+
+}, '@VERSION@', {
+    requires: ['view-regions', 'node-event-simulate', 'test']
+});
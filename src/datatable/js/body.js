@@ -156,6 +156,82 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
     **/
     //CLASS_ODD: null
 
+    /**
+    HTML template used to create the cells of group footer rows.
+
+    @property GROUP_FOOTER_CELL_TEMPLATE
+    @type {String}
+    @default '<td class="{className}">{content}</td>'
+    @since 3.19.0
+    **/
+    GROUP_FOOTER_CELL_TEMPLATE: '<td class="{className}">{content}</td>',
+
+    /**
+    HTML template used to create the rows following each group of rows that
+    contain the group's aggregate values.  See `groups`.
+
+    @property GROUP_FOOTER_TEMPLATE
+    @type {String}
+    @default '<tr class="{className}" data-yui3-group="{groupId}">{content}</tr>'
+    @since 3.19.0
+    **/
+    GROUP_FOOTER_TEMPLATE: '<tr class="{className}" data-yui3-group="{groupId}">{content}</tr>',
+
+    /**
+    HTML template used to create the header rows preceding each group of rows.
+    See `groups`.
+
+    @property GROUP_HEADER_TEMPLATE
+    @type {String}
+    @default (a row with a single cell spanning all columns containing a
+        toggle `<span>` and the {content})
+    @since 3.19.0
+    **/
+    GROUP_HEADER_TEMPLATE: '<tr class="{className}" data-yui3-group="{groupId}" aria-expanded="{expanded}">' +
+        '<td colspan="{colspan}" class="{cellClassName}">' +
+            '<span class="{toggleClassName}"></span>{content}' +
+        '</td>' +
+    '</tr>',
+
+    /**
+    The groups to render the rows in, or `null` to render the rows ungrouped.
+    This is assigned by the `datatable-group` module.
+
+    Each group is an object with the following properties:
+
+      * `id` - Unique identifier for the group.
+      * `key` - The column key the group's records share a value for.
+      * `value` - The shared value.
+      * `level` - The nesting depth of the group, starting at 0.
+      * `records` - Array of the Models in the group.
+      * `groups` - Array of nested groups, or `null`.
+      * `aggregates` - Object of aggregate values, keyed by column id.
+      * `collapsed` - `true` if the group's rows should not be rendered.
+
+    While grouped, the rows are only updated in response to changes in the
+    values of rendered Models.  For other changes to the `modelList`, the
+    owner of the groups is expected to update them and call `render()`.
+
+    @property groups
+    @type {Object[]}
+    @default null
+    @since 3.19.0
+    **/
+    //groups: null,
+
+    /**
+    Set to `true` by class extensions that add rows to the `<tbody>` that don't
+    represent Models, such as the detail rows of `datatable-expand`.  Row
+    indexes passed to `getRow()` are then resolved by the Model at that index
+    rather than by the position of the row.
+
+    @property interleavedRows
+    @type {Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    //interleavedRows: false,
+
     /**
     HTML template used to create table rows.
 
@@ -223,7 +299,7 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
 
         if (seed && tbody) {
             if (isArray(seed)) {
-                row = tbody.get('children').item(seed[0]);
+                row = this.getRow(seed[0]);
                 cell = row && row.get('children').item(seed[1]);
             } else if (seed._node) {
                 cell = seed.ancestor('.' + this.getClassName('cell'), true);
@@ -331,12 +407,28 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
             row = null;
 
         if (tbody) {
-            if (id) {
-                id = this._idMap[id.get ? id.get('clientId') : id] || id;
+            if ((this.groups || this.interleavedRows) && isNumber(id)) {
+                // Rows are interleaved with group or other rows, so find the
+                // row by its Model
+                id = this.get('modelList').item(id) || null;
+
+                if (!id) {
+                    return null;
+                }
+            }
+
+            if (id && id.get) {
+                id = this._idMap[id.get('clientId')];
+
+                if (!id) {
+                    return null;
+                }
+            } else if (id) {
+                id = this._idMap[id] || id;
             }
 
             row = isNumber(id) ?
-                tbody.get('children').item(id) :
+                tbody.get('children').item(id - this._getRowOffset()) :
                 tbody.one('#' + id);
         }
 
@@ -437,11 +529,19 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
             data    = this.get('modelList'),
             displayCols = this.get('columns'),
             tbody   = this.tbodyNode ||
-                      (this.tbodyNode = this._createTBodyNode());
+                      (this.tbodyNode = this._createTBodyNode()),
+            range;
 
         // Needed for mutation
         this._createRowTemplate(displayCols);
 
+        if (data && this._renderRange) {
+            // Data may have been removed since the range was set
+            range = this._renderRange;
+            range.end   = Math.min(range.end, data.size());
+            range.start = Math.min(range.start, range.end);
+        }
+
         if (data) {
             tbody.setHTML(this._createDataHTML(displayCols));
 
@@ -500,10 +600,12 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
      @chainable
      */
     refreshCell: function (cell, model, col) {
-        var content,
+        var host = this.host || this,
+            content,
             formatterFn,
             formatterData,
-            data = model.toJSON();
+            data,
+            keep;
 
         cell = this.getCell(cell);
         /* jshint -W030 */
@@ -511,6 +613,8 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
         col || (col = this.getColumn(cell));
         /* jshint +W030 */
 
+        data = model.toJSON();
+
         if (col.nodeFormatter) {
             formatterData = {
                 cell: cell.one('.' + this.getClassName('liner')) || cell,
@@ -522,6 +626,9 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
                 value: data[col.key]
             };
 
+            // nodeFormatters expect to populate an empty cell
+            formatterData.cell.setHTML('');
+
             keep = col.nodeFormatter.call(host,formatterData);
 
             if (keep === false) {
@@ -533,6 +640,8 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
                 cell.destroy(true);
             }
 
+            return this;
+
         } else if (col.formatter) {
             if (!col._formatterFn) {
                 col = this._setColumnsFormatterFn([col])[0];
@@ -565,7 +674,11 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
             }
 
         } else {
-            content = data[col.key] || col.emptyCellValue || '';
+            content = data[col.key];
+
+            if (content === undefined || content === null || content === '') {
+                content = col.emptyCellValue || '';
+            }
         }
 
         cell.setHTML(col.allowHTML ? content : Y.Escape.html(content));
@@ -604,6 +717,104 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
         return col;
     },
 
+    /**
+    Limits the rendered rows to the Models in the `modelList` from index
+    `start` up to, but not including, index `end`.  Rows already in the
+    `<tbody>` that are still within the new range are left in place; rows
+    that fall outside of it are removed, and rows for newly included Models
+    are created.
+
+    Row indexes passed to `getRow()` and `getCell()` continue to refer to the
+    Model's index in the `modelList`, so `getRow(500)` will return `null` if
+    the 500th row is not currently rendered.
+
+    Pass `null` to clear the range and render all rows.
+
+    This is used by `datatable-scroll` to render only the visible rows of
+    very large tables (see the `virtualRows` attribute).
+
+    @method setRenderRange
+    @param {Number|null} start Index of the first Model to render
+    @param {Number} [end] Index after the last Model to render
+    @chainable
+    @since 3.19.0
+    **/
+    setRenderRange: function (start, end) {
+        var range       = this._renderRange,
+            tbody       = this.tbodyNode,
+            data        = this.get('modelList'),
+            displayCols = this.get('columns'),
+            size        = data ? data.size() : 0,
+            rows, i;
+
+        if (start === null || start === undefined) {
+            this._renderRange = null;
+
+            if (range && tbody) {
+                this.render();
+                this.fire(EV_CONTENT_UPDATE);
+            }
+
+            return this;
+        }
+
+        start = Math.max(0, Math.min(start, size));
+        end   = Math.max(start, Math.min(isNumber(end) ? end : size, size));
+
+        this._renderRange = { start: start, end: end };
+
+        if (!tbody || !data) {
+            return this;
+        }
+
+        if (range && range.start === start && range.end === end &&
+                tbody.get('children').size() === end - start) {
+            return this;
+        }
+
+        if (!range || !this._rowTemplate ||
+                end <= range.start || start >= range.end ||
+                tbody.get('children').size() !== range.end - range.start) {
+            // Nothing to recycle
+            this.render();
+        } else {
+            // Remove rows at the DOM level to avoid creating Node instances
+            // for rows that are about to be discarded.
+            rows = tbody.getDOMNode().rows;
+
+            for (i = range.start; i < start; ++i) {
+                rows[0].parentNode.removeChild(rows[0]);
+            }
+
+            for (i = Math.max(end, range.start); i < range.end; ++i) {
+                rows[rows.length - 1].parentNode.removeChild(
+                    rows[rows.length - 1]);
+            }
+
+            this._setColumnsFormatterFn(displayCols);
+
+            if (start < range.start) {
+                tbody.prepend(
+                    this._createDataHTML(displayCols, start, range.start));
+
+                this._applyNodeFormatters(tbody, displayCols,
+                    start, range.start);
+            }
+
+            if (end > range.end) {
+                tbody.append(
+                    this._createDataHTML(displayCols, range.end, end));
+
+                this._applyNodeFormatters(tbody, displayCols,
+                    range.end, end);
+            }
+        }
+
+        this.fire(EV_CONTENT_UPDATE);
+
+        return this;
+    },
+
     // -- Protected and private methods ---------------------------------------
     /**
     Handles changes in the source's columns attribute.  Redraws the table data.
@@ -645,6 +856,25 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
             i,
             len;
 
+        // Grouped rows are re-rendered by the owner of the groups, except
+        // for changes to the values of a rendered row's Model
+        if (this.groups && (type !== 'change' || !this.getRow(e.target))) {
+            return;
+        }
+
+        // When only a range of rows is rendered, row positions in the tbody
+        // don't line up with Model indexes, so re-render the range for
+        // anything other than updates to a rendered row.
+        if (this._renderRange && (type !== 'change' ||
+                !this._idMap[e.target.get('clientId')] ||
+                !this.getRow(e.target))) {
+            if (type !== 'change') {
+                this.render();
+                this.fire(EV_CONTENT_UPDATE);
+            }
+            return;
+        }
+
         for (i = 0, len = displayCols.length; i < len; i++ ) {
             col = displayCols[i];
 
@@ -773,17 +1003,23 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
     Iterates the `modelList`, and calls any `nodeFormatter`s found in the
     `columns` param on the appropriate cell Nodes in the `tbody`.
 
+    If `start` and `end` are passed, only the Models in that index range are
+    visited.
+
     @method _applyNodeFormatters
     @param {Node} tbody The `<tbody>` Node whose columns to update
     @param {Object[]} displayCols The column configurations
+    @param {Number} [start] Index of the first Model to format
+    @param {Number} [end] Index after the last Model to format
     @protected
     @since 3.5.0
     **/
-    _applyNodeFormatters: function (tbody, displayCols) {
+    _applyNodeFormatters: function (tbody, displayCols, start, end) {
         var host = this.host || this,
             data = this.get('modelList'),
             formatters = [],
             linerQuery = '.' + this.getClassName('liner'),
+            offset = this._getRowOffset(),
             rows, i, len;
 
         // Only iterate the ModelList again if there are nodeFormatters
@@ -796,13 +1032,15 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
         if (data && formatters.length) {
             rows = tbody.get('childNodes');
 
-            data.each(function (record, index) {
+            this._eachInRange(start, end, function (record, index) {
                 var formatterData = {
                         data      : record.toJSON(),
                         record    : record,
                         rowIndex  : index
                     },
-                    row = rows.item(index),
+                    row = this.groups ?
+                        tbody.one('#' + this._getRowId(record.get('clientId'))) :
+                        rows.item(index - offset),
                     i, len, col, key, cells, cell, keep;
 
 
@@ -866,27 +1104,202 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
     content for the appropriate column.  The aggregated HTML string is
     returned.
 
+    Only the Models within the current render range (see `setRenderRange`)
+    are included, or those from index `start` to `end` if passed.  If `groups`
+    is set, the rows are rendered in their groups instead.
+
     @method _createDataHTML
     @param {Object[]} displayCols The column configurations to customize the
                 generated cell content or class names
+    @param {Number} [start] Index of the first Model to include
+    @param {Number} [end] Index after the last Model to include
     @return {String} The markup for all Models in the `modelList`, each applied
                 to the `_rowTemplate`
     @protected
     @since 3.5.0
     **/
-    _createDataHTML: function (displayCols) {
-        var data = this.get('modelList'),
-            html = '';
+    _createDataHTML: function (displayCols, start, end) {
+        var html = '';
 
-        if (data) {
-            data.each(function (model, index) {
-                html += this._createRowHTML(model, index, displayCols);
-            }, this);
+        if (this.groups) {
+            return this._createGroupsHTML(this.groups, displayCols, {
+                indexes: this._getRecordIndexes(),
+                rows   : 0
+            });
         }
 
+        this._eachInRange(start, end, function (model, index) {
+            html += this._createRowHTML(model, index, displayCols);
+        });
+
         return html;
     },
 
+    /**
+    Creates the markup for the footer row of a group, containing the group's
+    aggregate values in the cells of the aggregated columns.  Returns an empty
+    string if the group has no aggregate values.
+
+    Aggregate values are formatted by the column's `aggregateFormatter`
+    function if it has one.
+
+    @method _createGroupFooterHTML
+    @param {Object} group The group (see `groups`)
+    @param {Object[]} displayCols The column configurations
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _createGroupFooterHTML: function (group, displayCols) {
+        var html = Y.DataTable.Core._createAggregateCellsHTML(this,
+                        group.aggregates || {}, displayCols,
+                        this.GROUP_FOOTER_CELL_TEMPLATE, {group: group});
+
+        return html ?
+            fromTemplate(this.GROUP_FOOTER_TEMPLATE, {
+                className: this.getClassName('group', 'footer') + ' ' +
+                           this.getClassName('group', 'level', group.level),
+                groupId  : htmlEscape(group.id),
+                content  : html
+            }) :
+            '';
+    },
+
+    /**
+    Creates the markup for the header row of a group.  The content is the
+    column's label and the group's value, followed by the number of records
+    in the group, or the result of the grouped column's `groupFormatter`
+    function if it has one.
+
+    @method _createGroupHeaderHTML
+    @param {Object} group The group (see `groups`)
+    @param {Object[]} displayCols The column configurations
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _createGroupHeaderHTML: function (group, displayCols) {
+        var host    = this.host || this,
+            col     = this.getColumn(group.key) || { key: group.key },
+            content;
+
+        if (col.groupFormatter) {
+            content = col.groupFormatter.call(host, {
+                value : group.value,
+                column: col,
+                group : group
+            });
+        } else {
+            content = htmlEscape(String(col.label || col.key)) + ': ' +
+                htmlEscape((group.value === undefined || group.value === null) ?
+                    '' : String(group.value)) +
+                ' <span class="' + this.getClassName('group', 'count') +
+                '">(' + group.records.length + ')</span>';
+        }
+
+        return fromTemplate(this.GROUP_HEADER_TEMPLATE, {
+            className      : this.getClassName('group', 'header') + ' ' +
+                             this.getClassName('group', 'level', group.level) +
+                             (group.collapsed ?
+                                ' ' + this.getClassName('group', 'collapsed') :
+                                ''),
+            groupId        : htmlEscape(group.id),
+            expanded       : group.collapsed ? 'false' : 'true',
+            colspan        : displayCols.length || 1,
+            cellClassName  : this.getClassName('group', 'cell'),
+            toggleClassName: this.getClassName('group', 'toggle'),
+            content        : content
+        });
+    },
+
+    /**
+    Creates the markup for the rows of the given groups, each preceded by a
+    group header row and followed by a group footer row.  The rows of
+    collapsed groups are omitted, but their header and footer rows are not.
+
+    Each row is passed the index of its record in the `modelList` as its
+    `rowIndex`, as when the rows aren't grouped, while the odd/even striping
+    continues across groups.
+
+    @method _createGroupsHTML
+    @param {Object[]} groups The groups to render (see `groups`)
+    @param {Object[]} displayCols The column configurations
+    @param {Object} state Rendering state shared by nested groups:
+      @param {Object} state.indexes Indexes of the records in the
+                `modelList`, keyed by their `clientId`
+      @param {Number} state.rows The number of rows rendered so far
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _createGroupsHTML: function (groups, displayCols, state) {
+        var html = '',
+            i, len, j, jlen, group, record;
+
+        for (i = 0, len = groups.length; i < len; ++i) {
+            group = groups[i];
+
+            html += this._createGroupHeaderHTML(group, displayCols);
+
+            if (!group.collapsed) {
+                if (group.groups) {
+                    html += this._createGroupsHTML(group.groups, displayCols,
+                                state);
+                } else {
+                    for (j = 0, jlen = group.records.length; j < jlen; ++j) {
+                        record = group.records[j];
+                        html += this._createRowHTML(record,
+                                    state.indexes[record.get('clientId')],
+                                    displayCols, state.rows++);
+                    }
+                }
+            }
+
+            html += this._createGroupFooterHTML(group, displayCols);
+        }
+
+        return html;
+    },
+
+    /**
+    Calls `fn` for each Model in the `modelList` from index `start` up to, but
+    not including, `end`.  If not passed, `start` and `end` default to the
+    current render range (see `setRenderRange`), or all Models iterated by the
+    `modelList`'s `each()` method.
+
+    @method _eachInRange
+    @param {Number} [start] Index of the first Model
+    @param {Number} [end] Index after the last Model
+    @param {Function} fn Function to call with the Model and its index. Called
+                from this instance's context.
+    @protected
+    @since 3.19.0
+    **/
+    _eachInRange: function (start, end, fn) {
+        var data  = this.get('modelList'),
+            range = this._renderRange,
+            i, len;
+
+        if (!data) {
+            return;
+        }
+
+        if (!isNumber(start)) {
+            if (!range) {
+                // ModelList each() may be overridden (e.g. datatable-paginator)
+                data.each(fn, this);
+                return;
+            }
+
+            start = range.start;
+            end   = range.end;
+        }
+
+        for (i = start, len = Math.min(end, data.size()); i < len; ++i) {
+            fn.call(this, data.item(i), i);
+        }
+    },
+
     /**
     Applies the data of a given Model, modified by any column formatters and
     supplemented by other template values to the instance's `_rowTemplate` (see
@@ -918,17 +1331,20 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
     @param {Model} model The Model instance to apply to the row template
     @param {Number} index The index the row will be appearing
     @param {Object[]} displayCols The column configurations
+    @param {Number} [stripeIndex] The index used for the odd/even row class, if
+                different from `index` (e.g. when rows are grouped)
     @return {String} The markup for the provided Model, less any `nodeFormatter`s
     @protected
     @since 3.5.0
     **/
-    _createRowHTML: function (model, index, displayCols) {
+    _createRowHTML: function (model, index, displayCols, stripeIndex) {
         var data     = model.toJSON(),
             clientId = model.get('clientId'),
+            stripe   = (stripeIndex === undefined) ? index : stripeIndex,
             values   = {
                 rowId   : this._getRowId(clientId),
                 clientId: clientId,
-                rowClass: (index % 2) ? this.CLASS_ODD : this.CLASS_EVEN
+                rowClass: (stripe % 2) ? this.CLASS_ODD : this.CLASS_EVEN
             },
             host = this.host || this,
             i, len, col, token, value, formatterData;
@@ -1129,6 +1545,25 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
     **/
     //_eventHandles: null,
 
+    /**
+    Returns the index of each Model in the `modelList`, keyed by the Model's
+    clientId.
+
+    @method _getRecordIndexes
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getRecordIndexes: function () {
+        var indexes = {};
+
+        this.get('modelList').each(function (model, index) {
+            indexes[model.get('clientId')] = index;
+        });
+
+        return indexes;
+    },
+
     /**
     Returns the row ID associated with a Model's clientId.
 
@@ -1141,6 +1576,19 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
         return this._idMap[clientId] || (this._idMap[clientId] = Y.guid());
     },
 
+    /**
+    Returns the `modelList` index of the first rendered row.  This is 0 unless
+    a render range has been set with `setRenderRange`.
+
+    @method _getRowOffset
+    @return {Number}
+    @protected
+    @since 3.19.0
+    **/
+    _getRowOffset: function () {
+        return this._renderRange ? this._renderRange.start : 0;
+    },
+
     /**
     Map of Model clientIds to row ids.
 
@@ -1150,6 +1598,18 @@ Y.namespace('DataTable').BodyView = Y.Base.create('tableBody', Y.View, [], {
     **/
     //_idMap,
 
+    /**
+    The range of `modelList` indexes currently rendered, stored as an object
+    with `start` and `end` properties, or `null` if all rows are rendered.
+
+    @property _renderRange
+    @type {Object}
+    @default null
+    @protected
+    @since 3.19.0
+    **/
+    //_renderRange: null,
+
     /**
     Initializes the instance. Reads the following configuration properties in
     addition to the instance attributes:
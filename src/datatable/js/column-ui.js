@@ -0,0 +1,1131 @@
+/**
+Adds support for reordering, resizing, and hiding columns from the UI, with
+optional persistence of the column state.
+
+@module datatable
+@submodule datatable-column-ui
+@since 3.19.0
+**/
+var Lang      = Y.Lang,
+    isBoolean = Lang.isBoolean,
+    isNumber  = Lang.isNumber,
+    isObject  = Lang.isObject,
+    isString  = Lang.isString,
+    YArray    = Y.Array;
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension lets users rearrange the table's columns by
+dragging the column headers, resize columns by dragging the right edge of the
+header cells, and hide or show columns from a menu rendered above the table.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [ 'id', 'name', 'email', 'phone' ],
+    data   : users,
+
+    columnReorder: true,
+    columnResize : true,
+    columnHiding : true,
+
+    // Restore the user's layout on the next page load
+    columnStore   : 'localStorage',
+    columnStateKey: 'users-table'
+}).render('#users');
+
+table.hideColumn('phone');
+table.showColumn('phone');
+</code></pre>
+
+Reordering and hiding apply to the top level columns.  In tables with nested
+headers, a parent column is moved or hidden together with its children, and
+must have a `name` or `key` to be identified.  Resizing applies to the leaf
+columns.
+
+When `columnStore` and `columnStateKey` are set, the column order, hidden
+columns, and column widths are saved after every change, and restored when the
+table is created.  The store can be one of the named stores in
+`Y.DataTable.ColumnUI.STORES` or any object with `load(key)` and
+`save(key, state)` methods.
+
+Column resizing relies on the `<colgroup>` managed by the
+`datatable-column-widths` module.  The header of tables scrolling vertically
+(`scrollable: 'y'`) is rendered as a separate copy, so dragging columns is not
+supported for those tables.
+
+@class DataTable.ColumnUI
+@for DataTable
+@since 3.19.0
+**/
+function ColumnUI() {}
+
+ColumnUI.ATTRS = {
+    /**
+    Enables reordering columns by dragging their headers.
+
+    @attribute columnReorder
+    @type {Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    columnReorder: {
+        value: false,
+        validator: isBoolean
+    },
+
+    /**
+    Enables resizing columns by dragging the right edge of their headers.
+
+    @attribute columnResize
+    @type {Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    columnResize: {
+        value: false,
+        validator: isBoolean
+    },
+
+    /**
+    Enables the menu for hiding and showing columns.  The menu is rendered at
+    the top of the `contentBox`.
+
+    @attribute columnHiding
+    @type {Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    columnHiding: {
+        value: false,
+        validator: isBoolean
+    },
+
+    /**
+    Where to persist the column order, hidden columns, and column widths.
+    Either the name of a store in `Y.DataTable.ColumnUI.STORES` ("localStorage"
+    or "cookie") or an object with `load(key)` and `save(key, state)` methods.
+
+    Column state is only persisted if `columnStateKey` is also set.
+
+    @attribute columnStore
+    @type {String|Object}
+    @default null
+    @since 3.19.0
+    **/
+    columnStore: {
+        value: null,
+        setter: '_setColumnStore'
+    },
+
+    /**
+    The key under which the column state is saved in the `columnStore`.
+
+    @attribute columnStateKey
+    @type {String}
+    @default null
+    @since 3.19.0
+    **/
+    columnStateKey: {
+        value: null,
+        validator: function (val) {
+            return val === null || isString(val);
+        }
+    }
+};
+
+/**
+Named stores available to the `columnStore` attribute.  Each store is an
+object with `load(key)` returning the saved state object (or `null`) and
+`save(key, state)` methods.
+
+The "cookie" store requires the `cookie` module to be loaded.  Add your own
+stores to this object to make them available by name.
+
+@property STORES
+@type {Object}
+@static
+@since 3.19.0
+**/
+ColumnUI.STORES = {
+    localStorage: {
+        load: function (key) {
+            var json;
+
+            try {
+                json = Y.config.win.localStorage.getItem(key);
+
+                return json ? Y.JSON.parse(json) : null;
+            } catch (e) {
+                Y.log('Unable to load column state: ' + e.message, 'warn',
+                    'datatable');
+            }
+
+            return null;
+        },
+
+        save: function (key, state) {
+            try {
+                Y.config.win.localStorage.setItem(key, Y.JSON.stringify(state));
+            } catch (e) {
+                Y.log('Unable to save column state: ' + e.message, 'warn',
+                    'datatable');
+            }
+        }
+    },
+
+    cookie: {
+        load: function (key) {
+            var json = Y.Cookie && Y.Cookie.get(key);
+
+            try {
+                return json ? Y.JSON.parse(json) : null;
+            } catch (e) {
+                Y.log('Unable to load column state: ' + e.message, 'warn',
+                    'datatable');
+            }
+
+            return null;
+        },
+
+        save: function (key, state) {
+            if (Y.Cookie) {
+                Y.Cookie.set(key, Y.JSON.stringify(state), {
+                    expires: new Date(new Date().getTime() + 31536000000)
+                });
+            } else {
+                Y.log('The cookie module is required for the "cookie" ' +
+                    'column store', 'warn', 'datatable');
+            }
+        }
+    }
+};
+
+/**
+The narrowest width in pixels a column can be resized to, unless the column
+configures its own `minWidth`.
+
+@property MIN_COLUMN_WIDTH
+@type {Number}
+@default 20
+@static
+@since 3.19.0
+**/
+ColumnUI.MIN_COLUMN_WIDTH = 20;
+
+Y.mix(ColumnUI.prototype, {
+    /**
+    Template for the handle added to the right edge of each resizable header
+    cell.
+
+    @property COLUMN_RESIZER_TEMPLATE
+    @type {String}
+    @default '<div class="{className}" aria-hidden="true"></div>'
+    @since 3.19.0
+    **/
+    COLUMN_RESIZER_TEMPLATE:
+        '<div class="{className}" aria-hidden="true"></div>',
+
+    /**
+    Template for the column menu container, including the button that opens
+    the menu and the list of columns.
+
+    @property COLUMN_MENU_TEMPLATE
+    @type {String}
+    @default (a `<div>` wrapping a `<button>` and a hidden `<ul>`)
+    @since 3.19.0
+    **/
+    COLUMN_MENU_TEMPLATE:
+        '<div class="{className}">' +
+            '<button type="button" class="{buttonClass}" ' +
+                'aria-expanded="false">{label}</button>' +
+            '<ul class="{listClass}" hidden></ul>' +
+        '</div>',
+
+    /**
+    Template for each column's item in the column menu.
+
+    @property COLUMN_MENU_ITEM_TEMPLATE
+    @type {String}
+    @default (a `<li>` containing a checkbox `<label>`)
+    @since 3.19.0
+    **/
+    COLUMN_MENU_ITEM_TEMPLATE:
+        '<li class="{className}">' +
+            '<label><input type="checkbox" value="{id}"{attrs}> {label}' +
+            '</label>' +
+        '</li>',
+
+    //--------------------------------------------------------------------------
+    // Public methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Returns the current column state, as saved to the `columnStore`.  The
+    state object has these properties:
+
+    * `order` - The names of the visible top level columns, in order.
+    * `hidden` - Object map of hidden column names to the index they are
+      restored at when shown.
+    * `widths` - Object map of column names to their configured `width`.
+
+    @method getColumnState
+    @return {Object}
+    @since 3.19.0
+    **/
+    getColumnState: function () {
+        var state = {
+                order : [],
+                hidden: {},
+                widths: {}
+            },
+            hidden = this._hiddenColumns,
+            id;
+
+        YArray.each(this.get('columns') || [], function (col) {
+            var colId = this._getColumnUIId(col);
+
+            if (colId) {
+                state.order.push(colId);
+            }
+        }, this);
+
+        for (id in hidden) {
+            if (hidden.hasOwnProperty(id)) {
+                state.hidden[id] = hidden[id].index;
+            }
+        }
+
+        YArray.each(this._displayColumns || [], function (col) {
+            var colId = this._getColumnUIId(col);
+
+            if (colId && col.width) {
+                state.widths[colId] = col.width;
+            }
+        }, this);
+
+        return state;
+    },
+
+    /**
+    Hides a top level column by removing it from the `columns` attribute.  The
+    column's configuration is kept so `showColumn` can restore it to the same
+    position.
+
+    @method hideColumn
+    @param {String} name The column's `name` or `key`
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    hideColumn: function (name) {
+        var column = this.getColumn(name);
+
+        if (column && !column._parent && !this.isColumnHidden(name)) {
+            /**
+            Notifies of a column being hidden, usually from the column menu.
+            The column is removed from the `columns` attribute by the default
+            function, so `removeColumn` and `columnsChange` are fired as well.
+
+            @event hideColumn
+            @param {Object} column The column configuration
+            @param {Number} index The column's index in `columns`
+            @preventable _defHideColumnFn
+            @since 3.19.0
+            **/
+            this.fire('hideColumn', {
+                column: column,
+                index : YArray.indexOf(this.get('columns'), column)
+            });
+        }
+
+        return this;
+    },
+
+    /**
+    Returns `true` if the named column was hidden with `hideColumn`.
+
+    @method isColumnHidden
+    @param {String} name The column's `name` or `key`
+    @return {Boolean}
+    @since 3.19.0
+    **/
+    isColumnHidden: function (name) {
+        return this._hiddenColumns.hasOwnProperty(name);
+    },
+
+    /**
+    Restores a column hidden with `hideColumn` to the index it was at when it
+    was hidden.
+
+    @method showColumn
+    @param {String} name The column's `name` or `key`
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    showColumn: function (name) {
+        var hidden = this.isColumnHidden(name) && this._hiddenColumns[name];
+
+        if (hidden) {
+            /**
+            Notifies of a hidden column being restored.  The column is added
+            back to the `columns` attribute by the default function, so
+            `addColumn` and `columnsChange` are fired as well.
+
+            @event showColumn
+            @param {Object} column The column configuration
+            @param {Number} index The index the column will be added at
+            @preventable _defShowColumnFn
+            @since 3.19.0
+            **/
+            this.fire('showColumn', {
+                column: hidden.column,
+                index : Math.min(hidden.index,
+                            (this.get('columns') || []).length)
+            });
+        }
+
+        return this;
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected properties and methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Applies a saved column state object to the `columns` attribute before the
+    table is rendered.
+
+    @method _applyColumnState
+    @param {Object} state Column state as returned by `getColumnState`
+    @protected
+    @since 3.19.0
+    **/
+    _applyColumnState: function (state) {
+        var columns = this.get('columns'),
+            order   = state.order  || [],
+            hidden  = state.hidden || {},
+            widths  = state.widths || {},
+            self    = this,
+            visible = [],
+            ordered, rank, id;
+
+        if (!columns) {
+            return;
+        }
+
+        function applyWidths(cols) {
+            YArray.each(cols, function (col) {
+                var colId = self._getColumnUIId(col);
+
+                if (col.children) {
+                    applyWidths(col.children);
+                } else if (colId && widths.hasOwnProperty(colId)) {
+                    col.width = widths[colId];
+                }
+            });
+        }
+
+        applyWidths(columns);
+
+        YArray.each(columns, function (col) {
+            var colId = this._getColumnUIId(col);
+
+            if (colId && hidden.hasOwnProperty(colId)) {
+                this._hiddenColumns[colId] = {
+                    column: col,
+                    index : hidden[colId]
+                };
+            } else {
+                visible.push(col);
+            }
+        }, this);
+
+        // Columns missing from the saved order (added since the state was
+        // saved) keep their position relative to the other unknown columns,
+        // after the known columns.
+        rank = {};
+        YArray.each(order, function (colId, i) {
+            rank[colId] = i;
+        });
+
+        ordered = YArray.map(visible, function (col, i) {
+            id = this._getColumnUIId(col);
+
+            return {
+                col : col,
+                rank: (id && rank.hasOwnProperty(id)) ?
+                        rank[id] : order.length + i
+            };
+        }, this).sort(function (a, b) {
+            return a.rank - b.rank;
+        });
+
+        this.set('columns', YArray.map(ordered, function (item) {
+            return item.col;
+        }));
+    },
+
+    /**
+    Subscribes to the events that update the column UI.
+
+    @method _bindColumnUI
+    @protected
+    @since 3.19.0
+    **/
+    _bindColumnUI: function () {
+        var handles = this._eventHandles;
+
+        if (!handles.columnUIAttrs) {
+            handles.columnUIAttrs = this.after(
+                ['columnReorderChange', 'columnResizeChange',
+                 'columnHidingChange', 'columnsChange'],
+                Y.bind('_uiSetColumnUI', this));
+        }
+    },
+
+    /**
+    Returns the `Y.DD.Delegate` used to reorder columns, creating it if
+    necessary.
+
+    @method _createColumnReorderDD
+    @return {DD.Delegate}
+    @protected
+    @since 3.19.0
+    **/
+    _createColumnReorderDD: function () {
+        var dd = this._columnReorderDD;
+
+        if (!dd) {
+            dd = this._columnReorderDD = new Y.DD.Delegate({
+                container: this._theadNode,
+                nodes    : '.' + this.getClassName('reorderable', 'column'),
+                target   : true
+            });
+
+            // Mousedown on a resize handle shouldn't also drag the header
+            dd.dd.addInvalid('.' + this.getClassName('column', 'resizer'));
+
+            dd.dd.plug(Y.Plugin.DDProxy, {
+                moveOnEnd: false,
+                cloneNode: true
+            });
+
+            dd.on('drag:start', Y.bind('_onColumnReorderStart', this));
+            dd.on('drag:drophit', Y.bind('_onColumnDropHit', this));
+            dd.on('drag:end', Y.bind('_onColumnDragEnd', this));
+        }
+
+        return dd;
+    },
+
+    /**
+    Returns the `Y.DD.Delegate` used to resize columns, creating it if
+    necessary.
+
+    @method _createColumnResizeDD
+    @return {DD.Delegate}
+    @protected
+    @since 3.19.0
+    **/
+    _createColumnResizeDD: function () {
+        var dd = this._columnResizeDD;
+
+        if (!dd) {
+            dd = this._columnResizeDD = new Y.DD.Delegate({
+                container: this._theadNode,
+                nodes    : '.' + this.getClassName('column', 'resizer')
+            });
+
+            // The handle doesn't move, the column width follows the pointer
+            dd.dd.set('move', false);
+
+            dd.on('drag:start', Y.bind('_onColumnResizeStart', this));
+            dd.on('drag:drag', Y.bind('_onColumnResize', this));
+            dd.on('drag:end', Y.bind('_onColumnDragEnd', this));
+        }
+
+        return dd;
+    },
+
+    /**
+    Hides the column by removing it from the `columns` attribute after storing
+    its configuration and index in `_hiddenColumns`.
+
+    @method _defHideColumnFn
+    @param {EventFacade} e The `hideColumn` event
+    @protected
+    @since 3.19.0
+    **/
+    _defHideColumnFn: function (e) {
+        var id = this._getColumnUIId(e.column);
+
+        this._hiddenColumns[id] = {
+            column: e.column,
+            index : e.index
+        };
+
+        this.removeColumn(id);
+    },
+
+    /**
+    Adds the hidden column back to the `columns` attribute.
+
+    @method _defShowColumnFn
+    @param {EventFacade} e The `showColumn` event
+    @protected
+    @since 3.19.0
+    **/
+    _defShowColumnFn: function (e) {
+        delete this._hiddenColumns[this._getColumnUIId(e.column)];
+
+        this.addColumn(e.column, e.index);
+    },
+
+    /**
+    Cleans up the drag and drop instances and the column menu.
+
+    @method destructor
+    @protected
+    @since 3.19.0
+    **/
+    destructor: function () {
+        this._destroyColumnUI(true, true, true);
+    },
+
+    /**
+    Destroys the requested parts of the column UI.
+
+    @method _destroyColumnUI
+    @param {Boolean} reorder Destroy the column reordering `DD.Delegate`
+    @param {Boolean} resize Destroy the resize `DD.Delegate` and handles
+    @param {Boolean} menu Destroy the column menu
+    @protected
+    @since 3.19.0
+    **/
+    _destroyColumnUI: function (reorder, resize, menu) {
+        var handles = this._eventHandles;
+
+        if (reorder && this._columnReorderDD) {
+            this._columnReorderDD.destroy();
+            this._columnReorderDD = null;
+        }
+
+        if (resize && this._columnResizeDD) {
+            this._columnResizeDD.destroy();
+            this._columnResizeDD = null;
+        }
+
+        if (resize && this._theadNode) {
+            this._theadNode.all('.' + this.getClassName('column', 'resizer'))
+                .remove(true);
+        }
+
+        if (menu) {
+            if (handles.columnMenu) {
+                handles.columnMenu.detach();
+                delete handles.columnMenu;
+            }
+
+            if (this._columnMenuNode) {
+                this._columnMenuNode.remove(true);
+                this._columnMenuNode = null;
+            }
+        }
+    },
+
+    /**
+    Returns the identifier used in the column state for a column, which is its
+    `name` or `key`.
+
+    @method _getColumnUIId
+    @param {Object} column The column configuration
+    @return {String} The column's identifier, or `undefined` if it has none
+    @protected
+    @since 3.19.0
+    **/
+    _getColumnUIId: function (column) {
+        return column.name || column.key;
+    },
+
+    /**
+    Returns the column store object from the `columnStore` attribute if the
+    `columnStateKey` is also set.
+
+    @method _getColumnStore
+    @return {Object} The store, or `null` if state is not persisted
+    @protected
+    @since 3.19.0
+    **/
+    _getColumnStore: function () {
+        var store = this.get('columnStore');
+
+        return (store && this.get('columnStateKey')) ? store : null;
+    },
+
+    /**
+    Sets up the instance properties, events, and strings, and applies the
+    column state saved in the `columnStore`.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        var store = this._getColumnStore(),
+            state = store && store.load(this.get('columnStateKey'));
+
+        this._hiddenColumns = {};
+
+        // Not a valueFn because other class extensions will want to add to it
+        this.set('strings', Y.mix((this.get('strings') || {}),
+            Y.Intl.get('datatable-column-ui')));
+
+        if (isObject(state)) {
+            this._applyColumnState(state);
+        }
+
+        this.publish({
+            hideColumn: { defaultFn: Y.bind('_defHideColumnFn', this) },
+            showColumn: { defaultFn: Y.bind('_defShowColumnFn', this) }
+        });
+
+        this.after({
+            'table:renderHeader': Y.bind('_renderColumnUI', this),
+            columnsChange       : Y.bind('_saveColumnState', this)
+        });
+
+        // Dropping or releasing a resize handle over a sortable header would
+        // also trigger a sort from the click that follows the mouseup.
+        this.on('sort', Y.bind('_onColumnUISort', this));
+    },
+
+    /**
+    Hides or shows a column when its checkbox in the column menu is clicked.
+
+    @method _onColumnMenuChange
+    @param {DOMEventFacade} e The `click` event on the checkbox
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnMenuChange: function (e) {
+        var id = e.currentTarget.get('value');
+
+        if (e.currentTarget.get('checked')) {
+            this.showColumn(id);
+        } else {
+            this.hideColumn(id);
+        }
+
+        // Hiding or showing the column re-renders the list.  Restore the focus
+        // for keyboard users.
+        this._focusColumnMenuItem(id);
+    },
+
+    /**
+    Handles clicks inside and outside the column menu, toggling the menu when
+    its button is clicked, and closing the menu when anything outside it is.
+
+    @method _onColumnMenuClick
+    @param {DOMEventFacade} e The `click` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnMenuClick: function (e) {
+        var menu   = this._columnMenuNode,
+            button = menu && menu.one('button');
+
+        if (!menu) {
+            return;
+        }
+
+        if (button && button.contains(e.target)) {
+            this._toggleColumnMenu();
+        } else if (!menu.contains(e.target)) {
+            this._toggleColumnMenu(false);
+        }
+    },
+
+    /**
+    Closes the column menu and returns the focus to its button when Escape is
+    pressed inside the menu.
+
+    @method _onColumnMenuKey
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnMenuKey: function (e) {
+        if (e.keyCode === 27) {
+            e.preventDefault();
+            this._toggleColumnMenu(false);
+            this._columnMenuNode.one('button').focus();
+        }
+    },
+
+    /**
+    Marks the end of a column drag to suppress the `sort` from the click that
+    follows it, and saves the column state after a resize.
+
+    @method _onColumnDragEnd
+    @param {EventFacade} e The `drag:end` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnDragEnd: function () {
+        var self = this;
+
+        this._columnDragging = true;
+
+        // The click event is dispatched after the mouseup that ended the drag
+        Y.later(0, this, function () {
+            self._columnDragging = false;
+        });
+
+        if (this._columnResizing) {
+            this._columnResizing = null;
+            this._saveColumnState();
+        }
+    },
+
+    /**
+    Moves the dragged column to the position of the column it was dropped on.
+
+    @method _onColumnDropHit
+    @param {EventFacade} e The `drag:drophit` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnDropHit: function (e) {
+        var fromId  = e.drag.get('node').getAttribute('data-yui3-col-id'),
+            toId    = e.drop.get('node').getAttribute('data-yui3-col-id'),
+            from    = this.getColumn(fromId),
+            to      = this.getColumn(toId),
+            columns = this.get('columns');
+
+        if (from && to && from !== to && !from._parent && !to._parent) {
+            this.moveColumn(this._getColumnUIId(from),
+                YArray.indexOf(columns, to));
+        }
+    },
+
+    /**
+    Adds the class used to style the header being dragged.
+
+    @method _onColumnReorderStart
+    @param {EventFacade} e The `drag:start` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnReorderStart: function (e) {
+        var proxy = e.target.get('dragNode');
+
+        if (proxy) {
+            proxy.addClass(this.getClassName('column', 'dragging'));
+        }
+    },
+
+    /**
+    Sets the width of the column being resized from the distance the resize
+    handle has been dragged.
+
+    @method _onColumnResize
+    @param {EventFacade} e The `drag:drag` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnResize: function (e) {
+        var state = this._columnResizing,
+            min, width;
+
+        if (state) {
+            min = isNumber(state.column.minWidth) ?
+                    state.column.minWidth : ColumnUI.MIN_COLUMN_WIDTH;
+
+            width = Math.max(min,
+                state.width + e.info.xy[0] - e.info.start[0]);
+
+            this.setColumnWidth(state.column, width);
+        }
+    },
+
+    /**
+    Records the column being resized and its starting width.
+
+    @method _onColumnResizeStart
+    @param {EventFacade} e The `drag:start` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnResizeStart: function (e) {
+        var cell   = e.target.get('node').ancestor('th'),
+            id     = cell && cell.getAttribute('data-yui3-col-id'),
+            column = id && this.getColumn(id);
+
+        this._columnResizing = column ? {
+            column: column,
+            width : cell.get('offsetWidth')
+        } : null;
+    },
+
+    /**
+    Prevents `sort` events triggered by the click following a column drag.
+
+    @method _onColumnUISort
+    @param {EventFacade} e The `sort` event
+    @protected
+    @since 3.19.0
+    **/
+    _onColumnUISort: function (e) {
+        if (this._columnDragging && e.originEvent) {
+            e.preventDefault();
+        }
+    },
+
+    /**
+    Restores the focus to a column menu item after the menu is re-rendered.
+
+    @method _focusColumnMenuItem
+    @param {String} id The column identifier
+    @protected
+    @since 3.19.0
+    **/
+    _focusColumnMenuItem: function (id) {
+        var menu = this._columnMenuNode;
+
+        if (menu) {
+            menu.all('input').some(function (input) {
+                if (input.get('value') === id) {
+                    input.focus();
+                    return true;
+                }
+            });
+        }
+    },
+
+    /**
+    Renders the column UI after the header is rendered.
+
+    @method _renderColumnUI
+    @protected
+    @since 3.19.0
+    **/
+    _renderColumnUI: function () {
+        this._uiSetColumnUI();
+
+        this._bindColumnUI();
+    },
+
+    /**
+    Saves the current column state to the `columnStore`.
+
+    @method _saveColumnState
+    @protected
+    @since 3.19.0
+    **/
+    _saveColumnState: function () {
+        var store = this._getColumnStore();
+
+        if (store) {
+            store.save(this.get('columnStateKey'), this.getColumnState());
+        }
+    },
+
+    /**
+    Setter for the `columnStore` attribute.  Resolves store names to the
+    matching store in `Y.DataTable.ColumnUI.STORES`.
+
+    @method _setColumnStore
+    @param {String|Object} val The store or store name
+    @return {Object} The store
+    @protected
+    @since 3.19.0
+    **/
+    _setColumnStore: function (val) {
+        if (isString(val)) {
+            if (!ColumnUI.STORES[val]) {
+                Y.log('Unknown columnStore "' + val + '"', 'warn', 'datatable');
+                return Y.Attribute.INVALID_VALUE;
+            }
+
+            val = ColumnUI.STORES[val];
+        }
+
+        return val;
+    },
+
+    /**
+    Opens or closes the column menu.
+
+    @method _toggleColumnMenu
+    @param {Boolean} [show] Pass `true` to open or `false` to close the menu.
+        Omit to toggle.
+    @protected
+    @since 3.19.0
+    **/
+    _toggleColumnMenu: function (show) {
+        var menu = this._columnMenuNode,
+            list = menu && menu.one('ul');
+
+        if (list) {
+            if (show === undefined) {
+                show = list.hasAttribute('hidden');
+            }
+
+            if (show) {
+                list.removeAttribute('hidden');
+            } else {
+                list.setAttribute('hidden', '');
+            }
+
+            menu.one('button').setAttribute('aria-expanded', String(!!show));
+            menu.toggleClass(this.getClassName('column', 'menu', 'open'), show);
+        }
+    },
+
+    /**
+    Renders the column menu, or updates its list of columns if it already
+    exists.
+
+    @method _uiSetColumnMenu
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetColumnMenu: function () {
+        var menu      = this._columnMenuNode,
+            hidden    = this._hiddenColumns,
+            columns   = (this.get('columns') || []).slice(),
+            itemClass = this.getClassName('column', 'menu', 'item'),
+            visible   = 0,
+            items     = [],
+            handles   = this._eventHandles,
+            id;
+
+        if (!menu) {
+            menu = this._columnMenuNode = Y.Node.create(Lang.sub(
+                this.COLUMN_MENU_TEMPLATE, {
+                    className  : this.getClassName('column', 'menu'),
+                    buttonClass: this.getClassName('column', 'menu', 'button'),
+                    listClass  : this.getClassName('column', 'menu', 'list'),
+                    label      : this.getString('columns')
+                }));
+
+            this.get('contentBox').prepend(menu);
+
+            handles.columnMenu = new Y.EventHandle([
+                Y.one('doc').on('click', Y.bind('_onColumnMenuClick', this)),
+                menu.delegate('click', Y.bind('_onColumnMenuChange', this),
+                    'input'),
+                menu.on('keydown', Y.bind('_onColumnMenuKey', this))
+            ]);
+        }
+
+        // Place hidden columns back at the index they'll be restored to
+        for (id in hidden) {
+            if (hidden.hasOwnProperty(id)) {
+                columns.splice(Math.min(hidden[id].index, columns.length), 0,
+                    hidden[id].column);
+            }
+        }
+
+        YArray.each(columns, function (col) {
+            if (!this.isColumnHidden(this._getColumnUIId(col))) {
+                visible++;
+            }
+        }, this);
+
+        YArray.each(columns, function (col) {
+            var colId     = this._getColumnUIId(col),
+                isVisible = colId && !this.isColumnHidden(colId);
+
+            if (colId) {
+                items.push(Lang.sub(this.COLUMN_MENU_ITEM_TEMPLATE, {
+                    className: itemClass,
+                    id       : Y.Escape.html(colId),
+                    label    : Y.Escape.html(col.label || colId),
+                    // Don't allow hiding the last visible column
+                    attrs    : isVisible ?
+                        (visible > 1 ? ' checked' : ' checked disabled') : ''
+                }));
+            }
+        }, this);
+
+        menu.one('ul').setHTML(items.join(''));
+    },
+
+    /**
+    Creates, updates, or destroys the reorder and resize drag and drop
+    instances, resize handles, and column menu to match the `columnReorder`,
+    `columnResize`, and `columnHiding` attributes.
+
+    @method _uiSetColumnUI
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetColumnUI: function () {
+        var thead         = this._theadNode,
+            reorder       = this.get('columnReorder'),
+            resize        = this.get('columnResize'),
+            reorderClass  = this.getClassName('reorderable', 'column'),
+            resizableClass= this.getClassName('resizable', 'column'),
+            resizerClass  = this.getClassName('column', 'resizer'),
+            template      = Lang.sub(this.COLUMN_RESIZER_TEMPLATE, {
+                                className: resizerClass
+                            }),
+            leaves        = {},
+            tops          = {};
+
+        this._destroyColumnUI(!reorder, !resize, !this.get('columnHiding'));
+
+        if (this.get('columnHiding')) {
+            this._uiSetColumnMenu();
+        }
+
+        if (!thead) {
+            return;
+        }
+
+        YArray.each(this.get('columns') || [], function (col) {
+            if (this._getColumnUIId(col)) {
+                tops[col._id] = true;
+            }
+        }, this);
+
+        YArray.each(this._displayColumns || [], function (col) {
+            leaves[col._id] = true;
+        });
+
+        thead.all('th').each(function (cell) {
+            var id = cell.getAttribute('data-yui3-col-id');
+
+            cell.toggleClass(reorderClass, !!(reorder && tops[id]));
+            cell.toggleClass(resizableClass, !!(resize && leaves[id]));
+
+            if (resize && leaves[id] && !cell.one('.' + resizerClass)) {
+                cell.append(template);
+            }
+        });
+
+        if (reorder) {
+            this._createColumnReorderDD().syncTargets();
+        }
+
+        if (resize) {
+            this._createColumnResizeDD();
+        }
+    }
+}, true);
+
+Y.DataTable.ColumnUI = ColumnUI;
+Y.Base.mix(Y.DataTable, [ColumnUI]);
+
+/**
+The narrowest width, in pixels, the column can be resized to from the UI.
+Defaults to `Y.DataTable.ColumnUI.MIN_COLUMN_WIDTH`.
+
+@property minWidth
+@type {Number}
+@for DataTable.Column
+@since 3.19.0
+*/
@@ -196,6 +196,65 @@ Table.ATTRS = {
     }
 };
 
+/**
+Creates the markup for the cells of a row of aggregate values, such as the
+footer's totals row or a group's footer row, so all aggregate rows are rendered
+alike.  Returns an empty string if none of the columns has an aggregate value.
+
+Values are formatted by the column's `aggregateFormatter` function if it has
+one, which is called from the context of the view's `host` with an object
+containing the `value` and `column`, plus the properties of `formatterData`.
+
+@method _createAggregateCellsHTML
+@param {View} view The view rendering the row, used for its `getClassName()`
+    method and `host`
+@param {Object} aggregates Aggregate values keyed by column id
+@param {Object[]} displayCols The column configurations
+@param {String} template Template for each cell, with `{className}` and
+    `{content}` placeholders
+@param {Object} [formatterData] Additional data to pass to the formatters
+@return {String}
+@static
+@protected
+@since 3.19.0
+**/
+Table._createAggregateCellsHTML = function (view, aggregates, displayCols,
+                                            template, formatterData) {
+    var host      = view.host || view,
+        html      = '',
+        hasValues = false,
+        i, len, col, id, value;
+
+    for (i = 0, len = displayCols.length; i < len; ++i) {
+        col   = displayCols[i];
+        id    = col._id || col.key;
+        value = '';
+
+        if (aggregates.hasOwnProperty(id)) {
+            hasValues = true;
+
+            value = col.aggregateFormatter ?
+                col.aggregateFormatter.call(host, Y.merge(formatterData, {
+                    value : aggregates[id],
+                    column: col
+                })) :
+                aggregates[id];
+
+            value = (value === undefined || value === null) ? '' :
+                (col.allowHTML ? value : Y.Escape.html(String(value)));
+        }
+
+        html += Lang.sub(template, {
+            className: view.getClassName('cell') + ' ' +
+                       view.getClassName('col', id) + ' ' +
+                       view.getClassName('aggregate'),
+            content  : value
+        });
+    }
+
+    return hasValues ? html : '';
+};
+
 Y.mix(Table.prototype, {
     // -- Instance properties -------------------------------------------------
     /**
@@ -0,0 +1,835 @@
+/**
+Adds support for editing the values of data cells in place.
+
+@module datatable
+@submodule datatable-editable
+@since 3.19.0
+**/
+var Lang      = Y.Lang,
+    isBoolean = Lang.isBoolean,
+    isDate    = Lang.isDate,
+    isObject  = Lang.isObject,
+    isString  = Lang.isString,
+    sub       = Lang.sub,
+    arrEach   = Y.Array.each,
+
+    DATE_FORMAT = '%Y-%m-%d',
+    FOCUSABLE   = 'input, select, textarea';
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension adds support for editing cell values in place.
+Editing is enabled by setting the DataTable's `editable` attribute to `true`.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [
+        'name',
+        { key: 'qty',   editor: 'number' },
+        { key: 'due',   editor: 'date', dateFormat: '%m/%d/%Y' },
+        { key: 'state', editor: 'select', editorOptions: ['open', 'closed'] },
+        { key: 'done',  editor: 'checkbox' },
+        { key: 'id',    editable: false }
+    ],
+    data: [ ... ],
+    editable: true
+});
+
+table.render('#table');
+</code></pre>
+
+A cell editor is opened by double clicking a data cell, by pressing Enter or F2
+while the cell has the keyboard focus (see `datatable-keynav`), or by calling
+`table.editCell(cell)`.  While the editor is open, pressing Enter saves the
+value and Escape cancels the edit.  Most editors also save their value when
+they lose the focus.
+
+Saving fires a `cellEdit` event.  Its default behavior passes the record's data,
+including the new value, to the record's `validate()` method and, if valid,
+assigns the value with `record.set()`.  The cell is then refreshed from the
+record.  Canceling fires a `cellEditCancel` event whose default behavior closes
+the editor and restores the cell content.
+
+Columns use the "text" editor unless they have an `editor` configuration.  The
+editors are defined in `Y.DataTable.Editable.EDITORS`, which can be extended
+with custom editors.
+
+@class DataTable.Editable
+@for DataTable
+@since 3.19.0
+**/
+function Editable() {}
+
+/**
+Editor definitions, keyed by the name used in a column's `editor`
+configuration.  The "text", "number", "date", "select", and "checkbox" editors
+are included.
+
+Each editor is an object with the following properties:
+
+  * `create` - (REQUIRED) Function that returns the Node to insert into the
+    cell.  It receives an object with the properties `value` (the record's
+    current value), `column`, `record`, `table`, `className` (for the
+    focusable form field), and two functions, `save` and `cancel`, that close
+    the editor.
+  * `getValue` - (REQUIRED) Function that receives the Node returned from
+    `create` and the column configuration and returns the edited value.
+  * `destroy` - Function called with the Node and the column configuration
+    when the editor is closed.  Use it to free up resources created by
+    `create`.
+  * `saveOnBlur` - Set to `false` to keep the editor open when its form field
+    loses the focus.  Defaults to `true`.
+
+@property EDITORS
+@type {Object}
+@static
+@since 3.19.0
+**/
+Editable.EDITORS = {
+    text: {
+        create: function (o) {
+            return Y.Node.create(sub(Editable.INPUT_TEMPLATE, {
+                    type     : 'text',
+                    className: o.className
+                }))
+                .set('value', (o.value === undefined || o.value === null) ?
+                        '' : o.value);
+        },
+
+        getValue: function (node) {
+            return node.get('value');
+        }
+    },
+
+    number: {
+        create: function (o) {
+            return Y.Node.create(sub(Editable.INPUT_TEMPLATE, {
+                    type     : 'number',
+                    className: o.className
+                }))
+                .set('value', (o.value === undefined || o.value === null) ?
+                        '' : o.value);
+        },
+
+        getValue: function (node) {
+            var value = node.get('value');
+
+            return value === '' ? null : +value;
+        }
+    },
+
+    date: {
+        saveOnBlur: false,
+
+        create: function (o) {
+            var format = o.column.dateFormat || DATE_FORMAT,
+                node   = Y.Node.create(sub(Editable.DATE_TEMPLATE, {
+                    className        : o.className,
+                    calendarClassName: o.table.getClassName('editor', 'calendar')
+                })),
+                input  = node.one('input'),
+                date   = isDate(o.value) ? o.value : null,
+                calendar;
+
+            if (date) {
+                input.set('value', Y.Date.format(date, { format: format }));
+            }
+
+            calendar = new Y.Calendar({
+                date: date || new Date()
+            }).render(node.one('div'));
+
+            if (date) {
+                calendar.selectDates(date);
+            }
+
+            calendar.on('dateClick', function (e) {
+                node.setData('date', e.date);
+                input.set('value', Y.Date.format(e.date, { format: format }));
+                o.save();
+            });
+
+            node.setData('date', date);
+            node.setData('calendar', calendar);
+
+            return node;
+        },
+
+        getValue: function (node, column) {
+            var format = column.dateFormat || DATE_FORMAT,
+                date   = node.getData('date'),
+                value  = node.one('input').get('value');
+
+            if (!value) {
+                return null;
+            }
+
+            // Only parse the input if it was typed into
+            if (!date || value !== Y.Date.format(date, { format: format })) {
+                date = Y.Date.parse(value);
+            }
+
+            return date;
+        },
+
+        destroy: function (node) {
+            node.getData('calendar').destroy();
+        }
+    },
+
+    select: {
+        create: function (o) {
+            var node    = Y.Node.create(sub(Editable.SELECT_TEMPLATE, o)),
+                options = o.column.editorOptions || [],
+                html    = '',
+                selectedIndex = 0;
+
+            arrEach(options, function (option, i) {
+                var value = isObject(option) ? option.value : option,
+                    label = isObject(option) ? option.label : option;
+
+                html += sub(Editable.OPTION_TEMPLATE, {
+                    index: i,
+                    label: Y.Escape.html(String(label))
+                });
+
+                if (value === o.value) {
+                    selectedIndex = i;
+                }
+            });
+
+            node.setHTML(html);
+            node.set('selectedIndex', selectedIndex);
+
+            return node;
+        },
+
+        getValue: function (node, column) {
+            var option = (column.editorOptions || [])[node.get('selectedIndex')];
+
+            return isObject(option) ? option.value : option;
+        }
+    },
+
+    checkbox: {
+        create: function (o) {
+            return Y.Node.create(sub(Editable.INPUT_TEMPLATE, {
+                    type     : 'checkbox',
+                    className: o.className
+                }))
+                .set('checked', !!o.value);
+        },
+
+        getValue: function (node) {
+            return node.get('checked');
+        }
+    }
+};
+
+/**
+Template used by the "text", "number", and "checkbox" editors.
+
+@property INPUT_TEMPLATE
+@type {String}
+@static
+@since 3.19.0
+**/
+Editable.INPUT_TEMPLATE = '<input type="{type}" class="{className}">';
+
+/**
+Template used by the "date" editor.  The `<div>` is used to render the
+Calendar.
+
+@property DATE_TEMPLATE
+@type {String}
+@static
+@since 3.19.0
+**/
+Editable.DATE_TEMPLATE = '<span>' +
+    '<input type="text" class="{className}">' +
+    '<div class="{calendarClassName}"></div>' +
+'</span>';
+
+/**
+Template used by the "select" editor.
+
+@property SELECT_TEMPLATE
+@type {String}
+@static
+@since 3.19.0
+**/
+Editable.SELECT_TEMPLATE = '<select class="{className}"></select>';
+
+/**
+Template used by the "select" editor for each of the column's `editorOptions`.
+
+@property OPTION_TEMPLATE
+@type {String}
+@static
+@since 3.19.0
+**/
+Editable.OPTION_TEMPLATE = '<option value="{index}">{label}</option>';
+
+Editable.ATTRS = {
+    /**
+    Enables editing of the data cells.  Individual columns can opt out with
+    `editable: false` in their configuration.
+
+    @attribute editable
+    @type {Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    editable: {
+        value: false,
+        validator: isBoolean
+    }
+};
+
+Y.mix(Editable.prototype, {
+    /**
+    Opens the editor for the cell identified by `seed`.  Any other open editor
+    is saved first.  If that editor stays open, because its value is invalid,
+    the `cellEdit` event was prevented, or its record is still validating
+    asynchronously, the new editor is not opened.
+
+    Nothing happens if the table is not `editable`, the cell is not a data
+    cell, or its column is not editable.
+
+    @method editCell
+    @param {Node|Number[]} seed The cell Node (or a descendant of it) or an
+        array with the row and column indexes
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    editCell: function (seed) {
+        var cell   = this.getCell(seed),
+            tbody  = this.body && this.body.tbodyNode,
+            column, record, editor, node, field, state;
+
+        if (!cell || !tbody || !tbody.contains(cell)) {
+            return this;
+        }
+
+        column = this.getColumn(cell);
+        record = this.getRecord(cell);
+        editor = this._getCellEditor(column);
+
+        if (!record || !editor) {
+            return this;
+        }
+
+        state = this._cellEditor;
+
+        if (state) {
+            if (state.record === record && state.column === column) {
+                return this;
+            }
+
+            this.saveCellEdit();
+
+            // The open editor wasn't closed, so leave it in place
+            if (this._cellEditor) {
+                return this;
+            }
+
+            // Saving may have refreshed the row or the whole tbody
+            cell = this._getEditedCell(record, column);
+
+            if (!cell) {
+                return this;
+            }
+        }
+
+        node = editor.create({
+            value    : record.get(column.key),
+            column   : column,
+            record   : record,
+            table    : this,
+            className: this.getClassName('editor'),
+            save     : Y.bind('saveCellEdit', this),
+            cancel   : Y.bind('cancelCellEdit', this)
+        });
+
+        field = node.test(FOCUSABLE) ? node : node.one(FOCUSABLE);
+
+        // Focus the table before the editor is added so keynav's focus
+        // management doesn't pull the focus from the editor back to the cell
+        this.set('focusedCell', cell);
+
+        if (!this.get('focused')) {
+            this.focus();
+        }
+
+        (cell.one('.' + this.getClassName('liner')) || cell)
+            .setHTML('')
+            .append(node);
+
+        cell.addClass(this.getClassName('cell', 'editing'));
+
+        this._cellEditor = {
+            cell   : cell,
+            column : column,
+            record : record,
+            editor : editor,
+            node   : node,
+            handles: [
+                node.on('keydown', this._onCellEditorKeyDown, this),
+                // Keep keynav from moving the focus back to the cell
+                node.on(['click', 'dblclick'], function (e) {
+                    e.stopPropagation();
+                })
+            ]
+        };
+
+        if (field) {
+            if (editor.saveOnBlur !== false) {
+                this._cellEditor.handles.push(
+                    field.on('blur', this._onCellEditorBlur, this));
+            }
+
+            field.focus();
+
+            if (field.get('type') === 'text') {
+                field.select();
+            }
+        }
+
+        return this;
+    },
+
+    /**
+    Saves the value from the open editor by firing the `cellEdit` event.  If no
+    editor is open, nothing happens.
+
+    @method saveCellEdit
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    saveCellEdit: function () {
+        var state = this._cellEditor;
+
+        if (state) {
+            /**
+            Notifies that the value in a cell editor is being saved.
+
+            The default behavior validates the record's data with the new value
+            using the record's `validate()` method.  If there is no validation
+            error, the value is assigned to the record, the editor is closed,
+            and the cell is refreshed.  If validation fails, the editor stays
+            open and a `cellEditError` event is fired.
+
+            @event cellEdit
+            @param {Node} cell The cell being edited
+            @param {Model} record The record for the cell's row
+            @param {Object} column The column configuration for the cell
+            @param {Any} prevVal The record's current value for the column
+            @param {Any} newVal The value from the editor
+            @preventable _defCellEditFn
+            @since 3.19.0
+            **/
+            this.fire('cellEdit', {
+                cell   : state.cell,
+                record : state.record,
+                column : state.column,
+                prevVal: state.record.get(state.column.key),
+                newVal : state.editor.getValue(state.node, state.column)
+            });
+        }
+
+        return this;
+    },
+
+    /**
+    Closes the open editor without saving its value by firing the
+    `cellEditCancel` event.  If no editor is open, nothing happens.
+
+    @method cancelCellEdit
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    cancelCellEdit: function () {
+        var state = this._cellEditor;
+
+        if (state) {
+            /**
+            Notifies that a cell editor is being closed without saving its
+            value.
+
+            The default behavior closes the editor and restores the cell
+            content.
+
+            @event cellEditCancel
+            @param {Node} cell The cell being edited
+            @param {Model} record The record for the cell's row
+            @param {Object} column The column configuration for the cell
+            @preventable _defCellEditCancelFn
+            @since 3.19.0
+            **/
+            this.fire('cellEditCancel', {
+                cell  : state.cell,
+                record: state.record,
+                column: state.column
+            });
+        }
+
+        return this;
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected properties and methods
+    //--------------------------------------------------------------------------
+
+    /**
+    State of the open cell editor, or `null` if no editor is open.
+
+    @property _cellEditor
+    @type {Object}
+    @default null
+    @protected
+    @since 3.19.0
+    **/
+    _cellEditor: null,
+
+    /**
+    Cancels any open editor when editing is disabled.
+
+    @method _afterEditableChange
+    @param {EventFacade} e The `editableChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterEditableChange: function (e) {
+        if (!e.newVal) {
+            this.cancelCellEdit();
+        }
+    },
+
+    /**
+    Closes the editor and restores the cell content from the record.
+
+    @method _defCellEditCancelFn
+    @param {EventFacade} e The `cellEditCancel` event
+    @protected
+    @since 3.19.0
+    **/
+    _defCellEditCancelFn: function (e) {
+        if (this._cellEditor && this._cellEditor.record === e.record) {
+            this._closeCellEditor();
+        }
+    },
+
+    /**
+    Validates the record's data with the new value and, if valid, assigns the
+    new value to the record and closes the editor.  If the record's `validate`
+    method reports an error, the editor is left open and `cellEditError` is
+    fired.
+
+    @method _defCellEditFn
+    @param {EventFacade} e The `cellEdit` event
+    @protected
+    @since 3.19.0
+    **/
+    _defCellEditFn: function (e) {
+        var self   = this,
+            record = e.record,
+            key    = e.column.key,
+            state  = this._cellEditor,
+            data   = record.toJSON();
+
+        data[key] = e.newVal;
+
+        record.validate(data, function (err) {
+            // The editor may have been closed while validating
+            if (self._cellEditor !== state) {
+                return;
+            }
+
+            if (err) {
+                state.cell.addClass(self.getClassName('editor', 'error'));
+
+                /**
+                Notifies that the value in a cell editor was rejected by the
+                record's `validate()` method.  The editor stays open.
+
+                @event cellEditError
+                @param {Node} cell The cell being edited
+                @param {Model} record The record for the cell's row
+                @param {Object} column The column configuration for the cell
+                @param {Any} newVal The rejected value
+                @param {Any} error The error passed from `validate()`
+                @since 3.19.0
+                **/
+                self.fire('cellEditError', {
+                    cell  : state.cell,
+                    record: record,
+                    column: e.column,
+                    newVal: e.newVal,
+                    error : err
+                });
+            } else {
+                self._closeCellEditor(function () {
+                    record.set(key, e.newVal, { src: 'cellEdit' });
+                });
+            }
+        });
+    },
+
+    /**
+    Closes the open editor.  If a function is passed, it is called after the
+    editor's subscriptions are detached, but before the cell is refreshed from
+    the record.
+
+    @method _closeCellEditor
+    @param {Function} [beforeRefresh] Function to call before refreshing the
+        cell
+    @protected
+    @since 3.19.0
+    **/
+    _closeCellEditor: function (beforeRefresh) {
+        var state = this._cellEditor,
+            cell;
+
+        if (!state) {
+            return;
+        }
+
+        this._cellEditor = null;
+
+        (new Y.EventHandle(state.handles)).detach();
+
+        if (beforeRefresh) {
+            beforeRefresh.call(this);
+        }
+
+        if (state.editor.destroy) {
+            state.editor.destroy(state.node, state.column);
+        }
+
+        state.node.remove(true);
+
+        state.cell.removeClass(this.getClassName('cell', 'editing'))
+            .removeClass(this.getClassName('editor', 'error'));
+
+        // The row or tbody may have been rerendered by the change
+        cell = this._getEditedCell(state.record, state.column);
+
+        if (cell) {
+            this.body.refreshCell(cell, state.record, state.column);
+
+            if (this.get('focused')) {
+                this.set('focusedCell', cell);
+                cell.focus();
+            }
+        }
+    },
+
+    /**
+    Returns the editor definition for the column, or `null` if the column is
+    not editable.
+
+    @method _getCellEditor
+    @param {Object} column The column configuration
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getCellEditor: function (column) {
+        var editor = column && column.editor;
+
+        if (!this.get('editable') || !column || !column.key ||
+                column.editable === false) {
+            return null;
+        }
+
+        if (!editor || isString(editor)) {
+            editor = Editable.EDITORS[editor || 'text'];
+        }
+
+        return editor || null;
+    },
+
+    /**
+    Returns the rendered cell for the record and column, or `null` if it is not
+    currently rendered.
+
+    @method _getEditedCell
+    @param {Model} record The record for the row
+    @param {Object} column The column configuration
+    @return {Node}
+    @protected
+    @since 3.19.0
+    **/
+    _getEditedCell: function (record, column) {
+        var row = this.getRow(record);
+
+        return (row && row.one('.' + this.getClassName('col', column._id))) ||
+                null;
+    },
+
+    /**
+    Saves the editor value when its form field loses the focus.
+
+    @method _onCellEditorBlur
+    @param {DOMEventFacade} e The `blur` event
+    @protected
+    @since 3.19.0
+    **/
+    _onCellEditorBlur: function () {
+        this.saveCellEdit();
+    },
+
+    /**
+    Saves the editor value on Enter and cancels the edit on Escape.  Keys
+    pressed in the editor are not passed on to the table.
+
+    @method _onCellEditorKeyDown
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _onCellEditorKeyDown: function (e) {
+        e.stopPropagation();
+
+        if (e.keyCode === 13) {
+            e.preventDefault();
+            this.saveCellEdit();
+        } else if (e.keyCode === 27) {
+            e.preventDefault();
+            this.cancelCellEdit();
+        }
+    },
+
+    /**
+    Opens the editor for a double clicked cell.
+
+    @method _onEditableDblClick
+    @param {DOMEventFacade} e The `dblclick` event
+    @protected
+    @since 3.19.0
+    **/
+    _onEditableDblClick: function (e) {
+        if (this.get('editable')) {
+            this.editCell(e.currentTarget);
+        }
+    },
+
+    /**
+    Opens the editor for the focused cell.  Assigned to the Enter and F2 keys
+    in the `keyActions` table.
+
+    @method _keyEditCell
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyEditCell: function (e) {
+        var cell = this.get('focusedCell');
+
+        if (this.get('editable') && cell && cell.get('tagName') === 'TD') {
+            e.preventDefault();
+            this.editCell(cell);
+        }
+    },
+
+    /**
+    Closes any open editor.
+
+    @method destructor
+    @protected
+    @since 3.19.0
+    **/
+    destructor: function () {
+        if (this._cellEditor) {
+            (new Y.EventHandle(this._cellEditor.handles)).detach();
+
+            if (this._cellEditor.editor.destroy) {
+                this._cellEditor.editor.destroy(this._cellEditor.node,
+                    this._cellEditor.column);
+            }
+
+            this._cellEditor = null;
+        }
+    },
+
+    /**
+    Publishes the editing events, subscribes to user interaction that opens
+    editors, and adds the Enter and F2 keys to the `keyActions` table.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        this.publish({
+            cellEdit      : { defaultFn: Y.bind('_defCellEditFn', this) },
+            cellEditCancel: { defaultFn: Y.bind('_defCellEditCancelFn', this) }
+        });
+
+        this.after('editableChange', Y.bind('_afterEditableChange', this));
+
+        this._eventHandles.editableDblClick = this.delegate('dblclick',
+            Y.bind('_onEditableDblClick', this),
+            '.' + this.getClassName('data') + ' td');
+
+        this.keyActions.enter = '_keyEditCell';
+        this.keyActions.f2    = '_keyEditCell';
+    }
+}, true);
+
+Y.DataTable.Editable = Editable;
+/**
+The name of the editor in `Y.DataTable.Editable.EDITORS` to use for this
+column's cells, or a custom editor definition.  Defaults to "text".
+
+    { key: 'qty', editor: 'number' }
+
+@property editor
+@type {String|Object}
+@for DataTable.Column
+@since 3.19.0
+*/
+/**
+Set to `false` to prevent editing of this column's cells when the table's
+`editable` attribute is `true`.
+
+    { key: 'id', editable: false }
+
+@property editable
+@type {Boolean}
+@for DataTable.Column
+@since 3.19.0
+*/
+/**
+The options for the "select" editor.  Each option can be a value or an object
+with `value` and `label` properties.
+
+    {
+        key: 'state',
+        editor: 'select',
+        editorOptions: [
+            { value: 1, label: 'Open' },
+            { value: 2, label: 'Closed' }
+        ]
+    }
+
+@property editorOptions
+@type {Array}
+@for DataTable.Column
+@since 3.19.0
+*/
+/**
+The `Y.Date.format` format used to display and parse dates in the "date"
+editor.  Defaults to "%Y-%m-%d".
+
+@property dateFormat
+@type {String}
+@for DataTable.Column
+@since 3.19.0
+*/
+
+Y.Base.mix(Y.DataTable, [Editable]);
@@ -0,0 +1,902 @@
+/**
+Adds support for expanding rows to display a detail row below them.
+
+@module datatable
+@submodule datatable-expand
+@since 3.19.0
+**/
+var Lang       = Y.Lang,
+    isBoolean  = Lang.isBoolean,
+    isFunction = Lang.isFunction,
+    isString   = Lang.isString,
+    isValue    = Lang.isValue,
+    sub        = Lang.sub,
+    YArray     = Y.Array,
+
+    TOGGLE_COLUMN = '_expand';
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension adds a detail row below expanded rows, for
+master/detail tables.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [ 'name', 'email' ],
+    data   : users,
+
+    detailFormatter: '&lt;p>{name} lives in {city}.&lt;/p>'
+}).render('#users');
+
+table.expandRow(0);
+table.isRowExpanded(0); // true
+table.toggleRow(0);     // collapses the row
+</code></pre>
+
+Setting the `detailFormatter` enables the feature and adds a column of toggle
+buttons to the start of the table.  Set `expandColumn` to `false` to expand
+and collapse rows only with the `expandRow()`, `collapseRow()`, and
+`toggleRow()` methods.
+
+The `detailFormatter` can be a template string, which is populated with the
+HTML escaped values of the record, or a function that works like a column's
+`nodeFormatter`.  It's passed an object with the `record`, its `data` (from
+`record.toJSON()`), and the detail `cell` and `row` Nodes.  If it returns a
+string, that is used as the content of the detail cell.  Otherwise it is
+expected to have populated the `cell` itself.
+
+<pre><code>
+table.set('detailFormatter', function (o) {
+    o.cell.append(renderOrderHistory(o.record));
+});
+</code></pre>
+
+Expanded rows are stored in the `expandedRows` attribute as the `clientId`s of
+their records, so they stay expanded when the table is rerendered, sorted, or
+paged.  The detail row is rerendered when its record changes.  Records removed
+from the `data` ModelList are removed from `expandedRows`.
+
+If `datatable-keynav` is in use, Enter toggles the row of the focused cell in
+the toggle column, and Alt+Right and Alt+Left expand and collapse the row of
+any focused cell.  The Up and Down keys skip over detail rows.
+
+@class DataTable.Expand
+@for DataTable
+@since 3.19.0
+**/
+function Expand() {}
+
+Expand.ATTRS = {
+    /**
+    Template string or function used to render the content of the detail rows.
+    See the class description for details.  Rows can only be expanded if this
+    is set.
+
+    @attribute detailFormatter
+    @type {String|Function}
+    @default null
+    @since 3.19.0
+    **/
+    detailFormatter: {
+        value: null,
+        validator: function (val) {
+            return val === null || isString(val) || isFunction(val);
+        }
+    },
+
+    /**
+    Adds a column of buttons to expand and collapse the rows.  Ignored unless
+    `detailFormatter` is set.
+
+    @attribute expandColumn
+    @type {Boolean}
+    @default true
+    @since 3.19.0
+    **/
+    expandColumn: {
+        value: true,
+        validator: isBoolean
+    },
+
+    /**
+    The `clientId`s of the records whose rows are expanded.  Can be set with an
+    array of Models, record ids, `clientId`s, or indexes, which are converted
+    to `clientId`s.
+
+    @attribute expandedRows
+    @type {String[]}
+    @default []
+    @since 3.19.0
+    **/
+    expandedRows: {
+        value: [],
+        setter: '_setExpandedRows'
+    }
+};
+
+Y.mix(Expand.prototype, {
+    /**
+    Template for the toggle button in each row of the toggle column.
+
+    @property EXPAND_TOGGLE_TEMPLATE
+    @type {String}
+    @default '<button type="button" class="{className}" aria-expanded="{expanded}" aria-label="{label}"><span class="{iconClass}"></span></button>'
+    @since 3.19.0
+    **/
+    EXPAND_TOGGLE_TEMPLATE:
+        '<button type="button" class="{className}" aria-expanded="{expanded}" ' +
+            'aria-label="{label}"><span class="{iconClass}"></span></button>',
+
+    /**
+    Template for the detail rows.
+
+    @property EXPAND_DETAIL_TEMPLATE
+    @type {String}
+    @default '<tr class="{rowClassName}" data-yui3-detail-record="{clientId}"><td class="{className}" colspan="{colspan}"></td></tr>'
+    @since 3.19.0
+    **/
+    EXPAND_DETAIL_TEMPLATE:
+        '<tr class="{rowClassName}" data-yui3-detail-record="{clientId}">' +
+            '<td class="{className}" colspan="{colspan}"></td>' +
+        '</tr>',
+
+    //--------------------------------------------------------------------------
+    // Public methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Collapses a row, removing its detail row.
+
+    @method collapseRow
+    @param {Model|Node|String|Number} row The record, a Node in its row, or
+        any value accepted by `getRecord()`
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    collapseRow: function (row) {
+        return this._setRowExpanded(row, false);
+    },
+
+    /**
+    Expands a row, adding a detail row below it.  Does nothing if the
+    `detailFormatter` isn't set.
+
+    @method expandRow
+    @param {Model|Node|String|Number} row The record, a Node in its row, or
+        any value accepted by `getRecord()`
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    expandRow: function (row) {
+        return this._setRowExpanded(row, true);
+    },
+
+    /**
+    Returns `true` if the row is expanded.
+
+    @method isRowExpanded
+    @param {Model|Node|String|Number} row The record, a Node in its row, or
+        any value accepted by `getRecord()`
+    @return {Boolean}
+    @since 3.19.0
+    **/
+    isRowExpanded: function (row) {
+        var record = this._getExpandRecord(row);
+
+        return !!record && YArray.indexOf(this.get('expandedRows'),
+            record.get('clientId')) > -1;
+    },
+
+    /**
+    Expands a collapsed row or collapses an expanded row.
+
+    @method toggleRow
+    @param {Model|Node|String|Number} row The record, a Node in its row, or
+        any value accepted by `getRecord()`
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    toggleRow: function (row) {
+        return this._setRowExpanded(row, !this.isRowExpanded(row));
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Rerenders the detail row of a changed record.
+
+    @method _afterExpandRecordChange
+    @param {EventFacade} e The record's `change` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterExpandRecordChange: function (e) {
+        var detail = this._getDetailRow(e.target);
+
+        if (detail) {
+            detail.remove(true);
+            this._syncExpandUI();
+        }
+    },
+
+    /**
+    Adds or removes the toggle column to match the `detailFormatter` and
+    `expandColumn` attributes.
+
+    @method _afterExpandColumnChange
+    @protected
+    @since 3.19.0
+    **/
+    _afterExpandColumnChange: function () {
+        var columns = (this.get('columns') || []).slice(),
+            index   = this._getExpandColumnIndex(columns);
+
+        if (index > -1) {
+            columns.splice(index, 1);
+        }
+
+        if (this._hasExpandColumn()) {
+            columns.unshift(this._getExpandColumn());
+        } else if (index === -1) {
+            return;
+        }
+
+        this._expandColumnUpdate = true;
+        this.set('columns', columns);
+        this._expandColumnUpdate = false;
+    },
+
+    /**
+    Updates the toggle column and rerenders the detail rows with the new
+    formatter.
+
+    @method _afterDetailFormatterChange
+    @param {EventFacade} e The `detailFormatterChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterDetailFormatterChange: function (e) {
+        var tbody = this._tbodyNode;
+
+        if (!e.newVal) {
+            this.set('expandedRows', []);
+        }
+
+        if (tbody) {
+            tbody.all('.' + this.getClassName('detail', 'row')).remove(true);
+        }
+
+        if (Boolean(e.newVal) !== Boolean(e.prevVal)) {
+            this._afterExpandColumnChange();
+        }
+
+        this._syncExpandUI();
+    },
+
+    /**
+    Subscribes to the body view's rendering to add the detail rows when the
+    rows are rendered, and to the body view's updates from `data` changes to
+    render all rows when rows are added or removed while detail rows are
+    displayed.
+
+    @method _afterExpandRenderBody
+    @param {EventFacade} e The `renderBody` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterExpandRenderBody: function (e) {
+        var handles = this._eventHandles,
+            view    = e.view,
+            subs;
+
+        // Detail rows offset the positions of the rows after them
+        view.interleavedRows = true;
+
+        if (!handles.expandBody) {
+            subs = [
+                Y.Do.after(this._syncExpandUI, view, 'render', this),
+                view.after('contentUpdate', Y.bind('_syncExpandUI', this))
+            ];
+
+            if (view._afterDataChange) {
+                subs.push(Y.Do.before(this._beforeExpandBodyUpdate, view,
+                    '_afterDataChange', this));
+            }
+
+            handles.expandBody = new Y.EventHandle(subs);
+        }
+
+        this._syncExpandUI();
+    },
+
+    /**
+    Renders all rows of the body view when records are added or removed while
+    detail rows are displayed, because the body view locates the rows to add
+    or remove by their position.
+
+    @method _beforeExpandBodyUpdate
+    @param {EventFacade} e The ModelList event
+    @protected
+    @since 3.19.0
+    **/
+    _beforeExpandBodyUpdate: function (e) {
+        var view = this.body;
+
+        if (/:(add|remove)$/.test(e.type) && view && view.tbodyNode &&
+                view.tbodyNode.one('.' + this.getClassName('detail', 'row'))) {
+            view.render();
+            view.fire('contentUpdate');
+
+            return new Y.Do.Prevent();
+        }
+    },
+
+    /**
+    Formatter for the toggle column.  Executed with the DataTable as `this`.
+
+    @method _formatExpandToggle
+    @param {Object} o The formatter data
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _formatExpandToggle: function (o) {
+        var expanded = this.isRowExpanded(o.record);
+
+        return sub(this.EXPAND_TOGGLE_TEMPLATE, {
+            className: this.getClassName('expand', 'toggle'),
+            iconClass: this.getClassName('expand', 'icon'),
+            expanded : String(expanded),
+            label    : Y.Escape.html(this.getString(
+                            expanded ? 'collapseRow' : 'expandRow'))
+        });
+    },
+
+    /**
+    Returns the detail row rendered for a record, or `null`.
+
+    @method _getDetailRow
+    @param {Model} record The record
+    @return {Node}
+    @protected
+    @since 3.19.0
+    **/
+    _getDetailRow: function (record) {
+        var tbody = this._tbodyNode;
+
+        return (tbody && record && tbody.one('[data-yui3-detail-record="' +
+            record.get('clientId') + '"]')) || null;
+    },
+
+    /**
+    Returns the toggle column configuration.
+
+    @method _getExpandColumn
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getExpandColumn: function () {
+        return {
+            name     : TOGGLE_COLUMN,
+            label    : this.getString('details'),
+            sortable : false,
+            allowHTML: true,
+            className: this.getClassName('expand', 'cell'),
+            formatter: this._formatExpandToggle
+        };
+    },
+
+    /**
+    Returns the index of the toggle column in an array of columns, or -1.
+
+    @method _getExpandColumnIndex
+    @param {Array} columns The columns
+    @return {Number}
+    @protected
+    @since 3.19.0
+    **/
+    _getExpandColumnIndex: function (columns) {
+        var i, len;
+
+        for (i = 0, len = columns.length; i < len; ++i) {
+            if (columns[i] && columns[i].name === TOGGLE_COLUMN) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+    Returns the record for a Model, Node, or any value accepted by
+    `getRecord()`.  Nodes in detail rows return the record of the expanded row.
+
+    @method _getExpandRecord
+    @param {Model|Node|String|Number} seed The row identifier
+    @return {Model} The record, or `null`
+    @protected
+    @since 3.19.0
+    **/
+    _getExpandRecord: function (seed) {
+        var detail;
+
+        if (seed && seed._isYUIModel) {
+            return seed;
+        }
+
+        if (!isValue(seed) || !this.data) {
+            return null;
+        }
+
+        if (seed._node) {
+            detail = seed.ancestor('.' + this.getClassName('detail', 'row'),
+                        true);
+
+            if (detail) {
+                return this.data.getByClientId(
+                    detail.getAttribute('data-yui3-detail-record'));
+            }
+        }
+
+        return this.getRecord(seed);
+    },
+
+    /**
+    Returns `true` if the toggle column should be displayed.
+
+    @method _hasExpandColumn
+    @return {Boolean}
+    @protected
+    @since 3.19.0
+    **/
+    _hasExpandColumn: function () {
+        return !!(this.get('detailFormatter') && this.get('expandColumn'));
+    },
+
+    /**
+    Sets up the toggle column and subscribes to the events that update the
+    detail rows.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        var keyActions = this.keyActions;
+
+        // Not a valueFn because other class extensions will want to add to it
+        this.set('strings', Y.mix((this.get('strings') || {}),
+            Y.Intl.get('datatable-expand')));
+
+        this._afterExpandColumnChange();
+
+        // Record ids passed at construction may not have been resolvable yet
+        this.set('expandedRows', this.get('expandedRows'));
+
+        this.on('columnsChange', Y.bind('_onExpandColumnsChange', this));
+
+        this.after({
+            'table:renderBody'   : Y.bind('_afterExpandRenderBody', this),
+            '*:change'           : Y.bind('_afterExpandRecordChange', this),
+            detailFormatterChange: Y.bind('_afterDetailFormatterChange', this),
+            expandColumnChange   : Y.bind('_afterExpandColumnChange', this),
+            expandedRowsChange   : Y.bind('_syncExpandUI', this)
+        });
+
+        this.after(['dataChange', '*:remove', '*:reset'],
+            Y.bind('_pruneExpandedRows', this));
+
+        this._eventHandles.expandClick = this.delegate('click',
+            Y.bind('_onExpandToggleClick', this),
+            '.' + this.getClassName('expand', 'toggle'));
+
+        if (keyActions) {
+            // Enter is also used by other extensions, so pass it along if the
+            // focus isn't in the toggle column
+            this._expandEnterAction = keyActions.enter;
+
+            this._expandMoveActions = {
+                up  : keyActions.up,
+                down: keyActions.down
+            };
+
+            keyActions.enter        = '_keyExpandToggle';
+            keyActions['alt-right'] = '_keyExpandRow';
+            keyActions['alt-left']  = '_keyCollapseRow';
+            keyActions.up           = '_keyExpandMoveUp';
+            keyActions.down         = '_keyExpandMoveDown';
+        }
+    },
+
+    /**
+    Collapses the row of the focused cell.  Assigned to Alt+Left in the
+    `keyActions` table.
+
+    @method _keyCollapseRow
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyCollapseRow: function (e) {
+        this._keyExpand(e, false);
+    },
+
+    /**
+    Expands or collapses the row of the focused data cell.
+
+    @method _keyExpand
+    @param {DOMEventFacade} e The `keydown` event
+    @param {Boolean} expand Whether to expand or collapse the row
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpand: function (e, expand) {
+        var cell   = this.get('focusedCell'),
+            record = cell && this._tbodyNode && this._tbodyNode.contains(cell) &&
+                        this._getExpandRecord(cell);
+
+        if (record && this.get('detailFormatter')) {
+            e.preventDefault();
+
+            this._setRowExpanded(record, expand, 'keyNav');
+        }
+    },
+
+    /**
+    Expands the row of the focused cell.  Assigned to Alt+Right in the
+    `keyActions` table.
+
+    @method _keyExpandRow
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpandRow: function (e) {
+        this._keyExpand(e, true);
+    },
+
+    /**
+    Moves the focus to the cell above, skipping detail rows.  Assigned to the
+    Up key in the `keyActions` table.
+
+    @method _keyExpandMoveUp
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpandMoveUp: function (e) {
+        this._keyExpandMove(e, 'up');
+    },
+
+    /**
+    Moves the focus to the cell below, skipping detail rows.  Assigned to the
+    Down key in the `keyActions` table.
+
+    @method _keyExpandMoveDown
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpandMoveDown: function (e) {
+        this._keyExpandMove(e, 'down');
+    },
+
+    /**
+    Moves the focus up or down past a detail row to the cell in the same
+    column of the next data row.  If the next row isn't a detail row, the
+    original key action is performed.
+
+    @method _keyExpandMove
+    @param {DOMEventFacade} e The `keydown` event
+    @param {String} dir "up" or "down"
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpandMove: function (e, dir) {
+        var cell       = this.get('focusedCell'),
+            tbody      = this._tbodyNode,
+            detailRow  = '.' + this.getClassName('detail', 'row'),
+            method     = dir === 'up' ? 'previous' : 'next',
+            row, next;
+
+        if (cell && tbody && tbody.contains(cell) &&
+                !cell.ancestor(detailRow)) {
+            row  = cell.ancestor('tr');
+            next = row[method]();
+
+            if (next && next.test(detailRow)) {
+                e.preventDefault();
+
+                next = next[method]();
+
+                if (next) {
+                    this.set('focusedCell',
+                        next.get('cells').item(cell.get('cellIndex')) ||
+                            next.one('td'),
+                        { src: 'keyNav' });
+                }
+
+                return;
+            }
+        }
+
+        this._keyExpandPassAction(this._expandMoveActions[dir], e);
+    },
+
+    /**
+    Performs a key action that was replaced by this extension.
+
+    @method _keyExpandPassAction
+    @param {String|Function} action The original key action
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpandPassAction: function (action, e) {
+        if (typeof action === 'string') {
+            if (this[action]) {
+                this[action](e);
+            } else {
+                this._keyNavFireEvent(action, e);
+            }
+        } else if (action) {
+            action.call(this, e);
+        }
+    },
+
+    /**
+    Toggles the row of the focused cell if it is in the toggle column.
+    Otherwise performs the previous Enter key action.  Assigned to Enter in
+    the `keyActions` table.
+
+    @method _keyExpandToggle
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keyExpandToggle: function (e) {
+        var cell = this.get('focusedCell');
+
+        if (cell && cell.one('.' + this.getClassName('expand', 'toggle'))) {
+            e.preventDefault();
+
+            this._setRowExpanded(cell, !this.isRowExpanded(cell), 'keyNav');
+        } else {
+            this._keyExpandPassAction(this._expandEnterAction, e);
+        }
+    },
+
+    /**
+    Adds the toggle column to the new `columns` value if it should be
+    displayed.
+
+    @method _onExpandColumnsChange
+    @param {EventFacade} e The `columnsChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _onExpandColumnsChange: function (e) {
+        if (!this._expandColumnUpdate && Lang.isArray(e.newVal) &&
+                this._hasExpandColumn() &&
+                this._getExpandColumnIndex(e.newVal) === -1) {
+            e.newVal = [this._getExpandColumn()].concat(e.newVal);
+        }
+    },
+
+    /**
+    Toggles the row of the clicked toggle button.
+
+    @method _onExpandToggleClick
+    @param {DOMEventFacade} e The `click` event
+    @protected
+    @since 3.19.0
+    **/
+    _onExpandToggleClick: function (e) {
+        var button = e.currentTarget;
+
+        this._setRowExpanded(button, !this.isRowExpanded(button), 'ui');
+    },
+
+    /**
+    Removes records that are no longer in the `data` ModelList from the
+    `expandedRows`.
+
+    @method _pruneExpandedRows
+    @protected
+    @since 3.19.0
+    **/
+    _pruneExpandedRows: function () {
+        var rows = this.get('expandedRows');
+
+        if (this._setExpandedRows(rows).length !== rows.length) {
+            this.set('expandedRows', rows);
+        }
+    },
+
+    /**
+    Renders the content of a detail cell with the `detailFormatter`.
+
+    @method _renderDetail
+    @param {Model} record The expanded record
+    @param {Node} row The detail row
+    @protected
+    @since 3.19.0
+    **/
+    _renderDetail: function (record, row) {
+        var formatter = this.get('detailFormatter'),
+            cell      = row.one('td'),
+            data      = record.toJSON(),
+            values    = {},
+            content, key;
+
+        if (isFunction(formatter)) {
+            content = formatter.call(this, {
+                record: record,
+                data  : data,
+                cell  : cell,
+                row   : row
+            });
+        } else if (formatter) {
+            for (key in data) {
+                if (data.hasOwnProperty(key)) {
+                    values[key] = isValue(data[key]) ?
+                        Y.Escape.html(String(data[key])) : '';
+                }
+            }
+
+            content = sub(formatter, values);
+        }
+
+        if (isString(content)) {
+            cell.setHTML(content);
+        }
+    },
+
+    /**
+    Setter for the `expandedRows` attribute.  Converts the rows to the
+    `clientId`s of their records, dropping unknown rows and duplicates.
+
+    @method _setExpandedRows
+    @param {Array} val The expanded rows
+    @return {String[]}
+    @protected
+    @since 3.19.0
+    **/
+    _setExpandedRows: function (val) {
+        var seen   = {},
+            result = [];
+
+        YArray.each(val || [], function (item) {
+            var record   = this._getExpandRecord(item),
+                clientId = record && record.get('clientId');
+
+            if (clientId && !seen[clientId]) {
+                seen[clientId] = true;
+                result.push(clientId);
+            }
+        }, this);
+
+        return result;
+    },
+
+    /**
+    Adds or removes a row's record from the `expandedRows`.
+
+    @method _setRowExpanded
+    @param {Model|Node|String|Number} row The row identifier
+    @param {Boolean} expand Whether to expand or collapse the row
+    @param {String} [src] The source of the change, passed to `set()`
+    @return {DataTable}
+    @chainable
+    @protected
+    @since 3.19.0
+    **/
+    _setRowExpanded: function (row, expand, src) {
+        var record   = this._getExpandRecord(row),
+            clientId = record && record.get('clientId'),
+            rows     = this.get('expandedRows');
+
+        if (!clientId || (expand && !this.get('detailFormatter')) ||
+                expand === (YArray.indexOf(rows, clientId) > -1)) {
+            return this;
+        }
+
+        rows = expand ? rows.concat([clientId]) :
+            YArray.filter(rows, function (id) {
+                return id !== clientId;
+            });
+
+        this.set('expandedRows', rows, src ? { src: src } : undefined);
+
+        return this;
+    },
+
+    /**
+    Adds the detail rows below the expanded rows, removes those of collapsed
+    rows, and updates the toggle buttons.
+
+    @method _syncExpandUI
+    @protected
+    @since 3.19.0
+    **/
+    _syncExpandUI: function () {
+        var tbody         = this._tbodyNode,
+            data          = this.data,
+            expanded      = {},
+            detailClass   = this.getClassName('detail', 'row'),
+            expandedClass = this.getClassName('expanded'),
+            toggleClass   = this.getClassName('expand', 'toggle'),
+            colspan       = (this._displayColumns || []).length || 1,
+            collapseLabel = this.getString('collapseRow'),
+            expandLabel   = this.getString('expandRow');
+
+        if (!tbody) {
+            return;
+        }
+
+        YArray.each(this.get('expandedRows'), function (clientId) {
+            expanded[clientId] = true;
+        });
+
+        // Remove detail rows that are collapsed or not below their row
+        tbody.all('.' + detailClass).each(function (detail) {
+            var clientId = detail.getAttribute('data-yui3-detail-record'),
+                row      = detail.previous();
+
+            if (!expanded[clientId] || !row ||
+                    row.getAttribute('data-yui3-record') !== clientId) {
+                detail.remove(true);
+            }
+        });
+
+        tbody.all('tr').each(function (row) {
+            var clientId = row.getAttribute('data-yui3-record'),
+                isOpen   = !!expanded[clientId],
+                toggle   = row.one('.' + toggleClass),
+                next, record;
+
+            if (!clientId) {
+                return;
+            }
+
+            row.toggleClass(expandedClass, isOpen);
+
+            if (toggle) {
+                toggle.setAttribute('aria-expanded', String(isOpen));
+                toggle.setAttribute('aria-label',
+                    isOpen ? collapseLabel : expandLabel);
+            }
+
+            if (!isOpen) {
+                return;
+            }
+
+            next = row.next();
+
+            if (next && next.hasClass(detailClass)) {
+                next.one('td').setAttribute('colspan', colspan);
+            } else if ((record = data.getByClientId(clientId))) {
+                next = Y.Node.create(sub(this.EXPAND_DETAIL_TEMPLATE, {
+                    rowClassName: detailClass,
+                    className   : this.getClassName('detail', 'cell'),
+                    clientId    : clientId,
+                    colspan     : colspan
+                }));
+
+                row.insert(next, 'after');
+
+                this._renderDetail(record, next);
+            }
+        }, this);
+    }
+}, true);
+
+Y.DataTable.Expand = Expand;
+Y.Base.mix(Y.DataTable, [Expand]);
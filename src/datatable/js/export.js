@@ -0,0 +1,543 @@
+/**
+Adds methods to serialize the table's columns and data to CSV, TSV, and JSON.
+
+@module datatable
+@submodule datatable-export
+@since 3.19.0
+**/
+var Lang       = Y.Lang,
+    isArray    = Lang.isArray,
+    isFunction = Lang.isFunction,
+    isString   = Lang.isString,
+    YArray     = Y.Array,
+
+    BOM = '\uFEFF',
+    VALUE_REGEXP = /\{value\}/g;
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension adds methods to serialize the table as it is
+displayed to CSV, TSV, or JSON strings.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [
+        'name',
+        { label: 'Contact', children: [ 'email', 'phone' ] },
+        { key: 'joined', formatter: function (o) {
+            return Y.Date.format(o.value, { format: '%Y-%m-%d' });
+        } }
+    ],
+    data: users,
+    sortBy: 'name'
+});
+
+var csv  = table.exportCSV(),
+    tsv  = table.exportTSV({ header: false }),
+    json = table.exportJSON({ formatted: true, space: 2 });
+
+// Offer the CSV as a download.  Include a BOM so Excel reads it as UTF-8.
+var blob = new Blob([ table.exportCSV({ bom: true }) ], { type: 'text/csv' });
+</code></pre>
+
+The exported columns are the displayed (leaf) columns, in the order they are
+displayed.  The exported records are all the records in the `data` ModelList,
+in their current (sorted) order, unless the `records` option is passed.
+
+Values are passed through the column's `formatter` unless the `formatted`
+option is `false`.  Columns that only have a `nodeFormatter` export the raw
+value.  Values and header labels that contain HTML, such as those from columns
+configured with `allowHTML`, are converted to plain text.
+
+Tables with nested headers export one header row for each row in the table's
+`<thead>`.  The label of a parent column appears above its first child, and the
+other cells it spans are left empty.
+
+The formats are defined in `Y.DataTable.Export.FORMATS`, which can be extended
+with custom formats used by `exportData(format)`.
+
+@class DataTable.Export
+@for DataTable
+@since 3.19.0
+**/
+function Export() {}
+
+/**
+The formats supported by `exportData()`.  Each format is an object with these
+properties:
+
+  * `defaults` - The default options for the format.
+  * `serialize` - A function that receives the table data (see
+    `_getExportData`) and the options, and returns the serialized string.  It
+    is executed with the DataTable instance as `this`.
+
+The "csv" and "tsv" formats support these options:
+
+  * `header` - Include the header row(s).  Default `true`.
+  * `nestedHeaders` - Include a header row for each level of nested columns.
+    When `false`, only the labels of the displayed columns are included.
+    Default `true`.
+  * `formatted` - Use the columns' formatters.  Default `true`.
+  * `delimiter` - Field delimiter.  Default "," for CSV and a tab for TSV.
+  * `quote` - The character used to quote fields.  Quotes in field values are
+    escaped by doubling them.  Default '"'.
+  * `quoteAll` - Quote every field.  When `false`, only the fields containing
+    the delimiter, the quote character, or line breaks, or starting or ending
+    with whitespace are quoted.  Default `false`.
+  * `lineEnding` - Default "\r\n".
+  * `bom` - Start the string with a byte order mark.  Default `false`.
+  * `records` - An array of Models or a ModelList to export instead of the
+    table's `data`.
+
+The "json" format supports these options:
+
+  * `formatted` - Use the columns' formatters.  Default `false`.
+  * `space` - Passed to `JSON.stringify` to indent the output.
+  * `bom` - Start the string with a byte order mark.  Default `false`.
+  * `records` - As above.
+
+@property FORMATS
+@type {Object}
+@static
+@since 3.19.0
+**/
+Export.FORMATS = {
+    csv: {
+        defaults: {
+            header       : true,
+            nestedHeaders: true,
+            formatted    : true,
+            delimiter    : ',',
+            quote        : '"',
+            quoteAll     : false,
+            lineEnding   : '\r\n',
+            bom          : false
+        },
+
+        serialize: function (data, options) {
+            return this._serializeDelimited(data, options);
+        }
+    },
+
+    tsv: {
+        defaults: {
+            header       : true,
+            nestedHeaders: true,
+            formatted    : true,
+            delimiter    : '\t',
+            quote        : '"',
+            quoteAll     : false,
+            lineEnding   : '\r\n',
+            bom          : false
+        },
+
+        serialize: function (data, options) {
+            return this._serializeDelimited(data, options);
+        }
+    },
+
+    json: {
+        defaults: {
+            formatted: false,
+            space    : null,
+            bom      : false
+        },
+
+        serialize: function (data, options) {
+            var keys = YArray.map(data.columns, function (col) {
+                    return col.key || col.name || col._id;
+                }),
+                rows = YArray.map(data.rows, function (row) {
+                    var obj = {},
+                        i, len;
+
+                    for (i = 0, len = keys.length; i < len; ++i) {
+                        obj[keys[i]] = row[i];
+                    }
+
+                    return obj;
+                });
+
+            return Y.JSON.stringify(rows, null, options.space || undefined);
+        }
+    }
+};
+
+Y.mix(Export.prototype, {
+    /**
+    Serializes the table to a CSV string.  See `Y.DataTable.Export.FORMATS`
+    for the supported options.
+
+    @method exportCSV
+    @param {Object} [options] Export options
+    @return {String}
+    @since 3.19.0
+    **/
+    exportCSV: function (options) {
+        return this.exportData('csv', options);
+    },
+
+    /**
+    Serializes the table data using the named format from
+    `Y.DataTable.Export.FORMATS`.
+
+    @method exportData
+    @param {String} format The format name, such as "csv"
+    @param {Object} [options] Options for the format
+    @return {String} The serialized table, or `null` if the format is unknown
+    @since 3.19.0
+    **/
+    exportData: function (format, options) {
+        var config = Export.FORMATS[format],
+            output;
+
+        if (!config) {
+            Y.log('Unknown export format "' + format + '"', 'warn',
+                'datatable');
+            return null;
+        }
+
+        options = Y.merge(config.defaults, options);
+
+        output = config.serialize.call(this,
+            this._getExportData(options), options);
+
+        return options.bom ? BOM + output : output;
+    },
+
+    /**
+    Serializes the table to a JSON string containing an array with an object
+    for each record, keyed by the columns' `key` (or `name`).  See
+    `Y.DataTable.Export.FORMATS` for the supported options.
+
+    @method exportJSON
+    @param {Object} [options] Export options
+    @return {String}
+    @since 3.19.0
+    **/
+    exportJSON: function (options) {
+        return this.exportData('json', options);
+    },
+
+    /**
+    Serializes the table to a tab separated values string.  See
+    `Y.DataTable.Export.FORMATS` for the supported options.
+
+    @method exportTSV
+    @param {Object} [options] Export options
+    @return {String}
+    @since 3.19.0
+    **/
+    exportTSV: function (options) {
+        return this.exportData('tsv', options);
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Returns the value to export for a record's cell.  If `formatted` is true,
+    the column's `formatter` is applied in the same way as `BodyView` does when
+    rendering the cell.  Empty values are replaced by the column's
+    `emptyCellValue`.
+
+    @method _getExportCellValue
+    @param {Model} record The record
+    @param {Object} data The record's data from `toJSON()`
+    @param {Object} col The column configuration
+    @param {Number} index The record's index
+    @param {Boolean} formatted Apply the column's formatter
+    @return {Any} The value
+    @protected
+    @since 3.19.0
+    **/
+    _getExportCellValue: function (record, data, col, index, formatted) {
+        var value = data[col.key],
+            formatter = formatted && this._getExportFormatter(col),
+            formatterData, html;
+
+        if (isFunction(formatter)) {
+            formatterData = {
+                value    : value,
+                data     : data,
+                column   : col,
+                record   : record,
+                className: '',
+                rowClass : '',
+                rowIndex : index
+            };
+
+            html = formatter.call(this, formatterData);
+
+            value = html === undefined ? formatterData.value : html;
+        } else if (isString(formatter)) {
+            value = formatter.replace(VALUE_REGEXP,
+                (value === undefined || value === null) ? '' : value);
+        }
+
+        if (value === undefined || value === null || value === '') {
+            value = col.emptyCellValue || '';
+        }
+
+        // Formatted values and empty cell values are HTML for columns with
+        // allowHTML, and formatter templates can contain markup
+        if (formatted && isString(value) &&
+                (col.allowHTML || isString(formatter))) {
+            value = this._htmlToText(value);
+        }
+
+        return value;
+    },
+
+    /**
+    Collects the header labels and cell values to export.  The returned object
+    has these properties:
+
+      * `columns` - The displayed column configurations.
+      * `header` - Array of header rows, each an array of labels with one entry
+        per displayed column.
+      * `rows` - Array of data rows, each an array of values with one entry per
+        displayed column.
+      * `records` - The exported Models.
+
+    @method _getExportData
+    @param {Object} options The export options
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getExportData: function (options) {
+        var columns = this._displayColumns ||
+                      this._getExportDisplayColumns(this.get('columns') || []),
+            records = options.records || this.data,
+            rows    = [],
+            self    = this,
+            header;
+
+        if (records && isFunction(records.toArray)) {
+            records = records.toArray();
+        }
+
+        YArray.each(records || [], function (record, index) {
+            var data = record.toJSON();
+
+            rows.push(YArray.map(columns, function (col) {
+                return self._getExportCellValue(record, data, col, index,
+                    options.formatted);
+            }));
+        });
+
+        if (options.nestedHeaders) {
+            header = this._getExportHeaderRows(columns.length);
+        } else {
+            header = [YArray.map(columns, this._getExportLabel, this)];
+        }
+
+        return {
+            columns: columns,
+            header : header,
+            rows   : rows,
+            records: records || []
+        };
+    },
+
+    /**
+    Returns the leaf columns of the `columns` attribute, for tables that have
+    not yet been rendered.
+
+    @method _getExportDisplayColumns
+    @param {Object[]} columns Column configurations
+    @return {Object[]}
+    @protected
+    @since 3.19.0
+    **/
+    _getExportDisplayColumns: function (columns) {
+        var display = [];
+
+        YArray.each(columns, function (col) {
+            if (isArray(col.children)) {
+                display.push.apply(display,
+                    this._getExportDisplayColumns(col.children));
+            } else {
+                display.push(col);
+            }
+        }, this);
+
+        return display;
+    },
+
+    /**
+    Returns the column's formatter function or template string.  Named
+    formatters are resolved from `Y.DataTable.BodyView.Formatters`.
+
+    @method _getExportFormatter
+    @param {Object} col The column configuration
+    @return {Function|String} The formatter, or `null`
+    @protected
+    @since 3.19.0
+    **/
+    _getExportFormatter: function (col) {
+        var formatter  = col._formatterFn || col.formatter,
+            Formatters = Y.DataTable.BodyView.Formatters;
+
+        if (isString(formatter) && Formatters && Formatters[formatter]) {
+            formatter = Formatters[formatter].call(this, col);
+        }
+
+        return formatter || null;
+    },
+
+    /**
+    Builds the header rows from the header structure used by `HeaderView`,
+    placing each label above the first column it spans.
+
+    @method _getExportHeaderRows
+    @param {Number} width The number of displayed columns
+    @return {Array[]} Array of rows of labels
+    @protected
+    @since 3.19.0
+    **/
+    _getExportHeaderRows: function (width) {
+        var parsed = (this.head && this.head.columns) ||
+                Y.DataTable.HeaderView.prototype._parseColumns(
+                    this.get('columns') || []),
+            rows = [],
+            i, j, k, m, row, pos, col, rowspan, colspan;
+
+        for (i = 0; i < parsed.length; ++i) {
+            rows.push([]);
+        }
+
+        for (i = 0; i < parsed.length; ++i) {
+            row = parsed[i];
+            pos = 0;
+
+            for (j = 0; j < row.length; ++j) {
+                col = row[j];
+
+                // Skip positions occupied by spans from earlier cells
+                while (rows[i][pos] !== undefined) {
+                    pos++;
+                }
+
+                rowspan = col._rowspan || 1;
+                colspan = col._colspan || 1;
+
+                for (k = i; k < i + rowspan && k < rows.length; ++k) {
+                    for (m = pos; m < pos + colspan; ++m) {
+                        rows[k][m] = '';
+                    }
+                }
+
+                rows[i][pos] = this._getExportLabel(col, pos);
+            }
+        }
+
+        // Guard against sparse rows
+        for (i = 0; i < rows.length; ++i) {
+            for (j = 0; j < width; ++j) {
+                if (rows[i][j] === undefined) {
+                    rows[i][j] = '';
+                }
+            }
+        }
+
+        return rows;
+    },
+
+    /**
+    Returns the text of a column's header label.
+
+    @method _getExportLabel
+    @param {Object} col The column configuration
+    @param {Number} index The column's position
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _getExportLabel: function (col, index) {
+        // Header labels are HTML
+        return col.label ? this._htmlToText(String(col.label)) :
+            (col.key || ('Column ' + (index + 1)));
+    },
+
+    /**
+    Converts an HTML string to its text content.  The HTML is parsed in an
+    inert document, so scripts and images in it are not executed or loaded.
+
+    @method _htmlToText
+    @param {String} html The HTML string
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _htmlToText: function (html) {
+        var doc = Y.config.doc,
+            body;
+
+        if (html.indexOf('<') === -1 && html.indexOf('&') === -1) {
+            return html;
+        }
+
+        if (!this._exportDoc) {
+            this._exportDoc = doc.implementation.createHTMLDocument('');
+        }
+
+        body = this._exportDoc.body;
+        body.innerHTML = html;
+
+        return body.textContent;
+    },
+
+    /**
+    Quotes a field value for delimited output, if necessary.
+
+    @method _quoteExportValue
+    @param {Any} value The value
+    @param {Object} options The export options
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _quoteExportValue: function (value, options) {
+        var quote = options.quote;
+
+        value = (value === undefined || value === null) ? '' : String(value);
+
+        if (quote && (options.quoteAll ||
+                value.indexOf(options.delimiter) > -1 ||
+                value.indexOf(quote) > -1 ||
+                /[\r\n]|^\s|\s$/.test(value))) {
+            value = quote + value.split(quote).join(quote + quote) + quote;
+        }
+
+        return value;
+    },
+
+    /**
+    Serializes the export data to delimiter separated values.  Used by the
+    "csv" and "tsv" formats.
+
+    @method _serializeDelimited
+    @param {Object} data Data from `_getExportData`
+    @param {Object} options The export options
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _serializeDelimited: function (data, options) {
+        var rows = options.header ? data.header.concat(data.rows) : data.rows,
+            self = this;
+
+        return YArray.map(rows, function (row) {
+            return YArray.map(row, function (value) {
+                return self._quoteExportValue(value, options);
+            }).join(options.delimiter);
+        }).join(options.lineEnding);
+    }
+}, true);
+
+Y.DataTable.Export = Export;
+Y.Base.mix(Y.DataTable, [Export]);
@@ -0,0 +1,975 @@
+/**
+Adds support for filtering the rows of the table by the values of its columns.
+
+@module datatable
+@submodule datatable-filter
+@since 3.19.0
+**/
+var Lang       = Y.Lang,
+    isArray    = Lang.isArray,
+    isDate     = Lang.isDate,
+    isFunction = Lang.isFunction,
+    isObject   = Lang.isObject,
+    isValue    = Lang.isValue,
+    sub        = Lang.sub,
+    YArray     = Y.Array,
+
+    INPUT_TYPES = {
+        text  : 'text',
+        number: 'number',
+        date  : 'date'
+    };
+
+// Zero pads a number to two digits
+function pad(num) {
+    return (num < 10 ? '0' : '') + num;
+}
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension hides the rows whose records don't match the
+table's `filters`.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [
+        { key: 'name',   filter: 'text' },
+        { key: 'price',  filter: 'number' },
+        { key: 'added',  filter: 'date' },
+        { key: 'status', filter: 'enum' }
+    ],
+    data: products
+}).render('#products');
+
+table.filter('status', [ 'active', 'pending' ]);
+table.filter('price', function (price, record) {
+    return price < 100 || record.get('onSale');
+});
+</code></pre>
+
+The `filters` attribute is an object of column keys and the filter applied to
+the values in that column, which can be one of:
+
+  * A string - the value must contain the string, ignoring case
+  * An object with `min` and/or `max` numbers or Dates - the value must be
+    within the (inclusive) range
+  * An array - the value must be one of the values in the array
+  * A function - called with the value and the record, it returns `true` if
+    the record matches
+
+Rows are displayed only for the records that match every filter.  Set filters
+with the `filter()` method, or by setting the `filters` attribute.
+
+If any column is configured with a `filter` type ("text", "number", "date", or
+"enum"), a row of filter controls is added below the column headers.  Text
+filters use a text input, number and date filters use a pair of inputs for
+the minimum and maximum values, and enum filters use a multiple select of the
+column's `filterOptions`.  Changing the controls updates the `filters`.
+
+The records of the `data` ModelList are never removed by filtering.  The
+ModelList's `each()` and `size()` methods reflect the matching records, while
+its `toArray()`, `item()`, and other methods still include all records.  If
+`datatable-paginator` is in use, the matching records are paged.  If no
+records match, the "emptyMessage" is displayed if `datatable-message` is in
+use.
+
+When the table is in remote mode (see `datatable-remote`), the `filters` are
+sent to the server instead of being applied in the browser.  They're included
+in each request as its `filters` property, and changing them requests the
+first page of matching data.
+
+@class DataTable.Filter
+@for DataTable
+@since 3.19.0
+**/
+function Filter() {}
+
+Filter.ATTRS = {
+    /**
+    The filters applied to the table's records, keyed by column key.  See the
+    class description for the supported filter values.  Filters with empty
+    values (`null`, `undefined`, empty strings or arrays, or objects without
+    `min` or `max`) are removed.
+
+    @attribute filters
+    @type {Object}
+    @default {}
+    @since 3.19.0
+    **/
+    filters: {
+        value: {},
+        setter: '_setFilters',
+        validator: isObject
+    }
+};
+
+Y.mix(Filter.prototype, {
+    /**
+    Template for the row of filter controls added to the `<thead>`.
+
+    @property FILTER_ROW_TEMPLATE
+    @type {String}
+    @value '<tr class="{className}">{content}</tr>'
+    @since 3.19.0
+    **/
+    FILTER_ROW_TEMPLATE: '<tr class="{className}">{content}</tr>',
+
+    /**
+    Template for each cell in the row of filter controls.
+
+    @property FILTER_CELL_TEMPLATE
+    @type {String}
+    @value '<td class="{className}" data-yui3-col-id="{id}">{content}</td>'
+    @since 3.19.0
+    **/
+    FILTER_CELL_TEMPLATE:
+        '<td class="{className}" data-yui3-col-id="{id}">{content}</td>',
+
+    /**
+    Template for the text, number, and date filter inputs.
+
+    @property FILTER_INPUT_TEMPLATE
+    @type {String}
+    @value '<input type="{type}" class="{className}" data-yui3-filter="{part}" placeholder="{placeholder}" aria-label="{label}">'
+    @since 3.19.0
+    **/
+    FILTER_INPUT_TEMPLATE:
+        '<input type="{type}" class="{className}" data-yui3-filter="{part}" ' +
+            'placeholder="{placeholder}" aria-label="{label}">',
+
+    /**
+    Template for the enum filter select.
+
+    @property FILTER_SELECT_TEMPLATE
+    @type {String}
+    @value '<select multiple class="{className}" data-yui3-filter="value" aria-label="{label}">{options}</select>'
+    @since 3.19.0
+    **/
+    FILTER_SELECT_TEMPLATE:
+        '<select multiple class="{className}" data-yui3-filter="value" ' +
+            'aria-label="{label}">{options}</select>',
+
+    /**
+    Template for the options of the enum filter select.
+
+    @property FILTER_OPTION_TEMPLATE
+    @type {String}
+    @value '<option value="{value}">{label}</option>'
+    @since 3.19.0
+    **/
+    FILTER_OPTION_TEMPLATE: '<option value="{value}">{label}</option>',
+
+    /**
+    Removes all filters.
+
+    @method clearFilters
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    clearFilters: function () {
+        this.set('filters', {});
+
+        return this;
+    },
+
+    /**
+    Filters the table's rows by the values of a column.  The `predicate` can be
+    a function, which is passed the column value and the record and returns
+    `true` if the record matches, or any of the filter values described in the
+    class description.  Pass `null` to remove the column's filter.
+
+    The filters of other columns are kept.
+
+    @method filter
+    @param {String} columnKey The column key or name, or any attribute of the
+        records
+    @param {Function|String|Object|Array|null} predicate The filter
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    filter: function (columnKey, predicate) {
+        var filters = Y.merge(this.get('filters')),
+            column  = this.getColumn(columnKey);
+
+        columnKey = (column && column.key) || columnKey;
+
+        if (isValue(predicate)) {
+            filters[columnKey] = predicate;
+        } else {
+            delete filters[columnKey];
+        }
+
+        this.set('filters', filters);
+
+        return this;
+    },
+
+    /**
+    Returns the records in the `data` ModelList that match the `filters`.
+
+    @method getFilteredRecords
+    @return {Model[]}
+    @since 3.19.0
+    **/
+    getFilteredRecords: function () {
+        var data = this.data;
+
+        return (data._filteredItems || data.toArray()).concat();
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected properties and methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Reapplies the filters when records are added, removed, or changed.
+
+    @method _afterFilterDataUpdate
+    @param {EventFacade} e The ModelList's `add`, `remove`, or `change` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterFilterDataUpdate: function () {
+        if (this.data._filteredItems) {
+            this._applyFilters();
+        }
+    },
+
+    /**
+    Applies the filters to a new `data` ModelList.
+
+    @method _afterFilterDataChange
+    @param {EventFacade} e The `dataChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterFilterDataChange: function () {
+        this._bindFilterData();
+        this._applyFilters();
+    },
+
+    /**
+    Applies the new filters and displays the matching rows.
+
+    @method _afterFiltersChange
+    @param {EventFacade} e The `filtersChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterFiltersChange: function (e) {
+        var data  = this.data,
+            model = this.get('rowsPerPage') && this.get('paginatorModel');
+
+        this._applyFilters();
+
+        if (e.src !== 'ui') {
+            this._syncFilterRowUI();
+        }
+
+        if (this.get('remote')) {
+            // Load the first page of data matching the filters from the server
+            this._requestRemoteData(true);
+            return;
+        }
+
+        if (model) {
+            model.set('totalItems', data.size());
+            model.set('page', 1);
+        }
+
+        this._uiSetFilteredRows();
+    },
+
+    /**
+    Subscribes to the header view's rendering to add the row of filter
+    controls, and to the body view's updates from `data` changes to render all
+    rows while filtering.
+
+    @method _afterFilterRenderView
+    @param {EventFacade} e The `renderHeader` or `renderBody` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterFilterRenderView: function (e) {
+        var handles = this._eventHandles,
+            view    = e.view;
+
+        if (e.type.indexOf('renderHeader') > -1) {
+            if (!handles.filterHead) {
+                handles.filterHead = Y.Do.after(this._uiSetFilterRow, view,
+                    'render', this);
+            }
+
+            this._uiSetFilterRow();
+        } else if (!handles.filterBody && view._afterDataChange) {
+            handles.filterBody = Y.Do.before(this._beforeFilterBodyUpdate,
+                view, '_afterDataChange', this);
+        }
+    },
+
+    /**
+    Adds each/size/getPage/item implementations to the `data` ModelList that
+    only include the records that match the filters.  Respects the paging of
+    `datatable-paginator`.
+
+    While filtering, numeric indexes passed to `item()` and `remove()` are
+    indexes into the matching records, like the indexes of the rendered rows.
+
+    @method _augmentFilterData
+    @protected
+    @since 3.19.0
+    **/
+    _augmentFilterData: function () {
+        var data   = this.data,
+            remove = data._remove;
+
+        if (data._filterAugmented) {
+            return;
+        }
+
+        Y.mix(data, {
+            _filterAugmented: true,
+
+            getPage: function () {
+                var items = this._filteredItems || this._items,
+                    pg    = this._paged;
+
+                if (!pg) {
+                    return items.concat();
+                }
+
+                return (pg.length >= 0) ?
+                    items.slice(pg.index, pg.index + pg.length) :
+                    items.slice(pg.index);
+            },
+
+            size: function (paged) {
+                return (paged && this._paged && this._paged.length >= 0) ?
+                    this._paged.length :
+                    (this._filteredItems || this._items).length;
+            },
+
+            each: function () {
+                var args = Array.prototype.slice.call(arguments);
+
+                args.unshift(this.getPage());
+
+                YArray.each.apply(null, args);
+
+                return this;
+            },
+
+            item: function (index) {
+                return (this._filteredItems || this._items)[index];
+            },
+
+            _remove: function (model, options) {
+                // Look up the record with the filtered index, since the
+                // original uses the index with the unfiltered _items
+                if (Lang.isNumber(model) && this._filteredItems) {
+                    model = this.item(model);
+                }
+
+                return remove.call(this, model, options);
+            }
+        }, true);
+    },
+
+    /**
+    Rerenders all rows of the body view when records are added, removed, or
+    changed while filtering, in place of updating only the affected row.
+
+    @method _beforeFilterBodyUpdate
+    @param {EventFacade} e The ModelList event
+    @protected
+    @since 3.19.0
+    **/
+    _beforeFilterBodyUpdate: function (e) {
+        var view = this.body;
+
+        if (!this.data._filteredItems) {
+            return;
+        }
+
+        // The view may be notified before the filters are reapplied
+        this._applyFilters();
+
+        if (e.type.indexOf('reset') === -1 && view && view.tbodyNode) {
+            view.render();
+            view.fire('contentUpdate');
+
+            return new Y.Do.Prevent();
+        }
+    },
+
+    /**
+    Subscribes to the changes to the `data` ModelList's records that require
+    the filters to be reapplied.
+
+    @method _bindFilterData
+    @protected
+    @since 3.19.0
+    **/
+    _bindFilterData: function () {
+        var handles = this._eventHandles,
+            data    = this.data;
+
+        if (handles.filterData) {
+            handles.filterData.detach();
+        }
+
+        // Subscribed before the views so the rows are rendered from the
+        // updated matches
+        handles.filterData = data.after(['add', 'remove', 'reset',
+                data.model.NAME + ':change'],
+            Y.bind('_afterFilterDataUpdate', this));
+    },
+
+    /**
+    Applies the `filters` to the records in the `data` ModelList, storing the
+    matching records in its `_filteredItems` property.  If there are no
+    filters, or the table is in remote mode, `_filteredItems` is `null`.
+
+    @method _applyFilters
+    @protected
+    @since 3.19.0
+    **/
+    _applyFilters: function () {
+        var data    = this.data,
+            filters = this.get('filters'),
+            tests   = [],
+            key;
+
+        if (!this.get('remote')) {
+            for (key in filters) {
+                if (filters.hasOwnProperty(key)) {
+                    tests.push(this._getFilterTest(key, filters[key]));
+                }
+            }
+        }
+
+        if (tests.length) {
+            this._augmentFilterData();
+
+            data._filteredItems = YArray.filter(data.toArray(),
+                function (record) {
+                    var i, len;
+
+                    for (i = 0, len = tests.length; i < len; ++i) {
+                        if (!tests[i](record)) {
+                            return false;
+                        }
+                    }
+
+                    return true;
+                });
+        } else {
+            data._filteredItems = null;
+        }
+    },
+
+    /**
+    Creates the markup for the filter control of a column.
+
+    @method _createFilterControlHTML
+    @param {Object} column The column configuration
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _createFilterControlHTML: function (column) {
+        var type      = column.filter === true ? 'text' : column.filter,
+            className = this.getClassName('filter', 'input'),
+            label     = sub(this.getString('filterLabel'), {
+                            column: column.label || column.key
+                        }),
+            html      = '',
+            options;
+
+        if (type === 'enum') {
+            options = this._getFilterOptions(column);
+
+            return sub(this.FILTER_SELECT_TEMPLATE, {
+                className: className,
+                label    : Y.Escape.html(label),
+                options  : YArray.map(options, function (option) {
+                    return sub(this.FILTER_OPTION_TEMPLATE, {
+                        value: Y.Escape.html(String(option.value)),
+                        label: Y.Escape.html(String(option.label))
+                    });
+                }, this).join('')
+            });
+        }
+
+        if (!INPUT_TYPES[type]) {
+            return '';
+        }
+
+        if (type === 'text') {
+            return sub(this.FILTER_INPUT_TEMPLATE, {
+                type       : 'text',
+                className  : className,
+                part       : 'value',
+                placeholder: '',
+                label      : Y.Escape.html(label)
+            });
+        }
+
+        YArray.each(['min', 'max'], function (part) {
+            html += sub(this.FILTER_INPUT_TEMPLATE, {
+                type       : INPUT_TYPES[type],
+                className  : className + ' ' +
+                                this.getClassName('filter', part),
+                part       : part,
+                placeholder: Y.Escape.html(this.getString(part)),
+                label      : Y.Escape.html(label + ' (' +
+                                this.getString(part) + ')')
+            });
+        }, this);
+
+        return html;
+    },
+
+    /**
+    Returns the `filterOptions` of an enum filter column as an array of
+    `{ value, label }` objects.  If the column has no `filterOptions`, the
+    distinct values of the column in the `data` ModelList are used.
+
+    @method _getFilterOptions
+    @param {Object} column The column configuration
+    @return {Object[]}
+    @protected
+    @since 3.19.0
+    **/
+    _getFilterOptions: function (column) {
+        var options = column.filterOptions,
+            seen    = {};
+
+        if (!options) {
+            options = [];
+
+            YArray.each(this.data.toArray(), function (record) {
+                var value = record.get(column.key);
+
+                if (isValue(value) && value !== '' &&
+                        !seen.hasOwnProperty(value)) {
+                    seen[value] = true;
+                    options.push(value);
+                }
+            });
+
+            options.sort();
+        }
+
+        return YArray.map(options, function (option) {
+            return isObject(option) ?
+                { value: option.value, label: option.label || option.value } :
+                { value: option, label: option };
+        });
+    },
+
+    /**
+    Returns a function that is passed a record and returns `true` if the
+    record matches the filter for the column key.
+
+    @method _getFilterTest
+    @param {String} key The column key
+    @param {Function|String|Object|Array} filter The filter
+    @return {Function}
+    @protected
+    @since 3.19.0
+    **/
+    _getFilterTest: function (key, filter) {
+        var self = this,
+            min, max, text;
+
+        function toComparable(value) {
+            if (isDate(value)) {
+                return value.getTime();
+            }
+
+            return (typeof value === 'string' && isNaN(+value)) ?
+                Date.parse(value) : +value;
+        }
+
+        if (isFunction(filter)) {
+            return function (record) {
+                return !!filter.call(self, record.get(key), record);
+            };
+        }
+
+        if (isArray(filter)) {
+            filter = YArray.map(filter, String);
+
+            return function (record) {
+                var value = record.get(key);
+
+                return isValue(value) &&
+                    YArray.indexOf(filter, String(value)) > -1;
+            };
+        }
+
+        if (isObject(filter)) {
+            min = isValue(filter.min) ? toComparable(filter.min) : null;
+            max = isValue(filter.max) ? toComparable(filter.max) : null;
+
+            return function (record) {
+                var value = record.get(key);
+
+                if (!isValue(value) || value === '') {
+                    return false;
+                }
+
+                value = toComparable(value);
+
+                return !isNaN(value) &&
+                    (min === null || value >= min) &&
+                    (max === null || value <= max);
+            };
+        }
+
+        text = String(filter).toLowerCase();
+
+        return function (record) {
+            var value = record.get(key);
+
+            return isValue(value) &&
+                String(value).toLowerCase().indexOf(text) > -1;
+        };
+    },
+
+    /**
+    Returns the filter value from the controls in a filter cell.
+
+    @method _getFilterUIValue
+    @param {Node} cell The filter cell
+    @param {Object} column The column configuration
+    @return {String|Object|Array}
+    @protected
+    @since 3.19.0
+    **/
+    _getFilterUIValue: function (cell, column) {
+        var value = {},
+            type  = column.filter === true ? 'text' : column.filter;
+
+        if (type === 'enum') {
+            value = [];
+
+            cell.all('option').each(function (option) {
+                if (option.get('selected')) {
+                    value.push(option.get('value'));
+                }
+            });
+
+            return value;
+        }
+
+        if (type === 'text') {
+            return cell.one('input').get('value');
+        }
+
+        cell.all('input').each(function (input) {
+            var part = input.getAttribute('data-yui3-filter'),
+                val  = input.get('value'),
+                date;
+
+            if (val === '') {
+                return;
+            }
+
+            if (type === 'date') {
+                date = val.split('-');
+                value[part] = (part === 'max') ?
+                    new Date(+date[0], date[1] - 1, +date[2], 23, 59, 59, 999) :
+                    new Date(+date[0], date[1] - 1, +date[2]);
+            } else {
+                value[part] = parseFloat(val);
+            }
+        });
+
+        return value;
+    },
+
+    /**
+    Merges the filter strings and subscribes to the events that update the
+    filtered records and the filter row.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        // Not a valueFn because other class extensions will want to add to it
+        this.set('strings', Y.mix((this.get('strings') || {}),
+            Y.Intl.get('datatable-filter')));
+
+        this._bindFilterData();
+        this._applyFilters();
+
+        this.after({
+            'table:renderHeader': Y.bind('_afterFilterRenderView', this),
+            'table:renderBody'  : Y.bind('_afterFilterRenderView', this),
+            dataChange          : Y.bind('_afterFilterDataChange', this),
+            filtersChange       : Y.bind('_afterFiltersChange', this),
+            remoteChange        : Y.bind('_applyFilters', this)
+        });
+
+        if (this._getRemoteRequest) {
+            // Send the filters to the server in datatable-remote's requests
+            this._eventHandles.filterRemote = Y.Do.after(function () {
+                return new Y.Do.AlterReturn('Added filters',
+                    Y.merge(Y.Do.currentRetVal, {
+                        filters: this.get('filters')
+                    }));
+            }, this, '_getRemoteRequest', this);
+        }
+
+        if (this._augmentData) {
+            // datatable-paginator replaces the ModelList's methods
+            this._eventHandles.filterPaging = Y.Do.after(function () {
+                if (this.data._filterAugmented) {
+                    this.data._filterAugmented = false;
+                    this._augmentFilterData();
+                }
+            }, this, '_augmentData', this);
+        }
+
+        this._eventHandles.filterUI = this.delegate(['change', 'keyup'],
+            Y.bind('_onFilterUIChange', this),
+            '.' + this.getClassName('filter', 'input'));
+    },
+
+    /**
+    Updates the `filters` from the controls of a filter cell.
+
+    @method _onFilterUIChange
+    @param {DOMEventFacade} e The `change` or `keyup` event
+    @protected
+    @since 3.19.0
+    **/
+    _onFilterUIChange: function (e) {
+        var cell    = e.currentTarget.ancestor('td'),
+            column  = cell &&
+                        this.getColumn(cell.getAttribute('data-yui3-col-id')),
+            filters, value;
+
+        if (!column || (e.type === 'keyup' &&
+                e.currentTarget.get('tagName') === 'SELECT')) {
+            return;
+        }
+
+        filters = Y.merge(this.get('filters'));
+        value   = this._getFilterUIValue(cell, column);
+
+        // keyup fires for keys that don't change the input's value
+        if (e.type === 'keyup' && (filters[column.key] || '') === value) {
+            return;
+        }
+
+        filters[column.key] = value;
+
+        this.set('filters', filters, { src: 'ui' });
+    },
+
+    /**
+    Setter for the `filters` attribute.  Returns a copy without the empty
+    filters.
+
+    @method _setFilters
+    @param {Object} val The filters
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _setFilters: function (val) {
+        var filters = {},
+            key, filter;
+
+        for (key in val) {
+            if (val.hasOwnProperty(key)) {
+                filter = val[key];
+
+                if (isValue(filter) && filter !== '' &&
+                        !(isArray(filter) && !filter.length) &&
+                        !(isObject(filter) && !isFunction(filter) &&
+                          !isArray(filter) && !isValue(filter.min) &&
+                          !isValue(filter.max))) {
+                    filters[key] = filter;
+                }
+            }
+        }
+
+        return filters;
+    },
+
+    /**
+    Updates the controls in the filter row to reflect the `filters`.  Function
+    filters aren't reflected in the controls.
+
+    @method _syncFilterRowUI
+    @protected
+    @since 3.19.0
+    **/
+    _syncFilterRowUI: function () {
+        var row     = this._filterRowNode,
+            filters = this.get('filters');
+
+        function formatValue(value) {
+            if (!isValue(value)) {
+                return '';
+            }
+
+            return isDate(value) ?
+                value.getFullYear() + '-' + pad(value.getMonth() + 1) + '-' +
+                    pad(value.getDate()) :
+                String(value);
+        }
+
+        if (!row) {
+            return;
+        }
+
+        row.all('.' + this.getClassName('filter', 'cell')).each(function (cell) {
+            var column = this.getColumn(cell.getAttribute('data-yui3-col-id')),
+                filter = column && filters[column.key],
+                values;
+
+            if (!column || isFunction(filter)) {
+                return;
+            }
+
+            values = isArray(filter) ? YArray.map(filter, String) : [];
+
+            cell.all('option').each(function (option) {
+                option.set('selected',
+                    YArray.indexOf(values, option.get('value')) > -1);
+            });
+
+            cell.all('input').each(function (input) {
+                var part = input.getAttribute('data-yui3-filter');
+
+                input.set('value', formatValue(
+                    part === 'value' ?
+                        (isObject(filter) ? null : filter) :
+                        (filter && filter[part])));
+            });
+        }, this);
+    },
+
+    /**
+    Adds the row of filter controls to the end of the `<thead>` if any of the
+    displayed columns has a `filter` configured.
+
+    @method _uiSetFilterRow
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetFilterRow: function () {
+        var thead   = this._theadNode || (this.head && this.head.theadNode),
+            columns = this._displayColumns || [],
+            hasFilters = false,
+            content = '',
+            i, len, column;
+
+        if (this._filterRowNode) {
+            this._filterRowNode.remove().destroy(true);
+            this._filterRowNode = null;
+        }
+
+        if (!thead) {
+            return;
+        }
+
+        for (i = 0, len = columns.length; i < len; ++i) {
+            column = columns[i];
+
+            if (column.filter && column.key) {
+                hasFilters = true;
+            }
+
+            content += sub(this.FILTER_CELL_TEMPLATE, {
+                className: this.getClassName('filter', 'cell') + ' ' +
+                           this.getClassName('col', column._id),
+                id       : column._id,
+                content  : (column.filter && column.key) ?
+                            this._createFilterControlHTML(column) : ''
+            });
+        }
+
+        if (hasFilters) {
+            this._filterRowNode = Y.Node.create(sub(this.FILTER_ROW_TEMPLATE, {
+                className: this.getClassName('filter', 'row'),
+                content  : content
+            }));
+
+            thead.append(this._filterRowNode);
+
+            this._syncFilterRowUI();
+        }
+    },
+
+    /**
+    Rerenders the body view's rows with the records matching the filters.
+    The `data` ModelList is left untouched, so no `reset` event is fired.
+
+    @method _uiSetFilteredRows
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetFilteredRows: function () {
+        var view = this.body;
+
+        if (this._syncGroupUI && (this.get('groupBy') || (view && view.groups))) {
+            // Regroup the matching records
+            this._syncGroupUI();
+        } else if (view && view.tbodyNode) {
+            view.render();
+        }
+
+        if (view && view.tbodyNode) {
+            view.fire('contentUpdate');
+        }
+
+        if (this._uiSetMessage) {
+            this._uiSetMessage();
+        }
+    }
+
+    /**
+    The `<tr>` containing the filter controls.
+
+    @property _filterRowNode
+    @type {Node}
+    @value `undefined` (not initially set)
+    @protected
+    @since 3.19.0
+    **/
+    //_filterRowNode: null
+}, true);
+
+Y.DataTable.Filter = Filter;
+Y.Base.mix(Y.DataTable, [Filter]);
+
+/**
+Adds a control to the filter row of the table to filter by the column's values.
+Either "text", "number", "date", or "enum".
+
+@property filter
+@type {String}
+@for DataTable.Column
+@since 3.19.0
+*/
+
+/**
+The options for the column's "enum" filter control.  An array of values or
+`{ value, label }` objects.  Defaults to the distinct values of the column in
+the `data` ModelList when the filter row is rendered.
+
+@property filterOptions
+@type {Array}
+@for DataTable.Column
+@since 3.19.0
+*/
@@ -12,6 +12,41 @@ classes.
 Y.namespace('DataTable').FooterView = Y.Base.create('tableFooter', Y.View, [], {
     // -- Instance properties -------------------------------------------------
 
+    /**
+    HTML template used to create the cells of the aggregate row.
+
+    @property AGGREGATE_CELL_TEMPLATE
+    @type {String}
+    @default '<td class="{className}">{content}</td>'
+    @since 3.19.0
+    **/
+    AGGREGATE_CELL_TEMPLATE: '<td class="{className}">{content}</td>',
+
+    /**
+    HTML template used to create the row displaying the `aggregates`.
+
+    @property AGGREGATE_ROW_TEMPLATE
+    @type {String}
+    @default '<tr class="{className}">{content}</tr>'
+    @since 3.19.0
+    **/
+    AGGREGATE_ROW_TEMPLATE: '<tr class="{className}">{content}</tr>',
+
+    /**
+    Aggregate values (such as totals) to display in a row of cells aligned
+    with the table columns, keyed by column id.  Assign the values and call
+    `render()` to update the row.  If `null` or empty, no row is rendered.
+
+    Values are formatted by the column's `aggregateFormatter` function if it
+    has one.
+
+    @property aggregates
+    @type {Object}
+    @default null
+    @since 3.19.0
+    **/
+    //aggregates: null,
+
     /**
     HTML templates used to create the `<tfoot>` containing the table footers.
 
@@ -71,9 +106,36 @@ Y.namespace('DataTable').FooterView = Y.Base.create('tableFooter', Y.View, [], {
             this.host._theadNode.insert(tfoot, 'after');
         }
 
+        this._uiSetAggregates(this.aggregates);
+
         return this;
     },
 
+    // -- Protected and private methods ---------------------------------------
+
+    /**
+    Creates the markup for the aggregate row from the given values.  Returns
+    an empty string if none of the columns has an aggregate value.
+
+    @method _createAggregateRowHTML
+    @param {Object} aggregates Aggregate values keyed by column id
+    @param {Object[]} displayCols The column configurations
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _createAggregateRowHTML: function (aggregates, displayCols) {
+        var html = Y.DataTable.Core._createAggregateCellsHTML(this, aggregates,
+                        displayCols, this.AGGREGATE_CELL_TEMPLATE);
+
+        return html ?
+            Y.Lang.sub(this.AGGREGATE_ROW_TEMPLATE, {
+                className: this.getClassName('aggregates'),
+                content  : html
+            }) :
+            '';
+    },
+
     /**
     Creates the `<tfoot>` node that will store the footer rows and cells.
 
@@ -88,6 +150,30 @@ Y.namespace('DataTable').FooterView = Y.Base.create('tableFooter', Y.View, [], {
         }));
     },
 
+    /**
+    Replaces the aggregate row in the `<tfoot>` with one rendered from the
+    given values, or removes it if there are none.
+
+    @method _uiSetAggregates
+    @param {Object} aggregates Aggregate values keyed by column id
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetAggregates: function (aggregates) {
+        var tfoot       = this.tfootNode,
+            row         = tfoot.one('.' + this.getClassName('aggregates')),
+            displayCols = (this.host && this.host._displayColumns) ||
+                          this.get('columns') || [];
+
+        if (row) {
+            row.remove(true);
+        }
+
+        if (aggregates && !Y.Object.isEmpty(aggregates)) {
+            tfoot.prepend(this._createAggregateRowHTML(aggregates, displayCols));
+        }
+    },
+
     /**
     Initializes the instance. Reads the following configuration properties:
 
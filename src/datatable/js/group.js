@@ -0,0 +1,845 @@
+/**
+Adds support for grouping rows by column values, with collapsible group header
+rows and aggregate values for each group and for the whole table.
+
+@module datatable
+@submodule datatable-group
+@since 3.19.0
+**/
+var Lang       = Y.Lang,
+    isArray    = Lang.isArray,
+    isFunction = Lang.isFunction,
+    isString   = Lang.isString,
+    YArray     = Y.Array;
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension adds support for grouping rows by the values of
+one or more columns, and for computing aggregate values such as sums and
+averages for each group and for the whole table.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [
+        'region',
+        'product',
+        { key: 'units', aggregate: 'sum' },
+        { key: 'price', aggregate: 'avg',
+          aggregateFormatter: function (o) {
+              return o.value.toFixed(2);
+          } }
+    ],
+    data: [ ... ],
+    groupBy: ['region', 'product']
+});
+
+table.render('#table');
+</code></pre>
+
+Each group is rendered with a header row showing the group's value and number
+of records, followed by its rows and a footer row with the group's aggregate
+values.  Clicking a group header row, or calling `toggleGroup()`, collapses or
+expands the group.  The aggregate values for the whole table are displayed in
+the table's footer.
+
+Groups are ordered by their value, and the records in each group keep their
+order in the `data` ModelList.  When used with `datatable-sort`, sorting is
+applied within the groups, and sorting by a grouped column orders its groups
+in the sort direction.
+
+Column `aggregate` values can be the name of a function in
+`Y.DataTable.Group.AGGREGATES` ("sum", "avg", "min", "max", or "count") or a
+custom function.
+
+@class DataTable.Group
+@for DataTable
+@since 3.19.0
+**/
+function Group() {}
+
+Group.ATTRS = {
+    /**
+    The column key or array of column keys to group the table rows by.  Set to
+    `null` to display the rows ungrouped.
+
+    @attribute groupBy
+    @type {String|String[]|null}
+    @default null
+    @since 3.19.0
+    **/
+    groupBy: {
+        value: null,
+        setter: '_setGroupBy'
+    }
+};
+
+/**
+Functions used to calculate the aggregate values for columns configured with
+an `aggregate` name.  Each function receives an array of the column's values
+for the records being aggregated and the array of records.  Add functions to
+this object to make them available to all tables.
+
+@property AGGREGATES
+@type {Object}
+@static
+@since 3.19.0
+**/
+Group.AGGREGATES = {
+    sum: function (values) {
+        var sum = 0;
+
+        YArray.each(values, function (value) {
+            value = +value;
+
+            if (!isNaN(value)) {
+                sum += value;
+            }
+        });
+
+        return sum;
+    },
+
+    avg: function (values) {
+        var sum = 0,
+            count = 0;
+
+        YArray.each(values, function (value) {
+            value = +value;
+
+            if (!isNaN(value)) {
+                sum += value;
+                count++;
+            }
+        });
+
+        return count ? sum / count : null;
+    },
+
+    min: function (values) {
+        var min = null;
+
+        YArray.each(values, function (value) {
+            if (value !== null && value !== undefined &&
+                    (min === null || value < min)) {
+                min = value;
+            }
+        });
+
+        return min;
+    },
+
+    max: function (values) {
+        var max = null;
+
+        YArray.each(values, function (value) {
+            if (value !== null && value !== undefined &&
+                    (max === null || value > max)) {
+                max = value;
+            }
+        });
+
+        return max;
+    },
+
+    count: function (values) {
+        return values.length;
+    }
+};
+
+Y.mix(Group.prototype, {
+    /**
+    Collapses the group with the given id, hiding its rows.
+
+    @method collapseGroup
+    @param {String} id The group id
+    @chainable
+    @since 3.19.0
+    **/
+    collapseGroup: function (id) {
+        return this._toggleGroup(id, true);
+    },
+
+    /**
+    Expands the group with the given id, showing its rows.
+
+    @method expandGroup
+    @param {String} id The group id
+    @chainable
+    @since 3.19.0
+    **/
+    expandGroup: function (id) {
+        return this._toggleGroup(id, false);
+    },
+
+    /**
+    Returns the aggregate values for all records in the table, keyed by column
+    id.
+
+    @method getAggregates
+    @return {Object}
+    @since 3.19.0
+    **/
+    getAggregates: function () {
+        return this._getAggregates(this.data.toArray());
+    },
+
+    /**
+    Returns the group containing the given record, Model `clientId`, or row
+    Node.  If the table is grouped by multiple columns, the innermost group
+    is returned.  Returns `null` if the record isn't in a group.
+
+    @method getGroup
+    @param {Model|String|Node} seed The record, its clientId, or a Node in
+        its row
+    @return {Object}
+    @since 3.19.0
+    **/
+    getGroup: function (seed) {
+        var record = seed;
+
+        if (isString(seed)) {
+            record = this.data.getByClientId(seed);
+        } else if (seed && seed._node) {
+            record = this.getRecord(seed);
+        }
+
+        return (record && this._findGroup(this._groups, record)) || null;
+    },
+
+    /**
+    Returns the groups the table rows are currently grouped in, or `null` if
+    the table is not grouped.  Each group is an object with the following
+    properties:
+
+      * `id` - Unique identifier for the group, used by `collapseGroup()` etc.
+        It's built from the column key and the URI-encoded value, e.g.
+        "region=East". Values that aren't strings are prefixed with their
+        type, e.g. "units=number:1" or "region=null:null", so they don't share
+        an id with string values, and nested groups' ids are prefixed with
+        their parent group's id and a "/".
+      * `key` - The column key the group's records share a value for.
+      * `value` - The shared value.
+      * `level` - The nesting depth of the group, starting at 0.
+      * `records` - Array of the Models in the group.
+      * `groups` - Array of nested groups, or `null`.
+      * `aggregates` - Object of aggregate values, keyed by column id.
+      * `collapsed` - `true` if the group is collapsed.
+
+    @method getGroups
+    @return {Object[]}
+    @since 3.19.0
+    **/
+    getGroups: function () {
+        return this._groups || null;
+    },
+
+    /**
+    Returns `true` if the group with the given id is collapsed.
+
+    @method isGroupCollapsed
+    @param {String} id The group id
+    @return {Boolean}
+    @since 3.19.0
+    **/
+    isGroupCollapsed: function (id) {
+        return !!this._collapsedGroups[id];
+    },
+
+    /**
+    Collapses the group with the given id if it is expanded, or expands it if
+    it is collapsed.
+
+    @method toggleGroup
+    @param {String} id The group id
+    @chainable
+    @since 3.19.0
+    **/
+    toggleGroup: function (id) {
+        return this._toggleGroup(id, !this.isGroupCollapsed(id));
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected properties and methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Reacts to changes in the `data` ModelList, `columns`, or `groupBy` by
+    regrouping the rows and updating the aggregate values.  Changes to the
+    values of records are handled by `_afterGroupRecordChange`.
+
+    @method _afterGroupChange
+    @param {EventFacade} e The relevant change event (ignored)
+    @protected
+    @since 3.19.0
+    **/
+    _afterGroupChange: function () {
+        this._syncGroupUI();
+    },
+
+    /**
+    Reacts to changes in a record's values.  The rows are only regrouped if a
+    `groupBy` column changed, or if the record started or stopped matching the
+    filters of `datatable-filter`.  Otherwise the body view refreshes the
+    record's row itself, and if an aggregated column changed, the aggregate
+    values of the record's groups and of the whole table are updated, leaving
+    the other rows in place.
+
+    @method _afterGroupRecordChange
+    @param {EventFacade} e The record's `change` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterGroupRecordChange: function (e) {
+        var changed = e.changed || {},
+            record  = e.target,
+            filtered, matches, grouped;
+
+        function hasChanged(key) {
+            return changed.hasOwnProperty(key);
+        }
+
+        // Ignore other models' changes, such as those of the paginatorModel
+        if (this.data.indexOf(record) === -1) {
+            return;
+        }
+
+        if (this._groups) {
+            filtered = this.getFilteredRecords ? this.getFilteredRecords() : null;
+            matches  = !filtered || YArray.indexOf(filtered, record) > -1;
+            grouped  = !!this._findGroup(this._groups, record);
+
+            if (matches !== grouped ||
+                    YArray.some(this.get('groupBy') || [], hasChanged)) {
+                this._syncGroupUI();
+                return;
+            }
+        }
+
+        if (YArray.some(this._displayColumns || [], function (col) {
+                return col.aggregate && hasChanged(col.key);
+            })) {
+
+            this._uiSetGroupAggregates(record);
+            this._uiSetAggregates();
+        }
+    },
+
+    /**
+    Assigns the groups to the body view before it is rendered, so the rows
+    are rendered in their groups from the start.
+
+    @method _beforeGroupRenderBody
+    @param {EventFacade} e The `renderBody` event
+    @protected
+    @since 3.19.0
+    **/
+    _beforeGroupRenderBody: function (e) {
+        this._groups = this._createGroups();
+
+        e.view.groups = this._groups;
+    },
+
+    /**
+    Groups the records by the values of the `groupBy` columns, starting with
+    the column at index `level`.
+
+    @method _buildGroups
+    @param {Model[]} records The records to group
+    @param {String[]} keys The column keys to group by
+    @param {Number} level Index in `keys` of the column to group by
+    @param {String} parentId The id of the containing group, or ''
+    @return {Object[]}
+    @protected
+    @since 3.19.0
+    **/
+    _buildGroups: function (records, keys, level, parentId) {
+        var key     = keys[level],
+            dir     = this._getGroupSortDir(key),
+            buckets = {},
+            groups  = [],
+            i, len, record, value, hash, group;
+
+        for (i = 0, len = records.length; i < len; ++i) {
+            record = records[i];
+            value  = record.get(key);
+            hash   = Group._getValueId(value);
+            group  = buckets[hash];
+
+            if (!group) {
+                group = buckets[hash] = {
+                    id     : (parentId ? parentId + '/' : '') + key + '=' +
+                             Group._getValueId(value),
+                    key    : key,
+                    value  : value,
+                    level  : level,
+                    records: [],
+                    groups : null
+                };
+
+                groups.push(group);
+            }
+
+            group.records.push(record);
+        }
+
+        groups.sort(function (a, b) {
+            return dir * Group._compareValues(a.value, b.value);
+        });
+
+        for (i = 0, len = groups.length; i < len; ++i) {
+            group = groups[i];
+
+            group.collapsed  = this.isGroupCollapsed(group.id);
+            group.aggregates = this._getAggregates(group.records);
+
+            if (level < keys.length - 1) {
+                group.groups = this._buildGroups(group.records, keys,
+                                    level + 1, group.id);
+            }
+        }
+
+        return groups;
+    },
+
+    /**
+    Collapsed state of the groups, keyed by group id.
+
+    @property _collapsedGroups
+    @type {Object}
+    @protected
+    @since 3.19.0
+    **/
+    //_collapsedGroups: null,
+
+    /**
+    Returns the groups for the current `data` and `groupBy` configuration, or
+    `null` if the table is not grouped.
+
+    @method _createGroups
+    @return {Object[]}
+    @protected
+    @since 3.19.0
+    **/
+    _createGroups: function () {
+        var keys = this.get('groupBy');
+
+        if (!keys) {
+            return null;
+        }
+
+        // Only group the records that match the filters of datatable-filter
+        return this._buildGroups(this.getFilteredRecords ?
+            this.getFilteredRecords() : this.data.toArray(), keys, 0, '');
+    },
+
+    /**
+    Default behavior of the `groupToggle` event.  Updates the group's collapsed
+    state and rerenders the rows.
+
+    @method _defGroupToggleFn
+    @param {EventFacade} e The `groupToggle` event
+    @protected
+    @since 3.19.0
+    **/
+    _defGroupToggleFn: function (e) {
+        if (e.collapsed) {
+            this._collapsedGroups[e.id] = true;
+        } else {
+            delete this._collapsedGroups[e.id];
+        }
+
+        this._syncGroupUI();
+    },
+
+    /**
+    Searches the given groups for the innermost group containing the record.
+
+    @method _findGroup
+    @param {Object[]} groups The groups to search
+    @param {Model} record The record to find
+    @return {Object} The group or `undefined`
+    @protected
+    @since 3.19.0
+    **/
+    _findGroup: function (groups, record) {
+        var found;
+
+        YArray.some(groups || [], function (group) {
+            if (YArray.indexOf(group.records, record) > -1) {
+                found = (group.groups && this._findGroup(group.groups, record)) ||
+                        group;
+            }
+
+            return found;
+        }, this);
+
+        return found;
+    },
+
+    /**
+    Calculates the aggregate values of the given records for each displayed
+    column with an `aggregate` configuration.
+
+    @method _getAggregates
+    @param {Model[]} records The records to aggregate
+    @return {Object} Aggregate values keyed by column id
+    @protected
+    @since 3.19.0
+    **/
+    _getAggregates: function (records) {
+        var columns    = this._displayColumns || [],
+            aggregates = {},
+            i, len, j, jlen, col, fn, values;
+
+        for (i = 0, len = columns.length; i < len; ++i) {
+            col = columns[i];
+            fn  = col.aggregate;
+
+            if (isString(fn)) {
+                fn = Group.AGGREGATES[fn];
+            }
+
+            if (isFunction(fn)) {
+                values = [];
+
+                for (j = 0, jlen = records.length; j < jlen; ++j) {
+                    values.push(records[j].get(col.key));
+                }
+
+                aggregates[col._id || col.key] =
+                    fn.call(this, values, records, col);
+            }
+        }
+
+        return aggregates;
+    },
+
+    /**
+    Returns the direction to order the groups for the given column key: 1 for
+    ascending, or -1 if the table is sorted descending by that column.
+
+    @method _getGroupSortDir
+    @param {String} key The column key
+    @return {Number}
+    @protected
+    @since 3.19.0
+    **/
+    _getGroupSortDir: function (key) {
+        var dir = 1;
+
+        YArray.some(this._sortBy || [], function (col) {
+            if (col.key === key) {
+                dir = col.sortDir || 1;
+                return true;
+            }
+        });
+
+        return dir;
+    },
+
+    /**
+    The current groups.  See `getGroups()`.
+
+    @property _groups
+    @type {Object[]}
+    @protected
+    @since 3.19.0
+    **/
+    //_groups: null,
+
+    /**
+    Toggles the group when its header row is clicked.
+
+    @method _onGroupHeaderClick
+    @param {DOMEventFacade} e The click event
+    @protected
+    @since 3.19.0
+    **/
+    _onGroupHeaderClick: function (e) {
+        this.toggleGroup(e.currentTarget.getData('yui3-group'));
+    },
+
+    /**
+    Accepts a column key or array of column keys, normalizing the value to an
+    array.  Empty values are converted to `null`.
+
+    @method _setGroupBy
+    @param {String|String[]} val The column key(s)
+    @return {String[]}
+    @protected
+    @since 3.19.0
+    **/
+    _setGroupBy: function (val) {
+        if (isString(val)) {
+            val = [val];
+        }
+
+        return (isArray(val) && val.length) ? val.concat() : null;
+    },
+
+    /**
+    Regroups the rows, rerendering the body if it is or was grouped, and
+    updates the aggregate values in the table footer.
+
+    @method _syncGroupUI
+    @protected
+    @since 3.19.0
+    **/
+    _syncGroupUI: function () {
+        var body = this.body,
+            wasGrouped = body && body.groups;
+
+        this._groups = this._createGroups();
+
+        if (!body) {
+            return;
+        }
+
+        body.groups = this._groups;
+
+        if (body.tbodyNode && (this._groups || wasGrouped)) {
+            body.render();
+        }
+
+        this._uiSetAggregates();
+    },
+
+    /**
+    Fires the `groupToggle` event if the group's collapsed state would change.
+
+    @method _toggleGroup
+    @param {String} id The group id
+    @param {Boolean} collapse `true` to collapse the group, `false` to expand it
+    @chainable
+    @protected
+    @since 3.19.0
+    **/
+    _toggleGroup: function (id, collapse) {
+        if (this.isGroupCollapsed(id) !== collapse) {
+            /**
+            Fires when a group is collapsed or expanded.
+
+            @event groupToggle
+            @param {String} id The group id
+            @param {Boolean} collapsed `true` if the group is being collapsed
+            @preventable _defGroupToggleFn
+            @since 3.19.0
+            **/
+            this.fire('groupToggle', {
+                id       : id,
+                collapsed: collapse
+            });
+        }
+
+        return this;
+    },
+
+    /**
+    Displays the aggregate values of the whole table in the footer, creating
+    the footer if needed.  Does nothing if no columns have an `aggregate`
+    configuration.
+
+    @method _uiSetAggregates
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetAggregates: function () {
+        var aggregates = this.getAggregates(),
+            foot = this.foot;
+
+        if (!this.body || !this.body.tbodyNode) {
+            return;
+        }
+
+        if (!foot) {
+            if (Y.Object.isEmpty(aggregates)) {
+                return;
+            }
+
+            foot = this.foot = new Y.DataTable.FooterView({ host: this });
+            foot.render();
+            this._tfootNode = foot.tfootNode;
+            this.fire('renderFooter', { view: foot });
+        }
+
+        foot.aggregates = aggregates;
+        foot.render();
+    },
+
+    /**
+    Recalculates the aggregate values of the groups containing the given
+    record, and rerenders their footer rows.
+
+    @method _uiSetGroupAggregates
+    @param {Model} record The changed record
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetGroupAggregates: function (record) {
+        var body    = this.body,
+            footers = {},
+            groups  = this._groups,
+            i, len, group, footer, html;
+
+        if (body && body.tbodyNode) {
+            body.tbodyNode.all('.' + this.getClassName('group', 'footer'))
+                .each(function (node) {
+                    footers[node.getAttribute('data-yui3-group')] = node;
+                });
+        }
+
+        // Walk down from the outermost group containing the record
+        while (groups) {
+            group = null;
+
+            for (i = 0, len = groups.length; i < len; ++i) {
+                if (YArray.indexOf(groups[i].records, record) > -1) {
+                    group = groups[i];
+                    break;
+                }
+            }
+
+            if (!group) {
+                break;
+            }
+
+            group.aggregates = this._getAggregates(group.records);
+
+            footer = footers[group.id];
+
+            if (footer) {
+                html = body._createGroupFooterHTML(group, body.get('columns'));
+
+                if (html) {
+                    footer.replace(Y.Node.create(html));
+                }
+            }
+
+            groups = group.groups;
+        }
+    },
+
+    /**
+    Subscribes to the events that require regrouping the rows, and sets up the
+    group header click handler.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        this._collapsedGroups = {};
+
+        this.publish({
+            groupToggle: { defaultFn: Y.bind('_defGroupToggleFn', this) }
+        });
+
+        this.on('table:renderBody', Y.bind('_beforeGroupRenderBody', this));
+
+        this.after('renderView', Y.bind('_uiSetAggregates', this));
+
+        this.after(['groupByChange', 'columnsChange', 'dataChange',
+                    '*:add', '*:remove', '*:reset'],
+            Y.bind('_afterGroupChange', this));
+
+        this.after('*:change', Y.bind('_afterGroupRecordChange', this));
+
+        this._eventHandles.groupHeaderClick = this.delegate('click',
+            Y.bind('_onGroupHeaderClick', this),
+            '.' + this.getClassName('group', 'header'));
+    }
+}, true);
+
+/**
+Compares two group values for ordering the groups.  `null` and `undefined`
+values are ordered first.
+
+@method _compareValues
+@param {Any} a The first value
+@param {Any} b The second value
+@return {Number}
+@static
+@protected
+@since 3.19.0
+**/
+Group._compareValues = function (a, b) {
+    var aEmpty = (a === null || a === undefined),
+        bEmpty = (b === null || b === undefined);
+
+    if (aEmpty || bEmpty) {
+        return aEmpty === bEmpty ? 0 : (aEmpty ? -1 : 1);
+    }
+
+    return (a < b) ? -1 : ((a > b) ? 1 : 0);
+};
+
+/**
+Returns the part of a group id which identifies the group's value.  This is
+the URI-encoded value, prefixed with its type unless the value is a string, so
+values of different types which stringify alike, such as `1` and `"1"`, get
+different ids.
+
+@method _getValueId
+@param {Any} value The group value
+@return {String}
+@static
+@protected
+@since 3.19.0
+**/
+Group._getValueId = function (value) {
+    var id = encodeURIComponent(String(value));
+
+    if (typeof value !== 'string') {
+        id = (value === null ? 'null' : typeof value) + ':' + id;
+    }
+
+    return id;
+};
+
+Y.DataTable.Group = Group;
+Y.Base.mix(Y.DataTable, [Group]);
+/**
+The name of a function in `Y.DataTable.Group.AGGREGATES` ("sum", "avg", "min",
+"max", or "count"), or a custom function, used to calculate the aggregate value
+of this column's values for each group and for the whole table.  Custom
+functions receive the array of values, the array of records, and the column
+configuration, and are executed from the DataTable's context.
+
+    { key: 'units', aggregate: 'sum' }
+
+@property aggregate
+@type {String|Function}
+@for DataTable.Column
+@since 3.19.0
+*/
+/**
+Function used to format the aggregate values of this column.  It receives an
+object with the `value`, the `column` configuration, and, for group aggregates,
+the `group`, and should return the content for the cell.  The content is
+HTML escaped unless the column's `allowHTML` is `true`.
+
+    {
+        key: 'price',
+        aggregate: 'avg',
+        aggregateFormatter: function (o) {
+            return '$' + o.value.toFixed(2);
+        }
+    }
+
+@property aggregateFormatter
+@type {Function}
+@for DataTable.Column
+@since 3.19.0
+*/
+/**
+Function used to create the content of the header rows of groups for this
+column's values.  It receives an object with the group's `value`, the
+`column` configuration, and the `group`, and should return HTML content for
+the header row.
+
+@property groupFormatter
+@type {Function}
+@for DataTable.Column
+@since 3.19.0
+*/
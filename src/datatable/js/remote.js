@@ -0,0 +1,589 @@
+/**
+Adds support for paging and sorting the table's data on the server.
+
+@module datatable
+@submodule datatable-remote
+@since 3.19.0
+**/
+var Lang       = Y.Lang,
+    isFunction = Lang.isFunction,
+    isNumber   = Lang.isNumber,
+    isObject   = Lang.isObject;
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension loads the table's data from a server one page
+at a time, and leaves sorting to the server as well.  This extension doesn't
+filter the data itself; use `datatable-filter` along with it to leave filtering
+to the server too.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns    : [ 'name', 'email' ],
+    rowsPerPage: 25,
+    sortable   : true,
+
+    remote: function (request, callback) {
+        // request is { page: 1, pageSize: 25, sortBy: [] }
+        return Y.io('/users', {
+            data: { q: Y.JSON.stringify(request) },
+            on  : {
+                success: function (id, res) {
+                    // { results: [ ... ], totalItems: 1234 }
+                    callback(null, Y.JSON.parse(res.responseText));
+                },
+                failure: function (id, res) {
+                    callback(res.statusText);
+                }
+            }
+        });
+    }
+}).render('#users');
+</code></pre>
+
+Remote mode is enabled by setting the `remote` attribute to the source of the
+data, either a `DataSource` instance or a sync function (see the `remote`
+attribute for the signatures of each).
+
+When the table is rendered, or the paginator's page or page size or the
+`sortBy` attribute change, the table sends a single request object describing
+the data to display:
+
+  * `page` - the page number, starting at 1, or `null` if the table isn't paged
+  * `pageSize` - the number of rows per page, or `null` to request all rows
+  * `sortBy` - an array of `{ key: "name", dir: "asc" }` objects, in the order
+    of sort priority
+
+  * `filters` - only if `datatable-filter` is in use, the value of the table's
+    `filters` attribute.  Changing the `filters` attribute sends a request for
+    the first page of matching data.
+
+Other class extensions can add to the request by wrapping `_getRemoteRequest()`
+with `Y.Do.after()`, the way `datatable-filter` adds the `filters`.
+
+The response replaces the records in the `data` ModelList with its `results`
+and updates the paginator with its `totalItems`.  The table's data is never
+sorted or paged on the client while in remote mode.  Changing the sort order
+returns the table to the first page.
+
+While a request is pending, the table's `boundingBox` is assigned the class
+"yui3-datatable-loading" and, if `datatable-message` is in use, the
+"loadingMessage" is displayed.  A new request makes any pending request stale,
+and responses to stale requests are ignored.  If the sync function returns an
+object with an `abort` method, such as an `io` transaction, the stale request
+is aborted as well.
+
+The `remoteRequest`, `remoteResponse`, and `remoteError` events can be used to
+customize or replace each step.
+
+@class DataTable.Remote
+@for DataTable
+@since 3.19.0
+**/
+function Remote() {}
+
+Remote.ATTRS = {
+    /**
+    The source of the table's data in remote mode, or `false` to disable remote
+    mode.
+
+    A sync function is called with the request object and a callback, and the
+    DataTable instance as `this`.  Pass the callback an error, or `null` and
+    the response object containing the `results` array and the `totalItems`
+    count.  An array can be passed in place of the response object if the
+    table isn't paged.  The function can return an object with an `abort`
+    method to allow stale requests to be aborted.
+
+    A `DataSource` instance is passed the request object as the `request` in
+    `sendRequest()`.  The `results` and the `totalItems` value of the `meta`
+    of the parsed response are used, so configure its schema accordingly.
+    DataSources that expect a string request, such as `DataSource.IO`, can be
+    sent one by assigning it to `e.request` in a `remoteRequest` event
+    subscriber.
+
+    @attribute remote
+    @type {Function|DataSource|Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    remote: {
+        value: false,
+        validator: function (val) {
+            return val === false || isFunction(val) ||
+                (isObject(val) && isFunction(val.sendRequest));
+        }
+    }
+};
+
+Y.mix(Remote.prototype, {
+    /**
+    Sends a request for the current page of data, with the current sort order,
+    to the `remote` source.  Called automatically when the table is rendered
+    and when the page or sort order change.
+
+    Does nothing if the table isn't in remote mode.
+
+    @method reload
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    reload: function () {
+        if (this.get('remote')) {
+            /**
+            Notifies that a request is being sent to the `remote` source.
+            Subscribers to the `on` phase can modify `e.request`.
+
+            @event remoteRequest
+            @param {Object} request The request object
+            @preventable _defRemoteRequestFn
+            @since 3.19.0
+            **/
+            this.fire('remoteRequest', {
+                request: this._getRemoteRequest()
+            });
+        }
+
+        return this;
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected properties and methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Reacts to changes in the `remote` attribute by loading the data from the
+    new source.
+
+    @method _afterRemoteChange
+    @param {EventFacade} e The `remoteChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterRemoteChange: function (e) {
+        if (e.newVal) {
+            delete this.data.comparator;
+
+            this._requestRemoteData(true);
+        } else {
+            this._cancelRemoteRequest();
+            this._uiSetRemoteLoading(false);
+        }
+    },
+
+    /**
+    Sends the initial request for the table's data after it is rendered.
+
+    @method _afterRemoteRender
+    @protected
+    @since 3.19.0
+    **/
+    _afterRemoteRender: function () {
+        this._remoteRendered = true;
+
+        this.reload();
+    },
+
+    /**
+    Subscribes `_afterRemoteRender` to the end of the `render` method.  This
+    is done when rendering starts so the initial request is sent after other
+    class extensions, such as `datatable-paginator`, have finished rendering.
+
+    @method _beforeRemoteRender
+    @protected
+    @since 3.19.0
+    **/
+    _beforeRemoteRender: function () {
+        var handles = this._eventHandles;
+
+        if (!handles.remoteRendered) {
+            handles.remoteRendered = Y.Do.after(this._afterRemoteRender, this,
+                'render', this);
+        }
+    },
+
+    /**
+    Aborts the pending request, if any, and marks it as stale so its response
+    is ignored.
+
+    @method _cancelRemoteRequest
+    @protected
+    @since 3.19.0
+    **/
+    _cancelRemoteRequest: function () {
+        var pending = this._remoteRequest;
+
+        if (pending) {
+            this._remoteRequest = null;
+
+            if (pending.transaction && isFunction(pending.transaction.abort)) {
+                pending.transaction.abort();
+            }
+        }
+    },
+
+    /**
+    Displays the "remoteErrorMessage" if `datatable-message` is in use.
+
+    @method _defRemoteErrorFn
+    @param {EventFacade} e The `remoteError` event
+    @protected
+    @since 3.19.0
+    **/
+    _defRemoteErrorFn: function () {
+        if (this.showMessage) {
+            this.showMessage('remoteErrorMessage');
+        }
+    },
+
+    /**
+    Sends the request to the `remote` source, cancelling the pending request,
+    if any.
+
+    @method _defRemoteRequestFn
+    @param {EventFacade} e The `remoteRequest` event
+    @protected
+    @since 3.19.0
+    **/
+    _defRemoteRequestFn: function (e) {
+        var source  = this.get('remote'),
+            request = e.request,
+            self    = this,
+            pending;
+
+        this._cancelRemoteRequest();
+
+        pending = this._remoteRequest = { request: request };
+
+        this._uiSetRemoteLoading(true);
+
+        function respond(error, response) {
+            // Ignore responses to stale requests
+            if (self._remoteRequest === pending) {
+                self._remoteRequest = null;
+                self._onRemoteResponse(request, error, response);
+            }
+        }
+
+        if (isFunction(source)) {
+            pending.transaction = source.call(this, request, respond);
+        } else {
+            source.sendRequest({
+                request : request,
+                callback: {
+                    success: function (e) {
+                        respond(null, e.response);
+                    },
+                    failure: function (e) {
+                        respond(e.error || e.response || true);
+                    }
+                }
+            });
+        }
+    },
+
+    /**
+    Replaces the records in the `data` ModelList with the response's `results`
+    and updates the paginator's `totalItems`.
+
+    @method _defRemoteResponseFn
+    @param {EventFacade} e The `remoteResponse` event
+    @protected
+    @since 3.19.0
+    **/
+    _defRemoteResponseFn: function (e) {
+        var data  = this.data,
+            model = this.get('paginatorModel');
+
+        // The loaded records are all on the current page
+        if (data._paged) {
+            data._paged.index  = 0;
+            data._paged.length = e.request.pageSize === null ? -1 :
+                                    e.request.pageSize;
+        }
+
+        if (model) {
+            model.set('totalItems', e.totalItems);
+        }
+
+        data.reset(e.results);
+    },
+
+    /**
+    Returns the request object describing the data to display.
+
+    This is the hook for other class extensions to add to the request.  Wrap it
+    with `Y.Do.after()` and return a `Y.Do.AlterReturn` with the added
+    properties, and call `_requestRemoteData(true)` when they change.
+
+    @method _getRemoteRequest
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getRemoteRequest: function () {
+        var model    = this.get('rowsPerPage') && this.get('paginatorModel'),
+            sortBy   = [],
+            pageSize = model ? model.get('itemsPerPage') : null,
+            columns  = this._sortBy || [],
+            i, len;
+
+        for (i = 0, len = columns.length; i < len; ++i) {
+            sortBy.push({
+                key: columns[i].key || columns[i]._id,
+                dir: columns[i].sortDir === -1 ? 'desc' : 'asc'
+            });
+        }
+
+        return {
+            page    : model ? model.get('page') : null,
+            pageSize: (isNumber(pageSize) && pageSize > 0) ? pageSize : null,
+            sortBy  : sortBy
+        };
+    },
+
+    /**
+    Publishes the remote events and wraps the client side sorting and paging
+    methods so they are skipped in remote mode.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        var handles = this._eventHandles;
+
+        // Not a valueFn because other class extensions will want to add to it
+        this.set('strings', Y.mix((this.get('strings') || {}),
+            Y.Intl.get('datatable-remote')));
+
+        this.publish({
+            remoteRequest : { defaultFn: Y.bind('_defRemoteRequestFn', this) },
+            remoteResponse: { defaultFn: Y.bind('_defRemoteResponseFn', this) },
+            remoteError   : { defaultFn: Y.bind('_defRemoteErrorFn', this) }
+        });
+
+        if (this.get('remote')) {
+            delete this.data.comparator;
+        }
+
+        handles.remoteOverrides = new Y.EventHandle(Y.Array.filter([
+            this._overrideInRemoteMode('_afterSortByChange',
+                '_onRemoteSortByChange'),
+            this._overrideInRemoteMode('_initSortFn', '_onRemoteInitSort'),
+            this._overrideInRemoteMode('_afterPaginatorModelChange',
+                '_onRemotePaginatorModelChange'),
+            this._overrideInRemoteMode('_afterDataChangeWithPaginator'),
+            this._overrideInRemoteMode('_afterDataUpdatesWithPaginator')
+        ], Boolean));
+
+        handles.remoteRender = Y.Do.before(this._beforeRemoteRender, this,
+            'render', this);
+
+        this.after('remoteChange', Y.bind('_afterRemoteChange', this));
+    },
+
+    /**
+    Ensures the data isn't sorted on the client when the `data` ModelList is
+    replaced in remote mode.
+
+    @method _onRemoteInitSort
+    @protected
+    @since 3.19.0
+    **/
+    _onRemoteInitSort: function () {
+        delete this.data.comparator;
+    },
+
+    /**
+    Loads the new page when the paginator's `page` or `itemsPerPage` changes
+    in remote mode.  Other changes, such as to the `totalItems` from the
+    response, are ignored.
+
+    @method _onRemotePaginatorModelChange
+    @param {EventFacade} e The paginator model's `change` event
+    @protected
+    @since 3.19.0
+    **/
+    _onRemotePaginatorModelChange: function (e) {
+        var changed = e.changed || {};
+
+        if (!this._remotePageReset && (changed.page || changed.itemsPerPage)) {
+            this._requestRemoteData();
+        }
+    },
+
+    /**
+    Dispatches the response from the `remote` source to the `remoteResponse`
+    or `remoteError` event.
+
+    @method _onRemoteResponse
+    @param {Object} request The request object
+    @param {Any} error The error, if the request failed
+    @param {Object|Array} response The response
+    @protected
+    @since 3.19.0
+    **/
+    _onRemoteResponse: function (request, error, response) {
+        var results, totalItems;
+
+        this._uiSetRemoteLoading(false);
+
+        if (error) {
+            /**
+            Notifies that the `remote` source reported an error.
+
+            @event remoteError
+            @param {Object} request The request object
+            @param {Any} error The error reported by the `remote` source
+            @preventable _defRemoteErrorFn
+            @since 3.19.0
+            **/
+            this.fire('remoteError', {
+                request: request,
+                error  : error
+            });
+        } else {
+            results    = Lang.isArray(response) ? response :
+                            ((response && response.results) || []);
+            totalItems = response && (isNumber(response.totalItems) ?
+                            response.totalItems :
+                            (response.meta && response.meta.totalItems));
+
+            /**
+            Notifies that the `remote` source responded to the current request.
+
+            @event remoteResponse
+            @param {Object} request The request object
+            @param {Object|Array} response The response
+            @param {Object[]} results The records to display
+            @param {Number} totalItems The total number of records on all
+                pages
+            @preventable _defRemoteResponseFn
+            @since 3.19.0
+            **/
+            this.fire('remoteResponse', {
+                request   : request,
+                response  : response,
+                results   : results,
+                totalItems: isNumber(totalItems) ? totalItems : results.length
+            });
+        }
+    },
+
+    /**
+    Updates the internal sort state and loads the first page of data in the
+    new sort order in remote mode.
+
+    @method _onRemoteSortByChange
+    @protected
+    @since 3.19.0
+    **/
+    _onRemoteSortByChange: function () {
+        this._setSortBy();
+        this._requestRemoteData(true);
+    },
+
+    /**
+    Wraps the method `name` so that in remote mode, `replacement` (if any) is
+    called instead.  Returns `null` if the method doesn't exist, because the
+    class extension that provides it isn't in use.
+
+    @method _overrideInRemoteMode
+    @param {String} name The name of the method to wrap
+    @param {String} [replacement] The name of the method to call instead
+    @return {EventHandle}
+    @protected
+    @since 3.19.0
+    **/
+    _overrideInRemoteMode: function (name, replacement) {
+        if (!isFunction(this[name])) {
+            return null;
+        }
+
+        return Y.Do.before(function () {
+            if (this.get('remote')) {
+                if (replacement) {
+                    this[replacement].apply(this, arguments);
+                }
+
+                return new Y.Do.Prevent();
+            }
+        }, this, name, this);
+    },
+
+    /**
+    Sends a request for the table's data if the table has been rendered.  The
+    initial request is sent after rendering.
+
+    @method _requestRemoteData
+    @param {Boolean} [firstPage] Return to the first page
+    @protected
+    @since 3.19.0
+    **/
+    _requestRemoteData: function (firstPage) {
+        if (firstPage) {
+            this._resetRemotePage();
+        }
+
+        if (this._remoteRendered) {
+            this.reload();
+        }
+    },
+
+    /**
+    Returns the paginator to the first page without sending a request for it.
+
+    @method _resetRemotePage
+    @protected
+    @since 3.19.0
+    **/
+    _resetRemotePage: function () {
+        var model = this.get('paginatorModel');
+
+        if (model) {
+            this._remotePageReset = true;
+            model.set('page', 1);
+            this._remotePageReset = false;
+        }
+    },
+
+    /**
+    Adds or removes the "yui3-datatable-loading" class and displays the
+    "loadingMessage" while a request is pending.  When the request completes,
+    the message is updated for the loaded data.
+
+    @method _uiSetRemoteLoading
+    @param {Boolean} loading Whether a request is pending
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetRemoteLoading: function (loading) {
+        this.get('boundingBox').toggleClass(this.getClassName('loading'),
+            loading);
+
+        if (loading) {
+            if (this.showMessage) {
+                this.showMessage('loadingMessage');
+            }
+        } else if (this._uiSetMessage) {
+            this._uiSetMessage();
+        }
+    }
+
+    /**
+    The pending request to the `remote` source, with the `request` object and
+    the `transaction` returned by the sync function, if any.
+
+    @property _remoteRequest
+    @type {Object}
+    @value `undefined` (not initially set)
+    @protected
+    @since 3.19.0
+    **/
+    //_remoteRequest: null
+}, true);
+
+Y.DataTable.Remote = Remote;
+Y.Base.mix(Y.DataTable, [Remote]);
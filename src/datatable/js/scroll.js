@@ -11,6 +11,9 @@ var YLang = Y.Lang,
     isNumber = YLang.isNumber,
     isArray  = YLang.isArray,
 
+    // Used for virtual rendering until a row can be measured
+    DEFAULT_ROW_HEIGHT = 20,
+
     Scrollable;
 
 // Returns the numeric value portion of the computed style, defaulting to 0
@@ -34,6 +37,17 @@ in sync programmatically.
 Since the split table synchronization can be costly at runtime, the split is only
 done if the data in the table stretches beyond the configured `height` value.
 
+For tables with many thousands of rows, set `virtualRows` to `true` to have
+vertically scrolling tables render only the rows in (or near) the visible area
+of the scroller.  Rows are added and removed as the table is scrolled, and
+spacers above and below the rendered rows preserve the full scroll height.
+
+Columns configured with `frozen: 'left'` or `frozen: 'right'` remain in view
+while the other columns of a horizontally scrolling table scroll beneath them.
+Frozen cells stay in the same rows as the scrolling cells, so row heights
+always match and keyboard navigation (see `datatable-keynav`) moves across
+them as usual.
+
 To activate or deactivate scrolling, set the `scrollable` attribute to one of
 the following values:
 
@@ -71,6 +85,65 @@ Scrollable.ATTRS = {
     scrollable: {
         value: false,
         setter: '_setScrollable'
+    },
+
+    /**
+    Renders only the rows of a vertically scrolling table that are in or near
+    the visible area of the scroller, rather than a row for every record in
+    the `data` ModelList.  Rows are rendered and removed as the table is
+    scrolled.
+
+    This has no effect unless the table is scrolling vertically (see
+    `scrollable` and `height`).
+
+    Note that with `virtualRows` enabled, `getRow()` and `getCell()` will
+    return `null` for rows that are not currently rendered.  Use `scrollTo()`
+    to bring a row into view (and render it).
+
+    @attribute virtualRows
+    @type {Boolean}
+    @value false
+    @since 3.19.0
+    **/
+    virtualRows: {
+        value: false,
+        validator: YLang.isBoolean
+    },
+
+    /**
+    The height in pixels of each data row, used to calculate which rows to
+    render when `virtualRows` is enabled.  If not set, the height of the
+    first rendered row is used.
+
+    All rows are expected to have the same height.
+
+    @attribute rowHeight
+    @type {Number}
+    @value null
+    @since 3.19.0
+    **/
+    rowHeight: {
+        value: null,
+        validator: function (val) {
+            return val === null || (isNumber(val) && val > 0);
+        }
+    },
+
+    /**
+    The number of rows to render above and below the visible rows when
+    `virtualRows` is enabled.  Larger values reduce the flicker of rows being
+    rendered during fast scrolling at the cost of more rows in the DOM.
+
+    @attribute virtualRowBuffer
+    @type {Number}
+    @value 10
+    @since 3.19.0
+    **/
+    virtualRowBuffer: {
+        value: 10,
+        validator: function (val) {
+            return isNumber(val) && val >= 0;
+        }
     }
 };
 
@@ -92,15 +165,35 @@ Y.mix(Scrollable.prototype, {
     @since 3.5.0
     **/
     scrollTo: function (id) {
-        var target;
+        var index = -1,
+            target, record;
 
         if (id && this._tbodyNode && (this._yScrollNode || this._xScrollNode)) {
             if (isArray(id)) {
+                this._scrollToVirtualRow(id[0]);
                 target = this.getCell(id);
             } else if (isNumber(id)) {
+                this._scrollToVirtualRow(id);
                 target = this.getRow(id);
             } else if (isString(id)) {
                 target = this._tbodyNode.one('#' + id);
+
+                if (!target && this._isVirtualRendering()) {
+                    record = this.data.getByClientId(id);
+
+                    if (record) {
+                        // Rows are indexed among the records that match the
+                        // filters of datatable-filter
+                        index = this.getFilteredRecords ?
+                            Y.Array.indexOf(this.getFilteredRecords(), record) :
+                            this.data.indexOf(record);
+                    }
+
+                    if (index > -1) {
+                        this._scrollToVirtualRow(index);
+                        target = this.getRow(record);
+                    }
+                }
             } else if (id._node &&
                     // TODO: ancestor(yScrollNode, xScrollNode)
                     id.ancestor('.yui3-datatable') === this.get('boundingBox')) {
@@ -190,6 +283,18 @@ Y.mix(Scrollable.prototype, {
     **/
     _Y_SCROLLER_TEMPLATE: '<div class="{className}"><div class="{scrollerClassName}"></div></div>',
 
+    /**
+    Template for the `<tbody>`s placed above and below the rendered rows to
+    preserve the scroll height of tables with `virtualRows` enabled.
+
+    @property _VIRTUAL_SPACER_TEMPLATE
+    @type {String}
+    @value '<tbody class="{className}" aria-hidden="true"><tr><td colspan="{colspan}"></td></tr></tbody>'
+    @protected
+    @since 3.19.0
+    **/
+    _VIRTUAL_SPACER_TEMPLATE: '<tbody class="{className}" aria-hidden="true"><tr><td colspan="{colspan}"></td></tr></tbody>',
+
     /**
     Adds padding to the last cells in the fixed header for vertically scrolling
     tables.  This padding is equal in width to the scrollbar, so can't be
@@ -209,12 +314,85 @@ Y.mix(Scrollable.prototype, {
             rows = fixedHeader.all('tr');
 
             for (i = 0, len = rows.size(); i < len; i += +header.get('rowSpan')) {
-                header = rows.item(i).all(headerClass).pop();
+                // Rows added to the header, such as the filter row of
+                // datatable-filter, may not contain header cells
+                header = rows.item(i).all(headerClass).pop() ||
+                         rows.item(i).get('lastChild');
                 header.setStyle('paddingRight', scrollbarWidth);
             }
         }
     },
 
+    /**
+    Scrolls the table horizontally if the newly focused cell would otherwise
+    be hidden beneath the frozen columns.
+
+    @method _afterFrozenFocusedCellChange
+    @param {EventFacade} e The `focusedCellChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterFrozenFocusedCellChange: function (e) {
+        var cell       = e.newVal,
+            scroller   = this._xScrollNode,
+            leftClass  = this.getClassName('frozen', 'left'),
+            rightClass = this.getClassName('frozen', 'right'),
+            region, leftEdge, rightEdge, row, offset;
+
+        if (!cell || !scroller || !this._frozenScrollHandle ||
+                !this.get('focused') ||
+                cell.hasClass(leftClass) || cell.hasClass(rightClass)) {
+            return;
+        }
+
+        row       = cell.ancestor('tr');
+        region    = cell.get('region');
+        leftEdge  = scroller.get('region').left;
+        rightEdge = leftEdge + scroller.get('clientWidth');
+
+        row.all('.' + leftClass).each(function (frozenCell) {
+            leftEdge = Math.max(leftEdge, frozenCell.get('region').right);
+        });
+
+        row.all('.' + rightClass).each(function (frozenCell) {
+            rightEdge = Math.min(rightEdge, frozenCell.get('region').left);
+        });
+
+        if (region.left < leftEdge) {
+            offset = region.left - leftEdge;
+        } else if (region.right > rightEdge) {
+            offset = Math.min(region.right - rightEdge, region.left - leftEdge);
+        }
+
+        if (offset) {
+            scroller.set('scrollLeft', scroller.get('scrollLeft') + offset);
+
+            // Don't wait for the scroll event to reposition the frozen cells
+            this._syncFrozenPosition();
+        }
+    },
+
+    /**
+    Subscribes to the body view's rendering to mark the cells of frozen
+    columns when the rows are rendered.
+
+    @method _afterFrozenRenderBody
+    @param {EventFacade} e The `renderBody` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterFrozenRenderBody: function (e) {
+        var view = e.view;
+
+        if (!this._frozenBodyHandle) {
+            this._frozenBodyHandle = new Y.EventHandle([
+                Y.Do.after(this._syncFrozenColumns, view, 'render', this),
+                view.after('contentUpdate',
+                    Y.bind('_syncFrozenColumns', this))
+            ]);
+        }
+    },
+
     /**
     Reacts to changes in the `scrollable` attribute by updating the `_xScroll`
     and `_yScroll` properties and syncing the scrolling structure accordingly.
@@ -265,6 +443,9 @@ Y.mix(Scrollable.prototype, {
     @since 3.5.0
     **/
     _afterScrollColumnsChange: function () {
+        // Row height may change with the columns
+        delete this._virtualRowHeight;
+
         if (this._xScroll || this._yScroll) {
             if (this._yScroll && this._yScrollHeader) {
                 this._syncScrollHeaders();
@@ -345,6 +526,58 @@ Y.mix(Scrollable.prototype, {
         }
     },
 
+    /**
+    Reacts to changes in the `virtualRows`, `rowHeight`, or `virtualRowBuffer`
+    attributes by updating the rendered rows.
+
+    @method _afterVirtualRowsChange
+    @param {EventFacade} e The relevant change event (ignored)
+    @protected
+    @since 3.19.0
+    **/
+    _afterVirtualRowsChange: function () {
+        delete this._virtualRowHeight;
+
+        this._syncVirtualRows();
+    },
+
+    /**
+    Limits the initial rendering of the table body to the first rows when
+    `virtualRows` is enabled, so the full `data` ModelList is never rendered.
+
+    @method _beforeVirtualRenderBody
+    @param {EventFacade} e The `renderBody` event
+    @protected
+    @since 3.19.0
+    **/
+    _beforeVirtualRenderBody: function (e) {
+        var body = e.view,
+            count;
+
+        if (this.get('virtualRows') && this._yScroll &&
+                body.setRenderRange && !body._renderRange) {
+            count = Math.ceil((parseInt(this.get('height'), 10) || 0) /
+                        (this.get('rowHeight') || DEFAULT_ROW_HEIGHT));
+
+            body.setRenderRange(0, count + this.get('virtualRowBuffer'));
+        }
+    },
+
+    /**
+    Subscribes to the `_xScrollNode`'s scroll event to keep the cells of
+    frozen columns in view.
+
+    @method _bindFrozenScroll
+    @protected
+    @since 3.19.0
+    **/
+    _bindFrozenScroll: function () {
+        if (this._xScrollNode && !this._frozenScrollHandle) {
+            this._frozenScrollHandle = this._xScrollNode.on('scroll',
+                Y.bind('_syncFrozenPosition', this));
+        }
+    },
+
     /**
     Binds virtual scrollbar interaction to the `_yScrollNode`'s `scrollTop` and
     vice versa.
@@ -408,6 +641,30 @@ Y.mix(Scrollable.prototype, {
 
         this.after(['dataChange', '*:add', '*:remove', '*:reset', '*:change'],
             Y.bind('_afterScrollDataChange', this));
+
+        this.after(['virtualRowsChange', 'rowHeightChange',
+                    'virtualRowBufferChange'],
+            Y.bind('_afterVirtualRowsChange', this));
+
+        // Subscribed after bindUI so datatable-keynav has already scrolled the
+        // cell into view.
+        this.after('focusedCellChange',
+            Y.bind('_afterFrozenFocusedCellChange', this));
+    },
+
+    /**
+    Subscribes to the `_yScrollNode`'s scroll event to update the rendered
+    rows of tables with `virtualRows` enabled.
+
+    @method _bindVirtualScroll
+    @protected
+    @since 3.19.0
+    **/
+    _bindVirtualScroll: function () {
+        if (this._yScrollNode && !this._virtualScrollHandle) {
+            this._virtualScrollHandle = this._yScrollNode.on('scroll',
+                Y.bind('_syncVirtualRows', this));
+        }
     },
 
     /**
@@ -543,6 +800,22 @@ Y.mix(Scrollable.prototype, {
         return this._yScrollContainer;
     },
 
+    /**
+    Returns `true` if the table is rendering only the visible rows (see the
+    `virtualRows` attribute).
+
+    @method _isVirtualRendering
+    @return {Boolean}
+    @protected
+    @since 3.19.0
+    **/
+    _isVirtualRendering: function () {
+        // Grouped rows (see datatable-group) are always fully rendered
+        return !!(this.get('virtualRows') && this._yScroll &&
+                  this._yScrollNode && this.body &&
+                  this.body.setRenderRange && !this.body.groups);
+    },
+
     /**
     Removes the nodes used to create horizontal and vertical scrolling and
     rejoins the caption to the main table if needed.
@@ -579,6 +852,8 @@ Y.mix(Scrollable.prototype, {
     @since 3.5.0
     **/
     _disableYScrolling: function () {
+        this._unbindVirtualScroll();
+        this._removeVirtualSpacers();
         this._removeYScrollHeader();
         this._removeYScrollNode();
         this._removeYScrollContainer();
@@ -595,7 +870,116 @@ Y.mix(Scrollable.prototype, {
     destructor: function () {
         this._unbindScrollbar();
         this._unbindScrollResize();
+        this._unbindVirtualScroll();
+        this._unbindFrozenScroll();
         this._clearScrollLock();
+
+        if (this._frozenBodyHandle) {
+            this._frozenBodyHandle.detach();
+            delete this._frozenBodyHandle;
+        }
+    },
+
+    /**
+    Returns the `_id`s of the columns that are frozen to the left and right
+    of horizontally scrolling tables, including the `_id`s of their nested
+    columns.  Only the leading columns configured with `frozen: 'left'` and
+    the trailing columns configured with `frozen: 'right'` are frozen.
+
+    The returned object has the following properties:
+
+      * `left` - the `_id`s of the columns frozen to the left
+      * `right` - the `_id`s of the columns frozen to the right
+      * `leftEdge` - the `_id`s of the left frozen columns that border the
+        scrolling columns
+      * `rightEdge` - the `_id`s of the right frozen columns that border the
+        scrolling columns
+
+    @method _getFrozenColumns
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getFrozenColumns: function () {
+        var columns = this.get('columns') || [],
+            frozen  = { left: [], right: [], leftEdge: [], rightEdge: [] },
+            start   = 0,
+            end     = columns.length - 1,
+            i;
+
+        function collect(column, ids) {
+            var children = column.children,
+                j, len;
+
+            ids.push(column._id);
+
+            if (children) {
+                for (j = 0, len = children.length; j < len; ++j) {
+                    collect(children[j], ids);
+                }
+            }
+        }
+
+        function edge(column, ids, last) {
+            while (column) {
+                ids.push(column._id);
+
+                column = column.children &&
+                    column.children[last ? column.children.length - 1 : 0];
+            }
+        }
+
+        while (start <= end && columns[start].frozen === 'left') {
+            collect(columns[start++], frozen.left);
+        }
+
+        while (end >= start && columns[end].frozen === 'right') {
+            collect(columns[end--], frozen.right);
+        }
+
+        if (start) {
+            edge(columns[start - 1], frozen.leftEdge, true);
+        }
+
+        if (end < columns.length - 1) {
+            edge(columns[end + 1], frozen.rightEdge, false);
+        }
+
+        for (i = start; i <= end; ++i) {
+            if (columns[i].frozen) {
+                Y.log('Only the first or last columns can be frozen. ' +
+                    'Ignoring frozen: "' + columns[i].frozen + '" for ' +
+                    'column "' + columns[i]._id + '"', 'warn', 'datatable');
+            }
+        }
+
+        return frozen;
+    },
+
+    /**
+    Returns the height in pixels to use for each row of tables with
+    `virtualRows` enabled.  Uses the `rowHeight` attribute if set, otherwise
+    measures the first rendered row.
+
+    @method _getVirtualRowHeight
+    @return {Number}
+    @protected
+    @since 3.19.0
+    **/
+    _getVirtualRowHeight: function () {
+        var row;
+
+        if (this.get('rowHeight')) {
+            return this.get('rowHeight');
+        }
+
+        if (!this._virtualRowHeight) {
+            row = this._tbodyNode && this._tbodyNode.one('tr');
+
+            this._virtualRowHeight = (row && row.get('offsetHeight')) || null;
+        }
+
+        return this._virtualRowHeight || DEFAULT_ROW_HEIGHT;
     },
 
     /**
@@ -615,6 +999,9 @@ Y.mix(Scrollable.prototype, {
 
         this.after('renderView', Y.bind('_syncScrollUI', this));
 
+        this.on('table:renderBody', Y.bind('_beforeVirtualRenderBody', this));
+        this.after('table:renderBody', Y.bind('_afterFrozenRenderBody', this));
+
         Y.Do.after(this._bindScrollUI, this, 'bindUI');
     },
 
@@ -649,6 +1036,8 @@ Y.mix(Scrollable.prototype, {
         var scroller = this._xScrollNode;
 
         if (scroller) {
+            this._unbindFrozenScroll();
+
             scroller.replace(scroller.get('childNodes').toFrag());
             scroller.remove().destroy(true);
 
@@ -710,6 +1099,25 @@ Y.mix(Scrollable.prototype, {
         }
     },
 
+    /**
+    Removes the spacer `<tbody>`s used to preserve the scroll height of tables
+    with `virtualRows` enabled.
+
+    @method _removeVirtualSpacers
+    @protected
+    @since 3.19.0
+    **/
+    _removeVirtualSpacers: function () {
+        var spacers = this._virtualSpacers;
+
+        if (spacers) {
+            spacers.before.remove().destroy(true);
+            spacers.after.remove().destroy(true);
+
+            delete this._virtualSpacers;
+        }
+    },
+
     /**
     Removes the virtual scrollbar used by scrolling tables.
 
@@ -755,6 +1163,29 @@ Y.mix(Scrollable.prototype, {
             Y.Attribute.INVALID_VALUE;
     },
 
+    /**
+    Scrolls the `_yScrollNode` to the row for the Model at the given index if
+    it isn't currently rendered in a table with `virtualRows` enabled, then
+    renders the rows around it.
+
+    @method _scrollToVirtualRow
+    @param {Number} index Index of the Model in the `data` ModelList
+    @protected
+    @since 3.19.0
+    **/
+    _scrollToVirtualRow: function (index) {
+        var thead = this._theadNode;
+
+        if (this._isVirtualRendering() && isNumber(index) && index >= 0 &&
+                !this.getRow(index)) {
+            this._yScrollNode.set('scrollTop',
+                (thead ? thead.get('offsetHeight') : 0) +
+                index * this._getVirtualRowHeight());
+
+            this._syncVirtualRows();
+        }
+    },
+
     /**
     Assigns the `_xScroll` and `_yScroll` properties to true if an
     appropriate value is set in the `scrollable` attribute and the `height`
@@ -990,6 +1421,204 @@ Y.mix(Scrollable.prototype, {
         if (scrollTop && this._yScrollNode) {
             this._yScrollNode.set('scrollTop', scrollTop);
         }
+
+        this._syncVirtualRows();
+        this._syncFrozenColumns();
+    },
+
+    /**
+    Assigns the "yui3-datatable-frozen-left" or "...-right" class to the
+    header and data cells of frozen columns of horizontally scrolling tables
+    (see `_getFrozenColumns`) and positions them within the visible area of
+    the `_xScrollNode`.  The cells of the frozen columns that border the
+    scrolling columns are also assigned the "yui3-datatable-frozen-left-edge"
+    or "...-right-edge" class.
+
+    Classes and positioning are removed from all cells if the table is not
+    scrolling horizontally.
+
+    @method _syncFrozenColumns
+    @protected
+    @since 3.19.0
+    **/
+    _syncFrozenColumns: function () {
+        var scroller       = this._xScrollNode,
+            leftClass      = this.getClassName('frozen', 'left'),
+            rightClass     = this.getClassName('frozen', 'right'),
+            leftEdgeClass  = this.getClassName('frozen', 'left', 'edge'),
+            rightEdgeClass = this.getClassName('frozen', 'right', 'edge'),
+            frozen;
+
+        function addClass(ids, className) {
+            var i, len;
+
+            for (i = 0, len = ids.length; i < len; ++i) {
+                scroller.all('.' + this.getClassName('col', ids[i]))
+                    .addClass(className);
+            }
+        }
+
+        this.get('contentBox').all('.' + leftClass + ', .' + rightClass)
+            .removeClass(leftClass)
+            .removeClass(rightClass)
+            .removeClass(leftEdgeClass)
+            .removeClass(rightEdgeClass)
+            .setStyle('left', '');
+
+        frozen = (this._xScroll && scroller) ?
+            this._getFrozenColumns() : { left: [], right: [] };
+
+        if (frozen.left.length || frozen.right.length) {
+            addClass.call(this, frozen.left, leftClass);
+            addClass.call(this, frozen.right, rightClass);
+            addClass.call(this, frozen.leftEdge, leftEdgeClass);
+            addClass.call(this, frozen.rightEdge, rightEdgeClass);
+
+            this._bindFrozenScroll();
+            this._syncFrozenPosition();
+        } else {
+            this._unbindFrozenScroll();
+        }
+    },
+
+    /**
+    Offsets the cells of frozen columns by the horizontal scroll position of
+    the `_xScrollNode` so they remain at the left or right edge of its
+    visible area.
+
+    @method _syncFrozenPosition
+    @protected
+    @since 3.19.0
+    **/
+    _syncFrozenPosition: function () {
+        var scroller = this._xScrollNode,
+            scrollLeft, visibleWidth, right;
+
+        if (scroller && this._frozenScrollHandle) {
+            scrollLeft   = scroller.get('scrollLeft');
+            visibleWidth = scroller.get('clientWidth');
+
+            // The virtual scrollbar of xy scrolling tables covers the right
+            // edge of the table
+            if (this._yScroll && this._scrollbarNode) {
+                visibleWidth -= Y.DOM.getScrollbarWidth();
+            }
+
+            right = Math.min(0, scrollLeft + visibleWidth -
+                        this._tableNode.get('offsetWidth'));
+
+            scroller.all('.' + this.getClassName('frozen', 'left'))
+                .setStyle('left', scrollLeft + 'px');
+            scroller.all('.' + this.getClassName('frozen', 'right'))
+                .setStyle('left', right + 'px');
+        }
+    },
+
+    /**
+    Renders the rows of a table with `virtualRows` enabled that are within
+    the visible area of the `_yScrollNode`, plus `virtualRowBuffer` rows above
+    and below, and sizes the spacers around them to match the rows not
+    rendered.  If `virtualRows` is disabled or the table is not scrolling
+    vertically, all rows are rendered.
+
+    If the cell with keyboard focus (see `datatable-keynav`) is removed, the
+    focus is restored to the same cell when its row is rendered again.
+
+    @method _syncVirtualRows
+    @protected
+    @since 3.19.0
+    **/
+    _syncVirtualRows: function () {
+        var body     = this.body,
+            scroller = this._yScrollNode,
+            thead    = this._theadNode,
+            size, rowHeight, buffer, first, count, start, end;
+
+        if (!body || !this._tbodyNode) {
+            return;
+        }
+
+        if (!this._isVirtualRendering()) {
+            this._unbindVirtualScroll();
+            this._removeVirtualSpacers();
+
+            if (body._renderRange) {
+                body.setRenderRange(null);
+                this._uiSetScrollbarHeight();
+            }
+
+            return;
+        }
+
+        this._bindVirtualScroll();
+
+        size      = this.data.size();
+        rowHeight = this._getVirtualRowHeight();
+        buffer    = this.get('virtualRowBuffer');
+
+        first = Math.floor(Math.max(0, scroller.get('scrollTop') -
+                    (thead ? thead.get('offsetHeight') : 0)) / rowHeight);
+        count = Math.ceil(scroller.get('clientHeight') / rowHeight) + 1;
+
+        first = Math.min(first, Math.max(0, size - count));
+        start = Math.max(0, first - buffer);
+        end   = Math.min(size, first + count + buffer);
+
+        this._saveVirtualFocus();
+
+        body.setRenderRange(start, end);
+
+        this._uiSetVirtualSpacers(start * rowHeight, (size - end) * rowHeight);
+        this._restoreVirtualFocus();
+        this._uiSetScrollbarHeight();
+    },
+
+    /**
+    Stores the record and column index of the cell with keyboard focus, if it
+    is in the table body, so it can be restored by `_restoreVirtualFocus` if
+    its row is removed while scrolling.
+
+    @method _saveVirtualFocus
+    @protected
+    @since 3.19.0
+    **/
+    _saveVirtualFocus: function () {
+        var cell = this.get('focusedCell'),
+            row;
+
+        if (cell && cell.inDoc() && this._tbodyNode.contains(cell)) {
+            row = cell.ancestor('tr');
+
+            this._virtualFocus = {
+                clientId : row.getData('yui3-record'),
+                cellIndex: cell.get('cellIndex')
+            };
+        }
+    },
+
+    /**
+    Moves the `focusedCell` back to the cell stored by `_saveVirtualFocus`
+    once its row has been rendered again.
+
+    @method _restoreVirtualFocus
+    @protected
+    @since 3.19.0
+    **/
+    _restoreVirtualFocus: function () {
+        var focus = this._virtualFocus,
+            cell  = this.get('focusedCell'),
+            row;
+
+        if (focus && (!cell || !cell.inDoc())) {
+            row = this.body.getRow(focus.clientId);
+
+            if (row) {
+                this.set('focusedCell',
+                    row.get('children').item(focus.cellIndex));
+
+                delete this._virtualFocus;
+            }
+        }
     },
 
     /**
@@ -1192,7 +1821,9 @@ Y.mix(Scrollable.prototype, {
 
         if (scrollbar && scroller && fixedHeader) {
             scrollbar.get('firstChild').setStyle('height',
-                this._tbodyNode.get('scrollHeight') + 'px');
+                (this._tbodyNode.get('scrollHeight') +
+                 (this._virtualSpacers ? this._virtualSpacers.height : 0)) +
+                'px');
 
             scrollbar.setStyle('height',
                 (parseFloat(scroller.getComputedStyle('height')) -
@@ -1235,6 +1866,54 @@ Y.mix(Scrollable.prototype, {
         }
     },
 
+    /**
+    Creates, positions, and sizes the spacer `<tbody>`s above and below the
+    rendered rows of tables with `virtualRows` enabled.
+
+    @method _uiSetVirtualSpacers
+    @param {Number} before Height in pixels of the rows not rendered above
+    @param {Number} after Height in pixels of the rows not rendered below
+    @protected
+    @since 3.19.0
+    **/
+    _uiSetVirtualSpacers: function (before, after) {
+        var spacers = this._virtualSpacers,
+            tbody   = this._tbodyNode,
+            colspan = this._displayColumns.length || 1,
+            html;
+
+        if (!spacers) {
+            html = Y.Lang.sub(this._VIRTUAL_SPACER_TEMPLATE, {
+                className: this.getClassName('virtual', 'spacer'),
+                colspan  : colspan
+            });
+
+            spacers = this._virtualSpacers = {
+                before: Y.Node.create(html),
+                after : Y.Node.create(html)
+            };
+        }
+
+        if (!tbody.previous() || !tbody.previous().compareTo(spacers.before)) {
+            tbody.insert(spacers.before, 'before');
+        }
+        if (!tbody.next() || !tbody.next().compareTo(spacers.after)) {
+            tbody.insert(spacers.after, 'after');
+        }
+
+        Y.Object.each({ before: before, after: after }, function (height, key) {
+            var spacer = spacers[key];
+
+            spacer.one('td')
+                .set('colSpan', colspan)
+                .setStyle('height', height + 'px');
+
+            spacer.setStyle('display', height ? '' : 'none');
+        });
+
+        spacers.height = before + after;
+    },
+
     /**
     Assigns the width of the `<div>` wrapping the data table in vertically
     scrolling tables.
@@ -1306,6 +1985,21 @@ Y.mix(Scrollable.prototype, {
         }
     },
 
+    /**
+    Detaches the scroll event subscription used to keep the cells of frozen
+    columns in view.
+
+    @method _unbindFrozenScroll
+    @protected
+    @since 3.19.0
+    **/
+    _unbindFrozenScroll: function () {
+        if (this._frozenScrollHandle) {
+            this._frozenScrollHandle.detach();
+            delete this._frozenScrollHandle;
+        }
+    },
+
     /**
     Detaches the resize event subscription used to maintain column parity for
     vertically scrolling tables with percentage widths.
@@ -1319,6 +2013,21 @@ Y.mix(Scrollable.prototype, {
             this._scrollResizeHandle.detach();
             delete this._scrollResizeHandle;
         }
+    },
+
+    /**
+    Detaches the scroll event subscription used to update the rendered rows of
+    tables with `virtualRows` enabled.
+
+    @method _unbindVirtualScroll
+    @protected
+    @since 3.19.0
+    **/
+    _unbindVirtualScroll: function () {
+        if (this._virtualScrollHandle) {
+            this._virtualScrollHandle.detach();
+            delete this._virtualScrollHandle;
+        }
     }
 
     /**
@@ -1379,3 +2088,17 @@ Y.mix(Scrollable.prototype, {
 }, true);
 
 Y.Base.mix(Y.DataTable, [Scrollable]);
+
+/**
+Keeps the column in view at the left or right edge of a horizontally scrolling
+table while the other columns scroll.  Accepts "left" or "right".
+
+Only the first columns of the table can be frozen to the left and only the last
+columns can be frozen to the right.  Frozen columns with nested `children` are
+frozen along with all of their children.
+
+@property frozen
+@type {String}
+@for DataTable.Column
+@since 3.19.0
+*/
@@ -0,0 +1,1075 @@
+/**
+Adds support for selecting rows or cells with the mouse, the keyboard, or an
+optional column of checkboxes.
+
+@module datatable
+@submodule datatable-selection
+@since 3.19.0
+**/
+var Lang      = Y.Lang,
+    isArray   = Lang.isArray,
+    isBoolean = Lang.isBoolean,
+    isObject  = Lang.isObject,
+    sub       = Lang.sub,
+    YArray    = Y.Array,
+
+    CHECKBOX_COLUMN = '_selection',
+    INTERACTIVE     = 'a, button, input, label, select, textarea';
+
+/**
+_API docs for this extension are included in the DataTable class._
+
+This DataTable class extension adds a selection model for rows or cells.
+
+<pre><code>
+var table = new Y.DataTable({
+    columns: [ 'name', 'email' ],
+    data   : users,
+
+    selectionMode    : 'multi',
+    selectionCheckbox: true
+}).render('#users');
+
+table.on('selectionChange', function (e) {
+    // e.newVal is an array of record clientIds
+    Y.log(e.newVal.length + ' users selected');
+});
+
+table.selectRow(0);
+table.getSelectedRecords(); // [ Model ]
+</code></pre>
+
+Selection is enabled by setting `selectionMode` to "single" or "multi".  The
+`selectionType` attribute determines whether rows (the default) or individual
+cells are selected.
+
+Clicking a row or cell selects it, replacing the current selection.  In "multi"
+mode, Ctrl or Cmd+click adds or removes a row or cell, and Shift+click selects
+the range from the last clicked row or cell.  If the `datatable-keynav` focus
+is on a data cell, Space toggles the selection of its row or cell, and
+Shift+Space selects the range.
+
+With `selectionCheckbox` set, a column of checkboxes is added to the start of
+the table.  In "multi" mode, its header includes a checkbox that selects or
+clears all rows, and shows the mixed state when some rows are selected.
+
+Selected rows are stored in the `selectedRows` attribute as the `clientId`s of
+their records, so the selection is kept when the table is sorted or paged.
+Selected cells are stored in the `selectedCells` attribute.  Records removed
+from the `data` ModelList are removed from the selection.
+
+User interaction and the selection methods fire a `selectionChange` event.
+Setting the `selectedRows` or `selectedCells` attributes directly does not.
+
+@class DataTable.Selection
+@for DataTable
+@since 3.19.0
+**/
+function Selection() {}
+
+Selection.ATTRS = {
+    /**
+    Enables selection.  Either "single" to allow one row or cell to be
+    selected, "multi" to allow any number, or `null` to disable selection.
+
+    @attribute selectionMode
+    @type {String}
+    @default null
+    @since 3.19.0
+    **/
+    selectionMode: {
+        value: null,
+        validator: function (val) {
+            return val === null || val === 'single' || val === 'multi';
+        }
+    },
+
+    /**
+    Whether clicking a cell selects its "row" or the "cell" itself.
+
+    @attribute selectionType
+    @type {String}
+    @default "row"
+    @since 3.19.0
+    **/
+    selectionType: {
+        value: 'row',
+        validator: function (val) {
+            return val === 'row' || val === 'cell';
+        }
+    },
+
+    /**
+    Adds a column of checkboxes to select rows.  Ignored unless `selectionMode`
+    is set.
+
+    @attribute selectionCheckbox
+    @type {Boolean}
+    @default false
+    @since 3.19.0
+    **/
+    selectionCheckbox: {
+        value: false,
+        validator: isBoolean
+    },
+
+    /**
+    The `clientId`s of the records whose rows are selected.  Can be set with
+    an array of Models, record ids, `clientId`s, or indexes, which are
+    converted to `clientId`s.
+
+    @attribute selectedRows
+    @type {String[]}
+    @default []
+    @since 3.19.0
+    **/
+    selectedRows: {
+        value: [],
+        setter: '_setSelectedRows'
+    },
+
+    /**
+    The selected cells, as an array of objects with the `clientId` of the
+    cell's record and the `_id` of its column in the `column` property.  Can be
+    set with an array of `<td>` Nodes or objects with a `record` (any value
+    accepted by `getRecord()`) and `column` (any value accepted by
+    `getColumn()`).
+
+    @attribute selectedCells
+    @type {Object[]}
+    @default []
+    @since 3.19.0
+    **/
+    selectedCells: {
+        value: [],
+        setter: '_setSelectedCells'
+    }
+};
+
+Y.mix(Selection.prototype, {
+    /**
+    Template for the checkbox in each row of the selection column.
+
+    @property SELECTION_CHECKBOX_TEMPLATE
+    @type {String}
+    @default '<input type="checkbox" class="{className}" aria-label="{label}"{checked}>'
+    @since 3.19.0
+    **/
+    SELECTION_CHECKBOX_TEMPLATE:
+        '<input type="checkbox" class="{className}" aria-label="{label}"' +
+            '{checked}>',
+
+    //--------------------------------------------------------------------------
+    // Public methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Clears the selected rows and cells.
+
+    @method clearSelection
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    clearSelection: function () {
+        this._changeSelection('row', []);
+        this._changeSelection('cell', []);
+
+        return this;
+    },
+
+    /**
+    Removes a cell from the selection.
+
+    @method deselectCell
+    @param {Node|Object} cell The `<td>` Node or an object with `record` and
+        `column` properties
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    deselectCell: function (cell) {
+        var key = this._getSelectionKey('cell', cell);
+
+        this._changeSelection('cell', YArray.filter(this.get('selectedCells'),
+            function (item) {
+                return this._getSelectionKey('cell', item) !== key;
+            }, this));
+
+        return this;
+    },
+
+    /**
+    Removes a row from the selection.
+
+    @method deselectRow
+    @param {Model|String|Number|Node} row The record, record id, `clientId`,
+        index, or a Node in the row
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    deselectRow: function (row) {
+        var id = this._getSelectionKey('row', row);
+
+        this._changeSelection('row', YArray.filter(this.get('selectedRows'),
+            function (clientId) {
+                return clientId !== id;
+            }));
+
+        return this;
+    },
+
+    /**
+    Returns the records of the selected rows, in the order of the `data`
+    ModelList.
+
+    @method getSelectedRecords
+    @return {Model[]}
+    @since 3.19.0
+    **/
+    getSelectedRecords: function () {
+        var selected = this._getSelectionMap('row');
+
+        return YArray.filter(this.data.toArray(), function (record) {
+            return selected[record.get('clientId')];
+        });
+    },
+
+    /**
+    Returns `true` if the cell is selected.
+
+    @method isCellSelected
+    @param {Node|Object} cell The `<td>` Node or an object with `record` and
+        `column` properties
+    @return {Boolean}
+    @since 3.19.0
+    **/
+    isCellSelected: function (cell) {
+        var key = this._getSelectionKey('cell', cell);
+
+        return !!(key && this._getSelectionMap('cell')[key]);
+    },
+
+    /**
+    Returns `true` if the row is selected.
+
+    @method isRowSelected
+    @param {Model|String|Number|Node} row The record, record id, `clientId`,
+        index, or a Node in the row
+    @return {Boolean}
+    @since 3.19.0
+    **/
+    isRowSelected: function (row) {
+        var id = this._getSelectionKey('row', row);
+
+        return !!(id && this._getSelectionMap('row')[id]);
+    },
+
+    /**
+    Selects all rows, including rows on other pages.  Only supported when
+    `selectionMode` is "multi".
+
+    @method selectAllRows
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    selectAllRows: function () {
+        if (this.get('selectionMode') === 'multi') {
+            this._changeSelection('row', this.data.toArray());
+        }
+
+        return this;
+    },
+
+    /**
+    Adds a cell to the selection.  In "single" mode, it replaces the current
+    selection.
+
+    @method selectCell
+    @param {Node|Object} cell The `<td>` Node or an object with `record` and
+        `column` properties
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    selectCell: function (cell) {
+        this._changeSelection('cell',
+            this.get('selectionMode') === 'single' ? [cell] :
+                this.get('selectedCells').concat([cell]));
+
+        return this;
+    },
+
+    /**
+    Adds a row to the selection.  In "single" mode, it replaces the current
+    selection.
+
+    @method selectRow
+    @param {Model|String|Number|Node} row The record, record id, `clientId`,
+        index, or a Node in the row
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    selectRow: function (row) {
+        this._changeSelection('row',
+            this.get('selectionMode') === 'single' ? [row] :
+                this.get('selectedRows').concat([row]));
+
+        return this;
+    },
+
+    /**
+    Selects the row if it isn't selected, or deselects it if it is.
+
+    @method toggleRowSelection
+    @param {Model|String|Number|Node} row The record, record id, `clientId`,
+        index, or a Node in the row
+    @return {DataTable}
+    @chainable
+    @since 3.19.0
+    **/
+    toggleRowSelection: function (row) {
+        return this.isRowSelected(row) ?
+            this.deselectRow(row) : this.selectRow(row);
+    },
+
+    //--------------------------------------------------------------------------
+    // Protected methods
+    //--------------------------------------------------------------------------
+
+    /**
+    Updates the selection UI after the selection state or mode changes.
+
+    @method _afterSelectionChange
+    @protected
+    @since 3.19.0
+    **/
+    _afterSelectionChange: function () {
+        this._syncSelectionUI();
+    },
+
+    /**
+    Adds or removes the checkbox column to match the `selectionCheckbox` and
+    `selectionMode` attributes.
+
+    @method _afterSelectionColumnChange
+    @protected
+    @since 3.19.0
+    **/
+    _afterSelectionColumnChange: function () {
+        var columns = (this.get('columns') || []).slice(),
+            index   = this._getSelectionColumnIndex(columns);
+
+        if (index > -1) {
+            columns.splice(index, 1);
+        }
+
+        if (this._hasSelectionColumn()) {
+            columns.unshift(this._getSelectionColumn());
+        } else if (index === -1) {
+            return;
+        }
+
+        this._selectionColumnUpdate = true;
+        this.set('columns', columns);
+        this._selectionColumnUpdate = false;
+    },
+
+    /**
+    Subscribes to the body view's rendering to update the selected rows and
+    cells when they are rendered.
+
+    @method _afterSelectionRenderBody
+    @param {EventFacade} e The `renderBody` event
+    @protected
+    @since 3.19.0
+    **/
+    _afterSelectionRenderBody: function (e) {
+        var handles = this._eventHandles,
+            view    = e.view;
+
+        if (!handles.selectionBody) {
+            handles.selectionBody = new Y.EventHandle([
+                Y.Do.after(this._syncSelectionUI, view, 'render', this),
+                view.after('contentUpdate',
+                    Y.bind('_syncSelectionUI', this))
+            ]);
+        }
+
+        this._syncSelectionUI();
+    },
+
+    /**
+    Fires the `selectionChange` event if the new selection differs from the
+    current one.
+
+    @method _changeSelection
+    @param {String} type "row" or "cell"
+    @param {Array} items The new selection, in any format accepted by the
+        `selectedRows` or `selectedCells` attribute
+    @param {EventFacade} [originEvent] The DOM event that triggered the change
+    @protected
+    @since 3.19.0
+    **/
+    _changeSelection: function (type, items, originEvent) {
+        var prevVal = this.get(type === 'cell' ? 'selectedCells' :
+                                                  'selectedRows'),
+            newVal  = this._normalizeSelection(type, items),
+            prevMap = this._toSelectionMap(type, prevVal),
+            newMap  = this._toSelectionMap(type, newVal),
+            added, removed;
+
+        added = YArray.filter(newVal, function (item) {
+            return !prevMap[this._getSelectionKey(type, item)];
+        }, this);
+
+        removed = YArray.filter(prevVal, function (item) {
+            return !newMap[this._getSelectionKey(type, item)];
+        }, this);
+
+        if (added.length || removed.length) {
+            /**
+            Notifies of a change to the selected rows or cells from user
+            interaction or one of the selection methods.
+
+            @event selectionChange
+            @param {String} selectionType "row" or "cell"
+            @param {Array} prevVal The current `selectedRows` or
+                `selectedCells` value
+            @param {Array} newVal The new value
+            @param {Array} added The rows or cells added to the selection
+            @param {Array} removed The rows or cells removed from the selection
+            @param {EventFacade} originEvent The DOM event that triggered the
+                change, if any
+            @preventable _defSelectionChangeFn
+            @since 3.19.0
+            **/
+            this.fire('selectionChange', {
+                selectionType: type,
+                prevVal      : prevVal,
+                newVal       : newVal,
+                added        : added,
+                removed      : removed,
+                originEvent  : originEvent || null
+            });
+        }
+    },
+
+    /**
+    Assigns the new selection to the `selectedRows` or `selectedCells`
+    attribute.
+
+    @method _defSelectionChangeFn
+    @param {EventFacade} e The `selectionChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _defSelectionChangeFn: function (e) {
+        this.set(e.selectionType === 'cell' ? 'selectedCells' : 'selectedRows',
+            e.newVal, { originEvent: e.originEvent });
+    },
+
+    /**
+    Formatter for the checkbox column.  Executed with the DataTable as `this`.
+
+    @method _formatSelectionCheckbox
+    @param {Object} o The formatter data
+    @return {String}
+    @protected
+    @since 3.19.0
+    **/
+    _formatSelectionCheckbox: function (o) {
+        return sub(this.SELECTION_CHECKBOX_TEMPLATE, {
+            className: this.getClassName('selection', 'checkbox'),
+            label    : Y.Escape.html(this.getString('selectRow')),
+            checked  : this.isRowSelected(o.record) ? ' checked' : ''
+        });
+    },
+
+    /**
+    Returns the selection column configuration.
+
+    @method _getSelectionColumn
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getSelectionColumn: function () {
+        var label = Y.Escape.html(this.getString(
+                this.get('selectionMode') === 'multi' ? 'selectAll' : 'select'
+            ));
+
+        return {
+            name     : CHECKBOX_COLUMN,
+            label    : this.get('selectionMode') === 'multi' ?
+                sub(this.SELECTION_CHECKBOX_TEMPLATE, {
+                    className: this.getClassName('selection', 'all'),
+                    label    : label,
+                    checked  : ''
+                }) : '<span class="' + this.getClassName('selection', 'label') +
+                    '">' + label + '</span>',
+            allowHTML: true,
+            sortable : false,
+            className: this.getClassName('selection', 'cell'),
+            formatter: this._formatSelectionCheckbox
+        };
+    },
+
+    /**
+    Returns the index of the checkbox column in an array of columns, or -1.
+
+    @method _getSelectionColumnIndex
+    @param {Array} columns The columns
+    @return {Number}
+    @protected
+    @since 3.19.0
+    **/
+    _getSelectionColumnIndex: function (columns) {
+        var i, len;
+
+        for (i = 0, len = columns.length; i < len; ++i) {
+            if (columns[i] && columns[i].name === CHECKBOX_COLUMN) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+    Returns the string used to identify a selected row or cell: the record's
+    `clientId` for rows, or the `clientId` and column `_id` for cells.
+
+    @method _getSelectionKey
+    @param {String} type "row" or "cell"
+    @param {Any} item Any value accepted by the selection methods
+    @return {String} The key, or `null` if the row or cell wasn't found
+    @protected
+    @since 3.19.0
+    **/
+    _getSelectionKey: function (type, item) {
+        var record;
+
+        if (type === 'row') {
+            record = this.data && this._getSelectionRecord(item);
+
+            return record ? record.get('clientId') : null;
+        }
+
+        item = this._normalizeSelectionCell(item);
+
+        return item ? item.clientId + '|' + item.column : null;
+    },
+
+    /**
+    Returns an object map of the keys of the currently selected rows or cells.
+
+    @method _getSelectionMap
+    @param {String} type "row" or "cell"
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _getSelectionMap: function (type) {
+        return this._toSelectionMap(type, this.get(type === 'cell' ?
+            'selectedCells' : 'selectedRows'));
+    },
+
+    /**
+    Returns the rows or cells between two selected items, in the order of the
+    `data` ModelList and the displayed columns.
+
+    @method _getSelectionRange
+    @param {String} type "row" or "cell"
+    @param {Object} from The cell at one end of the range, as an object with
+        `clientId` and `column` properties
+    @param {Node} to The `<td>` at the other end of the range
+    @return {Array} Records for rows, or cell objects for cells
+    @protected
+    @since 3.19.0
+    **/
+    _getSelectionRange: function (type, from, to) {
+        var records = this.data.toArray(),
+            columns = YArray.filter(this._displayColumns || [], function (c) {
+                return c.name !== CHECKBOX_COLUMN;
+            }),
+            fromCell = this._normalizeSelectionCell(from),
+            toCell   = this._normalizeSelectionCell(to),
+            range    = [],
+            rowStart, rowEnd, colStart, colEnd, i, j, tmp;
+
+        if (!fromCell || !toCell) {
+            return range;
+        }
+
+        rowStart = YArray.indexOf(records,
+            this.data.getByClientId(fromCell.clientId));
+        rowEnd   = YArray.indexOf(records,
+            this.data.getByClientId(toCell.clientId));
+
+        if (rowStart > rowEnd) {
+            tmp      = rowStart;
+            rowStart = rowEnd;
+            rowEnd   = tmp;
+        }
+
+        if (type === 'row') {
+            return records.slice(rowStart, rowEnd + 1);
+        }
+
+        colStart = YArray.indexOf(columns, this.getColumn(fromCell.column));
+        colEnd   = YArray.indexOf(columns, this.getColumn(toCell.column));
+
+        if (colStart > colEnd) {
+            tmp      = colStart;
+            colStart = colEnd;
+            colEnd   = tmp;
+        }
+
+        for (i = rowStart; i <= rowEnd && i > -1; ++i) {
+            for (j = colStart; j <= colEnd && j > -1; ++j) {
+                range.push({
+                    clientId: records[i].get('clientId'),
+                    column  : columns[j]._id
+                });
+            }
+        }
+
+        return range;
+    },
+
+    /**
+    Returns `true` if the checkbox column should be displayed.
+
+    @method _hasSelectionColumn
+    @return {Boolean}
+    @protected
+    @since 3.19.0
+    **/
+    _hasSelectionColumn: function () {
+        return !!(this.get('selectionCheckbox') && this.get('selectionMode'));
+    },
+
+    /**
+    Publishes the `selectionChange` event, sets up the checkbox column, and
+    subscribes to the events that update the selection.
+
+    @method initializer
+    @protected
+    @since 3.19.0
+    **/
+    initializer: function () {
+        // Not a valueFn because other class extensions will want to add to it
+        this.set('strings', Y.mix((this.get('strings') || {}),
+            Y.Intl.get('datatable-selection')));
+
+        this.publish('selectionChange', {
+            defaultFn: Y.bind('_defSelectionChangeFn', this)
+        });
+
+        this._afterSelectionColumnChange();
+
+        // Record ids passed at construction may not have been resolvable yet
+        this.set('selectedRows', this.get('selectedRows'));
+        this.set('selectedCells', this.get('selectedCells'));
+
+        this.on('columnsChange', Y.bind('_onSelectionColumnsChange', this));
+
+        this.after({
+            'table:renderBody'     : Y.bind('_afterSelectionRenderBody', this),
+            selectionCheckboxChange: Y.bind('_afterSelectionColumnChange', this),
+            selectionModeChange    : Y.bind('_afterSelectionModeChange', this),
+            selectionTypeChange    : Y.bind('_afterSelectionChange', this),
+            selectedRowsChange     : Y.bind('_afterSelectionChange', this),
+            selectedCellsChange    : Y.bind('_afterSelectionChange', this)
+        });
+
+        this.after(['dataChange', '*:remove', '*:reset'],
+            Y.bind('_pruneSelection', this));
+
+        this._eventHandles.selectionClick = this.delegate('click',
+            Y.bind('_onSelectionClick', this),
+            '.' + this.getClassName('data') + ' td, .' +
+                this.getClassName('selection', 'all'));
+
+        if (this.keyActions) {
+            this.keyActions.space         = '_keySelect';
+            this.keyActions['shift-space'] = '_keySelect';
+            this.keyActions['ctrl-space']  = '_keySelect';
+            this.keyActions['meta-space']  = '_keySelect';
+        }
+    },
+
+    /**
+    Toggles the selection of the focused cell or its row, or selects a range
+    when Shift is pressed.  Assigned to the Space key in the `keyActions`
+    table.
+
+    @method _keySelect
+    @param {DOMEventFacade} e The `keydown` event
+    @protected
+    @since 3.19.0
+    **/
+    _keySelect: function (e) {
+        var cell = this.get('focusedCell');
+
+        if (this.get('selectionMode') && cell && cell.get('tagName') === 'TD' &&
+                this._tbodyNode && this._tbodyNode.contains(cell)) {
+            e.preventDefault();
+            this._selectFromUI(cell, e, true);
+        }
+    },
+
+    /**
+    Converts the items passed to the selection methods or attributes to
+    `clientId`s for rows, or objects with `clientId` and `column` properties
+    for cells.  Unknown rows and cells and duplicates are dropped.  In "single"
+    mode, only the first item is kept.
+
+    @method _normalizeSelection
+    @param {String} type "row" or "cell"
+    @param {Array} items The items to normalize
+    @return {Array}
+    @protected
+    @since 3.19.0
+    **/
+    _normalizeSelection: function (type, items) {
+        var seen   = {},
+            result = [];
+
+        items = isArray(items) ? items : (items ? [items] : []);
+
+        YArray.each(items, function (item) {
+            var key = this._getSelectionKey(type, item);
+
+            // Keep ids that can't be resolved before the data is set up
+            if (!key && type === 'row' && !this.data && item) {
+                key = String(item);
+            }
+
+            if (key && !seen[key]) {
+                seen[key] = true;
+                result.push(type === 'row' ? key :
+                    this._normalizeSelectionCell(item));
+            }
+        }, this);
+
+        if (this.get('selectionMode') === 'single') {
+            result = result.slice(0, 1);
+        }
+
+        return result;
+    },
+
+    /**
+    Converts a `<td>` Node or an object with `record` (or `clientId`) and
+    `column` properties to an object with the record's `clientId` and the
+    column's `_id`.
+
+    @method _normalizeSelectionCell
+    @param {Node|Object} cell The cell
+    @return {Object} The cell object or `null` if not found
+    @protected
+    @since 3.19.0
+    **/
+    _normalizeSelectionCell: function (cell) {
+        var record, column;
+
+        if (!cell || !this.data) {
+            return null;
+        }
+
+        if (cell._node) {
+            record = this.getRecord(cell);
+            column = this._displayColumns &&
+                        this._displayColumns[cell.get('cellIndex')];
+        } else if (isObject(cell)) {
+            record = cell.clientId ? this.data.getByClientId(cell.clientId) :
+                        this._getSelectionRecord(cell.record);
+            column = cell.column && this.getColumn(cell.column);
+        }
+
+        return (record && column) ? {
+            clientId: record.get('clientId'),
+            column  : column._id
+        } : null;
+    },
+
+    /**
+    Returns the record for any value accepted by `getRecord()`, or a Model.
+
+    @method _getSelectionRecord
+    @param {Any} seed The record identifier
+    @return {Model}
+    @protected
+    @since 3.19.0
+    **/
+    _getSelectionRecord: function (seed) {
+        return (seed && seed._isYUIModel) ? seed :
+            (seed !== null && seed !== undefined ? this.getRecord(seed) : null);
+    },
+
+    /**
+    Replaces the checkbox column when the `selectionMode` changes, because its
+    header depends on the mode.  Also trims the selection when switching to
+    "single" mode.
+
+    @method _afterSelectionModeChange
+    @protected
+    @since 3.19.0
+    **/
+    _afterSelectionModeChange: function () {
+        this._afterSelectionColumnChange();
+
+        if (this.get('selectionMode') === 'single') {
+            this.set('selectedRows', this.get('selectedRows'));
+            this.set('selectedCells', this.get('selectedCells'));
+        }
+
+        this._syncSelectionUI();
+    },
+
+    /**
+    Handles clicks on data cells, row checkboxes, and the "select all"
+    checkbox.
+
+    @method _onSelectionClick
+    @param {DOMEventFacade} e The `click` event
+    @protected
+    @since 3.19.0
+    **/
+    _onSelectionClick: function (e) {
+        var target = e.target,
+            cell   = e.currentTarget;
+
+        if (!this.get('selectionMode')) {
+            return;
+        }
+
+        if (cell.hasClass(this.getClassName('selection', 'all'))) {
+            this._changeSelection('row',
+                cell.get('checked') ? this.data.toArray() : [], e);
+        } else if (target.hasClass(this.getClassName('selection',
+                'checkbox'))) {
+            this._selectFromUI(cell, e, true, 'row');
+        } else if (!target.test(INTERACTIVE) &&
+                !target.ancestor(INTERACTIVE)) {
+            this._selectFromUI(cell, e);
+        } else {
+            return;
+        }
+
+        // Restore the checkboxes' state if the selectionChange was prevented
+        this._syncSelectionUI();
+    },
+
+    /**
+    Adds the checkbox column to the new `columns` value if it should be
+    displayed.
+
+    @method _onSelectionColumnsChange
+    @param {EventFacade} e The `columnsChange` event
+    @protected
+    @since 3.19.0
+    **/
+    _onSelectionColumnsChange: function (e) {
+        if (!this._selectionColumnUpdate && isArray(e.newVal) &&
+                this._hasSelectionColumn() &&
+                this._getSelectionColumnIndex(e.newVal) === -1) {
+            e.newVal = [this._getSelectionColumn()].concat(e.newVal);
+        }
+    },
+
+    /**
+    Removes rows and cells of records that are no longer in the `data`
+    ModelList from the selection.
+
+    @method _pruneSelection
+    @protected
+    @since 3.19.0
+    **/
+    _pruneSelection: function () {
+        var rows  = this.get('selectedRows'),
+            cells = this.get('selectedCells');
+
+        if (this._normalizeSelection('row', rows).length !== rows.length) {
+            this.set('selectedRows', rows);
+        }
+
+        if (this._normalizeSelection('cell', cells).length !== cells.length) {
+            this.set('selectedCells', cells);
+        }
+    },
+
+    /**
+    Updates the selection in response to a click or key press on a cell.
+
+    @method _selectFromUI
+    @param {Node} cell The `<td>` Node
+    @param {EventFacade} e The DOM event
+    @param {Boolean} [toggle] Toggle the cell or row instead of replacing the
+        selection
+    @param {String} [type] "row" or "cell".  Defaults to `selectionType`.
+    @protected
+    @since 3.19.0
+    **/
+    _selectFromUI: function (cell, e, toggle, type) {
+        var multi   = this.get('selectionMode') === 'multi',
+            current, key, items;
+
+        type    = type || this.get('selectionType');
+        current = this.get(type === 'cell' ? 'selectedCells' : 'selectedRows');
+        key     = this._getSelectionKey(type, cell);
+
+        if (!key) {
+            return;
+        }
+
+        if (multi && e.shiftKey && this._selectionAnchor) {
+            items = this._getSelectionRange(type, this._selectionAnchor, cell);
+
+            if (e.ctrlKey || e.metaKey) {
+                items = current.concat(items);
+            }
+        } else {
+            // Keep the anchor as data, since the cell may be re-rendered
+            this._selectionAnchor = this._normalizeSelectionCell(cell);
+
+            if (toggle || e.ctrlKey || e.metaKey) {
+                if (this._getSelectionMap(type)[key]) {
+                    items = YArray.filter(current, function (item) {
+                        return this._getSelectionKey(type, item) !== key;
+                    }, this);
+                } else {
+                    items = multi ? current.concat([cell]) : [cell];
+                }
+            } else {
+                items = [cell];
+            }
+        }
+
+        this._changeSelection(type, items, e);
+    },
+
+    /**
+    Setter for the `selectedCells` attribute.
+
+    @method _setSelectedCells
+    @param {Array} val The selected cells
+    @return {Object[]}
+    @protected
+    @since 3.19.0
+    **/
+    _setSelectedCells: function (val) {
+        return this._normalizeSelection('cell', val);
+    },
+
+    /**
+    Setter for the `selectedRows` attribute.
+
+    @method _setSelectedRows
+    @param {Array} val The selected rows
+    @return {String[]}
+    @protected
+    @since 3.19.0
+    **/
+    _setSelectedRows: function (val) {
+        return this._normalizeSelection('row', val);
+    },
+
+    /**
+    Updates the rendered rows, cells, and checkboxes to reflect the selection.
+
+    @method _syncSelectionUI
+    @protected
+    @since 3.19.0
+    **/
+    _syncSelectionUI: function () {
+        var tbody         = this._tbodyNode,
+            mode          = this.get('selectionMode'),
+            type          = this.get('selectionType'),
+            rows          = this._getSelectionMap('row'),
+            cells         = this._getSelectionMap('cell'),
+            columns       = this._displayColumns || [],
+            selectedClass = this.getClassName('selected'),
+            checkboxClass = this.getClassName('selection', 'checkbox'),
+            selectAll     = this._theadNode &&
+                this._theadNode.one('.' + this.getClassName('selection', 'all')),
+            total, count;
+
+        if (!tbody) {
+            return;
+        }
+
+        tbody.all('tr').each(function (row) {
+            var clientId = row.getAttribute('data-yui3-record'),
+                checkbox = row.one('.' + checkboxClass),
+                selected = !!(mode && rows[clientId]);
+
+            if (!clientId) {
+                return;
+            }
+
+            row.toggleClass(selectedClass, type === 'row' && selected);
+
+            if (mode && type === 'row') {
+                row.setAttribute('aria-selected', String(selected));
+            } else {
+                row.removeAttribute('aria-selected');
+            }
+
+            if (checkbox) {
+                checkbox.set('checked', selected);
+            }
+
+            row.get('cells').each(function (cell, i) {
+                var col = columns[i],
+                    on  = !!(mode && type === 'cell' && col &&
+                             cells[clientId + '|' + col._id]);
+
+                cell.toggleClass(selectedClass, on);
+
+                if (mode && type === 'cell') {
+                    cell.setAttribute('aria-selected', String(on));
+                } else {
+                    cell.removeAttribute('aria-selected');
+                }
+            });
+        });
+
+        if (selectAll) {
+            total = this.data.size();
+            count = this.get('selectedRows').length;
+
+            selectAll.set('checked', total > 0 && count === total);
+            selectAll.set('indeterminate', count > 0 && count < total);
+        }
+    },
+
+    /**
+    Converts an array of selected rows or cells to an object map of their keys.
+
+    @method _toSelectionMap
+    @param {String} type "row" or "cell"
+    @param {Array} items The rows or cells
+    @return {Object}
+    @protected
+    @since 3.19.0
+    **/
+    _toSelectionMap: function (type, items) {
+        var map = {};
+
+        YArray.each(items || [], function (item) {
+            map[type === 'row' ? item :
+                item.clientId + '|' + item.column] = true;
+        });
+
+        return map;
+    }
+}, true);
+
+Y.DataTable.Selection = Selection;
+Y.Base.mix(Y.DataTable, [Selection]);
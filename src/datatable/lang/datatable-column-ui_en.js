@@ -0,0 +1,3 @@
+{
+    columns: "Columns"
+}
@@ -0,0 +1,5 @@
+{
+    details: "Details",
+    expandRow: "Show details",
+    collapseRow: "Hide details"
+}
@@ -0,0 +1,5 @@
+{
+    filterLabel: "Filter {column}",
+    min: "Min",
+    max: "Max"
+}
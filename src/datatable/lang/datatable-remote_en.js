@@ -0,0 +1,3 @@
+{
+    remoteErrorMessage: "The data could not be loaded"
+}
@@ -0,0 +1,5 @@
+{
+    select: "Select",
+    selectAll: "Select all rows",
+    selectRow: "Select row"
+}
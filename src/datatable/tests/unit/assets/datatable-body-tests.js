@@ -160,6 +160,16 @@ suite.add(new Y.Test.Case({
         Y.Assert.isTrue(
             this.view.tbodyNode.one('tr').compareTo(
                 this.view.getRow(this.view.get('modelList').item(0).get('clientId'))));
+    },
+
+    "getRow(index) should skip other rows if interleavedRows": function () {
+        var rows = this.view.tbodyNode.all('tr');
+
+        this.view.interleavedRows = true;
+        rows.item(0).insert('<tr><td colspan="3">detail</td></tr>', 'after');
+
+        Y.Assert.isTrue(rows.item(1).compareTo(this.view.getRow(1)));
+        Y.Assert.isTrue(rows.item(2).compareTo(this.view.getRow(2)));
     }
 
 }));
@@ -770,6 +780,30 @@ suite.add(new Y.Test.Case({
         });
 
         v.get('modelList').item(0).set('a', 5);
+    },
+
+    "changing Model attributes to falsy values should not empty the cells": function () {
+        var model = this.view.get('modelList').item(0);
+
+        model.set('a', 0);
+        model.set('b', false);
+
+        Y.Assert.areSame('0', this.view.tbodyNode.all('td').item(0).get('text'));
+        Y.Assert.areSame('false', this.view.tbodyNode.all('td').item(1).get('text'));
+    },
+
+    "refreshCell should rerun nodeFormatters": function () {
+        var view = this.view,
+            model = view.get('modelList').item(0),
+            col = { key: 'a', nodeFormatter: function (o) {
+                o.cell.set('text', 'node ' + o.value);
+            }},
+            td = view.tbodyNode.one('td');
+
+        model.set('a', 7, { silent: true });
+        view.refreshCell(td, model, col);
+
+        Y.Assert.areSame('node 7', td.get('text'));
     }
 
 
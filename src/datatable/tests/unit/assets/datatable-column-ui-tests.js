@@ -0,0 +1,550 @@
+YUI.add('datatable-column-ui-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Column UI"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert;
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [ 'a', 'b', 'c', 'd' ],
+        data: [
+            { a: 'a1', b: 'b1', c: 'c1', d: 'd1' },
+            { a: 'a2', b: 'b2', c: 'c2', d: 'd2' }
+        ]
+    }, config)).render('#testbed');
+}
+
+function columnKeys(table) {
+    return Y.Array.map(table.get('columns'), function (col) {
+        return col.key || col.name;
+    });
+}
+
+function headerText(table) {
+    var text = [];
+
+    table._theadNode.all('th').each(function (th) {
+        text.push(th.get('text'));
+    });
+
+    return text;
+}
+
+// Simple synchronous store for testing persistence
+function createStore(data) {
+    data = data || {};
+
+    return {
+        data: data,
+        saves: 0,
+        load: function (key) {
+            return this.data[key] || null;
+        },
+        save: function (key, state) {
+            this.saves++;
+            this.data[key] = state;
+        }
+    };
+}
+
+// Fakes the DD events from dragging the header of column `from` onto the
+// header of column `to`
+function dropHeader(table, from, to) {
+    var thead = table._theadNode;
+
+    table._onColumnDropHit({
+        drag: { get: function () {
+            return thead.one('[data-yui3-col-id="' + from + '"]');
+        } },
+        drop: { get: function () {
+            return thead.one('[data-yui3-col-id="' + to + '"]');
+        } }
+    });
+}
+
+suite.add(new Y.Test.Case({
+    name: "hideColumn and showColumn",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test hideColumn removes the column": function () {
+        this.table.hideColumn('b');
+
+        ArrayAssert.itemsAreSame(['a', 'c', 'd'], columnKeys(this.table));
+        ArrayAssert.itemsAreSame(['a', 'c', 'd'], headerText(this.table));
+        Assert.isTrue(this.table.isColumnHidden('b'));
+        Assert.isFalse(this.table.isColumnHidden('a'));
+    },
+
+    "test showColumn restores the column at its index": function () {
+        this.table.hideColumn('b');
+        this.table.showColumn('b');
+
+        ArrayAssert.itemsAreSame(['a', 'b', 'c', 'd'], columnKeys(this.table));
+        Assert.isFalse(this.table.isColumnHidden('b'));
+        Assert.areSame('b1',
+            this.table.getCell([0, 1]).get('text'));
+    },
+
+    "test showColumn clamps the index to the current columns": function () {
+        this.table.hideColumn('d');
+        this.table.hideColumn('c');
+        this.table.showColumn('d');
+
+        ArrayAssert.itemsAreSame(['a', 'b', 'd'], columnKeys(this.table));
+    },
+
+    "test hideColumn of an unknown or hidden column is a no-op": function () {
+        var fired = 0;
+
+        this.table.on('hideColumn', function () { fired++; });
+
+        this.table.hideColumn('x');
+        this.table.hideColumn('a');
+        this.table.hideColumn('a');
+
+        Assert.areSame(1, fired);
+        ArrayAssert.itemsAreSame(['b', 'c', 'd'], columnKeys(this.table));
+    },
+
+    "test preventing hideColumn keeps the column": function () {
+        this.table.on('hideColumn', function (e) {
+            Assert.areSame('c', e.column.key);
+            Assert.areSame(2, e.index);
+            e.preventDefault();
+        });
+
+        this.table.hideColumn('c');
+
+        ArrayAssert.itemsAreSame(['a', 'b', 'c', 'd'], columnKeys(this.table));
+        Assert.isFalse(this.table.isColumnHidden('c'));
+    },
+
+    "test preventing showColumn keeps the column hidden": function () {
+        this.table.hideColumn('c');
+
+        this.table.on('showColumn', function (e) {
+            e.preventDefault();
+        });
+
+        this.table.showColumn('c');
+
+        Assert.isTrue(this.table.isColumnHidden('c'));
+    },
+
+    "test nested columns can't be hidden": function () {
+        var table = this.table;
+
+        table.set('columns', [
+            'a',
+            { name: 'group', children: [ 'b', 'c' ] }
+        ]);
+
+        table.hideColumn('b');
+
+        Assert.isFalse(table.isColumnHidden('b'));
+
+        table.hideColumn('group');
+
+        ArrayAssert.itemsAreSame(['a'], columnKeys(table));
+        Assert.isTrue(table.isColumnHidden('group'));
+
+        table.showColumn('group');
+
+        Assert.areSame(2, table.getColumn('group').children.length);
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "column menu",
+
+    setUp: function () {
+        this.table = createTable({ columnHiding: true });
+        this.menu  = this.table.get('contentBox')
+                        .one('.yui3-datatable-column-menu');
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test menu is rendered with a checkbox per column": function () {
+        var inputs;
+
+        Assert.isNotNull(this.menu);
+
+        inputs = this.menu.all('input');
+
+        Assert.areSame(4, inputs.size());
+        Assert.areSame('a', inputs.item(0).get('value'));
+        Assert.isTrue(inputs.item(0).get('checked'));
+        Assert.areSame('Columns', this.menu.one('button').get('text'));
+    },
+
+    "test menu is not rendered without columnHiding": function () {
+        var table = createTable();
+
+        Assert.isNull(table.get('contentBox')
+            .one('.yui3-datatable-column-menu'));
+
+        table.set('columnHiding', true);
+
+        Assert.isNotNull(table.get('contentBox')
+            .one('.yui3-datatable-column-menu'));
+
+        table.set('columnHiding', false);
+
+        Assert.isNull(table.get('contentBox')
+            .one('.yui3-datatable-column-menu'));
+
+        table.destroy();
+    },
+
+    "test clicking the button toggles the list": function () {
+        var button = this.menu.one('button'),
+            list   = this.menu.one('ul');
+
+        Assert.isTrue(list.hasAttribute('hidden'));
+
+        button.simulate('click');
+
+        Assert.isFalse(list.hasAttribute('hidden'));
+        Assert.areSame('true', button.getAttribute('aria-expanded'));
+
+        button.simulate('click');
+
+        Assert.isTrue(list.hasAttribute('hidden'));
+        Assert.areSame('false', button.getAttribute('aria-expanded'));
+    },
+
+    "test clicking outside the menu closes it": function () {
+        var list = this.menu.one('ul');
+
+        this.menu.one('button').simulate('click');
+        this.table._tbodyNode.one('td').simulate('click');
+
+        Assert.isTrue(list.hasAttribute('hidden'));
+    },
+
+    "test escape closes the menu": function () {
+        var list = this.menu.one('ul');
+
+        this.menu.one('button').simulate('click');
+        this.menu.one('input').simulate('keydown', { keyCode: 27 });
+
+        Assert.isTrue(list.hasAttribute('hidden'));
+    },
+
+    "test unchecking a column hides it": function () {
+        var input = this.menu.one('input[value="b"]');
+
+        input.simulate('click');
+
+        Assert.isTrue(this.table.isColumnHidden('b'));
+        ArrayAssert.itemsAreSame(['a', 'c', 'd'], columnKeys(this.table));
+
+        // The hidden column stays in the menu, unchecked and in place
+        input = this.menu.all('input').item(1);
+        Assert.areSame('b', input.get('value'));
+        Assert.isFalse(input.get('checked'));
+
+        input.simulate('click');
+
+        Assert.isFalse(this.table.isColumnHidden('b'));
+        Assert.isTrue(this.menu.one('input[value="b"]').get('checked'));
+    },
+
+    "test the last visible column can't be unchecked": function () {
+        var table = this.table;
+
+        table.hideColumn('a');
+        table.hideColumn('b');
+        table.hideColumn('c');
+
+        Assert.isTrue(this.menu.one('input[value="d"]').get('disabled'));
+        Assert.isFalse(this.menu.one('input[value="c"]').get('disabled'));
+    },
+
+    "test menu is removed on destroy": function () {
+        var contentBox = this.table.get('contentBox');
+
+        this.table.set('columnHiding', false);
+
+        Assert.isNull(contentBox.one('.yui3-datatable-column-menu'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "reorder and resize",
+
+    tearDown: function () {
+        if (this.table) {
+            this.table.destroy();
+        }
+    },
+
+    "test columnReorder marks the headers and creates the DD": function () {
+        var table = this.table = createTable({ columnReorder: true });
+
+        Assert.areSame(4,
+            table._theadNode.all('.yui3-datatable-reorderable-column').size());
+        Assert.isInstanceOf(Y.DD.Delegate, table._columnReorderDD);
+
+        table.set('columnReorder', false);
+
+        Assert.areSame(0,
+            table._theadNode.all('.yui3-datatable-reorderable-column').size());
+        Assert.isNull(table._columnReorderDD);
+    },
+
+    "test dropping a header moves the column": function () {
+        var table = this.table = createTable({ columnReorder: true });
+
+        dropHeader(table, 'a', 'c');
+
+        ArrayAssert.itemsAreSame(['b', 'c', 'a', 'd'], columnKeys(table));
+        ArrayAssert.itemsAreSame(['b', 'c', 'a', 'd'], headerText(table));
+
+        dropHeader(table, 'd', 'b');
+
+        ArrayAssert.itemsAreSame(['d', 'b', 'c', 'a'], columnKeys(table));
+    },
+
+    "test headers are re-decorated after reordering": function () {
+        var table = this.table = createTable({ columnReorder: true });
+
+        dropHeader(table, 'a', 'b');
+
+        Assert.areSame(4,
+            table._theadNode.all('.yui3-datatable-reorderable-column').size());
+    },
+
+    "test only top level headers are reorderable": function () {
+        var table = this.table = createTable({
+                columnReorder: true,
+                columns: [ 'a', { name: 'group', children: [ 'b', 'c' ] } ]
+            }),
+            thead = table._theadNode;
+
+        Assert.isTrue(thead.one('[data-yui3-col-id="group"]')
+            .hasClass('yui3-datatable-reorderable-column'));
+        Assert.isFalse(thead.one('[data-yui3-col-id="b"]')
+            .hasClass('yui3-datatable-reorderable-column'));
+
+        dropHeader(table, 'b', 'a');
+
+        ArrayAssert.itemsAreSame(['a', 'group'], columnKeys(table));
+
+        dropHeader(table, 'group', 'a');
+
+        ArrayAssert.itemsAreSame(['group', 'a'], columnKeys(table));
+    },
+
+    "test columnResize adds resize handles to leaf headers": function () {
+        var table = this.table = createTable({
+                columnResize: true,
+                columns: [ 'a', { name: 'group', children: [ 'b', 'c' ] } ]
+            }),
+            thead = table._theadNode;
+
+        Assert.areSame(3, thead.all('.yui3-datatable-column-resizer').size());
+        Assert.isNull(thead.one('[data-yui3-col-id="group"]')
+            .one('.yui3-datatable-column-resizer'));
+
+        table.set('columnResize', false);
+
+        Assert.areSame(0, thead.all('.yui3-datatable-column-resizer').size());
+    },
+
+    "test dragging a resize handle sets the column width": function () {
+        var table = this.table = createTable({ columnResize: true }),
+            handle = table._theadNode.one('[data-yui3-col-id="b"]')
+                        .one('.yui3-datatable-column-resizer');
+
+        table._onColumnResizeStart({
+            target: { get: function () { return handle; } }
+        });
+
+        // jsdom and the like have no layout, so fake the starting width
+        table._columnResizing.width = 100;
+
+        table._onColumnResize({ info: { start: [50, 0], xy: [80, 0] } });
+
+        Assert.areSame('130px', table.getColumn('b').width);
+
+        table._onColumnResize({ info: { start: [50, 0], xy: [-200, 0] } });
+
+        Assert.areSame(Y.DataTable.ColumnUI.MIN_COLUMN_WIDTH + 'px',
+            table.getColumn('b').width);
+
+        table.getColumn('b').minWidth = 60;
+        table._onColumnResize({ info: { start: [50, 0], xy: [-200, 0] } });
+
+        Assert.areSame('60px', table.getColumn('b').width);
+    },
+
+    "test sort from the click ending a drag is prevented": function () {
+        var table = this.table = createTable({ columnReorder: true }),
+            sorted = 0;
+
+        table.after('sort', function () { sorted++; });
+
+        table._onColumnDragEnd();
+        table.fire('sort', { originEvent: {} });
+
+        Assert.areSame(0, sorted);
+
+        table.fire('sort', {});
+
+        Assert.areSame(1, sorted);
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "column state",
+
+    tearDown: function () {
+        if (this.table) {
+            this.table.destroy();
+        }
+    },
+
+    "test getColumnState": function () {
+        var table = this.table = createTable({
+                columns: [ 'a', { key: 'b', width: '50px' }, 'c', 'd' ]
+            }),
+            state;
+
+        table.moveColumn('d', 0);
+        table.hideColumn('c');
+
+        state = table.getColumnState();
+
+        ArrayAssert.itemsAreSame(['d', 'a', 'b'], state.order);
+        Assert.areSame(3, state.hidden.c);
+        Assert.areSame('50px', state.widths.b);
+    },
+
+    "test state is saved after changes": function () {
+        var store = createStore(),
+            table = this.table = createTable({
+                columnStore   : store,
+                columnStateKey: 'test'
+            });
+
+        table.hideColumn('a');
+
+        Assert.areSame(1, store.saves);
+        Assert.areSame(0, store.data.test.hidden.a);
+
+        table.moveColumn('d', 0);
+
+        ArrayAssert.itemsAreSame(['d', 'b', 'c'], store.data.test.order);
+    },
+
+    "test state is saved after a resize drag": function () {
+        var store = createStore(),
+            table = this.table = createTable({
+                columnResize  : true,
+                columnStore   : store,
+                columnStateKey: 'test'
+            }),
+            handle = table._theadNode.one('.yui3-datatable-column-resizer');
+
+        table._onColumnResizeStart({
+            target: { get: function () { return handle; } }
+        });
+        table._columnResizing.width = 40;
+        table._onColumnResize({ info: { start: [0, 0], xy: [10, 0] } });
+        table._onColumnDragEnd();
+
+        Assert.areSame('50px', store.data.test.widths.a);
+    },
+
+    "test state is not saved without columnStateKey": function () {
+        var store = createStore(),
+            table = this.table = createTable({ columnStore: store });
+
+        table.hideColumn('a');
+
+        Assert.areSame(0, store.saves);
+    },
+
+    "test saved state is applied on creation": function () {
+        var store = createStore({
+                test: {
+                    order : ['c', 'a', 'd'],
+                    hidden: { b: 1 },
+                    widths: { a: '77px' }
+                }
+            }),
+            table = this.table = createTable({
+                columnHiding  : true,
+                columnStore   : store,
+                columnStateKey: 'test'
+            });
+
+        ArrayAssert.itemsAreSame(['c', 'a', 'd'], columnKeys(table));
+        ArrayAssert.itemsAreSame(['c', 'a', 'd'], headerText(table));
+        Assert.isTrue(table.isColumnHidden('b'));
+        Assert.areSame('77px', table.getColumn('a').width);
+        Assert.isFalse(table.get('contentBox')
+            .one('.yui3-datatable-column-menu input[value="b"]')
+            .get('checked'));
+
+        table.showColumn('b');
+
+        ArrayAssert.itemsAreSame(['c', 'b', 'a', 'd'], columnKeys(table));
+    },
+
+    "test columns missing from the saved order are kept": function () {
+        var store = createStore({ test: { order: ['d', 'b'] } }),
+            table = this.table = createTable({
+                columnStore   : store,
+                columnStateKey: 'test'
+            });
+
+        ArrayAssert.itemsAreSame(['d', 'b', 'a', 'c'], columnKeys(table));
+    },
+
+    "test named stores": function () {
+        var table = this.table = createTable({ columnStore: 'localStorage' });
+
+        Assert.areSame(Y.DataTable.ColumnUI.STORES.localStorage,
+            table.get('columnStore'));
+
+        table.set('columnStore', 'bogus');
+
+        Assert.areSame(Y.DataTable.ColumnUI.STORES.localStorage,
+            table.get('columnStore'));
+    },
+
+    "test localStorage store round trip": function () {
+        var store = Y.DataTable.ColumnUI.STORES.localStorage,
+            state = { order: ['a'], hidden: {}, widths: {} };
+
+        if (!Y.config.win.localStorage) {
+            return;
+        }
+
+        store.save('yui3-datatable-column-ui-test', state);
+
+        ArrayAssert.itemsAreSame(['a'],
+            store.load('yui3-datatable-column-ui-test').order);
+
+        Y.config.win.localStorage.removeItem('yui3-datatable-column-ui-test');
+
+        Assert.isNull(store.load('yui3-datatable-column-ui-test'));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-column-ui', 'datatable-sort', 'node-event-simulate', 'test']});
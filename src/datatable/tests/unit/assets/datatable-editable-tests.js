@@ -0,0 +1,447 @@
+YUI.add('datatable-editable-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Editable"),
+    Assert = Y.Assert;
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [
+            'name',
+            { key: 'qty', editor: 'number' },
+            { key: 'state', editor: 'select', editorOptions: [
+                { value: 1, label: 'Open' },
+                { value: 2, label: 'Closed' }
+            ] },
+            { key: 'done', editor: 'checkbox' },
+            { key: 'id', editable: false }
+        ],
+        data: [
+            { id: 1, name: 'Apple',  qty: 7, state: 1, done: false },
+            { id: 2, name: 'Banana', qty: 6, state: 2, done: true }
+        ],
+        editable: true
+    }, config)).render('#testbed');
+}
+
+suite.add(new Y.Test.Case({
+    name: "lifecycle and instantiation",
+
+    "Y.DataTable should be augmented": function () {
+        Assert.isTrue(
+            new Y.DataTable().hasImpl(Y.DataTable.Editable));
+    },
+
+    "Y.DataTable.Base should not be augmented": function () {
+        Assert.isFalse(
+            new Y.DataTable.Base().hasImpl(Y.DataTable.Editable));
+    },
+
+    "editable should default to false": function () {
+        var table = new Y.DataTable({ columns: ['a'], data: [{ a: 1 }] });
+
+        Assert.isFalse(table.get('editable'));
+
+        table.destroy();
+    },
+
+    "Enter and F2 should be added to keyActions": function () {
+        var table = new Y.DataTable({ columns: ['a'], data: [{ a: 1 }] });
+
+        Assert.areSame('_keyEditCell', table.keyActions.enter);
+        Assert.areSame('_keyEditCell', table.keyActions.f2);
+
+        table.destroy();
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "editCell",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "editCell should insert an editor into the cell": function () {
+        var table = this.table,
+            cell  = table.getCell([0, 0]),
+            input;
+
+        table.editCell(cell);
+
+        input = cell.one('input');
+        Assert.isNotNull(input);
+        Assert.areSame('Apple', input.get('value'));
+        Assert.isTrue(input.hasClass(table.getClassName('editor')));
+        Assert.isTrue(cell.hasClass(table.getClassName('cell', 'editing')));
+    },
+
+    "editCell should do nothing if the table is not editable": function () {
+        var table = this.table,
+            cell  = table.getCell([0, 0]);
+
+        table.set('editable', false);
+        table.editCell(cell);
+
+        Assert.isNull(cell.one('input'));
+    },
+
+    "editCell should do nothing for columns with editable: false": function () {
+        var table = this.table,
+            cell  = table.getCell([0, 4]);
+
+        table.editCell(cell);
+
+        Assert.isNull(cell.one('input'));
+        Assert.isNull(table._cellEditor);
+    },
+
+    "editCell should accept row and column indexes": function () {
+        var table = this.table;
+
+        table.editCell([1, 0]);
+
+        Assert.areSame('Banana', table.getCell([1, 0]).one('input').get('value'));
+    },
+
+    "editCell should save an open editor before opening another": function () {
+        var table = this.table;
+
+        table.editCell([0, 0]);
+        table.getCell([0, 0]).one('input').set('value', 'Apricot');
+
+        table.editCell([1, 0]);
+
+        Assert.areSame('Apricot', table.data.item(0).get('name'));
+        Assert.isNull(table.getCell([0, 0]).one('input'));
+        Assert.isNotNull(table.getCell([1, 0]).one('input'));
+    },
+
+    "double clicking a cell should open the editor": function () {
+        var table = this.table,
+            cell  = table.getCell([1, 0]);
+
+        cell.simulate('dblclick');
+
+        Assert.isNotNull(cell.one('input'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "save and cancel",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "saveCellEdit should set the value and refresh the cell": function () {
+        var table = this.table,
+            cell  = table.getCell([0, 0]);
+
+        table.editCell(cell);
+        cell.one('input').set('value', 'Apricot');
+        table.saveCellEdit();
+
+        Assert.areSame('Apricot', table.data.item(0).get('name'));
+        Assert.isNull(table._cellEditor);
+        Assert.areSame('Apricot', table.getCell([0, 0]).get('text'));
+        Assert.isFalse(table.getCell([0, 0]).hasClass(
+            table.getClassName('cell', 'editing')));
+    },
+
+    "saving without a change should restore the cell": function () {
+        var table = this.table;
+
+        table.editCell([0, 0]);
+        table.saveCellEdit();
+
+        Assert.areSame('Apple', table.getCell([0, 0]).get('text'));
+    },
+
+    "cellEdit should include the previous and new values": function () {
+        var table = this.table,
+            event;
+
+        table.on('cellEdit', function (e) {
+            event = e;
+        });
+
+        table.editCell([0, 1]);
+        table.getCell([0, 1]).one('input').set('value', '12');
+        table.saveCellEdit();
+
+        Assert.areSame(7, event.prevVal);
+        Assert.areSame(12, event.newVal);
+        Assert.areSame('qty', event.column.key);
+        Assert.areSame(table.data.item(0), event.record);
+        Assert.areSame(12, table.data.item(0).get('qty'));
+    },
+
+    "preventing cellEdit should leave the editor open": function () {
+        var table = this.table;
+
+        table.on('cellEdit', function (e) {
+            e.preventDefault();
+        });
+
+        table.editCell([0, 0]);
+        table.getCell([0, 0]).one('input').set('value', 'Apricot');
+        table.saveCellEdit();
+
+        Assert.areSame('Apple', table.data.item(0).get('name'));
+        Assert.isNotNull(table.getCell([0, 0]).one('input'));
+    },
+
+    "cancelCellEdit should restore the cell without saving": function () {
+        var table = this.table,
+            fired = false;
+
+        table.after('cellEditCancel', function () {
+            fired = true;
+        });
+
+        table.editCell([0, 0]);
+        table.getCell([0, 0]).one('input').set('value', 'Apricot');
+        table.cancelCellEdit();
+
+        Assert.isTrue(fired);
+        Assert.areSame('Apple', table.data.item(0).get('name'));
+        Assert.areSame('Apple', table.getCell([0, 0]).get('text'));
+        Assert.isNull(table._cellEditor);
+    },
+
+    "preventing cellEditCancel should leave the editor open": function () {
+        var table = this.table;
+
+        table.on('cellEditCancel', function (e) {
+            e.preventDefault();
+        });
+
+        table.editCell([0, 0]);
+        table.cancelCellEdit();
+
+        Assert.isNotNull(table.getCell([0, 0]).one('input'));
+    },
+
+    "Enter should save and Escape should cancel": function () {
+        var table = this.table;
+
+        table.editCell([0, 0]);
+        table.getCell([0, 0]).one('input').set('value', 'Apricot')
+            .simulate('keydown', { keyCode: 13 });
+
+        Assert.areSame('Apricot', table.data.item(0).get('name'));
+        Assert.isNull(table._cellEditor);
+
+        table.editCell([1, 0]);
+        table.getCell([1, 0]).one('input').set('value', 'Blueberry')
+            .simulate('keydown', { keyCode: 27 });
+
+        Assert.areSame('Banana', table.data.item(1).get('name'));
+        Assert.isNull(table._cellEditor);
+    },
+
+    "disabling editable should cancel the open editor": function () {
+        var table = this.table;
+
+        table.editCell([0, 0]);
+        table.set('editable', false);
+
+        Assert.isNull(table._cellEditor);
+        Assert.areSame('Apple', table.getCell([0, 0]).get('text'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "validation",
+
+    setUp: function () {
+        var Fruit = Y.Base.create('fruit', Y.Model, [], {
+            validate: function (attrs, callback) {
+                callback(attrs.qty < 0 ? 'qty must be positive' : null);
+            }
+        }, {
+            ATTRS: { name: {}, qty: {} }
+        });
+
+        this.table = createTable({
+            columns: ['name', { key: 'qty', editor: 'number' }],
+            recordType: Fruit
+        });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "invalid values should not be saved": function () {
+        var table = this.table,
+            error;
+
+        table.on('cellEditError', function (e) {
+            error = e.error;
+        });
+
+        table.editCell([0, 1]);
+        table.getCell([0, 1]).one('input').set('value', '-3');
+        table.saveCellEdit();
+
+        Assert.areSame('qty must be positive', error);
+        Assert.areSame(7, table.data.item(0).get('qty'));
+        Assert.isNotNull(table._cellEditor);
+        Assert.isTrue(table.getCell([0, 1]).hasClass(
+            table.getClassName('editor', 'error')));
+    },
+
+    "valid values should be saved": function () {
+        var table = this.table;
+
+        table.editCell([0, 1]);
+        table.getCell([0, 1]).one('input').set('value', '3');
+        table.saveCellEdit();
+
+        Assert.areSame(3, table.data.item(0).get('qty'));
+        Assert.isNull(table._cellEditor);
+    },
+
+    "editCell should keep an invalid editor open instead of opening another": function () {
+        var table = this.table,
+            state;
+
+        table.editCell([0, 1]);
+        table.getCell([0, 1]).one('input').set('value', '-3');
+
+        state = table._cellEditor;
+
+        table.editCell([1, 1]);
+
+        Assert.areSame(state, table._cellEditor);
+        Assert.areSame(7, table.data.item(0).get('qty'));
+        Assert.isNotNull(table.getCell([0, 1]).one('input'));
+        Assert.isNull(table.getCell([1, 1]).one('input'));
+        Assert.areSame(1, table.get('contentBox').all('.' +
+            table.getClassName('editor')).size());
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "editors",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "number editor should save numbers": function () {
+        var table = this.table;
+
+        table.editCell([1, 1]);
+        Assert.areSame('number', table.getCell([1, 1]).one('input').get('type'));
+
+        table.getCell([1, 1]).one('input').set('value', '');
+        table.saveCellEdit();
+
+        Assert.isNull(table.data.item(1).get('qty'));
+    },
+
+    "select editor should save the option value": function () {
+        var table = this.table,
+            select;
+
+        table.editCell([0, 2]);
+        select = table.getCell([0, 2]).one('select');
+
+        Assert.areSame(2, select.all('option').size());
+        Assert.areSame(0, select.get('selectedIndex'));
+        Assert.areSame('Closed', select.all('option').item(1).get('text'));
+
+        select.set('selectedIndex', 1);
+        table.saveCellEdit();
+
+        Assert.areSame(2, table.data.item(0).get('state'));
+    },
+
+    "checkbox editor should save a boolean": function () {
+        var table = this.table,
+            checkbox;
+
+        table.editCell([0, 3]);
+        checkbox = table.getCell([0, 3]).one('input');
+
+        Assert.areSame('checkbox', checkbox.get('type'));
+        Assert.isFalse(checkbox.get('checked'));
+
+        checkbox.set('checked', true);
+        table.saveCellEdit();
+
+        Assert.isTrue(table.data.item(0).get('done'));
+        Assert.areSame('true', table.getCell([0, 3]).get('text'));
+    },
+
+    "date editor should render a Calendar": function () {
+        var table = createTable({
+                columns: [{ key: 'due', editor: 'date' }],
+                data: [{ due: new Date(2014, 0, 15) }]
+            }),
+            cell = table.getCell([0, 0]),
+            date;
+
+        table.editCell(cell);
+
+        Assert.areSame('2014-01-15', cell.one('input').get('value'));
+        Assert.isNotNull(cell.one('.' + table.getClassName('editor', 'calendar') +
+            ' .yui3-calendar'));
+
+        cell.one('input').set('value', '2014-02-01');
+        table.saveCellEdit();
+
+        date = table.data.item(0).get('due');
+        Assert.isInstanceOf(Date, date);
+        Assert.areSame(1, date.getUTCMonth());
+
+        Assert.isNull(cell.one('.yui3-calendar'));
+
+        table.destroy();
+    },
+
+    "custom editors should be supported": function () {
+        var table = createTable({
+                columns: [{
+                    key: 'name',
+                    editor: {
+                        create: function (o) {
+                            return Y.Node.create('<textarea class="' +
+                                o.className + '"></textarea>')
+                                .set('value', o.value);
+                        },
+                        getValue: function (node) {
+                            return node.get('value').toUpperCase();
+                        }
+                    }
+                }]
+            });
+
+        table.editCell([0, 0]);
+        Assert.isNotNull(table.getCell([0, 0]).one('textarea'));
+
+        table.saveCellEdit();
+        Assert.areSame('APPLE', table.data.item(0).get('name'));
+
+        table.destroy();
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-editable', 'node-event-simulate', 'test']});
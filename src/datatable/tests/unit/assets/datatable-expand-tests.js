@@ -0,0 +1,384 @@
+YUI.add('datatable-expand-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Expand"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+    RECORDS = [
+        { id: 'a', name: 'Alpha',   city: 'Austin' },
+        { id: 'b', name: 'Bravo',   city: 'Boston' },
+        { id: 'c', name: 'Charlie', city: 'Chicago' },
+        { id: 'd', name: 'Delta',   city: 'Denver' }
+    ];
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [ 'id', { key: 'name', sortable: true } ],
+        data: RECORDS,
+        detailFormatter: '<p>{name} lives in {city}</p>'
+    }, config)).render('#testbed');
+}
+
+function rows(table) {
+    return table._tbodyNode.all('tr');
+}
+
+function detailRows(table) {
+    return table._tbodyNode.all('.' + table.getClassName('detail', 'row'));
+}
+
+// Returns the record ids of the rows and "+" for detail rows
+function layout(table) {
+    var result = [];
+
+    rows(table).each(function (row) {
+        var record = row.getAttribute('data-yui3-record');
+
+        result.push(record ? table.data.getByClientId(record).get('id') : '+');
+    });
+
+    return result.join('');
+}
+
+function toggle(table, index) {
+    return table.getRow(index).one('.' +
+        table.getClassName('expand', 'toggle'));
+}
+
+suite.add(new Y.Test.Case({
+    name: "API",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test toggle column is added": function () {
+        var columns = this.table.get('columns');
+
+        Assert.areSame('_expand', columns[0].name);
+        Assert.areSame(3, columns.length);
+        Assert.areSame(4, this.table._tbodyNode.all('.' +
+            this.table.getClassName('expand', 'toggle')).size());
+    },
+
+    "test no toggle column without detailFormatter": function () {
+        var table = new Y.DataTable({
+            columns: ['id'],
+            data: RECORDS
+        }).render();
+
+        Assert.areSame(1, table.get('columns').length);
+
+        table.expandRow(0);
+
+        ArrayAssert.isEmpty(table.get('expandedRows'));
+
+        table.destroy();
+    },
+
+    "test expandRow adds a detail row": function () {
+        var table = this.table,
+            detail;
+
+        table.expandRow(1);
+
+        Assert.areSame('ab+cd', layout(table));
+        Assert.isTrue(table.isRowExpanded('b'));
+        ArrayAssert.itemsAreSame([table.data.item(1).get('clientId')],
+            table.get('expandedRows'));
+
+        detail = detailRows(table).item(0);
+        Assert.areSame('Bravo lives in Boston', detail.get('text'));
+        Assert.areSame('3', detail.one('td').getAttribute('colspan'));
+        Assert.isTrue(table.getRow(1).hasClass(
+            table.getClassName('expanded')));
+        Assert.areSame('true', toggle(table, 1).getAttribute('aria-expanded'));
+    },
+
+    "test collapseRow removes the detail row": function () {
+        var table = this.table;
+
+        table.expandRow(0).expandRow(2);
+        Assert.areSame('a+bc+d', layout(table));
+
+        table.collapseRow(0);
+
+        Assert.areSame('abc+d', layout(table));
+        Assert.isFalse(table.isRowExpanded(0));
+        Assert.areSame('false', toggle(table, 0).getAttribute('aria-expanded'));
+    },
+
+    "test toggleRow": function () {
+        var table = this.table,
+            record = table.data.item(3);
+
+        table.toggleRow(record);
+        Assert.isTrue(table.isRowExpanded(record));
+
+        table.toggleRow(record);
+        Assert.isFalse(table.isRowExpanded(record));
+        Assert.areSame('abcd', layout(table));
+    },
+
+    "test template values are escaped": function () {
+        var table = this.table;
+
+        table.data.item(0).set('city', '<b>Austin</b>');
+        table.expandRow(0);
+
+        Assert.isNull(detailRows(table).item(0).one('b'));
+        Assert.areSame('Alpha lives in <b>Austin</b>',
+            detailRows(table).item(0).get('text'));
+    },
+
+    "test formatter function can populate the cell": function () {
+        var table = this.table,
+            args;
+
+        table.set('detailFormatter', function (o) {
+            args = o;
+            o.cell.append(Y.Node.create('<em>' + o.data.name + '</em>'));
+        });
+
+        table.expandRow(2);
+
+        Assert.areSame(table.data.item(2), args.record);
+        Assert.areSame('Charlie', detailRows(table).item(0).one('em').get('text'));
+        Assert.areSame(detailRows(table).item(0), args.row);
+    },
+
+    "test formatter function can return HTML": function () {
+        var table = this.table;
+
+        table.set('detailFormatter', function (o) {
+            return '<span>' + o.record.get('id') + '</span>';
+        });
+
+        table.expandRow(0);
+
+        Assert.areSame('a', detailRows(table).item(0).one('span').get('text'));
+    },
+
+    "test changing detailFormatter rerenders detail rows": function () {
+        var table = this.table;
+
+        table.expandRow(0);
+        table.set('detailFormatter', '{city}');
+
+        Assert.areSame('Austin', detailRows(table).item(0).get('text'));
+    },
+
+    "test expandedRows accepts ids and Models": function () {
+        var table = this.table;
+
+        table.set('expandedRows', ['c', table.data.item(0), 'nope', 'c']);
+
+        Assert.areSame(2, table.get('expandedRows').length);
+        Assert.areSame('a+bc+d', layout(table));
+    },
+
+    "test getRecord from the detail row returns the record": function () {
+        var table = this.table;
+
+        table.expandRow(1);
+
+        Assert.isTrue(table.isRowExpanded(detailRows(table).item(0).one('p')));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "state",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test expanded rows survive sorting": function () {
+        var table = this.table;
+
+        table.expandRow('b');
+        table.sort({ name: 'desc' });
+
+        Assert.areSame('dcb+a', layout(table));
+    },
+
+    "test expanded rows survive rerendering": function () {
+        var table = this.table;
+
+        table.expandRow('a');
+        table.body.render();
+
+        Assert.areSame('a+bcd', layout(table));
+    },
+
+    "test detail row updates when the record changes": function () {
+        var table = this.table;
+
+        table.expandRow('a');
+        table.data.getById('a').set('city', 'Albany');
+
+        Assert.areSame('Alpha lives in Albany',
+            detailRows(table).item(0).get('text'));
+        Assert.areSame('a+bcd', layout(table));
+    },
+
+    "test adding and removing records keeps detail rows in place": function () {
+        var table = this.table;
+
+        table.expandRow('b');
+        table.data.add({ id: 'e', name: 'Echo', city: 'El Paso' }, { index: 0 });
+
+        Assert.areSame('eab+cd', layout(table));
+
+        table.data.remove(table.data.getById('a'));
+
+        Assert.areSame('eb+cd', layout(table));
+    },
+
+    "test removing an expanded record prunes expandedRows": function () {
+        var table = this.table;
+
+        table.expandRow('b');
+        table.data.remove(table.data.getById('b'));
+
+        ArrayAssert.isEmpty(table.get('expandedRows'));
+        Assert.areSame('acd', layout(table));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "UI",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test clicking the toggle expands and collapses": function () {
+        var table = this.table,
+            src;
+
+        table.after('expandedRowsChange', function (e) {
+            src = e.src;
+        });
+
+        toggle(table, 2).simulate('click');
+
+        Assert.areSame('abc+d', layout(table));
+        Assert.areSame('ui', src);
+
+        toggle(table, 2).simulate('click');
+
+        Assert.areSame('abcd', layout(table));
+    },
+
+    "test enter on the toggle cell toggles the row": function () {
+        var table = this.table,
+            cell = toggle(table, 1).ancestor('td');
+
+        table.set('focusedCell', cell);
+        cell.simulate('keydown', { keyCode: 13 });
+
+        Assert.isTrue(table.isRowExpanded(1));
+
+        cell.simulate('keydown', { keyCode: 13 });
+
+        Assert.isFalse(table.isRowExpanded(1));
+    },
+
+    "test alt+right and alt+left expand and collapse": function () {
+        var table = this.table,
+            cell = table.getRow(0).all('td').item(2);
+
+        table.set('focusedCell', cell);
+        cell.simulate('keydown', { keyCode: 39, altKey: true });
+
+        Assert.isTrue(table.isRowExpanded(0));
+        Assert.areSame(cell, table.get('focusedCell'));
+
+        cell.simulate('keydown', { keyCode: 37, altKey: true });
+
+        Assert.isFalse(table.isRowExpanded(0));
+    },
+
+    "test up and down skip detail rows": function () {
+        var table = this.table,
+            cell = table.getRow(0).all('td').item(1);
+
+        table.expandRow(0);
+
+        table.set('focusedCell', cell);
+        cell.simulate('keydown', { keyCode: 40 });
+
+        Assert.areSame(table.getRow(1).all('td').item(1),
+            table.get('focusedCell'));
+
+        table.get('focusedCell').simulate('keydown', { keyCode: 40 });
+
+        Assert.areSame(table.getRow(2).all('td').item(1),
+            table.get('focusedCell'));
+
+        table.get('focusedCell').simulate('keydown', { keyCode: 38 });
+        table.get('focusedCell').simulate('keydown', { keyCode: 38 });
+
+        Assert.areSame(cell, table.get('focusedCell'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "paging",
+
+    "test expanded rows are kept across pages": function () {
+        var table = createTable({ rowsPerPage: 2 }),
+            model = table.get('paginatorModel');
+
+        table.expandRow('a');
+        model.set('page', 2);
+
+        Assert.areSame('cd', layout(table));
+
+        model.set('page', 1);
+
+        Assert.areSame('a+b', layout(table));
+
+        table.destroy();
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "expandColumn",
+
+    "test expandColumn false removes the toggle column": function () {
+        var table = createTable({ expandColumn: false });
+
+        Assert.areSame(2, table.get('columns').length);
+
+        table.expandRow(0);
+
+        Assert.areSame('a+bcd', layout(table));
+        Assert.areSame('2', detailRows(table).item(0).one('td')
+            .getAttribute('colspan'));
+
+        table.set('expandColumn', true);
+
+        Assert.areSame('_expand', table.get('columns')[0].name);
+        Assert.areSame('a+bcd', layout(table));
+
+        table.destroy();
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-expand', 'datatable-sort', 'datatable-paginator', 'node-event-simulate', 'test']});
@@ -0,0 +1,277 @@
+YUI.add('datatable-export-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Export"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert;
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [
+            'name',
+            { key: 'qty', label: 'Quantity' },
+            { key: 'price', formatter: function (o) {
+                return '$' + o.value.toFixed(2);
+            } }
+        ],
+        data: [
+            { name: 'Widget',      qty: 3, price: 1.5 },
+            { name: 'Gadget, Pro', qty: 1, price: 20 },
+            { name: 'Say "hi"',    qty: 7, price: 0.25 }
+        ]
+    }, config));
+}
+
+suite.add(new Y.Test.Case({
+    name: "CSV and TSV",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test exportCSV": function () {
+        Assert.areSame([
+            'name,Quantity,price',
+            'Widget,3,$1.50',
+            '"Gadget, Pro",1,$20.00',
+            '"Say ""hi""",7,$0.25'
+        ].join('\r\n'), this.table.exportCSV());
+    },
+
+    "test exportTSV": function () {
+        Assert.areSame([
+            'name\tQuantity\tprice',
+            'Widget\t3\t$1.50',
+            'Gadget, Pro\t1\t$20.00',
+            '"Say ""hi"""\t7\t$0.25'
+        ].join('\r\n'), this.table.exportTSV());
+    },
+
+    "test formatted: false exports raw values": function () {
+        Assert.areSame('Widget,3,1.5',
+            this.table.exportCSV({ formatted: false, header: false })
+                .split('\r\n')[0]);
+    },
+
+    "test header: false omits the header row": function () {
+        Assert.areSame(3,
+            this.table.exportCSV({ header: false }).split('\r\n').length);
+    },
+
+    "test delimiter, quote, quoteAll, and lineEnding options": function () {
+        var csv = this.table.exportCSV({
+                delimiter : ';',
+                quote     : "'",
+                quoteAll  : true,
+                lineEnding: '\n',
+                header    : false
+            }).split('\n');
+
+        Assert.areSame("'Widget';'3';'$1.50'", csv[0]);
+        Assert.areSame("'Gadget, Pro';'1';'$20.00'", csv[1]);
+    },
+
+    "test values with line breaks and edge whitespace are quoted": function () {
+        this.table.data.item(0).set('name', 'two\nlines');
+        this.table.data.item(1).set('name', ' padded');
+
+        var csv = this.table.exportCSV({ header: false });
+
+        Assert.areSame(0, csv.indexOf('"two\nlines",3'));
+        Assert.isTrue(csv.indexOf('" padded",1') > -1);
+    },
+
+    "test bom option": function () {
+        Assert.areSame('\uFEFFname', this.table.exportCSV({ bom: true })
+            .slice(0, 5));
+        Assert.areSame('n', this.table.exportCSV().charAt(0));
+    },
+
+    "test export follows the current sort": function () {
+        this.table.data.comparator = function (model) {
+            return model.get('qty');
+        };
+        this.table.data.sort();
+
+        Assert.areSame('Gadget, Pro', Y.JSON.parse(
+            this.table.exportJSON())[0].name);
+    },
+
+    "test records option": function () {
+        var csv = this.table.exportCSV({
+            header : false,
+            records: [ this.table.data.item(2) ]
+        });
+
+        Assert.areSame('"Say ""hi""",7,$0.25', csv);
+    },
+
+    "test exportData with an unknown format returns null": function () {
+        Assert.isNull(this.table.exportData('xlsx'));
+    },
+
+    "test custom formats": function () {
+        Y.DataTable.Export.FORMATS.keys = {
+            defaults: { separator: '|' },
+            serialize: function (data, options) {
+                return Y.Array.map(data.columns, function (col) {
+                    return col.key;
+                }).join(options.separator);
+            }
+        };
+
+        Assert.areSame('name|qty|price', this.table.exportData('keys'));
+        Assert.areSame('name-qty-price',
+            this.table.exportData('keys', { separator: '-' }));
+
+        delete Y.DataTable.Export.FORMATS.keys;
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "JSON",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test exportJSON exports raw values by default": function () {
+        var data = Y.JSON.parse(this.table.exportJSON());
+
+        Assert.areSame(3, data.length);
+        Assert.areSame('Widget', data[0].name);
+        Assert.areSame(3, data[0].qty);
+        Assert.areSame(1.5, data[0].price);
+        Assert.isUndefined(data[0].clientId);
+    },
+
+    "test exportJSON formatted": function () {
+        var data = Y.JSON.parse(this.table.exportJSON({ formatted: true }));
+
+        Assert.areSame('$1.50', data[0].price);
+    },
+
+    "test exportJSON space option": function () {
+        Assert.areSame('[\n  {\n    "name": "Widget"',
+            this.table.exportJSON({ space: 2 }).slice(0, 26));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "columns and formatters",
+
+    tearDown: function () {
+        if (this.table) {
+            this.table.destroy();
+        }
+    },
+
+    "test nested headers export a row per header level": function () {
+        var table = this.table = createTable({
+                columns: [
+                    'name',
+                    { label: 'Order', children: [
+                        'qty',
+                        { label: 'Cost', children: [ 'price', 'tax' ] }
+                    ] }
+                ]
+            }).render('#testbed'),
+            csv = table.exportCSV({ formatted: false }).split('\r\n');
+
+        Assert.areSame('name,Order,,', csv[0]);
+        Assert.areSame(',qty,Cost,', csv[1]);
+        Assert.areSame(',,price,tax', csv[2]);
+        Assert.areSame('Widget,3,1.5,', csv[3]);
+    },
+
+    "test nested headers before render": function () {
+        var table = this.table = createTable({
+                columns: [
+                    { label: 'Item', children: [ 'name', 'qty' ] },
+                    'price'
+                ]
+            }),
+            csv = table.exportCSV({ formatted: false }).split('\r\n');
+
+        Assert.areSame('Item,,price', csv[0]);
+        Assert.areSame('name,qty,', csv[1]);
+        Assert.areSame('Widget,3,1.5', csv[2]);
+    },
+
+    "test nestedHeaders: false exports only the leaf labels": function () {
+        var table = this.table = createTable({
+                columns: [
+                    { label: 'Item', children: [ 'name', 'qty' ] },
+                    'price'
+                ]
+            }).render('#testbed');
+
+        Assert.areSame('name,qty,price', table.exportCSV({
+            nestedHeaders: false
+        }).split('\r\n')[0]);
+    },
+
+    "test export follows the displayed column order": function () {
+        var table = this.table = createTable().render('#testbed');
+
+        table.moveColumn('price', 0);
+        table.removeColumn('qty');
+
+        Assert.areSame('price,name\r\n$1.50,Widget',
+            table.exportCSV().split('\r\n').slice(0, 2).join('\r\n'));
+    },
+
+    "test template formatters and emptyCellValue": function () {
+        var table = this.table = createTable({
+                columns: [
+                    { key: 'qty', formatter: '{value} pcs' },
+                    { key: 'missing', emptyCellValue: 'n/a' }
+                ]
+            });
+
+        Assert.areSame('3 pcs,n/a', table.exportCSV().split('\r\n')[1]);
+    },
+
+    "test HTML in allowHTML columns and labels is exported as text":
+    function () {
+        var table = this.table = createTable({
+                columns: [
+                    { key: 'name', label: '<b>Item</b> &amp; name',
+                      allowHTML: true,
+                      formatter: function (o) {
+                          return '<em>' + o.value + '</em> &lt;1&gt;';
+                      } },
+                    { key: 'qty', formatter: function (o) {
+                          return '<b>' + o.value + '</b>';
+                      } }
+                ]
+            }),
+            csv = table.exportCSV().split('\r\n');
+
+        Assert.areSame('Item & name,qty', csv[0]);
+        Assert.areSame('Widget <1>,<b>3</b>', csv[1]);
+    },
+
+    "test named formatters": function () {
+        var table = this.table = createTable({
+            columns: [
+                { key: 'qty', formatter: 'boolean',
+                  booleanLabels: { 'true': 'yes', 'false': 'no' } }
+            ]
+        });
+
+        Assert.areSame('yes', table.exportCSV().split('\r\n')[1]);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-export', 'datatable-mutable', 'datatable-formatters', 'json-parse', 'test']});
@@ -0,0 +1,537 @@
+YUI.add('datatable-filter-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Filter"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+    RECORDS = [
+        { id: 1, name: 'Apple',  price: 1.5, added: new Date(2014, 0, 10), status: 'active' },
+        { id: 2, name: 'Banana', price: 0.5, added: new Date(2014, 1, 10), status: 'pending' },
+        { id: 3, name: 'Cherry', price: 4,   added: new Date(2014, 2, 10), status: 'retired' },
+        { id: 4, name: 'Date',   price: 7,   added: new Date(2014, 3, 10), status: 'active' },
+        { id: 5, name: 'Elder',  price: 12,  added: new Date(2014, 4, 10), status: 'pending' }
+    ];
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [
+            'id',
+            { key: 'name',   filter: 'text' },
+            { key: 'price',  filter: 'number' },
+            { key: 'added',  filter: 'date' },
+            { key: 'status', filter: 'enum' }
+        ],
+        data: RECORDS
+    }, config)).render('#testbed');
+}
+
+function ids(table) {
+    var result = [];
+
+    table.body.tbodyNode.all('tr').each(function (tr) {
+        result.push(+tr.one('.yui3-datatable-col-id').get('text'));
+    });
+
+    return result;
+}
+
+function filterCell(table, key) {
+    return table._filterRowNode.one('.' +
+        table.getClassName('col', table.getColumn(key)._id));
+}
+
+suite.add(new Y.Test.Case({
+    name: "filter API",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test filters default to an empty object": function () {
+        Assert.isObject(this.table.get('filters'));
+        ArrayAssert.itemsAreSame([1, 2, 3, 4, 5], ids(this.table));
+    },
+
+    "test text filter matches substrings ignoring case": function () {
+        this.table.filter('name', 'an');
+
+        ArrayAssert.itemsAreSame([2], ids(this.table));
+    },
+
+    "test number range filter": function () {
+        this.table.filter('price', { min: 1, max: 7 });
+
+        ArrayAssert.itemsAreSame([1, 3, 4], ids(this.table));
+
+        this.table.filter('price', { max: 1 });
+
+        ArrayAssert.itemsAreSame([2], ids(this.table));
+    },
+
+    "test date range filter": function () {
+        this.table.filter('added', {
+            min: new Date(2014, 1, 1),
+            max: new Date(2014, 2, 31)
+        });
+
+        ArrayAssert.itemsAreSame([2, 3], ids(this.table));
+    },
+
+    "test enum filter": function () {
+        this.table.filter('status', ['active', 'retired']);
+
+        ArrayAssert.itemsAreSame([1, 3, 4], ids(this.table));
+    },
+
+    "test function filter receives the value and record": function () {
+        var args;
+
+        this.table.filter('price', function (price, record) {
+            args = [price, record];
+            return price > 5;
+        });
+
+        ArrayAssert.itemsAreSame([4, 5], ids(this.table));
+        Assert.areSame(12, args[0]);
+        Assert.areSame(5, args[1].get('id'));
+    },
+
+    "test filters on multiple columns are combined": function () {
+        this.table.filter('status', ['active', 'pending'])
+                  .filter('price', { min: 1 });
+
+        ArrayAssert.itemsAreSame([1, 4, 5], ids(this.table));
+    },
+
+    "test null removes a filter": function () {
+        this.table.filter('name', 'e').filter('status', ['active']);
+        ArrayAssert.itemsAreSame([1, 4], ids(this.table));
+
+        this.table.filter('status', null);
+
+        ArrayAssert.itemsAreSame([1, 3, 4, 5], ids(this.table));
+        Assert.isFalse('status' in this.table.get('filters'));
+    },
+
+    "test empty filters are removed": function () {
+        this.table.set('filters', {
+            name  : '',
+            price : {},
+            status: [],
+            added : null
+        });
+
+        Assert.areSame(0, Y.Object.keys(this.table.get('filters')).length);
+        ArrayAssert.itemsAreSame([1, 2, 3, 4, 5], ids(this.table));
+    },
+
+    "test clearFilters": function () {
+        this.table.filter('name', 'zzz');
+        ArrayAssert.isEmpty(ids(this.table));
+
+        this.table.clearFilters();
+
+        ArrayAssert.itemsAreSame([1, 2, 3, 4, 5], ids(this.table));
+    },
+
+    "test filtering doesn't remove records from data": function () {
+        var data = this.table.data;
+
+        this.table.filter('status', ['active']);
+
+        Assert.areSame(2, data.size());
+        Assert.areSame(5, data.toArray().length);
+        Assert.areSame(3, data.getById(3).get('id'));
+        Assert.areSame(2, this.table.getFilteredRecords().length);
+    },
+
+    "test records added to data are filtered": function () {
+        var data = this.table.data;
+
+        this.table.filter('status', ['active']);
+
+        data.add({ id: 6, name: 'Fig', price: 2, status: 'active' });
+        data.add({ id: 7, name: 'Grape', price: 3, status: 'retired' });
+
+        ArrayAssert.itemsAreSame([1, 4, 6], ids(this.table));
+    },
+
+    "test changed records are refiltered": function () {
+        this.table.filter('status', ['active']);
+
+        this.table.data.getById(2).set('status', 'active');
+        this.table.data.getById(1).set('status', 'retired');
+
+        ArrayAssert.itemsAreSame([2, 4], ids(this.table));
+    },
+
+    "test empty message is shown when no records match": function () {
+        var table = this.table,
+            visible = table.getClassName('message', 'visible');
+
+        table.filter('name', 'zzz');
+
+        Assert.isTrue(table.get('boundingBox').hasClass(visible));
+
+        table.clearFilters();
+
+        Assert.isFalse(table.get('boundingBox').hasClass(visible));
+    },
+
+    "test changing filters doesn't fire reset on data": function () {
+        var table  = this.table,
+            resets = 0;
+
+        table.data.after('reset', function () {
+            resets++;
+        });
+
+        table.filter('name', 'an');
+
+        ArrayAssert.itemsAreSame([2], ids(table));
+
+        table.clearFilters();
+
+        ArrayAssert.itemsAreSame([1, 2, 3, 4, 5], ids(table));
+        Assert.areSame(0, resets);
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "filter row",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test filter row is added to the thead": function () {
+        var row = this.table._filterRowNode;
+
+        Assert.isNotNull(row);
+        Assert.areSame(this.table._theadNode, row.get('parentNode'));
+        Assert.areSame(5, row.all('td').size());
+        Assert.areSame(0, filterCell(this.table, 'id').all('input').size());
+        Assert.areSame(1, filterCell(this.table, 'name').all('input').size());
+        Assert.areSame(2, filterCell(this.table, 'price').all('input').size());
+        Assert.areSame('date',
+            filterCell(this.table, 'added').one('input').get('type'));
+        Assert.isTrue(filterCell(this.table, 'status').one('select')
+            .get('multiple'));
+    },
+
+    "test no filter row without filter columns": function () {
+        var table = new Y.DataTable({
+            columns: ['id', 'name'],
+            data: RECORDS
+        }).render('#testbed');
+
+        Assert.isUndefined(table._filterRowNode);
+        Assert.isNull(table._theadNode.one('.' +
+            table.getClassName('filter', 'row')));
+
+        table.destroy();
+    },
+
+    "test enum options default to the distinct values": function () {
+        var options = [];
+
+        filterCell(this.table, 'status').all('option').each(function (o) {
+            options.push(o.get('value'));
+        });
+
+        ArrayAssert.itemsAreSame(['active', 'pending', 'retired'], options);
+    },
+
+    "test filterOptions configure the enum options": function () {
+        var table = createTable({
+                columns: ['id', {
+                    key: 'status',
+                    filter: 'enum',
+                    filterOptions: [ { value: 'active', label: 'Active' } ]
+                }]
+            }),
+            options = filterCell(table, 'status').all('option');
+
+        Assert.areSame(1, options.size());
+        Assert.areSame('Active', options.item(0).get('text'));
+
+        table.destroy();
+    },
+
+    "test inputs have labels": function () {
+        Assert.areSame('Filter name',
+            filterCell(this.table, 'name').one('input')
+                .getAttribute('aria-label'));
+    },
+
+    "test typing in the text input filters": function () {
+        var input = filterCell(this.table, 'name').one('input');
+
+        input.set('value', 'err');
+        input.simulate('keyup');
+
+        Assert.areSame('err', this.table.get('filters').name);
+        ArrayAssert.itemsAreSame([3], ids(this.table));
+    },
+
+    "test changing the number inputs filters": function () {
+        var inputs = filterCell(this.table, 'price').all('input');
+
+        inputs.item(0).set('value', '4');
+        inputs.item(0).simulate('change');
+
+        ArrayAssert.itemsAreSame([3, 4, 5], ids(this.table));
+
+        inputs.item(1).set('value', '10');
+        inputs.item(1).simulate('change');
+
+        ArrayAssert.itemsAreSame([3, 4], ids(this.table));
+    },
+
+    "test date max input includes the whole day": function () {
+        var inputs = filterCell(this.table, 'added').all('input');
+
+        inputs.item(1).set('value', '2014-02-10');
+        inputs.item(1).simulate('change');
+
+        ArrayAssert.itemsAreSame([1, 2], ids(this.table));
+    },
+
+    "test selecting enum options filters": function () {
+        var select = filterCell(this.table, 'status').one('select');
+
+        select.all('option').item(1).set('selected', true);
+        select.simulate('change');
+
+        ArrayAssert.itemsAreSame(['pending'], this.table.get('filters').status);
+        ArrayAssert.itemsAreSame([2, 5], ids(this.table));
+    },
+
+    "test filters are reflected in the inputs": function () {
+        var table = this.table;
+
+        table.set('filters', {
+            name  : 'a',
+            price : { min: 2 },
+            added : { max: new Date(2014, 5, 1) },
+            status: ['retired']
+        });
+
+        Assert.areSame('a', filterCell(table, 'name').one('input').get('value'));
+        Assert.areSame('2',
+            filterCell(table, 'price').all('input').item(0).get('value'));
+        Assert.areSame('',
+            filterCell(table, 'price').all('input').item(1).get('value'));
+        Assert.areSame('2014-06-01',
+            filterCell(table, 'added').all('input').item(1).get('value'));
+        Assert.isTrue(filterCell(table, 'status').all('option').item(2)
+            .get('selected'));
+
+        table.clearFilters();
+
+        Assert.areSame('', filterCell(table, 'name').one('input').get('value'));
+    },
+
+    "test filter row is restored when the header rerenders": function () {
+        var table = this.table;
+
+        table.filter('name', 'e');
+        table.head.render();
+
+        Assert.isNotNull(table._theadNode.one('.' +
+            table.getClassName('filter', 'row')));
+        Assert.areSame('e', filterCell(table, 'name').one('input').get('value'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "paging",
+
+    setUp: function () {
+        this.table = createTable({ rowsPerPage: 2 });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test matching records are paged": function () {
+        var table = this.table,
+            model = table.get('paginatorModel');
+
+        table.filter('status', ['active', 'pending']);
+
+        Assert.areSame(4, model.get('totalItems'));
+        ArrayAssert.itemsAreSame([1, 2], ids(table));
+
+        model.set('page', 2);
+
+        ArrayAssert.itemsAreSame([4, 5], ids(table));
+    },
+
+    "test filter change returns to the first page": function () {
+        var table = this.table,
+            model = table.get('paginatorModel');
+
+        model.set('page', 3);
+        table.filter('price', { min: 1 });
+
+        Assert.areSame(1, model.get('page'));
+        Assert.areSame(4, model.get('totalItems'));
+        ArrayAssert.itemsAreSame([1, 3], ids(table));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "sorting",
+
+    "test sorting keeps the filter": function () {
+        var table = createTable({
+                columns: ['id', { key: 'price', sortable: true }]
+            });
+
+        table.filter('price', { max: 5 });
+        table.sort({ price: 'desc' });
+
+        ArrayAssert.itemsAreSame([3, 1, 2], ids(table));
+
+        table.destroy();
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "virtualRows",
+
+    setUp: function () {
+        var data = [], i;
+
+        for (i = 1; i <= 200; ++i) {
+            data.push({ id: i, name: 'Item ' + i });
+        }
+
+        this.table = new Y.DataTable({
+            columns    : ['id', { key: 'name', filter: 'text' }],
+            data       : data,
+            scrollable : 'y',
+            height     : '200px',
+            virtualRows: true,
+            rowHeight  : 20
+        }).render('#testbed');
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test only matching records are rendered": function () {
+        var table = this.table,
+            rendered;
+
+        table.filter('id', function (id) {
+            return id % 2 === 0;
+        });
+
+        rendered = ids(table);
+
+        Assert.isTrue(rendered.length > 0);
+        Assert.isTrue(rendered.length < 100, 'rows should be virtual');
+        Assert.areSame(2, rendered[0]);
+        Assert.areSame(4, rendered[1]);
+        Y.Array.each(rendered, function (id) {
+            Assert.areSame(0, id % 2, 'no unmatched records should be rendered');
+        });
+    },
+
+    "test rows and records are looked up by filtered index": function () {
+        var table = this.table;
+
+        table.filter('id', function (id) {
+            return id > 150;
+        });
+
+        Assert.areSame(151, table.data.item(0).get('id'));
+        Assert.areSame(151, table.getRecord(table.getRow(0)).get('id'));
+
+        table.data.remove(0);
+
+        Assert.areSame(152, table.data.item(0).get('id'));
+        Assert.isNull(table.data.getById(151));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "grouping",
+
+    "test only matching records are grouped": function () {
+        var table = createTable({ groupBy: 'status' }),
+            rendered = [];
+
+        table.filter('price', { max: 5 });
+
+        table.body.tbodyNode.all('.yui3-datatable-col-id').each(function (td) {
+            rendered.push(+td.get('text'));
+        });
+
+        Assert.areSame(3, table.getGroups().length);
+        ArrayAssert.itemsAreSame([1, 2, 3], rendered);
+
+        table.destroy();
+    },
+
+    "test records that stop matching are removed from their groups": function () {
+        var table = createTable({ groupBy: 'status' }),
+            rendered = [];
+
+        table.filter('price', { max: 5 });
+        table.data.getById(2).set('price', 50);
+
+        table.body.tbodyNode.all('.yui3-datatable-col-id').each(function (td) {
+            rendered.push(+td.get('text'));
+        });
+
+        ArrayAssert.itemsAreSame([1, 3], rendered);
+
+        table.destroy();
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "remote",
+
+    "test filters are sent to the server": function () {
+        var requests = [],
+            table = createTable({
+                rowsPerPage: 2,
+                remote: function (request, callback) {
+                    requests.push(request);
+                    callback(null, {
+                        results: RECORDS.slice(0, 2),
+                        totalItems: RECORDS.length
+                    });
+                }
+            });
+
+        table.get('paginatorModel').set('page', 2);
+        table.filter('name', 'zzz');
+
+        Assert.areSame(3, requests.length);
+        Assert.areSame(1, requests[2].page);
+        Assert.areSame('zzz', requests[2].filters.name);
+        // The server's results aren't filtered again
+        ArrayAssert.itemsAreSame([1, 2], ids(table));
+
+        table.destroy();
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-filter', 'datatable-sort', 'datatable-paginator', 'datatable-remote', 'datatable-scroll', 'datatable-group', 'node-event-simulate', 'test']});
@@ -0,0 +1,558 @@
+YUI.add('datatable-group-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Group"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert;
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [
+            'region',
+            'product',
+            { key: 'units', aggregate: 'sum' },
+            { key: 'price', aggregate: 'max' }
+        ],
+        data: [
+            { region: 'West', product: 'Apple',  units: 3, price: 10 },
+            { region: 'East', product: 'Apple',  units: 5, price: 12 },
+            { region: 'West', product: 'Banana', units: 2, price: 7 },
+            { region: 'East', product: 'Cherry', units: 1, price: 30 },
+            { region: 'West', product: 'Apple',  units: 4, price: 11 }
+        ],
+        groupBy: 'region'
+    }, config)).render('#testbed');
+}
+
+// Returns the text of the first cell of each tbody row, prefixed with the
+// type of row
+function rowSummary(table) {
+    var headerClass = table.getClassName('group', 'header'),
+        footerClass = table.getClassName('group', 'footer'),
+        summary = [];
+
+    table._tbodyNode.get('children').each(function (row) {
+        if (row.hasClass(headerClass)) {
+            summary.push('header:' + row.getData('yui3-group'));
+        } else if (row.hasClass(footerClass)) {
+            summary.push('footer:' + row.get('cells').item(2).get('text'));
+        } else {
+            summary.push(row.get('cells').item(0).get('text') + ':' +
+                         row.get('cells').item(1).get('text'));
+        }
+    });
+
+    return summary;
+}
+
+suite.add(new Y.Test.Case({
+    name: "lifecycle and instantiation",
+
+    "Y.DataTable should be augmented": function () {
+        Assert.isTrue(
+            new Y.DataTable().hasImpl(Y.DataTable.Group));
+    },
+
+    "Y.DataTable.Base should not be augmented": function () {
+        Assert.isFalse(
+            new Y.DataTable.Base().hasImpl(Y.DataTable.Group));
+    },
+
+    "groupBy should be normalized to an array or null": function () {
+        var table = new Y.DataTable({ columns: ['a'], data: [] });
+
+        Assert.isNull(table.get('groupBy'));
+
+        table.set('groupBy', 'a');
+        ArrayAssert.itemsAreSame(['a'], table.get('groupBy'));
+
+        table.set('groupBy', []);
+        Assert.isNull(table.get('groupBy'));
+
+        table.destroy();
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "rendering",
+
+    tearDown: function () {
+        if (this.table) {
+            this.table.destroy();
+        }
+    },
+
+    "test group header, record, and footer rows": function () {
+        var table = this.table = createTable();
+
+        ArrayAssert.itemsAreSame([
+            'header:region=East',
+            'East:Apple',
+            'East:Cherry',
+            'footer:6',
+            'header:region=West',
+            'West:Apple',
+            'West:Banana',
+            'West:Apple',
+            'footer:9'
+        ], rowSummary(table));
+    },
+
+    "test group header content": function () {
+        var table  = this.table = createTable(),
+            header = table._tbodyNode.one('.' + table.getClassName('group', 'header')),
+            cell   = header.one('td');
+
+        Assert.areSame(4, cell.get('colSpan'));
+        Assert.areSame('true', header.getAttribute('aria-expanded'));
+        Assert.isNotNull(cell.one('.' + table.getClassName('group', 'toggle')));
+        Assert.areSame('region: East (2)', Y.Lang.trim(cell.get('text')));
+    },
+
+    "test groupFormatter": function () {
+        var table = this.table = createTable({
+                columns: [
+                    { key: 'region', groupFormatter: function (o) {
+                        return '<b>' + o.value + '</b> ' + o.group.records.length;
+                    } },
+                    'product',
+                    'units'
+                ]
+            }),
+            cell = table._tbodyNode.one('.' + table.getClassName('group', 'cell'));
+
+        Assert.areSame('East', cell.one('b').get('text'));
+        Assert.areSame('East 2', cell.get('text'));
+    },
+
+    "test rowIndex is the modelList index and striping spans groups": function () {
+        var formatted = {},
+            nodeFormatted = {},
+            table = this.table = createTable({
+                columns: [
+                    { key: 'region', formatter: function (o) {
+                        formatted[o.record.get('clientId')] = o.rowIndex;
+                    } },
+                    { key: 'product', nodeFormatter: function (o) {
+                        nodeFormatted[o.record.get('clientId')] = o.rowIndex;
+                        return false;
+                    } }
+                ]
+            }),
+            classes = [];
+
+        table.data.each(function (record, index) {
+            Assert.areSame(index, formatted[record.get('clientId')]);
+            Assert.areSame(index, nodeFormatted[record.get('clientId')]);
+        });
+
+        table._tbodyNode.get('children').each(function (row) {
+            if (row.getData('yui3-record')) {
+                classes.push(row.hasClass(table.getClassName('odd')) ?
+                    'odd' : 'even');
+            }
+        });
+
+        ArrayAssert.itemsAreSame(
+            ['even', 'odd', 'even', 'odd', 'even'], classes);
+    },
+
+    "test grand totals in the footer": function () {
+        var table = this.table = createTable(),
+            row   = table._tfootNode.one('.' + table.getClassName('aggregates')),
+            cells;
+
+        Assert.isNotNull(row);
+
+        cells = row.get('cells');
+        Assert.areSame(4, cells.size());
+        Assert.areSame('', cells.item(0).get('text'));
+        Assert.areSame('15', cells.item(2).get('text'));
+        Assert.areSame('30', cells.item(3).get('text'));
+    },
+
+    "test totals without groupBy": function () {
+        var table = this.table = createTable({ groupBy: null });
+
+        Assert.isNull(table._tbodyNode.one('.' + table.getClassName('group', 'header')));
+        Assert.areSame(5, table._tbodyNode.get('children').size());
+        Assert.areSame('15', table._tfootNode.one(
+            '.' + table.getClassName('aggregates') + ' .' +
+            table.getClassName('col', 'units')).get('text'));
+    },
+
+    "test no footer without aggregates": function () {
+        var table = this.table = createTable({
+                columns: ['region', 'product', 'units']
+            });
+
+        Assert.isUndefined(table.foot);
+        Assert.isNull(table._tbodyNode.one('.' + table.getClassName('group', 'footer')));
+    },
+
+    "test nested groups": function () {
+        var table = this.table = createTable({ groupBy: ['region', 'product'] }),
+            groups = table.getGroups(),
+            west = groups[1];
+
+        Assert.areSame(2, groups.length);
+        Assert.areSame('region=West', west.id);
+        Assert.areSame(2, west.groups.length);
+        Assert.areSame('region=West/product=Apple', west.groups[0].id);
+        Assert.areSame(1, west.groups[0].level);
+        Assert.areSame(7, west.groups[0].aggregates.units);
+        Assert.areSame(11, west.groups[0].aggregates.price);
+
+        Assert.isNotNull(table._tbodyNode.one(
+            '.' + table.getClassName('group', 'level', 1)));
+        Assert.areSame(west.groups[1],
+            table.getGroup(table.data.item(2)));
+    },
+
+    "test values of different types get different group ids": function () {
+        var table = this.table = createTable({
+                columns: ['code', 'name'],
+                data: [
+                    { code: 1,      name: 'number' },
+                    { code: '1',    name: 'string' },
+                    { code: null,   name: 'null' },
+                    { code: 'null', name: 'null string' }
+                ],
+                groupBy: 'code'
+            }),
+            ids = Y.Array.map(table.getGroups(), function (group) {
+                return group.id;
+            }).sort();
+
+        ArrayAssert.itemsAreSame(
+            ['code=1', 'code=null', 'code=null:null', 'code=number:1'], ids);
+
+        table.collapseGroup('code=number:1');
+
+        Assert.isTrue(table.isGroupCollapsed('code=number:1'));
+        Assert.isFalse(table.isGroupCollapsed('code=1'));
+        Assert.isNotNull(table.getRow(1), 'string group row should render');
+        Assert.areSame('string',
+            table.getGroup(table.data.item(1)).records[0].get('name'));
+    },
+
+    "test getRow() and getCell() with a row index": function () {
+        var table = this.table = createTable();
+
+        Assert.areSame(table.data.item(0), table.getRecord(table.getRow(0)));
+        Assert.areSame('Banana', table.getCell([2, 1]).get('text'));
+    },
+
+    "test set('groupBy', null) ungroups the rows": function () {
+        var table = this.table = createTable();
+
+        table.set('groupBy', null);
+
+        Assert.isNull(table.getGroups());
+        Assert.areSame(5, table._tbodyNode.get('children').size());
+        Assert.areSame('West', table.getCell([0, 0]).get('text'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "aggregates",
+
+    tearDown: function () {
+        delete Y.DataTable.Group.AGGREGATES.range;
+    },
+
+    "test built in aggregates": function () {
+        var agg = Y.DataTable.Group.AGGREGATES;
+
+        Assert.areSame(6, agg.sum([1, '2', 3, null, 'x']));
+        Assert.areSame(2, agg.avg([1, 2, 3]));
+        Assert.isNull(agg.avg([]));
+        Assert.areSame(1, agg.min([3, 1, null, 2]));
+        Assert.areSame('b', agg.max(['a', 'b']));
+        Assert.areSame(3, agg.count([1, null, 3]));
+    },
+
+    "test custom aggregates and aggregateFormatter": function () {
+        var table;
+
+        Y.DataTable.Group.AGGREGATES.range = function (values) {
+            return Math.max.apply(Math, values) - Math.min.apply(Math, values);
+        };
+
+        table = createTable({
+            columns: [
+                'region',
+                { key: 'product', aggregate: function (values, records) {
+                    return records.length + ' items';
+                } },
+                { key: 'units', aggregate: 'range' },
+                { key: 'price', aggregate: 'avg', aggregateFormatter: function (o) {
+                    return '$' + o.value.toFixed(2);
+                } }
+            ]
+        });
+
+        Assert.areSame(4, table.getGroups()[0].aggregates.units);
+        Assert.areSame('5 items', table.getAggregates().product);
+        Assert.areSame('$14.00', table._tfootNode.one(
+            '.' + table.getClassName('col', 'price')).get('text'));
+
+        table.destroy();
+    },
+
+    "test group footers and the totals row render cells alike": function () {
+        var groups = [],
+            table  = createTable({
+                columns: [
+                    'region',
+                    'product',
+                    { key: 'units', aggregate: 'sum', allowHTML: true,
+                      aggregateFormatter: function (o) {
+                        if (o.group) {
+                            groups.push(o.group.id);
+                        }
+                        return '<b>' + o.value + '</b>';
+                    } },
+                    { key: 'price', aggregate: 'max' }
+                ]
+            }),
+            footer = table._tbodyNode.one(
+                '.' + table.getClassName('group', 'footer')),
+            totals = table._tfootNode.one(
+                '.' + table.getClassName('aggregates'));
+
+        Assert.areSame(totals.get('cells').item(2).get('className'),
+            footer.get('cells').item(2).get('className'));
+        Assert.areSame('<b>6</b>',
+            footer.get('cells').item(2).getHTML().toLowerCase());
+        Assert.areSame('<b>15</b>',
+            totals.get('cells').item(2).getHTML().toLowerCase());
+        Assert.areSame(2, groups.length);
+
+        table.destroy();
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "collapse and expand",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test collapseGroup() and expandGroup()": function () {
+        var table = this.table,
+            header;
+
+        table.collapseGroup('region=East');
+
+        Assert.isTrue(table.isGroupCollapsed('region=East'));
+        Assert.isTrue(table.getGroups()[0].collapsed);
+        ArrayAssert.itemsAreSame([
+            'header:region=East',
+            'footer:6',
+            'header:region=West',
+            'West:Apple',
+            'West:Banana',
+            'West:Apple',
+            'footer:9'
+        ], rowSummary(table));
+
+        header = table._tbodyNode.one('.' + table.getClassName('group', 'header'));
+        Assert.areSame('false', header.getAttribute('aria-expanded'));
+        Assert.isTrue(header.hasClass(table.getClassName('group', 'collapsed')));
+
+        table.expandGroup('region=East');
+
+        Assert.isFalse(table.isGroupCollapsed('region=East'));
+        Assert.areSame(9, table._tbodyNode.get('children').size());
+    },
+
+    "test groupToggle event": function () {
+        var table = this.table,
+            event;
+
+        table.on('groupToggle', function (e) {
+            event = e;
+            e.preventDefault();
+        });
+
+        table.toggleGroup('region=West');
+
+        Assert.areSame('region=West', event.id);
+        Assert.isTrue(event.collapsed);
+        Assert.isFalse(table.isGroupCollapsed('region=West'));
+    },
+
+    "test clicking a group header toggles the group": function () {
+        var table = this.table;
+
+        table._tbodyNode.one('.' + table.getClassName('group', 'cell'))
+            .simulate('click');
+
+        Assert.isTrue(table.isGroupCollapsed('region=East'));
+
+        table._tbodyNode.one('.' + table.getClassName('group', 'cell'))
+            .simulate('click');
+
+        Assert.isFalse(table.isGroupCollapsed('region=East'));
+    },
+
+    "test collapsed state is kept when regrouping": function () {
+        var table = this.table;
+
+        table.collapseGroup('region=East');
+        table.data.add({ region: 'East', product: 'Date', units: 2, price: 5 });
+
+        Assert.isTrue(table.getGroups()[0].collapsed);
+        Assert.areSame(3, table.getGroups()[0].records.length);
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "data changes",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test adding records": function () {
+        var table = this.table;
+
+        table.data.add({ region: 'North', product: 'Fig', units: 10, price: 2 });
+
+        Assert.areSame(3, table.getGroups().length);
+        Assert.areSame('region=North', table.getGroups()[1].id);
+        Assert.areSame('25', table._tfootNode.one(
+            '.' + table.getClassName('col', 'units')).get('text'));
+    },
+
+    "test removing records": function () {
+        var table = this.table;
+
+        table.data.remove(table.data.item(3));
+
+        Assert.areSame(1, table.getGroups()[0].records.length);
+        Assert.areSame('footer:5', rowSummary(table)[2]);
+        Assert.areSame('14', table._tfootNode.one(
+            '.' + table.getClassName('col', 'units')).get('text'));
+    },
+
+    "test changing a record's group value": function () {
+        var table = this.table;
+
+        table.data.item(0).set('region', 'East');
+
+        Assert.areSame(3, table.getGroups()[0].records.length);
+        Assert.areSame(2, table.getGroups()[1].records.length);
+        Assert.areSame('footer:9', rowSummary(table)[4]);
+    },
+
+    "test changing an aggregated value": function () {
+        var table = this.table;
+
+        table.data.item(1).set('units', 50);
+
+        Assert.areSame(51, table.getGroups()[0].aggregates.units);
+        Assert.areSame('60', table._tfootNode.one(
+            '.' + table.getClassName('col', 'units')).get('text'));
+    },
+
+    "test changing an aggregated value updates the footers without regrouping": function () {
+        var table = this.table,
+            rows  = table._tbodyNode.get('children'),
+            first = rows.item(1),
+            record = table.data.item(1);
+
+        table.data.item(1).set('units', 50);
+
+        rows = table._tbodyNode.get('children');
+
+        Assert.areSame(first, rows.item(1), 'other rows should stay in place');
+        Assert.areSame('50', table.getRow(record).one(
+            '.' + table.getClassName('col', 'units')).get('text'));
+        Assert.areSame('footer:51', rowSummary(table)[3]);
+        Assert.areSame('60', table._tfootNode.one(
+            '.' + table.getClassName('col', 'units')).get('text'));
+    },
+
+    "test changing other values only refreshes the record's row": function () {
+        var table   = this.table,
+            record  = table.data.item(1),
+            row     = table.getRow(record),
+            regroup = 0;
+
+        Y.Do.after(function () { regroup += 1; }, table, '_syncGroupUI');
+
+        record.set('product', 'Date');
+
+        Assert.areSame(0, regroup);
+        Assert.areSame(row, table.getRow(record));
+        Assert.areSame('East:Date', rowSummary(table)[1]);
+
+        record.set('region', 'West');
+        Assert.areSame(1, regroup);
+    },
+
+    "test resetting the data": function () {
+        var table = this.table;
+
+        table.data.reset([{ region: 'South', product: 'Kiwi', units: 1 }]);
+
+        ArrayAssert.itemsAreSame([
+            'header:region=South',
+            'South:Kiwi',
+            'footer:1'
+        ], rowSummary(table));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "sorting",
+
+    setUp: function () {
+        this.table = createTable({ sortable: true });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test sorting applies within groups": function () {
+        var table = this.table;
+
+        table.sort({ units: 'desc' });
+
+        ArrayAssert.itemsAreSame([5, 1], Y.Array.map(
+            table.getGroups()[0].records, function (r) { return r.get('units'); }));
+        ArrayAssert.itemsAreSame([4, 3, 2], Y.Array.map(
+            table.getGroups()[1].records, function (r) { return r.get('units'); }));
+
+        Assert.areSame('header:region=East', rowSummary(table)[0]);
+    },
+
+    "test sorting by a grouped column orders the groups": function () {
+        var table = this.table;
+
+        table.sort({ region: 'desc' });
+
+        Assert.areSame('region=West', table.getGroups()[0].id);
+        Assert.areSame('header:region=West', rowSummary(table)[0]);
+
+        table.sort('region');
+
+        Assert.areSame('region=East', table.getGroups()[0].id);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-group', 'datatable-sort', 'node-event-simulate', 'test']});
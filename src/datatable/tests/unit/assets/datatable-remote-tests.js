@@ -0,0 +1,357 @@
+YUI.add('datatable-remote-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Remote"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+    RECORDS = [];
+
+(function () {
+    var i;
+
+    for (i = 1; i <= 25; ++i) {
+        RECORDS.push({ id: 'r' + i, name: 'Name ' + i });
+    }
+}());
+
+// Returns a sync function that records each request.  If async is true, the
+// callbacks are stored in server.pending to be called by the test.
+function createServer(async) {
+    function server(request, callback) {
+        var start = ((request.page || 1) - 1) * (request.pageSize || 0),
+            response = {
+                results: request.pageSize ?
+                    RECORDS.slice(start, start + request.pageSize) :
+                    RECORDS.slice(),
+                totalItems: RECORDS.length
+            };
+
+        server.requests.push(request);
+
+        if (async) {
+            server.pending.push(function () {
+                callback(null, response);
+            });
+        } else {
+            callback(null, response);
+        }
+    }
+
+    server.requests = [];
+    server.pending  = [];
+
+    return server;
+}
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [ 'id', { key: 'name', sortable: true } ],
+        rowsPerPage: 10
+    }, config)).render('#testbed');
+}
+
+function messageText(table) {
+    return table._messageNode.one('.' +
+        table.getClassName('message', 'content')).get('text');
+}
+
+function isMessageVisible(table) {
+    return table.get('boundingBox').hasClass(
+        table.getClassName('message', 'visible'));
+}
+
+suite.add(new Y.Test.Case({
+    name: "requests",
+
+    setUp: function () {
+        this.server = createServer();
+        this.table  = createTable({ remote: this.server });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test a single request is sent when rendered": function () {
+        var requests = this.server.requests;
+
+        Assert.areSame(1, requests.length);
+        Assert.areSame(1, requests[0].page);
+        Assert.areSame(10, requests[0].pageSize);
+        ArrayAssert.isEmpty(requests[0].sortBy);
+        Assert.isFalse('filters' in requests[0],
+            'filters are only sent with datatable-filter');
+    },
+
+    "test response populates the data and paginator": function () {
+        var table = this.table;
+
+        Assert.areSame(10, table.data.size());
+        Assert.areSame('r1', table.data.item(0).get('id'));
+        Assert.areSame(25,
+            table.get('paginatorModel').get('totalItems'));
+        Assert.areSame(3,
+            table.get('paginatorModel').get('totalPages'));
+        Assert.areSame(10, table._tbodyNode.all('tr').size());
+    },
+
+    "test changing the page requests the page": function () {
+        var table = this.table,
+            requests = this.server.requests;
+
+        table.nextPage();
+
+        Assert.areSame(2, requests.length);
+        Assert.areSame(2, requests[1].page);
+        Assert.areSame('r11', table.data.item(0).get('id'));
+        Assert.areSame('r11', table.getRecord(
+            table._tbodyNode.one('tr')).get('id'));
+        Assert.areSame(10, table._tbodyNode.all('tr').size());
+        Assert.areSame(25,
+            table.get('paginatorModel').get('totalItems'));
+
+        table.lastPage();
+
+        Assert.areSame(3, requests[2].page);
+        Assert.areSame(5, table._tbodyNode.all('tr').size());
+    },
+
+    "test changing the page size requests the page": function () {
+        var requests = this.server.requests;
+
+        this.table.get('paginatorModel').set('itemsPerPage', 50);
+
+        Assert.areSame(2, requests.length);
+        Assert.areSame(50, requests[1].pageSize);
+        Assert.areSame(25, this.table.data.size());
+    },
+
+    "test sorting requests the first page in the new order": function () {
+        var table = this.table,
+            requests = this.server.requests;
+
+        table.nextPage();
+        table.sort({ name: 'desc' });
+
+        Assert.areSame(3, requests.length);
+        Assert.areSame(1, requests[2].page);
+        Assert.areSame(1, requests[2].sortBy.length);
+        Assert.areSame('name', requests[2].sortBy[0].key);
+        Assert.areSame('desc', requests[2].sortBy[0].dir);
+        Assert.areSame(1, table.get('paginatorModel').get('page'));
+
+        // The server's order is kept
+        Assert.areSame('r1', table.data.item(0).get('id'));
+        Assert.isUndefined(table.data.comparator);
+        Assert.isTrue(table._theadNode.one('.' +
+            table.getClassName('col', 'name')).hasClass(
+                table.getClassName('sorted', 'desc')));
+    },
+
+    "test reload sends the current request": function () {
+        var requests = this.server.requests;
+
+        this.table.nextPage().reload();
+
+        Assert.areSame(3, requests.length);
+        Assert.areSame(2, requests[2].page);
+    },
+
+    "test remoteRequest can modify or prevent the request": function () {
+        var table = this.table,
+            requests = this.server.requests;
+
+        table.once('remoteRequest', function (e) {
+            e.request.extra = true;
+        });
+
+        table.reload();
+
+        Assert.isTrue(requests[1].extra);
+
+        table.once('remoteRequest', function (e) {
+            e.preventDefault();
+        });
+
+        table.reload();
+
+        Assert.areSame(2, requests.length);
+    },
+
+    "test remoteResponse can modify the results": function () {
+        var table = this.table;
+
+        table.once('remoteResponse', function (e) {
+            e.results = e.results.slice(0, 2);
+        });
+
+        table.reload();
+
+        Assert.areSame(2, table.data.size());
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "stale requests",
+
+    setUp: function () {
+        this.server = createServer(true);
+        this.table  = createTable({ remote: this.server });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test responses to stale requests are ignored": function () {
+        var table = this.table,
+            server = this.server;
+
+        table.nextPage();
+
+        Assert.areSame(2, server.pending.length);
+
+        // Respond to the page 2 request, then the stale initial request
+        server.pending[1]();
+        server.pending[0]();
+
+        Assert.areSame('r11', table.data.item(0).get('id'));
+    },
+
+    "test stale transactions are aborted": function () {
+        var aborted = 0,
+            table = this.table;
+
+        table.set('remote', function () {
+            return {
+                abort: function () {
+                    aborted++;
+                }
+            };
+        });
+
+        table.reload();
+
+        Assert.areSame(1, aborted);
+    },
+
+    "test loading class and message are shown while loading": function () {
+        var table = this.table,
+            loadingClass = table.getClassName('loading');
+
+        Assert.isTrue(table.get('boundingBox').hasClass(loadingClass));
+        Assert.isTrue(isMessageVisible(table));
+        Assert.areSame(table.getString('loadingMessage'), messageText(table));
+
+        this.server.pending[0]();
+
+        Assert.isFalse(table.get('boundingBox').hasClass(loadingClass));
+        Assert.isFalse(isMessageVisible(table));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "responses",
+
+    tearDown: function () {
+        if (this.table) {
+            this.table.destroy();
+        }
+    },
+
+    "test empty results show the empty message": function () {
+        var table = this.table = createTable({
+            remote: function (request, callback) {
+                callback(null, { results: [], totalItems: 0 });
+            }
+        });
+
+        Assert.areSame(0, table.data.size());
+        Assert.isTrue(isMessageVisible(table));
+        Assert.areSame(table.getString('emptyMessage'), messageText(table));
+    },
+
+    "test errors fire remoteError and show the error message": function () {
+        var error,
+            table = this.table = new Y.DataTable({
+                columns: [ 'id' ],
+                remote: function (request, callback) {
+                    callback('Server error');
+                }
+            });
+
+        table.on('remoteError', function (e) {
+            error = e.error;
+        });
+
+        table.render('#testbed');
+
+        Assert.areSame('Server error', error);
+        Assert.isTrue(isMessageVisible(table));
+        Assert.areSame(table.getString('remoteErrorMessage'),
+            messageText(table));
+    },
+
+    "test array responses": function () {
+        var table = this.table = new Y.DataTable({
+                columns: [ 'id' ],
+                remote: function (request, callback) {
+                    Assert.isNull(request.page);
+                    Assert.isNull(request.pageSize);
+
+                    callback(null, RECORDS.slice(0, 3));
+                }
+            }).render('#testbed');
+
+        Assert.areSame(3, table.data.size());
+    },
+
+    "test DataSource source": function () {
+        var sent,
+            table = this.table = createTable({
+                remote: {
+                    sendRequest: function (config) {
+                        sent = config.request;
+
+                        config.callback.success({
+                            response: {
+                                results: RECORDS.slice(0, 10),
+                                meta: { totalItems: 42 }
+                            }
+                        });
+                    }
+                }
+            });
+
+        Assert.areSame(1, sent.page);
+        Assert.areSame(10, table.data.size());
+        Assert.areSame(42, table.get('paginatorModel').get('totalItems'));
+    },
+
+    "test enabling remote mode loads the first page": function () {
+        var server = createServer(),
+            table = this.table = createTable({
+                data: [ { id: 'x', name: 'X' } ]
+            });
+
+        table.set('remote', server);
+
+        Assert.areSame(1, server.requests.length);
+        Assert.areSame(10, table.data.size());
+        Assert.areSame('r1', table.data.item(0).get('id'));
+    },
+
+    "test the data is sorted on the client without remote": function () {
+        var table = this.table = createTable({
+                data: RECORDS.slice(0, 3)
+            });
+
+        table.sort({ name: 'desc' });
+
+        Assert.areSame('r3', table.data.item(0).get('id'));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-remote', 'datatable-sort', 'datatable-paginator', 'test']});
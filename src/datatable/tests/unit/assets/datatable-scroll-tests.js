@@ -715,6 +715,343 @@ suite.add(new Y.Test.Case({
     }
 }));
 
+suite.add(new Y.Test.Case({
+    name: "virtualRows",
+
+    setUp: function () {
+        var data = [], i;
+
+        for (i = 0; i < 1000; ++i) {
+            data.push({ a: i });
+        }
+
+        this.table = new Y.DataTable({
+            columns: ['a'],
+            data: data,
+            scrollable: 'y',
+            height: '200px',
+            virtualRows: true,
+            rowHeight: 20,
+            virtualRowBuffer: 5
+        }).render();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    // Returns the index in the data ModelList of the first rendered row
+    _firstIndex: function () {
+        var table = this.table;
+
+        return table.data.indexOf(
+            table.getRecord(table._tbodyNode.get('firstChild')));
+    },
+
+    _scrollTo: function (index) {
+        var table = this.table,
+            thead = table._theadNode;
+
+        table._yScrollNode.set('scrollTop',
+            thead.get('offsetHeight') + index * 20);
+
+        table._syncVirtualRows();
+    },
+
+    "test only a subset of rows is rendered": function () {
+        var table = this.table,
+            count = table._tbodyNode.get('children').size();
+
+        Y.Assert.isTrue(count > 0);
+        Y.Assert.isTrue(count < 100);
+
+        Y.Assert.isNotNull(table.getRow(0));
+        Y.Assert.isNull(table.getRow(999));
+    },
+
+    "test spacers preserve the height of unrendered rows": function () {
+        var table   = this.table,
+            count   = table._tbodyNode.get('children').size(),
+            spacers = table._virtualSpacers;
+
+        Y.Assert.isObject(spacers);
+        Y.Assert.areSame('none', spacers.before.getStyle('display'));
+        Y.Assert.areSame(((1000 - count) * 20) + 'px',
+            spacers.after.one('td').getStyle('height'));
+
+        Y.Assert.isTrue(table._tbodyNode.previous().compareTo(spacers.before));
+        Y.Assert.isTrue(table._tbodyNode.next().compareTo(spacers.after));
+    },
+
+    "test scrolling renders the visible rows": function () {
+        var table = this.table,
+            start, count, row;
+
+        this._scrollTo(500);
+
+        Y.Assert.isNull(table.getRow(0));
+
+        row = table.getRow(500);
+        Y.Assert.isNotNull(row);
+        Y.Assert.areSame(table.data.item(500), table.getRecord(row));
+        Y.Assert.areSame('500', table.getCell([500, 0]).get('text'));
+        // Striping follows the record index, not the row position
+        Y.Assert.isTrue(row.hasClass(table.body.CLASS_EVEN));
+        Y.Assert.isTrue(table.getRow(501).hasClass(table.body.CLASS_ODD));
+
+        start = this._firstIndex();
+        count = table._tbodyNode.get('children').size();
+
+        Y.Assert.areSame(495, start);
+        Y.Assert.areSame((start * 20) + 'px',
+            table._virtualSpacers.before.one('td').getStyle('height'));
+        Y.Assert.areSame(((1000 - start - count) * 20) + 'px',
+            table._virtualSpacers.after.one('td').getStyle('height'));
+    },
+
+    "test scrolling reuses rendered rows still in range": function () {
+        var table = this.table,
+            row;
+
+        this._scrollTo(500);
+
+        row = table.getRow(502);
+        row.setAttribute('data-marker', 'x');
+
+        this._scrollTo(501);
+
+        Y.Assert.areSame('x', table.getRow(502).getAttribute('data-marker'));
+        Y.Assert.areSame(496, this._firstIndex());
+    },
+
+    "test scrollTo() renders unrendered rows": function () {
+        var table = this.table;
+
+        Y.Assert.isNull(table.getRow(900));
+
+        table.scrollTo(900);
+
+        Y.Assert.isNotNull(table.getRow(900));
+
+        table.scrollTo(table.data.item(100).get('clientId'));
+
+        Y.Assert.isNotNull(table.getRow(100));
+    },
+
+    "test changes to rendered and unrendered records": function () {
+        var table = this.table;
+
+        table.data.item(1).set('a', 'changed');
+        Y.Assert.areSame('changed', table.getCell([1, 0]).get('text'));
+
+        table.data.item(800).set('a', 'changed');
+        Y.Assert.isNull(table.getRow(800));
+
+        this._scrollTo(800);
+        Y.Assert.areSame('changed', table.getCell([800, 0]).get('text'));
+    },
+
+    "test adding and removing records": function () {
+        var table = this.table,
+            count = table._tbodyNode.get('children').size();
+
+        table.data.remove(0);
+
+        Y.Assert.areSame(999, table.data.size());
+        Y.Assert.areSame('1', table.getCell([0, 0]).get('text'));
+        Y.Assert.areSame(count, table._tbodyNode.get('children').size());
+
+        table.data.add({ a: 'new' }, { index: 0 });
+
+        Y.Assert.areSame('new', table.getCell([0, 0]).get('text'));
+        Y.Assert.areSame(count, table._tbodyNode.get('children').size());
+
+        table.data.reset([{ a: 'x' }, { a: 'y' }]);
+
+        Y.Assert.areSame(2, table._tbodyNode.get('children').size());
+        Y.Assert.areSame('none',
+            table._virtualSpacers.after.getStyle('display'));
+    },
+
+    "test set('virtualRows', false) renders all rows": function () {
+        var table = this.table;
+
+        table.set('virtualRows', false);
+
+        Y.Assert.areSame(1000, table._tbodyNode.get('children').size());
+        Y.Assert.isUndefined(table._virtualSpacers);
+        Y.Assert.isNotNull(table.getRow(999));
+
+        table.set('virtualRows', true);
+
+        Y.Assert.isNull(table.getRow(999));
+    },
+
+    "test keyboard focus is restored when the row is rendered again": function () {
+        var table = this.table,
+            cell  = table.getCell([0, 0]);
+
+        table.set('focusedCell', cell);
+
+        this._scrollTo(600);
+
+        Y.Assert.isFalse(table.get('focusedCell').inDoc());
+
+        this._scrollTo(0);
+
+        Y.Assert.isTrue(table.get('focusedCell').inDoc());
+        Y.Assert.areSame(table.getCell([0, 0]), table.get('focusedCell'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "frozen columns",
+
+    setUp: function () {
+        this.table = new Y.DataTable({
+            columns: [
+                { key: 'a', frozen: 'left' },
+                { key: 'b', frozen: 'left' },
+                'c',
+                { key: 'd', frozen: 'left' },
+                'e',
+                { key: 'f', frozen: 'right' }
+            ],
+            data: [
+                { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 },
+                { a: 7, b: 8, c: 9, d: 10, e: 11, f: 12 }
+            ],
+            scrollable: 'x',
+            width: '100px'
+        }).render();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    _frozen: function (side) {
+        var table = this.table;
+
+        return table._tableNode.all('.' + table.getClassName('frozen', side));
+    },
+
+    "test leading and trailing frozen columns are marked": function () {
+        var table = this.table,
+            left  = table.getClassName('frozen', 'left'),
+            right = table.getClassName('frozen', 'right');
+
+        Y.Assert.areSame(6, this._frozen('left').size());
+        Y.Assert.areSame(3, this._frozen('right').size());
+
+        Y.Assert.isTrue(table.getCell([0, 0]).hasClass(left));
+        Y.Assert.isTrue(table.getCell([1, 1]).hasClass(left));
+        Y.Assert.isTrue(table.getCell([1, 5]).hasClass(right));
+        Y.Assert.isTrue(table._theadNode.one('th').hasClass(left));
+    },
+
+    "test frozen columns between scrolling columns are not frozen": function () {
+        var table = this.table;
+
+        Y.Assert.isFalse(table.getCell([0, 3]).hasClass(
+            table.getClassName('frozen', 'left')));
+    },
+
+    "test cells bordering the scrolling columns are marked": function () {
+        var table = this.table;
+
+        Y.Assert.isTrue(table.getCell([0, 1]).hasClass(
+            table.getClassName('frozen', 'left', 'edge')));
+        Y.Assert.isFalse(table.getCell([0, 0]).hasClass(
+            table.getClassName('frozen', 'left', 'edge')));
+        Y.Assert.isTrue(table.getCell([0, 5]).hasClass(
+            table.getClassName('frozen', 'right', 'edge')));
+    },
+
+    "test frozen cells are positioned by the scroll position": function () {
+        var table = this.table;
+
+        table._syncFrozenPosition();
+
+        Y.Assert.areSame(
+            table._xScrollNode.get('scrollLeft') + 'px',
+            table.getCell([0, 0]).getStyle('left'));
+        Y.Assert.areNotSame('', table.getCell([0, 5]).getStyle('left'));
+        Y.Assert.areSame('', table.getCell([0, 2]).getStyle('left'));
+    },
+
+    "test frozen columns are marked when rows are rendered": function () {
+        var table = this.table;
+
+        table.data.add({ a: 13, b: 14, c: 15, d: 16, e: 17, f: 18 });
+
+        Y.Assert.isTrue(table.getCell([2, 0]).hasClass(
+            table.getClassName('frozen', 'left')));
+        Y.Assert.isTrue(table.getCell([2, 5]).hasClass(
+            table.getClassName('frozen', 'right')));
+    },
+
+    "test changing columns updates the frozen columns": function () {
+        var table = this.table;
+
+        table.set('columns', [
+            'a',
+            { key: 'b', frozen: 'right' }
+        ]);
+
+        Y.Assert.areSame(0, this._frozen('left').size());
+        Y.Assert.areSame(3, this._frozen('right').size());
+        Y.Assert.isTrue(table.getCell([0, 1]).hasClass(
+            table.getClassName('frozen', 'right')));
+    },
+
+    "test nested columns are frozen with their parent": function () {
+        var table = this.table,
+            left  = table.getClassName('frozen', 'left');
+
+        table.set('columns', [
+            { name: 'ab', frozen: 'left', children: ['a', 'b'] },
+            'c'
+        ]);
+
+        Y.Assert.isTrue(table._theadNode.one('th').hasClass(left));
+        Y.Assert.isTrue(table.getCell([0, 0]).hasClass(left));
+        Y.Assert.isTrue(table.getCell([0, 1]).hasClass(left));
+        Y.Assert.isTrue(table.getCell([0, 1]).hasClass(
+            table.getClassName('frozen', 'left', 'edge')));
+        Y.Assert.isFalse(table.getCell([0, 2]).hasClass(left));
+    },
+
+    "test frozen columns are released when not scrolling horizontally": function () {
+        var table = this.table;
+
+        table.set('scrollable', false);
+
+        Y.Assert.areSame(0, this._frozen('left').size());
+        Y.Assert.areSame(0, this._frozen('right').size());
+        Y.Assert.areSame('', table.getCell([0, 0]).getStyle('left'));
+        Y.Assert.isUndefined(table._frozenScrollHandle);
+    },
+
+    "test keyboard navigation crosses into the scrolling columns": function () {
+        var table = this.table,
+            cell;
+
+        table.set('focusedCell', table.getCell([0, 1]));
+        table._keyMoveRight({ preventDefault: function () {} });
+
+        cell = table.get('focusedCell');
+
+        Y.Assert.areSame(table.getCell([0, 2]), cell);
+        Y.Assert.isFalse(cell.hasClass(table.getClassName('frozen', 'left')));
+
+        table.set('focusedCell', table.getCell([0, 4]));
+        table._keyMoveRight({ preventDefault: function () {} });
+
+        Y.Assert.areSame(table.getCell([0, 5]), table.get('focusedCell'));
+    }
+}));
+
 suite.add(new Y.Test.Case({
     name: "x scroll",
 
@@ -732,4 +1069,4 @@ suite.add(new Y.Test.Case({
 Y.Test.Runner.add(suite);
 
 
-}, '@VERSION@' ,{requires:['datatable-scroll', 'test']});
+}, '@VERSION@' ,{requires:['datatable-scroll', 'datatable-keynav', 'test']});
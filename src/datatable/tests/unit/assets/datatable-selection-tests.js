@@ -0,0 +1,585 @@
+YUI.add('datatable-selection-tests', function(Y) {
+
+var suite = new Y.Test.Suite("DataTable: Selection"),
+    Assert = Y.Assert,
+    ArrayAssert = Y.ArrayAssert;
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [ 'id', 'name' ],
+        data: [
+            { id: 'a', name: 'A' },
+            { id: 'b', name: 'B' },
+            { id: 'c', name: 'C' },
+            { id: 'd', name: 'D' },
+            { id: 'e', name: 'E' }
+        ],
+        selectionMode: 'multi'
+    }, config)).render('#testbed');
+}
+
+function clientId(table, index) {
+    return table.data.item(index).get('clientId');
+}
+
+function selectedIds(table) {
+    return Y.Array.map(table.getSelectedRecords(), function (record) {
+        return record.get('id');
+    });
+}
+
+function cell(table, row, col) {
+    return table.getCell([row, col]);
+}
+
+suite.add(new Y.Test.Case({
+    name: "API",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test selectRow and deselectRow": function () {
+        var table = this.table;
+
+        table.selectRow(0).selectRow(table.data.item(2));
+
+        ArrayAssert.itemsAreSame([clientId(table, 0), clientId(table, 2)],
+            table.get('selectedRows'));
+        Assert.isTrue(table.isRowSelected(0));
+        Assert.isFalse(table.isRowSelected(1));
+
+        table.deselectRow(clientId(table, 0));
+
+        ArrayAssert.itemsAreSame(['c'], selectedIds(table));
+    },
+
+    "test toggleRowSelection": function () {
+        this.table.toggleRowSelection(1);
+        Assert.isTrue(this.table.isRowSelected(1));
+
+        this.table.toggleRowSelection(1);
+        Assert.isFalse(this.table.isRowSelected(1));
+    },
+
+    "test selectedRows setter normalizes ids and drops unknown rows":
+    function () {
+        var table = this.table;
+
+        table.set('selectedRows', [ table.data.item(1), 'c', 'bogus', 1 ]);
+
+        ArrayAssert.itemsAreSame([clientId(table, 1), clientId(table, 2)],
+            table.get('selectedRows'));
+    },
+
+    "test single mode keeps one row": function () {
+        var table = this.table;
+
+        table.set('selectionMode', 'single');
+        table.selectRow(0).selectRow(3);
+
+        ArrayAssert.itemsAreSame(['d'], selectedIds(table));
+
+        table.set('selectionMode', 'multi');
+        table.selectRow(0);
+        table.set('selectionMode', 'single');
+
+        Assert.areSame(1, table.get('selectedRows').length);
+    },
+
+    "test selectAllRows and clearSelection": function () {
+        var table = this.table;
+
+        table.selectAllRows();
+        Assert.areSame(5, table.get('selectedRows').length);
+
+        table.clearSelection();
+        Assert.areSame(0, table.get('selectedRows').length);
+
+        table.set('selectionMode', 'single');
+        table.selectAllRows();
+        Assert.areSame(0, table.get('selectedRows').length);
+    },
+
+    "test selectionChange event": function () {
+        var table = this.table,
+            events = [];
+
+        table.selectRow(0);
+
+        table.on('selectionChange', function (e) {
+            events.push(e);
+        });
+
+        table.selectRow(1);
+        table.selectRow(1);
+
+        Assert.areSame(1, events.length);
+        Assert.areSame('row', events[0].selectionType);
+        ArrayAssert.itemsAreSame([clientId(table, 1)], events[0].added);
+        Assert.areSame(0, events[0].removed.length);
+        Assert.areSame(2, events[0].newVal.length);
+    },
+
+    "test preventing selectionChange": function () {
+        var table = this.table;
+
+        table.on('selectionChange', function (e) {
+            e.preventDefault();
+        });
+
+        table.selectRow(0);
+
+        Assert.areSame(0, table.get('selectedRows').length);
+    },
+
+    "test setting selectedRows doesn't fire selectionChange": function () {
+        var fired = false;
+
+        this.table.on('selectionChange', function () {
+            fired = true;
+        });
+
+        this.table.set('selectedRows', [0]);
+
+        Assert.isFalse(fired);
+        Assert.isTrue(this.table.isRowSelected(0));
+    },
+
+    "test selection survives sorting": function () {
+        var table = this.table,
+            record = table.data.item(0);
+
+        table.selectRow(record);
+
+        table.data.comparator = function (model) {
+            return -model.get('id').charCodeAt(0);
+        };
+        table.data.sort();
+
+        Assert.isTrue(table.isRowSelected(record));
+        Assert.isTrue(table.getRow(record)
+            .hasClass('yui3-datatable-selected'));
+        Assert.isFalse(table.getRow(0).hasClass('yui3-datatable-selected'));
+    },
+
+    "test removed records are removed from the selection": function () {
+        var table = this.table;
+
+        table.selectRow(0).selectRow(1);
+        table.data.remove(table.data.item(0));
+
+        ArrayAssert.itemsAreSame(['b'], selectedIds(table));
+
+        table.data.reset([{ id: 'z', name: 'Z' }]);
+
+        Assert.areSame(0, table.get('selectedRows').length);
+    },
+
+    "test selected rows can be set at construction": function () {
+        var table = createTable({ selectedRows: [1, 3] });
+
+        ArrayAssert.itemsAreSame(['b', 'd'], selectedIds(table));
+        Assert.isTrue(table.getRow(1).hasClass('yui3-datatable-selected'));
+
+        table.destroy();
+    },
+
+    "test selected rows are decorated": function () {
+        var table = this.table,
+            row;
+
+        table.selectRow(2);
+        row = table.getRow(2);
+
+        Assert.isTrue(row.hasClass('yui3-datatable-selected'));
+        Assert.areSame('true', row.getAttribute('aria-selected'));
+        Assert.areSame('false', table.getRow(0).getAttribute('aria-selected'));
+
+        table.set('selectionMode', null);
+
+        Assert.isFalse(row.hasClass('yui3-datatable-selected'));
+        Assert.isFalse(row.hasAttribute('aria-selected'));
+    },
+
+    "test added rows are decorated": function () {
+        var table = this.table;
+
+        table.selectRow(0);
+        table.data.add({ id: 'f', name: 'F' }, { index: 0 });
+
+        Assert.isTrue(table.getRow(1).hasClass('yui3-datatable-selected'));
+        Assert.areSame('false', table.getRow(0).getAttribute('aria-selected'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "mouse and keyboard",
+
+    setUp: function () {
+        this.table = createTable();
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test click selects a row": function () {
+        var table = this.table;
+
+        cell(table, 1, 1).simulate('click');
+        ArrayAssert.itemsAreSame(['b'], selectedIds(table));
+
+        cell(table, 3, 0).simulate('click');
+        ArrayAssert.itemsAreSame(['d'], selectedIds(table));
+    },
+
+    "test ctrl and meta click toggle rows": function () {
+        var table = this.table;
+
+        cell(table, 0, 0).simulate('click');
+        cell(table, 2, 0).simulate('click', { ctrlKey: true });
+        cell(table, 4, 0).simulate('click', { metaKey: true });
+
+        ArrayAssert.itemsAreSame(['a', 'c', 'e'], selectedIds(table));
+
+        cell(table, 2, 0).simulate('click', { ctrlKey: true });
+
+        ArrayAssert.itemsAreSame(['a', 'e'], selectedIds(table));
+    },
+
+    "test shift click selects a range": function () {
+        var table = this.table;
+
+        cell(table, 3, 0).simulate('click');
+        cell(table, 1, 0).simulate('click', { shiftKey: true });
+
+        ArrayAssert.itemsAreSame(['b', 'c', 'd'], selectedIds(table));
+
+        // The anchor stays at the last non-shift click
+        cell(table, 4, 0).simulate('click', { shiftKey: true });
+
+        ArrayAssert.itemsAreSame(['d', 'e'], selectedIds(table));
+
+        cell(table, 0, 0).simulate('click', { ctrlKey: true });
+        cell(table, 1, 0).simulate('click', { ctrlKey: true, shiftKey: true });
+
+        ArrayAssert.itemsAreSame(['a', 'b', 'd', 'e'], selectedIds(table));
+    },
+
+    "test ranges follow the sort order": function () {
+        var table = this.table;
+
+        table.data.comparator = function (model) {
+            return -model.get('id').charCodeAt(0);
+        };
+        table.data.sort();
+
+        cell(table, 0, 0).simulate('click');
+        cell(table, 2, 0).simulate('click', { shiftKey: true });
+
+        ArrayAssert.itemsAreSame(['e', 'd', 'c'], selectedIds(table));
+    },
+
+    "test modifiers are ignored in single mode": function () {
+        var table = this.table;
+
+        table.set('selectionMode', 'single');
+
+        cell(table, 0, 0).simulate('click');
+        cell(table, 2, 0).simulate('click', { shiftKey: true });
+
+        ArrayAssert.itemsAreSame(['c'], selectedIds(table));
+
+        cell(table, 2, 0).simulate('click', { ctrlKey: true });
+
+        Assert.areSame(0, table.get('selectedRows').length);
+    },
+
+    "test clicks are ignored without selectionMode": function () {
+        var table = this.table;
+
+        table.set('selectionMode', null);
+        cell(table, 0, 0).simulate('click');
+
+        Assert.areSame(0, table.get('selectedRows').length);
+    },
+
+    "test selectionChange from clicks has the originEvent": function () {
+        var originEvent;
+
+        this.table.on('selectionChange', function (e) {
+            originEvent = e.originEvent;
+        });
+
+        cell(this.table, 0, 0).simulate('click');
+
+        Assert.areSame('click', originEvent.type);
+    },
+
+    "test space toggles the focused row": function () {
+        var table = this.table;
+
+        table.set('focusedCell', cell(table, 1, 0));
+        cell(table, 1, 0).simulate('keydown', { keyCode: 32 });
+
+        ArrayAssert.itemsAreSame(['b'], selectedIds(table));
+
+        table.set('focusedCell', cell(table, 3, 0));
+        cell(table, 3, 0).simulate('keydown', { keyCode: 32 });
+
+        ArrayAssert.itemsAreSame(['b', 'd'], selectedIds(table));
+
+        cell(table, 3, 0).simulate('keydown', { keyCode: 32 });
+
+        ArrayAssert.itemsAreSame(['b'], selectedIds(table));
+    },
+
+    "test shift space selects a range": function () {
+        var table = this.table;
+
+        table.set('focusedCell', cell(table, 1, 0));
+        cell(table, 1, 0).simulate('keydown', { keyCode: 32 });
+
+        table.set('focusedCell', cell(table, 3, 0));
+        cell(table, 3, 0).simulate('keydown', { keyCode: 32, shiftKey: true });
+
+        ArrayAssert.itemsAreSame(['b', 'c', 'd'], selectedIds(table));
+    },
+
+    "test space on a header does nothing": function () {
+        var table = this.table,
+            th = table._theadNode.one('th');
+
+        table.set('focusedCell', th);
+        th.simulate('keydown', { keyCode: 32 });
+
+        Assert.areSame(0, table.get('selectedRows').length);
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "cells",
+
+    setUp: function () {
+        this.table = createTable({ selectionType: 'cell' });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test click selects a cell": function () {
+        var table = this.table,
+            td = cell(table, 1, 1);
+
+        td.simulate('click');
+
+        Assert.areSame(1, table.get('selectedCells').length);
+        Assert.areSame(clientId(table, 1),
+            table.get('selectedCells')[0].clientId);
+        Assert.areSame('name', table.get('selectedCells')[0].column);
+        Assert.isTrue(table.isCellSelected(td));
+        Assert.isTrue(td.hasClass('yui3-datatable-selected'));
+        Assert.areSame('true', td.getAttribute('aria-selected'));
+        Assert.isFalse(td.ancestor('tr').hasClass('yui3-datatable-selected'));
+        Assert.areSame(0, table.get('selectedRows').length);
+    },
+
+    "test shift click selects a block of cells": function () {
+        var table = this.table;
+
+        cell(table, 1, 0).simulate('click');
+        cell(table, 2, 1).simulate('click', { shiftKey: true });
+
+        Assert.areSame(4, table.get('selectedCells').length);
+        Assert.isTrue(table.isCellSelected({ record: 'c', column: 'id' }));
+        Assert.isTrue(table.isCellSelected({ record: 1, column: 'name' }));
+        Assert.isFalse(table.isCellSelected({ record: 3, column: 'id' }));
+    },
+
+    "test selectCell and deselectCell": function () {
+        var table = this.table;
+
+        table.selectCell({ record: 0, column: 'name' });
+        table.selectCell(cell(table, 2, 0));
+
+        Assert.areSame(2, table.get('selectedCells').length);
+
+        table.deselectCell({ record: table.data.item(0), column: 'name' });
+
+        Assert.areSame(1, table.get('selectedCells').length);
+        Assert.isTrue(cell(table, 2, 0).hasClass('yui3-datatable-selected'));
+        Assert.isFalse(cell(table, 0, 1).hasClass('yui3-datatable-selected'));
+    },
+
+    "test cell selection survives re-rendering": function () {
+        var table = this.table;
+
+        table.selectCell({ record: 'e', column: 'id' });
+
+        table.data.comparator = function (model) {
+            return -model.get('id').charCodeAt(0);
+        };
+        table.data.sort();
+
+        Assert.isTrue(cell(table, 0, 0).hasClass('yui3-datatable-selected'));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "checkbox column",
+
+    setUp: function () {
+        this.table = createTable({ selectionCheckbox: true });
+    },
+
+    tearDown: function () {
+        this.table.destroy();
+    },
+
+    "test checkbox column is added": function () {
+        var table = this.table;
+
+        Assert.areSame('_selection', table.get('columns')[0].name);
+        Assert.areSame(5,
+            table._tbodyNode.all('.yui3-datatable-selection-checkbox').size());
+        Assert.isNotNull(
+            table._theadNode.one('.yui3-datatable-selection-all'));
+    },
+
+    "test checkbox column is kept when columns are replaced": function () {
+        var table = this.table;
+
+        table.set('columns', ['name']);
+
+        Assert.areSame(2, table.get('columns').length);
+        Assert.areSame('_selection', table.get('columns')[0].name);
+    },
+
+    "test selectionCheckbox false removes the column": function () {
+        var table = this.table;
+
+        table.set('selectionCheckbox', false);
+
+        Assert.areSame(2, table.get('columns').length);
+        Assert.isNull(
+            table._tbodyNode.one('.yui3-datatable-selection-checkbox'));
+
+        table.set('selectionCheckbox', true);
+        table.set('selectionMode', null);
+
+        Assert.areSame(2, table.get('columns').length);
+    },
+
+    "test clicking a checkbox toggles its row": function () {
+        var table = this.table;
+
+        table.selectRow(0);
+        table.getRow(2).one('input').simulate('click');
+
+        ArrayAssert.itemsAreSame(['a', 'c'], selectedIds(table));
+        Assert.isTrue(table.getRow(2).one('input').get('checked'));
+
+        table.getRow(2).one('input').simulate('click');
+
+        ArrayAssert.itemsAreSame(['a'], selectedIds(table));
+        Assert.isFalse(table.getRow(2).one('input').get('checked'));
+    },
+
+    "test checkboxes reflect the selection": function () {
+        var table = this.table;
+
+        table.set('selectedRows', [1]);
+
+        Assert.isTrue(table.getRow(1).one('input').get('checked'));
+        Assert.isFalse(table.getRow(0).one('input').get('checked'));
+    },
+
+    "test prevented selectionChange restores the checkbox": function () {
+        var table = this.table,
+            input = table.getRow(0).one('input');
+
+        table.on('selectionChange', function (e) {
+            e.preventDefault();
+        });
+
+        input.simulate('click');
+
+        Assert.isFalse(input.get('checked'));
+    },
+
+    "test select all checkbox": function () {
+        var table = this.table,
+            all = table._theadNode.one('.yui3-datatable-selection-all');
+
+        Assert.isFalse(all.get('checked'));
+        Assert.isFalse(all.get('indeterminate'));
+
+        table.selectRow(0);
+
+        Assert.isFalse(all.get('checked'));
+        Assert.isTrue(all.get('indeterminate'));
+
+        all.simulate('click');
+
+        Assert.areSame(5, table.get('selectedRows').length);
+        Assert.isTrue(all.get('checked'));
+        Assert.isFalse(all.get('indeterminate'));
+
+        all.simulate('click');
+
+        Assert.areSame(0, table.get('selectedRows').length);
+        Assert.isFalse(all.get('checked'));
+    },
+
+    "test single mode has no select all checkbox": function () {
+        var table = this.table;
+
+        table.set('selectionMode', 'single');
+
+        Assert.isNull(table._theadNode.one('.yui3-datatable-selection-all'));
+        Assert.areSame('Select', table._theadNode.one('th').get('text'));
+
+        table.getRow(0).one('input').simulate('click');
+        table.getRow(1).one('input').simulate('click');
+
+        ArrayAssert.itemsAreSame(['b'], selectedIds(table));
+    }
+}));
+
+suite.add(new Y.Test.Case({
+    name: "pagination",
+
+    "test selection spans pages": function () {
+        var table = createTable({
+                rowsPerPage: 2,
+                selectionCheckbox: true
+            });
+
+        table.selectRow(0);
+        table.selectRow(4);
+
+        table.set('paginatorModel.page', 3);
+
+        Assert.isTrue(table.getRow(0).one('input').get('checked'));
+        Assert.isTrue(table._theadNode.one('.yui3-datatable-selection-all')
+            .get('indeterminate'));
+
+        table.set('paginatorModel.page', 1);
+
+        Assert.isTrue(table.getRow(0).hasClass('yui3-datatable-selected'));
+        Assert.isFalse(table.getRow(1).hasClass('yui3-datatable-selected'));
+
+        table.destroy();
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+
+}, '@VERSION@' ,{requires:['datatable-selection', 'datatable-paginator', 'node-event-simulate', 'test']});
@@ -0,0 +1,339 @@
+/*jshint expr:true, onevar:false */
+
+/**
+Extension for `Tree` that adds tri-state checkbox state for nodes.
+
+@module tree
+@submodule tree-checkable
+@main tree-checkable
+@since 3.19.0
+**/
+
+var Do = Y.Do;
+
+/**
+Extension for `Tree` that adds tri-state checkbox state for nodes.
+
+Unlike selection, checked state cascades through the tree. Checking or
+unchecking a node checks or unchecks all its descendants, and each ancestor of
+the node is then checked if all its children are checked, unchecked if none of
+them are checked, and "indeterminate" otherwise.
+
+Children added to a checked node are checked as well, so the children of a
+checked node that are loaded later by `Plugin.Tree.Lazy` are checked once they
+arrive.
+
+@class Tree.Checkable
+@constructor
+@extensionfor Tree
+@since 3.19.0
+**/
+
+/**
+Fired when a node is checked.
+
+Only the specified node fires this event. Its descendants and ancestors are
+updated without firing events of their own.
+
+@event check
+@param {Tree.Node} node Node being checked.
+@param {String} src Source of the event.
+@preventable _defCheckFn
+**/
+var EVT_CHECK = 'check';
+
+/**
+Fired when a node is unchecked.
+
+Only the specified node fires this event. Its descendants and ancestors are
+updated without firing events of their own.
+
+@event uncheck
+@param {Tree.Node} node Node being unchecked.
+@param {String} src Source of the event.
+@preventable _defUncheckFn
+**/
+var EVT_UNCHECK = 'uncheck';
+
+function Checkable() {}
+
+Checkable.prototype = {
+    // -- Lifecycle ------------------------------------------------------------
+    initializer: function () {
+        this.nodeExtensions = this.nodeExtensions.concat(Y.Tree.Node.Checkable);
+
+        Do.after(this._checkableAfterDefAddFn, this, '_defAddFn');
+        Do.after(this._checkableAfterDefRemoveFn, this, '_defRemoveFn');
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Checks the specified node and all its descendants, and updates the state of
+    its ancestors.
+
+    @method checkNode
+    @param {Tree.Node.Checkable} node Node to check.
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `check` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event. This can be used to
+            distinguish between changes triggered by a user and changes
+            triggered programmatically, for example.
+    @chainable
+    **/
+    checkNode: function (node, options) {
+        if (!node.isChecked()) {
+            this._fireTreeEvent(EVT_CHECK, {
+                node: node,
+                src : options && options.src
+            }, {
+                defaultFn: this._defCheckFn,
+                silent   : options && options.silent
+            });
+        }
+
+        return this;
+    },
+
+    /**
+    Returns an array of nodes that are currently checked, in depth-first order.
+    Indeterminate nodes aren't included.
+
+    @method getCheckedNodes
+    @param {Object} [options] Options.
+        @param {Boolean} [options.leavesOnly=false] If `true`, only checked
+            nodes without children will be returned. This is useful for form
+            submission, since a checked node implies that all its descendants
+            are checked. Nodes whose children haven't been loaded yet have no
+            children, so they're included.
+    @return {Tree.Node.Checkable[]} Array of checked nodes.
+    **/
+    getCheckedNodes: function (options) {
+        var leavesOnly = options && options.leavesOnly,
+            nodes      = [];
+
+        this.traverseNode(this.rootNode, function (node) {
+            if (node.state.checked && !node.isRoot() &&
+                    !(leavesOnly && node.hasChildren())) {
+
+                nodes.push(node);
+            }
+        });
+
+        return nodes;
+    },
+
+    /**
+    Toggles the checked state of the specified node, unchecking it if it's
+    currently checked or checking it if it's currently unchecked or
+    indeterminate.
+
+    @method toggleCheckNode
+    @param {Tree.Node.Checkable} node Node to toggle.
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, events will be
+            suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event. This can be used to
+            distinguish between changes triggered by a user and changes
+            triggered programmatically, for example.
+    @chainable
+    **/
+    toggleCheckNode: function (node, options) {
+        return node.isChecked() ? this.uncheckNode(node, options) :
+            this.checkNode(node, options);
+    },
+
+    /**
+    Unchecks the specified node and all its descendants, and updates the state
+    of its ancestors.
+
+    @method uncheckNode
+    @param {Tree.Node.Checkable} node Node to uncheck.
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `uncheck` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event. This can be used to
+            distinguish between changes triggered by a user and changes
+            triggered programmatically, for example.
+    @chainable
+    **/
+    uncheckNode: function (node, options) {
+        if (node.isChecked() || node.isIndeterminate()) {
+            this._fireTreeEvent(EVT_UNCHECK, {
+                node: node,
+                src : options && options.src
+            }, {
+                defaultFn: this._defUncheckFn,
+                silent   : options && options.silent
+            });
+        }
+
+        return this;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    _checkableAfterDefAddFn: function (e) {
+        var parent = e.parent;
+
+        // New children of a checked node are checked too. This is what makes
+        // lazily loaded children of a checked node show up checked.
+        if (parent.state.checked && !parent.isRoot()) {
+            this._setCheckedState(e.node, true);
+        } else {
+            this._normalizeCheckedState(e.node);
+        }
+
+        this._updateCheckedAncestors(parent);
+    },
+
+    _checkableAfterDefRemoveFn: function (e) {
+        if (e.parent) {
+            this._updateCheckedAncestors(e.parent);
+        }
+    },
+
+    /**
+    Makes the checked state of _node_ and its descendants consistent, for
+    nodes added to the tree with a `state.checked` value. A checked node checks
+    all its descendants, and the state of an unchecked node with children is
+    derived from its children.
+
+    @method _normalizeCheckedState
+    @param {Tree.Node.Checkable} node Node to normalize.
+    @protected
+    **/
+    _normalizeCheckedState: function (node) {
+        var children = node.children;
+
+        if (node.state.checked) {
+            this._setCheckedState(node, true);
+            return;
+        }
+
+        for (var i = 0, len = children.length; i < len; i++) {
+            this._normalizeCheckedState(children[i]);
+        }
+
+        this._updateCheckedState(node);
+    },
+
+    /**
+    Sets the checked state of _node_ and all its descendants. The root node
+    itself is never marked as checked.
+
+    @method _setCheckedState
+    @param {Tree.Node.Checkable} node Node to update.
+    @param {Boolean} checked Whether the nodes should be checked.
+    @protected
+    **/
+    _setCheckedState: function (node, checked) {
+        this.traverseNode(node, function (descendant) {
+            delete descendant.state.indeterminate;
+
+            if (checked && !descendant.isRoot()) {
+                descendant.state.checked = true;
+            } else {
+                delete descendant.state.checked;
+            }
+        });
+    },
+
+    /**
+    Updates the state of _node_ and each of its ancestors based on the state of
+    their children.
+
+    @method _updateCheckedAncestors
+    @param {Tree.Node.Checkable} node First node to update.
+    @protected
+    **/
+    _updateCheckedAncestors: function (node) {
+        while (node && !node.isRoot()) {
+            this._updateCheckedState(node);
+            node = node.parent;
+        }
+    },
+
+    /**
+    Updates the state of _node_ based on the state of its children: checked if
+    all of them are checked, unchecked if none of them are checked or
+    indeterminate, and indeterminate otherwise.
+
+    A node without children keeps its own checked state.
+
+    @method _updateCheckedState
+    @param {Tree.Node.Checkable} node Node to update.
+    @protected
+    **/
+    _updateCheckedState: function (node) {
+        var children = node.children,
+            len      = children.length,
+            checked  = 0,
+            child, i;
+
+        if (node.isRoot()) {
+            return;
+        }
+
+        if (!len) {
+            delete node.state.indeterminate;
+            return;
+        }
+
+        for (i = 0; i < len; i++) {
+            child = children[i];
+
+            if (child.state.checked) {
+                checked += 1;
+            } else if (child.state.indeterminate) {
+                // One indeterminate child makes the parent indeterminate, so
+                // there's no need to look any further.
+                checked = -1;
+                break;
+            }
+        }
+
+        if (checked === len) {
+            node.state.checked = true;
+            delete node.state.indeterminate;
+        } else if (checked === 0) {
+            delete node.state.checked;
+            delete node.state.indeterminate;
+        } else {
+            delete node.state.checked;
+            node.state.indeterminate = true;
+        }
+    },
+
+    // -- Default Event Handlers -----------------------------------------------
+
+    /**
+    Default handler for the `check` event.
+
+    @method _defCheckFn
+    @param {EventFacade} e
+    @protected
+    **/
+    _defCheckFn: function (e) {
+        this._setCheckedState(e.node, true);
+        this._updateCheckedAncestors(e.node.parent);
+    },
+
+    /**
+    Default handler for the `uncheck` event.
+
+    @method _defUncheckFn
+    @param {EventFacade} e
+    @protected
+    **/
+    _defUncheckFn: function (e) {
+        this._setCheckedState(e.node, false);
+        this._updateCheckedAncestors(e.node.parent);
+    }
+};
+
+Y.Tree.Checkable = Checkable;
@@ -0,0 +1,341 @@
+/*jshint expr:true, onevar:false */
+
+/**
+Extension for `Tree` that adds the ability to filter nodes, hiding the nodes
+that don't match while keeping their matching descendants reachable.
+
+@module tree
+@submodule tree-filterable
+@main tree-filterable
+@since 3.19.0
+**/
+
+var Do = Y.Do;
+
+/**
+Extension for `Tree` that adds the ability to filter nodes, hiding the nodes
+that don't match while keeping their matching descendants reachable.
+
+When a filter is applied, a node is hidden unless it matches the filter or one
+of its descendants does, so the ancestors of matching nodes always remain
+visible. If the tree also uses the `Tree.Openable` extension, ancestors of
+matching nodes are opened, and closed again when they're no longer needed to
+show a match or the filter is cleared.
+
+Filtering doesn't remove nodes from the tree; it only marks them as hidden.
+Code that renders the tree should check each node's `isHidden()` method.
+`TreeView` does this when this extension is mixed into it.
+
+    var FilterableTree = Y.Base.create('filterableTree', Y.Tree, [
+            Y.Tree.Filterable, Y.Tree.Labelable, Y.Tree.Openable
+        ]);
+
+    var tree = new FilterableTree({nodes: [...]});
+
+    // Show only nodes whose labels contain "report", plus their ancestors.
+    tree.filter({label: 'report', labelMatch: 'contains'});
+
+    // Show all nodes again.
+    tree.clearFilter();
+
+Filtering and clearing a filter each require a single traversal of the tree, so
+they remain fast even for trees with thousands of nodes.
+
+@class Tree.Filterable
+@constructor
+@extensionfor Tree
+@since 3.19.0
+**/
+
+/**
+Fired when the tree is filtered or the filter is cleared.
+
+@event filter
+@param {Function|null} fn Filter function, or `null` if the filter is being
+    cleared.
+@param {String} src Source of the event.
+@preventable _defFilterFn
+**/
+var EVT_FILTER = 'filter';
+
+function Filterable() {}
+
+Filterable.prototype = {
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    Current filter function, or `null` if the tree isn't filtered.
+
+    @property {Function} _filterFn
+    @protected
+    **/
+
+    /**
+    Mapping of node ids to node instances for nodes that were opened to reveal
+    a matching descendant.
+
+    @property {Object} _filterOpenedMap
+    @protected
+    **/
+
+    // -- Lifecycle ------------------------------------------------------------
+    initializer: function () {
+        this.nodeExtensions = this.nodeExtensions.concat(Y.Tree.Node.Filterable);
+
+        this._filterFn        = null;
+        this._filterOpenedMap = {};
+
+        Do.after(this._filterableAfterDefAddFn, this, '_defAddFn');
+        Do.after(this._filterableAfterDefClearFn, this, '_defClearFn');
+        Do.after(this._filterableAfterDefRemoveFn, this, '_defRemoveFn');
+    },
+
+    destructor: function () {
+        this._filterFn        = null;
+        this._filterOpenedMap = null;
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Clears the current filter, showing all nodes and closing any nodes that were
+    opened by the filter.
+
+    @method clearFilter
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `filter` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event.
+    @chainable
+    **/
+    clearFilter: function (options) {
+        if (this._filterFn) {
+            this._fireTreeEvent(EVT_FILTER, {
+                fn : null,
+                src: options && options.src
+            }, {
+                defaultFn: this._defFilterFn,
+                silent   : options && options.silent
+            });
+        }
+
+        return this;
+    },
+
+    /**
+    Filters the tree, hiding every node that doesn't match and has no matching
+    descendants. Replaces any previous filter.
+
+    Nodes added to the tree while it's filtered are filtered as they're added.
+
+    @method filter
+    @param {Function|Object} fn Filter function, which receives a node and
+        should return a truthy value if the node matches.
+
+        If the tree uses the `Tree.Labelable` extension, this may instead be an
+        object with the `label`, `labelMatch`, and `caseSensitive` options
+        accepted by `Tree.Labelable#findNode()`, to match nodes by label.
+
+        @param {Tree.Node} fn.node Node to test.
+
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `filter` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event.
+    @chainable
+    **/
+    filter: function (fn, options) {
+        if (typeof fn !== 'function') {
+            if (!fn || !('label' in fn) || !this._getLabelMatcher) {
+                Y.error('Tree.Filterable: filter() requires a function.', null, 'tree');
+                return this;
+            }
+
+            fn = this._getLabelMatcher(fn.label, fn);
+        }
+
+        this._fireTreeEvent(EVT_FILTER, {
+            fn : fn,
+            src: options && options.src
+        }, {
+            defaultFn: this._defFilterFn,
+            silent   : options && options.silent
+        });
+
+        return this;
+    },
+
+    /**
+    Returns `true` if a filter is currently applied to this tree.
+
+    @method isFiltered
+    @return {Boolean} `true` if a filter is applied, `false` otherwise.
+    **/
+    isFiltered: function () {
+        return !!this._filterFn;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Applies _fn_ to _node_ and its descendants, hiding the nodes that don't
+    match and have no matching descendants.
+
+    @method _filterNode
+    @param {Tree.Node} node Node to filter.
+    @param {Function} fn Filter function.
+    @param {Tree.Node[]} [reveal] If specified, nodes with visible descendants
+        will be pushed onto this array.
+    @return {Boolean} `true` if _node_ or one of its descendants matches.
+    @protected
+    **/
+    _filterNode: function (node, fn, reveal) {
+        var children = node.children,
+            visible  = false;
+
+        for (var i = 0, len = children.length; i < len; i++) {
+            // Don't short-circuit, since every descendant must be filtered.
+            if (this._filterNode(children[i], fn, reveal)) {
+                visible = true;
+            }
+        }
+
+        if (visible && reveal && !node.isRoot()) {
+            reveal.push(node);
+        }
+
+        if (node.isRoot()) {
+            return visible;
+        }
+
+        if (visible || fn(node)) {
+            delete node.state.hidden;
+            return true;
+        }
+
+        node.state.hidden = true;
+        return false;
+    },
+
+    /**
+    Opens the specified nodes, and closes any nodes opened by a previous filter
+    that aren't among them. Does nothing unless the tree uses the
+    `Tree.Openable` extension.
+
+    @method _revealNodes
+    @param {Tree.Node[]} nodes Nodes to open.
+    @protected
+    **/
+    _revealNodes: function (nodes) {
+        var previous = this._filterOpenedMap,
+            opened   = {},
+            id, node, i, len;
+
+        if (!this.openNode) {
+            return;
+        }
+
+        for (i = 0, len = nodes.length; i < len; i++) {
+            node = nodes[i];
+
+            if (previous[node.id] || !node.isOpen()) {
+                opened[node.id] = node;
+            }
+        }
+
+        this._filterOpenedMap = opened;
+
+        for (id in previous) {
+            if (previous.hasOwnProperty(id) && !opened[id] &&
+                    previous[id].isInTree()) {
+
+                this.closeNode(previous[id], {src: 'filter'});
+            }
+        }
+
+        for (id in opened) {
+            if (opened.hasOwnProperty(id)) {
+                this.openNode(opened[id], {src: 'filter'});
+            }
+        }
+    },
+
+    /**
+    Walks up from _node_, showing each ancestor that has a visible child and
+    hiding each ancestor that doesn't match and no longer has one.
+
+    @method _updateFilterAncestors
+    @param {Tree.Node} node First node to update.
+    @protected
+    **/
+    _updateFilterAncestors: function (node) {
+        var fn = this._filterFn,
+            children, visible, i, len;
+
+        for (; node && !node.isRoot(); node = node.parent) {
+            children = node.children;
+            visible  = false;
+
+            for (i = 0, len = children.length; i < len; i++) {
+                if (!children[i].state.hidden) {
+                    visible = true;
+                    break;
+                }
+            }
+
+            if (visible || fn(node)) {
+                delete node.state.hidden;
+            } else {
+                node.state.hidden = true;
+            }
+        }
+    },
+
+    _filterableAfterDefAddFn: function (e) {
+        if (this._filterFn) {
+            this._filterNode(e.node, this._filterFn);
+            this._updateFilterAncestors(e.parent);
+        }
+    },
+
+    _filterableAfterDefClearFn: function () {
+        this._filterOpenedMap = {};
+    },
+
+    _filterableAfterDefRemoveFn: function (e) {
+        this._filterOpenedMap && delete this._filterOpenedMap[e.node.id];
+
+        if (this._filterFn && e.parent && e.parent.isInTree()) {
+            this._updateFilterAncestors(e.parent);
+        }
+    },
+
+    // -- Default Event Handlers -----------------------------------------------
+
+    /**
+    Default handler for the `filter` event.
+
+    @method _defFilterFn
+    @param {EventFacade} e
+    @protected
+    **/
+    _defFilterFn: function (e) {
+        var reveal = [];
+
+        this._filterFn = e.fn;
+
+        if (e.fn) {
+            this._filterNode(this.rootNode, e.fn, reveal);
+        } else {
+            this.traverseNode(this.rootNode, function (node) {
+                delete node.state.hidden;
+            });
+        }
+
+        this._revealNodes(reveal);
+    }
+};
+
+Y.Tree.Filterable = Filterable;
@@ -13,6 +13,12 @@ see in a treeview or menu.
 Extension for `Tree` that adds baked-in support for node labels like you might
 see in a treeview or menu.
 
+This extension also lets `findNode()` search for nodes by label, ignoring case
+by default:
+
+    // Find the first node whose label contains "report".
+    tree.findNode(tree.rootNode, {label: 'report', labelMatch: 'contains'});
+
 @class Tree.Labelable
 @constructor
 @extensionfor Tree
@@ -23,6 +29,110 @@ function Labelable() {}
 Labelable.prototype = {
     initializer: function () {
         this.nodeExtensions = this.nodeExtensions.concat(Y.Tree.Node.Labelable);
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Performs a depth-first traversal of _node_ and returns the first node that
+    matches. Works just like `Tree#findNode()`, but also accepts a `label`
+    option to find nodes by label.
+
+    If both `label` and _callback_ are specified, a node must match the label
+    and the callback must return a truthy value.
+
+    @method findNode
+    @param {Tree.Node} node Node to traverse.
+    @param {Object} [options] Options.
+        @param {Boolean} [options.caseSensitive=false] If `true`, labels will
+            be compared case-sensitively. Ignored when `label` is a RegExp.
+        @param {Number} [options.depth] Depth limit. If specified, descendants
+            will only be traversed to this depth before backtracking and moving
+            on.
+        @param {String|RegExp} [options.label] Label to search for. If a RegExp
+            is given, the first node whose label matches it will be returned.
+        @param {String} [options.labelMatch="exact"] How a string `label` is
+            compared to node labels: "exact", "start" (the node label starts
+            with `label`), or "contains" (the node label contains `label`).
+    @param {Function} [callback] Callback function to call with the traversed
+        node and each of its descendants. If this function returns a truthy
+        value, traversal will be stopped and the current node will be returned.
+        Required unless `options.label` is specified.
+
+        @param {Tree.Node} callback.node Node being traversed.
+
+    @param {Object} [thisObj] `this` object to use when executing _callback_.
+    @return {Tree.Node|null} Returns the first matching node, or `null` if no
+        node matches.
+    @since 3.19.0
+    **/
+    findNode: function (node, options, callback, thisObj) {
+        var matcher, originalCallback;
+
+        if (options && typeof options === 'object' && 'label' in options) {
+            matcher = this._getLabelMatcher(options.label, options);
+
+            if (callback) {
+                originalCallback = callback;
+
+                callback = function (descendant) {
+                    return matcher(descendant) &&
+                        originalCallback.call(this, descendant);
+                };
+            } else {
+                callback = matcher;
+            }
+        }
+
+        return Y.Tree.prototype.findNode.call(this, node, options, callback,
+            thisObj);
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Returns a function that returns `true` if the label of the node passed to it
+    matches _label_.
+
+    @method _getLabelMatcher
+    @param {String|RegExp} label String or RegExp to match.
+    @param {Object} [options] Options.
+        @param {Boolean} [options.caseSensitive=false] If `true`, labels will
+            be compared case-sensitively.
+        @param {String} [options.labelMatch="exact"] "exact", "start", or
+            "contains".
+    @return {Function} Matcher function.
+    @protected
+    @since 3.19.0
+    **/
+    _getLabelMatcher: function (label, options) {
+        var caseSensitive = options && options.caseSensitive,
+            labelMatch    = (options && options.labelMatch) || 'exact';
+
+        if (label instanceof RegExp) {
+            return function (node) {
+                label.lastIndex = 0;
+                return label.test(String(node.label));
+            };
+        }
+
+        label = String(label);
+        caseSensitive || (label = label.toLowerCase());
+
+        return function (node) {
+            var text  = String(node.label),
+                index;
+
+            caseSensitive || (text = text.toLowerCase());
+
+            if (labelMatch === 'exact') {
+                return text === label;
+            }
+
+            index = text.indexOf(label);
+
+            return labelMatch === 'start' ? index === 0 : index > -1;
+        };
     }
 };
 
@@ -0,0 +1,97 @@
+/**
+@module tree
+@submodule tree-checkable
+**/
+
+/**
+`Tree.Node` extension that adds methods useful for nodes in trees that use the
+`Tree.Checkable` extension.
+
+@class Tree.Node.Checkable
+@constructor
+@extensionfor Tree.Node
+@since 3.19.0
+**/
+
+function NodeCheckable() {}
+
+NodeCheckable.prototype = {
+    /**
+    Checks this node and all its descendants.
+
+    @method check
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `check` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event. This can be used to
+            distinguish between changes triggered by a user and changes
+            triggered programmatically, for example.
+    @chainable
+    **/
+    check: function (options) {
+        this.tree.checkNode(this, options);
+        return this;
+    },
+
+    /**
+    Returns `true` if this node is checked. Indeterminate nodes aren't
+    considered checked.
+
+    @method isChecked
+    @return {Boolean} `true` if this node is checked, `false` otherwise.
+    **/
+    isChecked: function () {
+        return !!this.state.checked;
+    },
+
+    /**
+    Returns `true` if some, but not all, of this node's descendants are
+    checked.
+
+    @method isIndeterminate
+    @return {Boolean} `true` if this node is indeterminate, `false` otherwise.
+    **/
+    isIndeterminate: function () {
+        return !!this.state.indeterminate;
+    },
+
+    /**
+    Toggles the checked state of this node, unchecking it if it's checked or
+    checking it if it's unchecked or indeterminate.
+
+    @method toggleCheck
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, events will be
+            suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event. This can be used to
+            distinguish between changes triggered by a user and changes
+            triggered programmatically, for example.
+    @chainable
+    **/
+    toggleCheck: function (options) {
+        this.tree.toggleCheckNode(this, options);
+        return this;
+    },
+
+    /**
+    Unchecks this node and all its descendants.
+
+    @method uncheck
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `uncheck` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event. This can be used to
+            distinguish between changes triggered by a user and changes
+            triggered programmatically, for example.
+    @chainable
+    **/
+    uncheck: function (options) {
+        this.tree.uncheckNode(this, options);
+        return this;
+    }
+};
+
+Y.Tree.Node.Checkable = NodeCheckable;
@@ -0,0 +1,31 @@
+/**
+@module tree
+@submodule tree-filterable
+**/
+
+/**
+`Tree.Node` extension that adds methods useful for nodes in trees that use the
+`Tree.Filterable` extension.
+
+@class Tree.Node.Filterable
+@constructor
+@extensionfor Tree.Node
+@since 3.19.0
+**/
+
+function NodeFilterable() {}
+
+NodeFilterable.prototype = {
+    /**
+    Returns `true` if this node is hidden by the tree's current filter, meaning
+    that neither it nor any of its descendants match the filter.
+
+    @method isHidden
+    @return {Boolean} `true` if this node is hidden, `false` otherwise.
+    **/
+    isHidden: function () {
+        return !!this.state.hidden;
+    }
+};
+
+Y.Tree.Node.Filterable = NodeFilterable;
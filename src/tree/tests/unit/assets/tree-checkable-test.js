@@ -0,0 +1,383 @@
+YUI.add('tree-checkable-test', function (Y) {
+
+var Assert      = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+    Tree        = Y.Base.create('testTree', Y.Tree, [Y.Tree.Checkable]),
+
+    suite = Y.TreeCheckableTestSuite = new Y.Test.Suite('Tree.Checkable');
+
+function ids(nodes) {
+    return Y.Array.map(nodes, function (node) {
+        return node.id;
+    });
+}
+
+// -- Methods ------------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Methods',
+
+    setUp: function () {
+        this.tree = new Tree({nodes: [
+            {id: 'one', children: [
+                {id: 'one-one'},
+                {id: 'one-two', children: [
+                    {id: 'one-two-one'},
+                    {id: 'one-two-two'}
+                ]}
+            ]},
+            {id: 'two'}
+        ]});
+
+        this.get = Y.bind(this.tree.getNodeById, this.tree);
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+        delete this.get;
+    },
+
+    'nodes should be unchecked by default': function () {
+        Assert.isFalse(this.get('one').isChecked());
+        Assert.isFalse(this.get('one').isIndeterminate());
+        ArrayAssert.isEmpty(this.tree.getCheckedNodes());
+    },
+
+    'checkNode() should check the node and all its descendants': function () {
+        this.tree.checkNode(this.get('one'));
+
+        ArrayAssert.itemsAreSame(['one', 'one-one', 'one-two', 'one-two-one', 'one-two-two'],
+            ids(this.tree.getCheckedNodes()));
+
+        Assert.isFalse(this.get('two').isChecked());
+    },
+
+    'checkNode() should make a partially checked parent indeterminate': function () {
+        this.get('one-two-one').check();
+
+        Assert.isTrue(this.get('one-two').isIndeterminate(), 'parent should be indeterminate');
+        Assert.isFalse(this.get('one-two').isChecked(), 'parent should not be checked');
+        Assert.isTrue(this.get('one').isIndeterminate(), 'grandparent should be indeterminate');
+    },
+
+    'checkNode() should check a parent when all its children are checked': function () {
+        this.get('one-two-one').check();
+        this.get('one-two-two').check();
+
+        Assert.isTrue(this.get('one-two').isChecked());
+        Assert.isFalse(this.get('one-two').isIndeterminate());
+        Assert.isTrue(this.get('one').isIndeterminate());
+
+        this.get('one-one').check();
+
+        Assert.isTrue(this.get('one').isChecked());
+        Assert.isFalse(this.get('one').isIndeterminate());
+    },
+
+    'checkNode() should check an indeterminate node': function () {
+        this.get('one-two-one').check();
+        this.get('one').check();
+
+        Assert.isTrue(this.get('one').isChecked());
+        Assert.isTrue(this.get('one-two-two').isChecked());
+    },
+
+    'uncheckNode() should uncheck the node and all its descendants': function () {
+        this.get('one').check();
+        this.get('one-two').uncheck();
+
+        Assert.isFalse(this.get('one-two-one').isChecked());
+        Assert.isFalse(this.get('one-two-two').isChecked());
+        Assert.isTrue(this.get('one-one').isChecked());
+        Assert.isTrue(this.get('one').isIndeterminate());
+
+        this.get('one-one').uncheck();
+
+        Assert.isFalse(this.get('one').isChecked());
+        Assert.isFalse(this.get('one').isIndeterminate());
+    },
+
+    'uncheckNode() should uncheck an indeterminate node': function () {
+        this.get('one-two-one').check();
+        this.get('one').uncheck();
+
+        ArrayAssert.isEmpty(this.tree.getCheckedNodes());
+        Assert.isFalse(this.get('one').isIndeterminate());
+        Assert.isFalse(this.get('one-two').isIndeterminate());
+    },
+
+    'toggleCheckNode() should toggle the checked state': function () {
+        var node = this.get('one-two');
+
+        this.tree.toggleCheckNode(node);
+        Assert.isTrue(node.isChecked());
+
+        node.toggleCheck();
+        Assert.isFalse(node.isChecked());
+
+        this.get('one-two-one').check();
+        node.toggleCheck();
+        Assert.isTrue(node.isChecked(), 'indeterminate nodes should be checked');
+    },
+
+    'getCheckedNodes() should not include indeterminate nodes': function () {
+        this.get('one-two-one').check();
+
+        ArrayAssert.itemsAreSame(['one-two-one'], ids(this.tree.getCheckedNodes()));
+    },
+
+    'getCheckedNodes() should only include leaves when `leavesOnly` is true': function () {
+        this.get('one').check();
+        this.get('two').check();
+
+        ArrayAssert.itemsAreSame(['one-one', 'one-two-one', 'one-two-two', 'two'],
+            ids(this.tree.getCheckedNodes({leavesOnly: true})));
+    },
+
+    'check and uncheck should be chainable': function () {
+        var node = this.get('one');
+
+        Assert.areSame(node, node.check());
+        Assert.areSame(node, node.uncheck());
+        Assert.areSame(node, node.toggleCheck());
+        Assert.areSame(this.tree, this.tree.checkNode(node));
+        Assert.areSame(this.tree, this.tree.uncheckNode(node));
+        Assert.areSame(this.tree, this.tree.toggleCheckNode(node));
+    }
+}));
+
+// -- Events -------------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Events',
+
+    setUp: function () {
+        this.tree = new Tree({nodes: [
+            {id: 'one', children: [{id: 'one-one'}, {id: 'one-two'}]}
+        ]});
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+    },
+
+    '`check` event should fire when a node is checked': function () {
+        var node  = this.tree.children[0],
+            fired = 0;
+
+        this.tree.on('check', function (e) {
+            fired += 1;
+
+            Assert.areSame(node, e.node);
+            Assert.areSame('test', e.src);
+            Assert.isFalse(e.node.isChecked(), 'node should not be checked yet');
+        });
+
+        node.check({src: 'test'});
+        node.check();
+
+        Assert.areSame(1, fired, 'event should fire once, and not for descendants');
+        Assert.isTrue(node.isChecked());
+    },
+
+    '`check` event should be preventable': function () {
+        this.tree.on('check', function (e) {
+            e.preventDefault();
+        });
+
+        this.tree.children[0].check();
+
+        Assert.isFalse(this.tree.children[0].isChecked());
+        Assert.isFalse(this.tree.children[0].children[0].isChecked());
+    },
+
+    '`check` event should not fire when `silent` is true': function () {
+        var fired = false;
+
+        this.tree.on('check', function () {
+            fired = true;
+        });
+
+        this.tree.children[0].check({silent: true});
+
+        Assert.isFalse(fired);
+        Assert.isTrue(this.tree.children[0].isChecked());
+    },
+
+    '`uncheck` event should fire when a checked or indeterminate node is unchecked': function () {
+        var node  = this.tree.children[0],
+            fired = 0;
+
+        this.tree.on('uncheck', function (e) {
+            fired += 1;
+            Assert.areSame(node, e.node);
+        });
+
+        node.uncheck();
+        Assert.areSame(0, fired, 'event should not fire for unchecked nodes');
+
+        node.check();
+        node.uncheck();
+        Assert.areSame(1, fired);
+
+        node.children[0].check();
+        node.uncheck();
+        Assert.areSame(2, fired);
+    },
+
+    '`uncheck` event should be preventable': function () {
+        var node = this.tree.children[0];
+
+        node.check();
+
+        this.tree.on('uncheck', function (e) {
+            e.preventDefault();
+        });
+
+        node.uncheck();
+
+        Assert.isTrue(node.isChecked());
+    }
+}));
+
+// -- Tree Changes -------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Tree Changes',
+
+    setUp: function () {
+        this.tree = new Tree({nodes: [
+            {id: 'one', children: [{id: 'one-one'}, {id: 'one-two'}]},
+            {id: 'two', canHaveChildren: true}
+        ]});
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+    },
+
+    'initial checked state should be propagated': function () {
+        var tree = new Tree({nodes: [
+            {id: 'a', state: {checked: true}, children: [{id: 'a-a'}]},
+            {id: 'b', children: [
+                {id: 'b-a', state: {checked: true}},
+                {id: 'b-b', children: [{id: 'b-b-a', state: {checked: true}}]}
+            ]},
+            {id: 'c', state: {indeterminate: true}}
+        ]});
+
+        Assert.isTrue(tree.getNodeById('a-a').isChecked(), 'children of checked nodes should be checked');
+        Assert.isTrue(tree.getNodeById('b-b').isChecked(), 'parents of checked nodes should be checked');
+        Assert.isTrue(tree.getNodeById('b').isChecked());
+        Assert.isFalse(tree.getNodeById('c').isIndeterminate(), 'leaves should not be indeterminate');
+
+        tree.destroy();
+    },
+
+    'children added to a checked node should be checked': function () {
+        var two = this.tree.getNodeById('two');
+
+        two.check();
+        two.append([{id: 'two-one'}, {id: 'two-two', children: [{id: 'two-two-one'}]}]);
+
+        Assert.isTrue(this.tree.getNodeById('two-one').isChecked());
+        Assert.isTrue(this.tree.getNodeById('two-two-one').isChecked());
+        Assert.isTrue(two.isChecked());
+    },
+
+    'adding an unchecked child to an unchecked node should leave it unchecked': function () {
+        var one = this.tree.getNodeById('one');
+
+        one.children[0].check();
+        one.append({id: 'one-three'});
+
+        Assert.isFalse(this.tree.getNodeById('one-three').isChecked());
+        Assert.isTrue(one.isIndeterminate());
+    },
+
+    'adding a checked child should update its ancestors': function () {
+        var one = this.tree.getNodeById('one');
+
+        one.append({id: 'one-three', state: {checked: true}});
+
+        Assert.isTrue(one.isIndeterminate());
+    },
+
+    'adding an unchecked child to a fully checked parent via its ancestors should update them': function () {
+        var one = this.tree.getNodeById('one');
+
+        one.children[0].check();
+        one.children[1].check();
+        Assert.isTrue(one.isChecked());
+
+        this.tree.rootNode.append({id: 'three', state: {checked: true}});
+
+        Assert.isTrue(this.tree.getNodeById('three').isChecked());
+        Assert.isTrue(one.isChecked());
+    },
+
+    'removing the unchecked child of an indeterminate node should update it': function () {
+        var one = this.tree.getNodeById('one');
+
+        one.children[0].check();
+        Assert.isTrue(one.isIndeterminate());
+
+        one.children[1].remove();
+
+        Assert.isTrue(one.isChecked());
+        Assert.isFalse(one.isIndeterminate());
+    },
+
+    'removing all children of an indeterminate node should leave it determinate': function () {
+        var one = this.tree.getNodeById('one');
+
+        one.children[0].check();
+        one.empty();
+
+        Assert.isFalse(one.isIndeterminate());
+    },
+
+    'moving a node should update both its old and new ancestors': function () {
+        var one = this.tree.getNodeById('one'),
+            two = this.tree.getNodeById('two');
+
+        one.children[0].check();
+        two.append(one.children[0]);
+
+        Assert.isFalse(one.isIndeterminate());
+        Assert.isTrue(two.isChecked());
+    },
+
+    'lazily loaded children of a checked node should be checked': function () {
+        var OpenableTree = Y.Base.create('openableTree', Y.Tree, [Y.Tree.Checkable, Y.Tree.Openable]),
+            tree         = new OpenableTree({nodes: [{id: 'two', canHaveChildren: true}]}),
+            two          = tree.getNodeById('two'),
+            loadCallback;
+
+        tree.plug(Y.Plugin.Tree.Lazy, {
+            load: function (node, callback) {
+                loadCallback = function () {
+                    node.append([{id: 'two-one'}, {id: 'two-two'}]);
+                    callback();
+                };
+            }
+        });
+
+        tree.openNode(two);
+        two.check();
+
+        ArrayAssert.itemsAreSame(['two'], ids(tree.getCheckedNodes({leavesOnly: true})),
+            'unloaded nodes should count as leaves');
+
+        loadCallback();
+
+        ArrayAssert.itemsAreSame(['two', 'two-one', 'two-two'], ids(tree.getCheckedNodes()));
+        ArrayAssert.itemsAreSame(['two-one', 'two-two'], ids(tree.getCheckedNodes({leavesOnly: true})));
+
+        tree.destroy();
+    }
+}));
+
+}, '@VERSION@', {
+    requires: ['tree-checkable', 'tree-lazy', 'tree-openable', 'test']
+});
@@ -0,0 +1,336 @@
+YUI.add('tree-filterable-test', function (Y) {
+
+var Assert      = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+
+    Tree = Y.Base.create('testTree', Y.Tree, [
+        Y.Tree.Filterable, Y.Tree.Labelable, Y.Tree.Openable
+    ]),
+
+    suite = Y.TreeFilterableTestSuite = new Y.Test.Suite('Tree.Filterable');
+
+function createTree() {
+    return new Tree({nodes: [
+        {id: 'docs', label: 'Documents', children: [
+            {id: 'reports', label: 'Reports', children: [
+                {id: 'q1', label: 'Q1 Report.pdf'},
+                {id: 'q2', label: 'Q2 Report.pdf'}
+            ]},
+            {id: 'letter', label: 'Letter.doc'}
+        ]},
+        {id: 'pics', label: 'Pictures', children: [
+            {id: 'cat', label: 'cat.jpg'}
+        ]},
+        {id: 'todo', label: 'TODO.txt'}
+    ]});
+}
+
+function visibleIds(tree) {
+    var ids = [];
+
+    tree.traverseNode(tree.rootNode, function (node) {
+        if (!node.isRoot() && !node.isHidden()) {
+            ids.push(node.id);
+        }
+    });
+
+    return ids;
+}
+
+function labelContains(text) {
+    return function (node) {
+        return node.label.indexOf(text) > -1;
+    };
+}
+
+// -- Filtering ----------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Filtering',
+
+    setUp: function () {
+        this.tree = createTree();
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+    },
+
+    'nodes should not be hidden by default': function () {
+        Assert.isFalse(this.tree.isFiltered());
+        Assert.areSame(8, visibleIds(this.tree).length);
+    },
+
+    'filter() should hide non-matching nodes and keep ancestors of matches': function () {
+        this.tree.filter(labelContains('Q2'));
+
+        Assert.isTrue(this.tree.isFiltered());
+        ArrayAssert.itemsAreSame(['docs', 'reports', 'q2'], visibleIds(this.tree));
+        Assert.isTrue(this.tree.getNodeById('letter').isHidden());
+        Assert.isTrue(this.tree.getNodeById('pics').isHidden());
+    },
+
+    'filter() should keep matching nodes visible even if their descendants don\'t match': function () {
+        this.tree.filter(labelContains('Pictures'));
+
+        ArrayAssert.itemsAreSame(['pics'], visibleIds(this.tree));
+        Assert.isTrue(this.tree.getNodeById('cat').isHidden());
+    },
+
+    'filter() should open ancestors of matching nodes': function () {
+        this.tree.filter(labelContains('Q1'));
+
+        Assert.isTrue(this.tree.getNodeById('docs').isOpen());
+        Assert.isTrue(this.tree.getNodeById('reports').isOpen());
+        Assert.isFalse(this.tree.getNodeById('pics').isOpen());
+    },
+
+    'filter() should replace the previous filter': function () {
+        this.tree.filter(labelContains('Q1'));
+        this.tree.filter(labelContains('cat'));
+
+        ArrayAssert.itemsAreSame(['pics', 'cat'], visibleIds(this.tree));
+        Assert.isFalse(this.tree.getNodeById('docs').isOpen(), 'nodes opened by the previous filter should be closed');
+        Assert.isTrue(this.tree.getNodeById('pics').isOpen());
+    },
+
+    'filter() should hide every node when nothing matches': function () {
+        this.tree.filter(function () {
+            return false;
+        });
+
+        ArrayAssert.isEmpty(visibleIds(this.tree));
+    },
+
+    'filter() should accept label options when the tree is labelable': function () {
+        this.tree.filter({label: 'report', labelMatch: 'contains'});
+
+        ArrayAssert.itemsAreSame(['docs', 'reports', 'q1', 'q2'], visibleIds(this.tree));
+    },
+
+    'filter() should throw without a function': function () {
+        var tree  = this.tree,
+            threw = false;
+
+        try {
+            tree.filter('nope');
+        } catch (ex) {
+            threw = true;
+        }
+
+        Assert.isTrue(threw);
+        Assert.isFalse(tree.isFiltered());
+    },
+
+    'clearFilter() should show all nodes': function () {
+        this.tree.filter(labelContains('Q1'));
+        this.tree.clearFilter();
+
+        Assert.isFalse(this.tree.isFiltered());
+        Assert.areSame(8, visibleIds(this.tree).length);
+    },
+
+    'clearFilter() should close nodes opened by the filter, but not others': function () {
+        this.tree.getNodeById('docs').open();
+
+        this.tree.filter(labelContains('Q1'));
+        this.tree.clearFilter();
+
+        Assert.isTrue(this.tree.getNodeById('docs').isOpen(), 'nodes opened by the user should stay open');
+        Assert.isFalse(this.tree.getNodeById('reports').isOpen());
+    },
+
+    'a large tree should be filtered': function () {
+        var tree     = new Tree(),
+            children = [],
+            i;
+
+        for (i = 0; i < 2000; i++) {
+            children.push({label: 'file ' + i, children: [{label: 'child ' + i}]});
+        }
+
+        tree.insertNode(tree.rootNode, children, {silent: true});
+        tree.filter({label: 'child 1999'});
+
+        Assert.isTrue(tree.children[0].isHidden());
+        Assert.isFalse(tree.children[1999].isHidden());
+        Assert.isTrue(tree.children[1999].isOpen());
+
+        tree.destroy();
+    }
+}));
+
+// -- Events -------------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Events',
+
+    setUp: function () {
+        this.tree = createTree();
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+    },
+
+    '`filter` event should fire when filtering': function () {
+        var fn    = labelContains('Q1'),
+            fired = false;
+
+        this.tree.on('filter', function (e) {
+            fired = true;
+
+            Assert.areSame(fn, e.fn);
+            Assert.areSame('test', e.src);
+        });
+
+        this.tree.filter(fn, {src: 'test'});
+
+        Assert.isTrue(fired);
+    },
+
+    '`filter` event should fire with a null `fn` when clearing': function () {
+        var fired = 0;
+
+        this.tree.clearFilter();
+
+        this.tree.filter(labelContains('Q1'));
+
+        this.tree.on('filter', function (e) {
+            fired += 1;
+            Assert.isNull(e.fn);
+        });
+
+        this.tree.clearFilter();
+        this.tree.clearFilter();
+
+        Assert.areSame(1, fired, 'event should only fire when a filter is applied');
+    },
+
+    '`filter` event should be preventable': function () {
+        this.tree.on('filter', function (e) {
+            e.preventDefault();
+        });
+
+        this.tree.filter(labelContains('Q1'));
+
+        Assert.isFalse(this.tree.isFiltered());
+        Assert.isFalse(this.tree.getNodeById('todo').isHidden());
+    },
+
+    '`filter` event should not fire when `silent` is true': function () {
+        var fired = false;
+
+        this.tree.on('filter', function () {
+            fired = true;
+        });
+
+        this.tree.filter(labelContains('Q1'), {silent: true});
+
+        Assert.isFalse(fired);
+        Assert.isTrue(this.tree.getNodeById('todo').isHidden());
+    }
+}));
+
+// -- Tree Changes -------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Tree Changes',
+
+    setUp: function () {
+        this.tree = createTree();
+        this.tree.filter(labelContains('Q1'));
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+    },
+
+    'added nodes should be filtered': function () {
+        this.tree.getNodeById('pics').append({id: 'dog', label: 'dog.jpg'});
+
+        Assert.isTrue(this.tree.getNodeById('dog').isHidden());
+        Assert.isTrue(this.tree.getNodeById('pics').isHidden());
+    },
+
+    'adding a matching node should show its ancestors': function () {
+        this.tree.getNodeById('pics').append({id: 'q1-pic', label: 'Q1 party.jpg'});
+
+        Assert.isFalse(this.tree.getNodeById('q1-pic').isHidden());
+        Assert.isFalse(this.tree.getNodeById('pics').isHidden());
+    },
+
+    'removing the last matching node should hide its ancestors': function () {
+        this.tree.getNodeById('q1').remove();
+
+        Assert.isTrue(this.tree.getNodeById('reports').isHidden());
+        Assert.isTrue(this.tree.getNodeById('docs').isHidden());
+    },
+
+    'clearing the tree should clear the nodes opened by the filter': function () {
+        this.tree.clear();
+
+        Assert.isTrue(Y.Object.isEmpty(this.tree._filterOpenedMap));
+        Assert.isTrue(this.tree.isFiltered());
+    }
+}));
+
+// -- Labelable findNode() -----------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Label Search',
+
+    setUp: function () {
+        this.tree = createTree();
+    },
+
+    tearDown: function () {
+        this.tree.destroy();
+        delete this.tree;
+    },
+
+    'findNode() should find a node by label, ignoring case': function () {
+        Assert.areSame('todo', this.tree.findNode(this.tree.rootNode, {label: 'todo.TXT'}).id);
+    },
+
+    'findNode() should respect `caseSensitive`': function () {
+        Assert.isNull(this.tree.findNode(this.tree.rootNode, {label: 'todo.txt', caseSensitive: true}));
+        Assert.areSame('todo', this.tree.findNode(this.tree.rootNode, {label: 'TODO.txt', caseSensitive: true}).id);
+    },
+
+    'findNode() should support `labelMatch`': function () {
+        var root = this.tree.rootNode;
+
+        Assert.isNull(this.tree.findNode(root, {label: 'q2'}));
+        Assert.areSame('q2', this.tree.findNode(root, {label: 'q2', labelMatch: 'start'}).id);
+        Assert.areSame('q1', this.tree.findNode(root, {label: 'REPORT.', labelMatch: 'contains'}).id);
+        Assert.isNull(this.tree.findNode(root, {label: 'pdf', labelMatch: 'start'}), 'only the start should match');
+    },
+
+    'findNode() should support RegExp labels': function () {
+        Assert.areSame('cat', this.tree.findNode(this.tree.rootNode, {label: /\.jpg$/}).id);
+    },
+
+    'findNode() should combine the label with a callback': function () {
+        var node = this.tree.findNode(this.tree.rootNode, {label: 'report', labelMatch: 'contains'}, function (n) {
+            return !n.hasChildren() && n.id !== 'q1';
+        });
+
+        Assert.areSame('q2', node.id);
+    },
+
+    'findNode() should still work with only a callback': function () {
+        var node = this.tree.findNode(this.tree.rootNode, function (n) {
+            return n.id === 'cat';
+        });
+
+        Assert.areSame('cat', node.id);
+    },
+
+    'findNode() should respect `depth`': function () {
+        Assert.isNull(this.tree.findNode(this.tree.rootNode, {depth: 1, label: 'cat.jpg'}));
+    }
+}));
+
+}, '@VERSION@', {
+    requires: ['tree-filterable', 'tree-labelable', 'tree-openable', 'test']
+});
@@ -0,0 +1,518 @@
+/*jshint expr:true, onevar:false */
+
+/**
+Extension for `TreeView` that lets users drag nodes to reorder them or move
+them to a new parent.
+
+@module treeview
+@submodule tree-dnd
+@since 3.19.0
+**/
+
+var getClassName = Y.ClassNameManager.getClassName,
+
+    /**
+    CSS class names used by `Tree.DnD`.
+
+    @property {Object} classNames
+    @static
+    **/
+    classNames = {
+        dragging  : getClassName('treeview', 'dragging'),
+        dropAfter : getClassName('treeview', 'drop', 'after'),
+        dropBefore: getClassName('treeview', 'drop', 'before'),
+        dropInside: getClassName('treeview', 'drop', 'inside')
+    };
+
+/**
+Fired when a node is about to be moved to a new position in the tree, either
+because it was dropped there or because `moveNode()` was called.
+
+Calling `preventDefault()` on this event cancels the move.
+
+@event move
+@param {Tree.Node} node Node being moved.
+@param {Tree.Node} parent New parent of the node.
+@param {Number} index Index the node will have in _parent_ once it's moved.
+    When the node is moved within its current parent, this accounts for its
+    removal from its old position.
+@param {String} position Position relative to _targetNode_: "before", "after",
+    or "inside".
+@param {String} src Source of the event.
+@param {Tree.Node} targetNode Node that _node_ is being moved relative to.
+@preventable _defMoveFn
+**/
+var EVT_MOVE = 'move';
+
+/**
+Extension for `TreeView` that lets users drag nodes to reorder them or move
+them to a new parent.
+
+While a node is dragged over another node, the target's row is given the
+`yui3-treeview-drop-before`, `yui3-treeview-drop-after`, or
+`yui3-treeview-drop-inside` class to indicate where the node will be dropped.
+Hovering over a closed node that can have children opens it after
+`dragOpenDelay` milliseconds. Dropping the node fires a preventable `move`
+event.
+
+A node can't be moved inside itself or one of its descendants, and can only be
+dropped inside a node whose `canHaveChildren` property is `true`. Override
+`canMoveNode()` to add further constraints.
+
+    YUI().use('tree-dnd', function (Y) {
+        var DnDTreeView = Y.Base.create('dndTreeView', Y.TreeView, [Y.Tree.DnD]);
+
+        var treeview = new DnDTreeView({
+            container: '#tree',
+            nodes    : [{label: 'Inbox', canHaveChildren: true}, {label: 'Notes'}]
+        }).render();
+
+        treeview.on('move', function (e) {
+            if (e.parent.label === 'Trash') {
+                e.preventDefault();
+            }
+        });
+    });
+
+@class Tree.DnD
+@constructor
+@extensionfor TreeView
+@since 3.19.0
+**/
+
+function DnD() {}
+
+DnD.ATTRS = {
+    /**
+    Milliseconds a dragged node must hover over a closed node before that node
+    is opened. Set to `0` to disable opening nodes during a drag.
+
+    @attribute dragOpenDelay
+    @type Number
+    @default 1000
+    **/
+    dragOpenDelay: {
+        validator: Y.Lang.isNumber,
+        value    : 1000
+    }
+};
+
+DnD.classNames = classNames;
+
+DnD.prototype = {
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    The `DD.Delegate` instance that handles dragging, created the first time
+    the tree is rendered.
+
+    @property {DD.Delegate} _dndDelegate
+    @protected
+    **/
+
+    /**
+    The drop that would occur if the dragged node were released, as an object
+    with `target` and `position` properties, or `null`.
+
+    @property {Object} _dndDrop
+    @protected
+    **/
+
+    /**
+    The node being dragged.
+
+    @property {Tree.Node} _dndNode
+    @protected
+    **/
+
+    // -- Lifecycle ------------------------------------------------------------
+    initializer: function () {
+        this._dndEvents = [
+            Y.Do.after(this._attachDnD, this, 'render', this)
+        ];
+    },
+
+    destructor: function () {
+        this._clearDropIndicator();
+        clearTimeout(this._dndOpenTimer);
+
+        (new Y.EventHandle(this._dndEvents)).detach();
+
+        if (this._dndDelegate) {
+            this._dndDelegate.destroy();
+        }
+
+        this._dndDelegate = this._dndDrop = this._dndEvents = this._dndNode =
+            null;
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Returns `true` if _node_ may be moved to the specified position relative to
+    _target_.
+
+    A node can't be moved relative to itself or inside one of its own
+    descendants, nodes can't be moved before or after the root node, and nodes
+    can only be moved inside a node that can have children.
+
+    Override this method to add further constraints.
+
+    @method canMoveNode
+    @param {Tree.Node} node Node to move.
+    @param {Tree.Node} target Node to move _node_ relative to.
+    @param {String} position "before", "after", or "inside".
+    @return {Boolean}
+    **/
+    canMoveNode: function (node, target, position) {
+        if (!node || !target || node.isRoot() || !node.isInTree() ||
+                !target.isInTree()) {
+            return false;
+        }
+
+        for (var ancestor = target; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === node) {
+                return false;
+            }
+        }
+
+        if (position === 'inside') {
+            return !!target.canHaveChildren;
+        }
+
+        return (position === 'before' || position === 'after') &&
+            !target.isRoot();
+    },
+
+    /**
+    Moves _node_ before, after, or inside _target_, firing a preventable `move`
+    event. Nothing happens if `canMoveNode()` doesn't allow the move.
+
+    When moved inside _target_, the node is appended to its children.
+
+    @method moveNode
+    @param {Tree.Node} node Node to move.
+    @param {Tree.Node} target Node to move _node_ relative to.
+    @param {String} position "before", "after", or "inside".
+    @param {Object} [options] Options.
+        @param {Boolean} [options.silent=false] If `true`, the `move` event
+            will be suppressed.
+        @param {String} [options.src] Source of the change, to be passed along
+            to the event facade of the resulting event.
+    @return {Boolean} `true` if the move was allowed, `false` otherwise. A move
+        may still be prevented by a `move` event subscriber.
+    **/
+    moveNode: function (node, target, position, options) {
+        var parent, index;
+
+        if (!this.canMoveNode(node, target, position)) {
+            return false;
+        }
+
+        if (position === 'inside') {
+            parent = target;
+            index  = target.children.length;
+        } else {
+            parent = target.parent;
+            index  = target.index() + (position === 'after' ? 1 : 0);
+        }
+
+        // Removing the node from its current position in the same parent
+        // shifts the nodes after it back by one.
+        if (node.parent === parent && node.index() < index) {
+            index -= 1;
+        }
+
+        this._fireTreeEvent(EVT_MOVE, {
+            index     : index,
+            node      : node,
+            parent    : parent,
+            position  : position,
+            src       : options && options.src,
+            targetNode: target
+        }, {
+            defaultFn: this._defMoveFn,
+            silent   : options && options.silent
+        });
+
+        return true;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Creates the `DD.Delegate` that makes rows draggable, if it doesn't exist
+    yet.
+
+    @method _attachDnD
+    @protected
+    **/
+    _attachDnD: function () {
+        var delegate;
+
+        if (this._dndDelegate) {
+            return;
+        }
+
+        delegate = this._dndDelegate = new Y.DD.Delegate({
+            container: this.get('container'),
+            nodes    : '.' + this.classNames.row,
+            target   : true
+        });
+
+        delegate.dd.plug(Y.Plugin.DDProxy, {
+            cloneNode : true,
+            moveOnEnd : false
+        });
+
+        this._dndEvents.push(
+            delegate.on('drag:start', this._onDnDStart, this),
+            delegate.on('drag:over', this._onDnDOver, this),
+            delegate.on('drag:exit', this._onDnDExit, this),
+            delegate.on('drag:end', this._onDnDEnd, this),
+            this.after('open', this._afterDnDOpen, this)
+        );
+    },
+
+    /**
+    Removes the drop indicator class from the current drop target.
+
+    @method _clearDropIndicator
+    @protected
+    **/
+    _clearDropIndicator: function () {
+        var drop = this._dndDrop,
+            htmlNode;
+
+        if (drop && (htmlNode = this.getHTMLNode(drop.target))) {
+            htmlNode.one('.' + this.classNames.row).removeClass(
+                classNames.dropAfter).removeClass(
+                classNames.dropBefore).removeClass(classNames.dropInside);
+        }
+
+        this._dndDrop = null;
+    },
+
+    /**
+    Returns the drop position for a pointer at _y_ over the row of _target_,
+    given the row's region. The top and bottom quarters of a row mean "before"
+    and "after"; the middle means "inside" if _target_ can have children.
+
+    Returns `null` if _node_ can't be dropped at that position.
+
+    @method _getDropPosition
+    @param {Tree.Node} node Node being dragged.
+    @param {Tree.Node} target Node under the pointer.
+    @param {Object} region Region of _target_'s row, with `top` and `bottom`
+        properties.
+    @param {Number} y Vertical position of the pointer.
+    @return {Object} Object with `target` and `position` properties, or `null`.
+    @protected
+    **/
+    _getDropPosition: function (node, target, region, y) {
+        var height = region.bottom - region.top,
+            offset = y - region.top,
+            position;
+
+        if (target.canHaveChildren) {
+            position = offset < height / 4 ? 'before' :
+                offset > height * 3 / 4 ? 'after' : 'inside';
+        } else {
+            position = offset < height / 2 ? 'before' : 'after';
+        }
+
+        // Below the row of an open node are its children, so dropping there
+        // means dropping before its first child.
+        if (position === 'after' && target.isOpen() &&
+                target.children.length) {
+            target   = target.children[0];
+            position = 'before';
+        }
+
+        return this.canMoveNode(node, target, position) ?
+            {position: position, target: target} : null;
+    },
+
+    /**
+    Shows the drop indicator for the specified drop.
+
+    @method _setDropIndicator
+    @param {Object} drop Object with `target` and `position` properties, or
+        `null` to clear the indicator.
+    @protected
+    **/
+    _setDropIndicator: function (drop) {
+        var current = this._dndDrop,
+            htmlNode;
+
+        if (current && drop && current.target === drop.target &&
+                current.position === drop.position) {
+            return;
+        }
+
+        this._clearDropIndicator();
+
+        if (drop && (htmlNode = this.getHTMLNode(drop.target))) {
+            htmlNode.one('.' + this.classNames.row).addClass(
+                drop.position === 'inside' ? classNames.dropInside :
+                drop.position === 'after' ? classNames.dropAfter :
+                classNames.dropBefore);
+        }
+
+        this._dndDrop = drop;
+    },
+
+    /**
+    Opens _node_ after `dragOpenDelay` milliseconds, unless the pointer moves
+    to another node first.
+
+    @method _scheduleDnDOpen
+    @param {Tree.Node} node Node to open.
+    @protected
+    **/
+    _scheduleDnDOpen: function (node) {
+        var self  = this,
+            delay = this.get('dragOpenDelay');
+
+        if (this._dndOpenNode === node) {
+            return;
+        }
+
+        clearTimeout(this._dndOpenTimer);
+        this._dndOpenNode = node;
+
+        if (!node || !delay || !node.canHaveChildren || node.isOpen()) {
+            return;
+        }
+
+        this._dndOpenTimer = setTimeout(function () {
+            self._dndOpenNode = null;
+
+            if (self._dndNode && node.isInTree()) {
+                self.openNode(node, {src: 'dnd'});
+            }
+        }, delay);
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Makes the rows rendered when a node is opened during a drag into drop
+    targets.
+
+    @method _afterDnDOpen
+    @protected
+    **/
+    _afterDnDOpen: function () {
+        if (this._dndNode) {
+            this._dndDelegate.syncTargets();
+        }
+    },
+
+    /**
+    Starts a drag.
+
+    @method _onDnDStart
+    @protected
+    **/
+    _onDnDStart: function () {
+        var node     = this.getTreeNode(this._dndDelegate.get('currentNode')),
+            htmlNode = this.getHTMLNode(node);
+
+        this._dndNode = node;
+
+        if (htmlNode) {
+            htmlNode.addClass(classNames.dragging);
+        }
+
+        // Rows are only made into drop targets while dragging, since the tree
+        // may render new rows at any time.
+        this._dndDelegate.syncTargets();
+    },
+
+    /**
+    Updates the drop indicator as the dragged node moves over a row.
+
+    @method _onDnDOver
+    @param {EventFacade} e
+    @protected
+    **/
+    _onDnDOver: function (e) {
+        var row    = e.drop.get('node'),
+            target = this.getTreeNode(row),
+            drop;
+
+        if (!this._dndNode || !target) {
+            return;
+        }
+
+        drop = this._getDropPosition(this._dndNode, target,
+            e.drop.region || row.get('region'), e.drag.mouseXY[1]);
+
+        this._setDropIndicator(drop);
+        this._scheduleDnDOpen(drop && drop.position === 'inside' ? target :
+            null);
+    },
+
+    /**
+    Clears the drop indicator when the dragged node leaves a row.
+
+    @method _onDnDExit
+    @protected
+    **/
+    _onDnDExit: function () {
+        this._setDropIndicator(null);
+        this._scheduleDnDOpen(null);
+    },
+
+    /**
+    Moves the dragged node to the current drop position, if any.
+
+    @method _onDnDEnd
+    @protected
+    **/
+    _onDnDEnd: function () {
+        var node     = this._dndNode,
+            drop     = this._dndDrop,
+            htmlNode = this.getHTMLNode(node);
+
+        this._clearDropIndicator();
+        this._scheduleDnDOpen(null);
+        this._dndNode = null;
+
+        if (htmlNode) {
+            htmlNode.removeClass(classNames.dragging);
+        }
+
+        if (node && drop) {
+            this.moveNode(node, drop.target, drop.position, {src: 'dnd'});
+        }
+    },
+
+    // -- Default Event Handlers -----------------------------------------------
+
+    /**
+    Default handler for the `move` event.
+
+    @method _defMoveFn
+    @param {EventFacade} e
+    @protected
+    **/
+    _defMoveFn: function (e) {
+        var index = e.index;
+
+        // `insertNode()` expects the index before the node is removed from its
+        // current position in the same parent.
+        if (e.node.parent === e.parent && e.node.index() < index) {
+            index += 1;
+        }
+
+        this.insertNode(e.parent, e.node, {
+            index : index,
+            silent: e.silent,
+            src   : e.src || 'move'
+        });
+    }
+};
+
+Y.Tree.DnD = DnD;
@@ -0,0 +1,1137 @@
+/*jshint expr:true, onevar:false */
+
+/**
+Provides `Y.TreeView`, a view that renders a `Y.Tree` as an accessible,
+keyboard-navigable tree.
+
+@module treeview
+@main treeview
+@since 3.19.0
+**/
+
+var getClassName = Y.ClassNameManager.getClassName,
+    sub          = Y.Lang.sub,
+
+    /**
+    CSS class names used by `TreeView`.
+
+    @property {Object} classNames
+    @static
+    **/
+    classNames = {
+        canHaveChildren: getClassName('treeview', 'can-have-children'),
+        children       : getClassName('treeview', 'children'),
+        hidden         : getClassName('treeview', 'hidden'),
+        indicator      : getClassName('treeview', 'indicator'),
+        label          : getClassName('treeview', 'label'),
+        loading        : getClassName('treeview', 'loading'),
+        node           : getClassName('treeview', 'node'),
+        open           : getClassName('treeview', 'open'),
+        row            : getClassName('treeview', 'row'),
+        selected       : getClassName('treeview', 'selected'),
+        treeview       : getClassName('treeview')
+    },
+
+    /**
+    Milliseconds after the last typed character before type-ahead starts a new
+    search.
+
+    @property {Number} TYPEAHEAD_DELAY
+    @default 500
+    @static
+    **/
+    TYPEAHEAD_DELAY = 500;
+
+/**
+Renders a tree as an ARIA `tree` of `treeitem` elements.
+
+`TreeView` is a `Y.View` that mixes in `Y.Tree` and the `Tree.Labelable`,
+`Tree.Openable`, and `Tree.Selectable` extensions, so the view _is_ the tree:
+nodes are added, removed, opened, closed, and selected with the usual `Tree`
+methods, and the rendered DOM is updated incrementally in response to the
+resulting events rather than being re-rendered.
+
+    YUI().use('treeview', function (Y) {
+        var treeview = new Y.TreeView({
+            container: '#tree',
+            nodes: [
+                {label: 'Fruit', children: [
+                    {label: 'Apple'},
+                    {label: 'Banana'}
+                ]},
+                {label: 'Vegetables'}
+            ]
+        });
+
+        treeview.render();
+
+        treeview.children[0].open();
+        treeview.children[1].append({label: 'Carrot'});
+    });
+
+The children of closed nodes are not rendered until the node is first opened,
+so trees with many nodes render quickly.
+
+When the tree has focus, the following keys are supported, following the
+WAI-ARIA tree pattern:
+
+  * Up and Down move to the previous and next visible node.
+  * Right opens a closed node, or moves to the first child of an open node.
+  * Left closes an open node, or moves to the parent of a closed node.
+  * Home and End move to the first and last visible node.
+  * Enter selects the focused node, and Space selects it or, if
+    `multiSelect` is enabled, toggles its selection.
+  * Typing characters moves to the next visible node whose label starts with
+    them.
+
+If the `Plugin.Tree.Lazy` plugin is plugged in, nodes whose children are
+being loaded are marked with the `yui3-treeview-loading` class and
+`aria-busy="true"`.
+
+If the `Tree.Filterable` extension is mixed in, nodes hidden by the filter are
+rendered with the `yui3-treeview-hidden` class and the `hidden` and
+`aria-hidden` attributes, and are skipped by keyboard navigation. The rendered
+nodes are updated when the tree is filtered or the filter is cleared, and when
+nodes are added or removed while the tree is filtered.
+
+    var FilterableTreeView = Y.Base.create('filterableTreeView', Y.TreeView, [
+            Y.Tree.Filterable
+        ]);
+
+    var treeview = new FilterableTreeView({container: '#tree', nodes: [...]});
+
+    treeview.render();
+    treeview.filter({label: 'apple', labelMatch: 'contains'});
+
+@class TreeView
+@constructor
+@param {Object} [config] Config options. Accepts the config options of both
+    `View` and `Tree`.
+@extends View
+@uses Tree
+@uses Tree.Labelable
+@uses Tree.Openable
+@uses Tree.Selectable
+@since 3.19.0
+**/
+var TreeView = Y.Base.create('treeView', Y.View, [
+    Y.Tree,
+    Y.Tree.Labelable,
+    Y.Tree.Openable,
+    Y.Tree.Selectable
+], {
+    // -- Public Properties ----------------------------------------------------
+
+    /**
+    CSS class names used by this TreeView.
+
+    @property {Object} classNames
+    **/
+    classNames: classNames,
+
+    /**
+    Template for the list of a node's children. The root node's list has the
+    `tree` role, and other lists have the `group` role.
+
+    @property {String} CHILDREN_TEMPLATE
+    **/
+    CHILDREN_TEMPLATE: '<ul class="{className}" role="{role}"{attrs}>' +
+                           '{content}' +
+                       '</ul>',
+
+    /**
+    Template for each node.
+
+    @property {String} NODE_TEMPLATE
+    **/
+    NODE_TEMPLATE: '<li id="{id}" class="{className}" role="treeitem" ' +
+                           'tabindex="-1"{attrs}>' +
+                       '<div class="{rowClassName}">' +
+                           '<span class="{indicatorClassName}" ' +
+                               'aria-hidden="true"></span>' +
+                           '<span class="{labelClassName}">{label}</span>' +
+                       '</div>' +
+                       '{children}' +
+                   '</li>',
+
+    /**
+    Whether or not this TreeView has been rendered.
+
+    @property {Boolean} rendered
+    @default false
+    **/
+    rendered: false,
+
+    /**
+    DOM events handled by this view.
+
+    @property {Object} events
+    **/
+    events: (function () {
+        var events = {};
+
+        events['.' + classNames.row] = {click: '_onRowClick'};
+
+        return events;
+    }()),
+
+    // -- Protected Properties -------------------------------------------------
+
+    /**
+    The node that receives focus when the tree is tabbed into.
+
+    @property {Tree.Node} _activeNode
+    @protected
+    **/
+
+    /**
+    Event handles for the subscriptions made by this TreeView.
+
+    @property {EventHandle[]} _treeViewEvents
+    @protected
+    **/
+
+    /**
+    Characters typed in quick succession for type-ahead.
+
+    @property {String} _typeAhead
+    @protected
+    **/
+
+    // -- Lifecycle ------------------------------------------------------------
+    initializer: function () {
+        this._treeViewEvents = [
+            this.after({
+                add              : this._afterTreeViewAdd,
+                clear            : this._afterTreeViewClear,
+                close            : this._afterTreeViewOpenClose,
+                filter           : this._afterTreeViewFilter,
+                multiSelectChange: this._afterTreeViewMultiSelectChange,
+                open             : this._afterTreeViewOpenClose,
+                remove           : this._afterTreeViewRemove,
+                select           : this._afterTreeViewSelect,
+                sort             : this._afterTreeViewSort,
+                unselect         : this._afterTreeViewSelect
+            }),
+
+            // Plugins may be plugged after this initializer runs.
+            Y.Do.after(this._attachLazyEvents, this, 'plug', this)
+        ];
+
+        this._attachLazyEvents();
+    },
+
+    destructor: function () {
+        this._detachLazyEvents();
+        clearTimeout(this._typeAheadTimer);
+
+        (new Y.EventHandle(this._treeViewEvents)).detach();
+
+        this._activeNode     = null;
+        this._treeViewEvents = null;
+    },
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Attaches the delegated DOM events in `events`, plus the key handlers on the
+    container.
+
+    @method attachEvents
+    @param {Object} [events] Hash of events to attach.
+    @chainable
+    **/
+    attachEvents: function (events) {
+        var container = this.get('container');
+
+        TreeView.superclass.attachEvents.call(this, events);
+
+        this._attachedViewEvents.push(
+            container.on('keydown', this._onKeyDown, this),
+            container.on('keypress', this._onKeyPress, this)
+        );
+
+        return this;
+    },
+
+    /**
+    Moves the focus to the specified node, opening its ancestors if
+    necessary. If the tree isn't rendered, the node will receive focus when the
+    tree is tabbed into once it is.
+
+    @method focusNode
+    @param {Tree.Node} node Node to focus.
+    @chainable
+    **/
+    focusNode: function (node) {
+        var htmlNode;
+
+        for (var parent = node.parent; parent; parent = parent.parent) {
+            parent.isRoot() || this.openNode(parent);
+        }
+
+        this._setActiveNode(node);
+
+        if ((htmlNode = this.getHTMLNode(node))) {
+            htmlNode.focus();
+        }
+
+        return this;
+    },
+
+    /**
+    Returns the `<li>` element of the specified tree node, or `null` if the
+    node hasn't been rendered.
+
+    @method getHTMLNode
+    @param {Tree.Node} treeNode Tree node.
+    @return {Node} Rendered element, or `null`.
+    **/
+    getHTMLNode: function (treeNode) {
+        if (!this.rendered || !treeNode || treeNode.isRoot()) {
+            return null;
+        }
+
+        var container = this.get('container'),
+            el        = Y.config.doc.getElementById(treeNode.id);
+
+        if (el && container.contains(el)) {
+            return Y.one(el);
+        }
+
+        return container.one('[id="' + treeNode.id.replace(/"/g, '\\"') + '"]');
+    },
+
+    /**
+    Returns the tree node rendered as the specified element or one of its
+    ancestors, or `null` if the element isn't part of a rendered node.
+
+    @method getTreeNode
+    @param {HTMLElement|Node} el Element.
+    @return {Tree.Node} Tree node, or `null`.
+    **/
+    getTreeNode: function (el) {
+        var li = Y.one(el);
+
+        li = li && li.ancestor('.' + classNames.node, true);
+
+        return (li && this.get('container').contains(li) &&
+            this.getNodeById(li.get('id'))) || null;
+    },
+
+    /**
+    Renders this TreeView into its container, replacing any existing content.
+
+    @method render
+    @chainable
+    **/
+    render: function () {
+        var container = this.get('container');
+
+        container.addClass(classNames.treeview);
+        container.setHTML(this._renderChildren(this.rootNode));
+
+        this.rendered = true;
+
+        this._setActiveNode(this._activeNode);
+
+        return this;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Subscribes to the events of the `Plugin.Tree.Lazy` plugin, if it's plugged
+    in.
+
+    @method _attachLazyEvents
+    @protected
+    **/
+    _attachLazyEvents: function () {
+        var lazy = this.lazy;
+
+        if (!lazy || this._lazyEvents && this._lazyPlugin === lazy) {
+            return;
+        }
+
+        this._detachLazyEvents();
+
+        this._lazyPlugin = lazy;
+        this._lazyEvents = [
+            lazy.after('beforeLoad', this._afterLazyBeforeLoad, this),
+            lazy.after(['load', 'error'], this._afterLazyLoad, this)
+        ];
+    },
+
+    /**
+    Detaches the subscriptions to the `Plugin.Tree.Lazy` plugin.
+
+    @method _detachLazyEvents
+    @protected
+    **/
+    _detachLazyEvents: function () {
+        if (this._lazyEvents) {
+            (new Y.EventHandle(this._lazyEvents)).detach();
+        }
+
+        this._lazyEvents = this._lazyPlugin = null;
+    },
+
+    /**
+    Returns the HTML attributes reflecting the state of a node.
+
+    @method _getNodeAttrs
+    @param {Tree.Node} node Tree node.
+    @return {String} HTML attributes.
+    @protected
+    **/
+    _getNodeAttrs: function (node) {
+        var attrs = '';
+
+        if (node.canHaveChildren) {
+            attrs += ' aria-expanded="' + node.isOpen() + '"';
+        }
+
+        if (node.isSelected()) {
+            attrs += ' aria-selected="true"';
+        }
+
+        if (node.state.loading) {
+            attrs += ' aria-busy="true"';
+        }
+
+        if (node.state.hidden) {
+            attrs += ' hidden aria-hidden="true"';
+        }
+
+        return attrs;
+    },
+
+    /**
+    Returns the CSS classes reflecting the state of a node.
+
+    @method _getNodeClassName
+    @param {Tree.Node} node Tree node.
+    @return {String} Space-separated class names.
+    @protected
+    **/
+    _getNodeClassName: function (node) {
+        var className = classNames.node;
+
+        node.canHaveChildren && (className += ' ' + classNames.canHaveChildren);
+        node.isOpen()        && (className += ' ' + classNames.open);
+        node.isSelected()    && (className += ' ' + classNames.selected);
+        node.state.loading   && (className += ' ' + classNames.loading);
+        node.state.hidden    && (className += ' ' + classNames.hidden);
+
+        return className;
+    },
+
+    /**
+    Returns the `<ul>` element containing the rendered children of the
+    specified node, or `null` if they haven't been rendered.
+
+    @method _getChildrenNode
+    @param {Tree.Node} node Tree node.
+    @return {Node} Children element, or `null`.
+    @protected
+    **/
+    _getChildrenNode: function (node) {
+        var parent = node.isRoot() ? this.get('container') :
+                this.getHTMLNode(node),
+            last;
+
+        if (!this.rendered || !parent) {
+            return null;
+        }
+
+        last = parent.get('lastChild');
+
+        return (last && last.hasClass(classNames.children)) ? last : null;
+    },
+
+    /**
+    Returns the first child of the specified node that isn't hidden by a
+    filter, or `null`.
+
+    @method _getFirstVisibleChild
+    @param {Tree.Node} node Tree node.
+    @return {Tree.Node} First visible child, or `null`.
+    @protected
+    **/
+    _getFirstVisibleChild: function (node) {
+        var children = node.children;
+
+        for (var i = 0, len = children.length; i < len; i++) {
+            if (!children[i].state.hidden) {
+                return children[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+    Returns the visible node after the specified node, or `null`.
+
+    @method _getNextVisibleNode
+    @param {Tree.Node} node Tree node.
+    @return {Tree.Node} Next visible node, or `null`.
+    @protected
+    **/
+    _getNextVisibleNode: function (node) {
+        var next;
+
+        if (node.isOpen() && (next = this._getFirstVisibleChild(node))) {
+            return next;
+        }
+
+        while (node && !node.isRoot()) {
+            for (next = node.next(); next; next = next.next()) {
+                if (!next.state.hidden) {
+                    return next;
+                }
+            }
+
+            node = node.parent;
+        }
+
+        return null;
+    },
+
+    /**
+    Returns the visible node before the specified node, or `null`.
+
+    @method _getPreviousVisibleNode
+    @param {Tree.Node} node Tree node.
+    @return {Tree.Node} Previous visible node, or `null`.
+    @protected
+    **/
+    _getPreviousVisibleNode: function (node) {
+        var previous = node.previous();
+
+        while (previous && previous.state.hidden) {
+            previous = previous.previous();
+        }
+
+        if (!previous) {
+            return (node.parent && !node.parent.isRoot()) ? node.parent : null;
+        }
+
+        return this._getLastVisibleNode(previous);
+    },
+
+    /**
+    Returns the last visible descendant of the specified node, or the node
+    itself if it's closed or has no children.
+
+    @method _getLastVisibleNode
+    @param {Tree.Node} node Tree node.
+    @return {Tree.Node} Last visible node.
+    @protected
+    **/
+    _getLastVisibleNode: function (node) {
+        var children, i;
+
+        while (node.isOpen()) {
+            children = node.children;
+
+            i        = children.length - 1;
+
+            while (i >= 0 && children[i].state.hidden) {
+                i -= 1;
+            }
+
+            if (i < 0) {
+                break;
+            }
+
+            node = children[i];
+        }
+
+        return node;
+    },
+
+    /**
+    Renders the list of children of the specified node.
+
+    @method _renderChildren
+    @param {Tree.Node} node Tree node.
+    @return {String} HTML.
+    @protected
+    **/
+    _renderChildren: function (node) {
+        var children = node.children,
+            isRoot   = node.isRoot(),
+            content  = '';
+
+        for (var i = 0, len = children.length; i < len; i++) {
+            content += this._renderNode(children[i]);
+        }
+
+        return sub(this.CHILDREN_TEMPLATE, {
+            attrs    : isRoot && this.get('multiSelect') ?
+                            ' aria-multiselectable="true"' : '',
+            className: classNames.children,
+            content  : content,
+            role     : isRoot ? 'tree' : 'group'
+        });
+    },
+
+    /**
+    Renders a node and, if it's open, its children.
+
+    @method _renderNode
+    @param {Tree.Node} node Tree node.
+    @return {String} HTML.
+    @protected
+    **/
+    _renderNode: function (node) {
+        return sub(this.NODE_TEMPLATE, {
+            attrs             : this._getNodeAttrs(node),
+            children          : node.isOpen() && node.children.length ?
+                                    this._renderChildren(node) : '',
+            className         : this._getNodeClassName(node),
+            id                : Y.Escape.html(node.id),
+            indicatorClassName: classNames.indicator,
+            label             : Y.Escape.html(node.label),
+            labelClassName    : classNames.label,
+            rowClassName      : classNames.row
+        });
+    },
+
+    /**
+    Sets the node that receives focus when the tree is tabbed into. Defaults
+    to the first node if the specified node isn't rendered.
+
+    @method _setActiveNode
+    @param {Tree.Node} [node] Tree node.
+    @protected
+    **/
+    _setActiveNode: function (node) {
+        var previous = this._activeNode,
+            htmlNode;
+
+        if (node && (node.state.destroyed || node.state.hidden ||
+                !node.isInTree())) {
+            node = null;
+        }
+
+        this._activeNode = node || this._getFirstVisibleChild(this.rootNode);
+
+        if (!this.rendered) {
+            return;
+        }
+
+        if (previous && previous !== this._activeNode &&
+                (htmlNode = this.getHTMLNode(previous))) {
+            htmlNode.set('tabIndex', -1);
+        }
+
+        htmlNode = this.getHTMLNode(this._activeNode);
+
+        if (!htmlNode && this._activeNode) {
+            // The node is hidden inside a closed ancestor.
+            this._activeNode = this._getFirstVisibleChild(this.rootNode);
+            htmlNode = this.getHTMLNode(this._activeNode);
+        }
+
+        if (htmlNode) {
+            htmlNode.set('tabIndex', 0);
+        }
+    },
+
+    /**
+    Updates the classes and ARIA attributes of a rendered node to reflect its
+    state.
+
+    @method _syncNodeState
+    @param {Tree.Node} node Tree node.
+    @protected
+    **/
+    _syncNodeState: function (node) {
+        var htmlNode = this.getHTMLNode(node),
+            hasChildren = node.canHaveChildren;
+
+        if (!htmlNode) {
+            return;
+        }
+
+        htmlNode.toggleClass(classNames.canHaveChildren, !!hasChildren);
+        htmlNode.toggleClass(classNames.open, hasChildren && node.isOpen());
+        htmlNode.toggleClass(classNames.selected, node.isSelected());
+        htmlNode.toggleClass(classNames.loading, !!node.state.loading);
+
+        if (hasChildren) {
+            htmlNode.setAttribute('aria-expanded', String(node.isOpen()));
+        } else {
+            htmlNode.removeAttribute('aria-expanded');
+        }
+
+        if (node.isSelected()) {
+            htmlNode.setAttribute('aria-selected', 'true');
+        } else {
+            htmlNode.removeAttribute('aria-selected');
+        }
+
+        if (node.state.loading) {
+            htmlNode.setAttribute('aria-busy', 'true');
+        } else {
+            htmlNode.removeAttribute('aria-busy');
+        }
+
+        htmlNode.toggleClass(classNames.hidden, !!node.state.hidden);
+
+        if (node.state.hidden) {
+            htmlNode.setAttribute('hidden', '');
+            htmlNode.setAttribute('aria-hidden', 'true');
+        } else {
+            htmlNode.removeAttribute('hidden');
+            htmlNode.removeAttribute('aria-hidden');
+        }
+    },
+
+    /**
+    Updates the rendered ancestors of a node, whose hidden state may have
+    changed when a node was added or removed while the tree is filtered.
+
+    @method _syncFilteredAncestors
+    @param {Tree.Node} node Tree node.
+    @protected
+    **/
+    _syncFilteredAncestors: function (node) {
+        if (!this.isFiltered || !this.isFiltered()) {
+            return;
+        }
+
+        for (node = node.parent; node && !node.isRoot(); node = node.parent) {
+            this._syncNodeState(node);
+        }
+    },
+
+    /**
+    Selects a node in response to user interaction. If `multiSelect` is
+    enabled and _toggle_ is truthy, the node's selection is toggled instead.
+
+    @method _selectFromUI
+    @param {Tree.Node} node Tree node.
+    @param {Boolean} [toggle=false] Toggle the node's selection.
+    @protected
+    **/
+    _selectFromUI: function (node, toggle) {
+        if (toggle && this.get('multiSelect') && node.isSelected()) {
+            this.unselectNode(node, {src: 'ui'});
+        } else if (toggle && this.get('multiSelect')) {
+            this.selectNode(node, {src: 'ui'});
+        } else {
+            this.get('multiSelect') && this.unselect({src: 'ui'});
+            this.selectNode(node, {src: 'ui'});
+        }
+    },
+
+    /**
+    Moves the focus to the next visible node whose label starts with the
+    characters typed so far.
+
+    @method _typeAheadTo
+    @param {String} chr Typed character.
+    @protected
+    **/
+    _typeAheadTo: function (chr) {
+        var self  = this,
+            start = this._activeNode,
+            text, node;
+
+        clearTimeout(this._typeAheadTimer);
+
+        text = (this._typeAhead || '') + chr.toLowerCase();
+
+        this._typeAhead      = text;
+        this._typeAheadTimer = setTimeout(function () {
+            self._typeAhead = '';
+        }, TYPEAHEAD_DELAY);
+
+        if (!start) {
+            return;
+        }
+
+        // Typing the same character repeatedly cycles through the nodes that
+        // start with it.
+        if (/^(.)\1*$/.test(text)) {
+            text = chr.toLowerCase();
+        }
+
+        node = start;
+
+        // When the search was extended with another character, the current
+        // node may still match.
+        if (text.length === 1 || !this._typeAheadMatches(node, text)) {
+            do {
+                node = this._getNextVisibleNode(node) ||
+                        this._getFirstVisibleChild(this.rootNode) || start;
+
+                if (this._typeAheadMatches(node, text)) {
+                    break;
+                }
+            } while (node !== start);
+        }
+
+        if (node !== start && this._typeAheadMatches(node, text)) {
+            this.focusNode(node);
+        }
+    },
+
+    /**
+    Returns `true` if the label of the node starts with the specified text,
+    ignoring case.
+
+    @method _typeAheadMatches
+    @param {Tree.Node} node Tree node.
+    @param {String} text Lowercase text.
+    @return {Boolean}
+    @protected
+    **/
+    _typeAheadMatches: function (node, text) {
+        return String(node.label).toLowerCase().indexOf(text) === 0;
+    },
+
+    // -- Protected Event Handlers ---------------------------------------------
+
+    /**
+    Marks a node as loading when `Plugin.Tree.Lazy` starts loading its
+    children.
+
+    @method _afterLazyBeforeLoad
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterLazyBeforeLoad: function (e) {
+        this._syncNodeState(e.node);
+    },
+
+    /**
+    Removes the loading state of nodes whose children have finished loading,
+    or failed to load.
+
+    @method _afterLazyLoad
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterLazyLoad: function () {
+        if (!this.rendered) {
+            return;
+        }
+
+        // The `error` event doesn't identify the node, so check every node
+        // that's marked as loading.
+        this.get('container').all('.' + classNames.loading).each(function (el) {
+            var node = this.getNodeById(el.get('id'));
+
+            node && this._syncNodeState(node);
+        }, this);
+    },
+
+    /**
+    Renders a node added to the tree, if its parent's children are rendered.
+
+    @method _afterTreeViewAdd
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterTreeViewAdd: function (e) {
+        var node   = e.node,
+            parent = node.parent,
+            list, next, nextNode;
+
+        if (!this.rendered || !parent) {
+            return;
+        }
+
+        list = this._getChildrenNode(parent);
+
+        if (!list) {
+            if (parent.isOpen()) {
+                // First child of an open node.
+                list = Y.Node.create(this._renderChildren(parent));
+                (parent.isRoot() ? this.get('container') :
+                    this.getHTMLNode(parent)).append(list);
+            }
+        } else {
+            next     = node.next();
+            nextNode = next && this.getHTMLNode(next);
+
+            list.insertBefore(this._renderNode(node), nextNode || null);
+        }
+
+        this._syncNodeState(parent);
+        this._syncFilteredAncestors(parent);
+
+        if (!this._activeNode || this._activeNode.state.hidden) {
+            this._setActiveNode();
+        }
+    },
+
+    /**
+    Re-renders the tree after it's cleared.
+
+    @method _afterTreeViewClear
+    @protected
+    **/
+    _afterTreeViewClear: function () {
+        this._activeNode = null;
+        this.rendered && this.render();
+    },
+
+    /**
+    Shows and hides the rendered nodes after the tree is filtered or the
+    filter is cleared, when the `Tree.Filterable` extension is mixed in.
+
+    @method _afterTreeViewFilter
+    @protected
+    **/
+    _afterTreeViewFilter: function () {
+        if (!this.rendered) {
+            return;
+        }
+
+        this.get('container').all('.' + classNames.node).each(function (el) {
+            var node = this.getNodeById(el.get('id'));
+
+            node && this._syncNodeState(node);
+        }, this);
+
+        if (!this._activeNode || this._activeNode.state.hidden) {
+            this._setActiveNode();
+        }
+    },
+
+    /**
+    Updates the ARIA attributes after `multiSelect` changes.
+
+    @method _afterTreeViewMultiSelectChange
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterTreeViewMultiSelectChange: function (e) {
+        var list = this._getChildrenNode(this.rootNode);
+
+        if (list) {
+            if (e.newVal) {
+                list.setAttribute('aria-multiselectable', 'true');
+            } else {
+                list.removeAttribute('aria-multiselectable');
+            }
+        }
+    },
+
+    /**
+    Updates a node after it's opened or closed, rendering its children the
+    first time it's opened.
+
+    @method _afterTreeViewOpenClose
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterTreeViewOpenClose: function (e) {
+        var node     = e.node,
+            htmlNode = this.getHTMLNode(node);
+
+        if (!htmlNode) {
+            return;
+        }
+
+        if (node.isOpen() && node.children.length &&
+                !this._getChildrenNode(node)) {
+            htmlNode.append(this._renderChildren(node));
+        }
+
+        this._syncNodeState(node);
+
+        // Don't leave the focus inside a closed node.
+        if (!node.isOpen() && this._activeNode &&
+                this._activeNode !== node &&
+                htmlNode.contains(this.getHTMLNode(this._activeNode))) {
+            this._setActiveNode(node);
+        }
+    },
+
+    /**
+    Removes the element of a node removed from the tree.
+
+    @method _afterTreeViewRemove
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterTreeViewRemove: function (e) {
+        var node     = e.node,
+            parent   = e.parent,
+            active   = this._activeNode,
+            htmlNode, list;
+
+        if (!this.rendered) {
+            return;
+        }
+
+        // The node is no longer in the tree, so look it up in the DOM.
+        htmlNode = this.get('container').one(
+            '[id="' + node.id.replace(/"/g, '\\"') + '"]');
+
+        if (htmlNode) {
+            if (active && (active === node || !active.isInTree())) {
+                this._activeNode = null;
+            }
+
+            htmlNode.remove(true);
+        }
+
+        if (parent && parent.isInTree()) {
+            list = this._getChildrenNode(parent);
+
+            if (list && !parent.children.length && !parent.isRoot()) {
+                list.remove(true);
+            }
+
+            this._syncNodeState(parent);
+            this._syncFilteredAncestors(parent);
+        }
+
+        if (!this._activeNode || this._activeNode.state.hidden) {
+            this._setActiveNode(parent && !parent.isRoot() ? parent : null);
+        }
+    },
+
+    /**
+    Updates a node after it's selected or unselected.
+
+    @method _afterTreeViewSelect
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterTreeViewSelect: function (e) {
+        this._syncNodeState(e.node);
+    },
+
+    /**
+    Re-renders the children of a node after they're sorted.
+
+    @method _afterTreeViewSort
+    @param {EventFacade} e
+    @protected
+    **/
+    _afterTreeViewSort: function (e) {
+        var list = this._getChildrenNode(e.node);
+
+        if (list) {
+            list.replace(this._renderChildren(e.node));
+            this._setActiveNode(this._activeNode);
+        }
+    },
+
+    /**
+    Handles navigation and selection keys.
+
+    @method _onKeyDown
+    @param {EventFacade} e
+    @protected
+    **/
+    _onKeyDown: function (e) {
+        var node = this.getTreeNode(e.target),
+            target;
+
+        if (!node || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+
+        switch (e.keyCode) {
+        case 13: // enter
+        case 32: // space
+            this._selectFromUI(node, e.keyCode === 32);
+            break;
+
+        case 35: // end
+            target = this._getLastVisibleNode(this.rootNode);
+            break;
+
+        case 36: // home
+            target = this._getFirstVisibleChild(this.rootNode);
+            break;
+
+        case 37: // left
+            if (node.canHaveChildren && node.isOpen()) {
+                this.closeNode(node, {src: 'ui'});
+            } else if (!node.parent.isRoot()) {
+                target = node.parent;
+            }
+            break;
+
+        case 38: // up
+            target = this._getPreviousVisibleNode(node);
+            break;
+
+        case 39: // right
+            if (node.canHaveChildren && !node.isOpen()) {
+                this.openNode(node, {src: 'ui'});
+            } else if (node.isOpen()) {
+                target = this._getFirstVisibleChild(node);
+            }
+            break;
+
+        case 40: // down
+            target = this._getNextVisibleNode(node);
+            break;
+
+        default:
+            return;
+        }
+
+        e.preventDefault();
+
+        target && target !== node && this.focusNode(target);
+    },
+
+    /**
+    Handles type-ahead.
+
+    @method _onKeyPress
+    @param {EventFacade} e
+    @protected
+    **/
+    _onKeyPress: function (e) {
+        var charCode = e.charCode;
+
+        if (!charCode || charCode === 32 || e.altKey || e.ctrlKey ||
+                e.metaKey || !this.getTreeNode(e.target)) {
+            return;
+        }
+
+        e.preventDefault();
+        this._typeAheadTo(String.fromCharCode(charCode));
+    },
+
+    /**
+    Toggles a node when its indicator is clicked, otherwise selects it.
+
+    @method _onRowClick
+    @param {EventFacade} e
+    @protected
+    **/
+    _onRowClick: function (e) {
+        var node = this.getTreeNode(e.currentTarget);
+
+        if (!node) {
+            return;
+        }
+
+        if (e.target.hasClass(classNames.indicator)) {
+            this.toggleOpenNode(node, {src: 'ui'});
+        } else {
+            this._selectFromUI(node, e.ctrlKey || e.metaKey);
+        }
+
+        this.focusNode(node);
+    }
+});
+
+TreeView.classNames = classNames;
+
+Y.TreeView = TreeView;
@@ -0,0 +1,437 @@
+YUI.add('tree-dnd-test', function (Y) {
+
+var Assert      = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+    classNames  = Y.Tree.DnD.classNames,
+
+    DnDTreeView = Y.Base.create('dndTreeView', Y.TreeView, [Y.Tree.DnD]),
+
+    suite = Y.TreeDnDTestSuite = new Y.Test.Suite('Tree.DnD');
+
+function createTreeView(config) {
+    return new DnDTreeView(Y.merge({
+        container: Y.Node.create('<div/>').appendTo('#test'),
+        nodes: [
+            {id: 'one', label: 'One', children: [
+                {id: 'one-one', label: 'One One'},
+                {id: 'one-two', label: 'One Two'}
+            ]},
+            {id: 'two', label: 'Two'},
+            {id: 'three', label: 'Three', canHaveChildren: true}
+        ]
+    }, config));
+}
+
+function labels(treeview) {
+    var result = [];
+
+    treeview.get('container').all('.' + Y.TreeView.classNames.label).each(function (el) {
+        result.push(el.get('text'));
+    });
+
+    return result;
+}
+
+// Simulates the DD events fired while dragging `node` over the row of `target`
+// at the specified offset (0 to 1) from the top of the row.
+function dragOver(treeview, target, offset) {
+    var row = treeview.getHTMLNode(target).one('.' + Y.TreeView.classNames.row);
+
+    treeview._onDnDOver({
+        drag: {mouseXY: [0, 100 + offset * 20]},
+        drop: {
+            get   : function () { return row; },
+            region: {top: 100, bottom: 120}
+        }
+    });
+
+    return row;
+}
+
+function dragStart(treeview, node) {
+    treeview._dndDelegate.set('currentNode',
+        treeview.getHTMLNode(node).one('.' + Y.TreeView.classNames.row));
+    treeview._onDnDStart();
+}
+
+// -- Moving -------------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Moving',
+
+    setUp: function () {
+        this.treeview = createTreeView();
+    },
+
+    tearDown: function () {
+        this.treeview.destroy();
+        delete this.treeview;
+    },
+
+    'canMoveNode() should allow moves before, after, and inside other nodes': function () {
+        var tv = this.treeview;
+
+        Assert.isTrue(tv.canMoveNode(tv.children[1], tv.children[0], 'before'));
+        Assert.isTrue(tv.canMoveNode(tv.children[1], tv.children[0], 'after'));
+        Assert.isTrue(tv.canMoveNode(tv.children[1], tv.children[0], 'inside'));
+        Assert.isTrue(tv.canMoveNode(tv.children[0].children[0], tv.children[2], 'inside'));
+    },
+
+    'canMoveNode() should not allow moves inside nodes that can\'t have children': function () {
+        var tv = this.treeview;
+
+        Assert.isFalse(tv.canMoveNode(tv.children[0], tv.children[1], 'inside'));
+    },
+
+    'canMoveNode() should not allow moves relative to the node itself or inside its descendants': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        Assert.isFalse(tv.canMoveNode(one, one, 'before'));
+        Assert.isFalse(tv.canMoveNode(one, one, 'inside'));
+        Assert.isFalse(tv.canMoveNode(one, one.children[0], 'after'));
+    },
+
+    'canMoveNode() should not allow the root node to be moved, or nodes to be moved next to it': function () {
+        var tv = this.treeview;
+
+        Assert.isFalse(tv.canMoveNode(tv.rootNode, tv.children[2], 'inside'));
+        Assert.isFalse(tv.canMoveNode(tv.children[0], tv.rootNode, 'before'));
+        Assert.isTrue(tv.canMoveNode(tv.children[0].children[0], tv.rootNode, 'inside'));
+    },
+
+    'canMoveNode() should not allow nodes outside the tree to be moved': function () {
+        var tv   = this.treeview,
+            node = tv.createNode({label: 'Orphan'});
+
+        Assert.isFalse(tv.canMoveNode(node, tv.children[0], 'before'));
+        Assert.isFalse(tv.canMoveNode(tv.children[0], node, 'before'));
+    },
+
+    'moveNode() should move a node before another node': function () {
+        var tv = this.treeview,
+            three = tv.children[2];
+
+        Assert.isTrue(tv.moveNode(three, tv.children[0], 'before'));
+        Assert.areSame(three, tv.children[0]);
+
+        tv.moveNode(three, tv.getNodeById('one-two'), 'before');
+        ArrayAssert.itemsAreSame(['one-one', 'three', 'one-two'],
+            Y.Array.map(tv.getNodeById('one').children, function (n) { return n.id; }));
+    },
+
+    'moveNode() should move a node after another node': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        tv.moveNode(one, tv.children[1], 'after');
+
+        ArrayAssert.itemsAreSame(['two', 'one', 'three'],
+            Y.Array.map(tv.children, function (n) { return n.id; }));
+
+        tv.moveNode(one, tv.children[2], 'after');
+
+        ArrayAssert.itemsAreSame(['two', 'three', 'one'],
+            Y.Array.map(tv.children, function (n) { return n.id; }));
+    },
+
+    'moveNode() should append a node inside another node': function () {
+        var tv  = this.treeview,
+            two = tv.children[1];
+
+        tv.moveNode(two, tv.children[0], 'inside');
+
+        Assert.areSame(tv.children[0], two.parent);
+        Assert.areSame(2, two.index());
+    },
+
+    'moveNode() should return false and do nothing if the move isn\'t allowed': function () {
+        var tv    = this.treeview,
+            fired = false;
+
+        tv.on('move', function () {
+            fired = true;
+        });
+
+        Assert.isFalse(tv.moveNode(tv.children[0], tv.children[1], 'inside'));
+        Assert.isFalse(fired);
+        Assert.areSame(tv.rootNode, tv.children[0].parent);
+    },
+
+    'moveNode() should fire a `move` event': function () {
+        var tv  = this.treeview,
+            one = tv.children[0],
+            fired;
+
+        tv.on('move', function (e) {
+            fired = true;
+
+            Assert.areSame(tv.children[1], e.node, 'node');
+            Assert.areSame(one, e.parent, 'parent');
+            Assert.areSame(one.children[1], e.targetNode, 'targetNode');
+            Assert.areSame('before', e.position);
+            Assert.areSame(1, e.index);
+            Assert.areSame('test', e.src);
+        });
+
+        tv.moveNode(tv.children[1], one.children[1], 'before', {src: 'test'});
+
+        Assert.isTrue(fired);
+        Assert.areSame('two', one.children[1].id);
+    },
+
+    '`move` event index should be the node\'s index after a move within the same parent': function () {
+        var tv  = this.treeview,
+            one = tv.children[0],
+            indexes = [];
+
+        tv.on('move', function (e) {
+            indexes.push(e.index);
+        });
+
+        tv.moveNode(one, tv.children[2], 'after');
+
+        Assert.areSame(2, one.index());
+
+        tv.moveNode(one, tv.children[0], 'before');
+
+        Assert.areSame(0, one.index());
+
+        tv.moveNode(one, tv.children[2], 'before');
+
+        Assert.areSame(1, one.index());
+
+        ArrayAssert.itemsAreSame([2, 0, 1], indexes);
+    },
+
+    '`move` event index should be honored when changed by a subscriber': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        tv.on('move', function (e) {
+            e.index = 1;
+        });
+
+        tv.moveNode(one, tv.children[2], 'after');
+
+        ArrayAssert.itemsAreSame(['two', 'one', 'three'],
+            Y.Array.map(tv.children, function (n) { return n.id; }));
+    },
+
+    '`move` event should be preventable': function () {
+        var tv = this.treeview;
+
+        tv.on('move', function (e) {
+            e.preventDefault();
+        });
+
+        Assert.isTrue(tv.moveNode(tv.children[1], tv.children[0], 'before'));
+        Assert.areSame('one', tv.children[0].id);
+    },
+
+    '`move` event should not fire when `silent` is true': function () {
+        var tv    = this.treeview,
+            fired = false;
+
+        tv.on('move', function () {
+            fired = true;
+        });
+
+        tv.moveNode(tv.children[1], tv.children[0], 'before', {silent: true});
+
+        Assert.isFalse(fired);
+        Assert.areSame('two', tv.children[0].id);
+    },
+
+    'moving a node should update the rendered tree': function () {
+        var tv = this.treeview.render();
+
+        tv.children[0].open();
+        tv.moveNode(tv.children[2], tv.getNodeById('one-one'), 'after');
+
+        ArrayAssert.itemsAreSame(['One', 'One One', 'Three', 'One Two', 'Two'], labels(tv));
+    }
+}));
+
+// -- Dragging -----------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Dragging',
+
+    setUp: function () {
+        this.treeview = createTreeView({dragOpenDelay: 20}).render();
+    },
+
+    tearDown: function () {
+        this.treeview.destroy({remove: true});
+        delete this.treeview;
+    },
+
+    'rendering should create a DD.Delegate for the rows': function () {
+        var delegate = this.treeview._dndDelegate;
+
+        Assert.isInstanceOf(Y.DD.Delegate, delegate);
+        Assert.areSame('.' + Y.TreeView.classNames.row, delegate.get('nodes'));
+
+        this.treeview.render();
+        Assert.areSame(delegate, this.treeview._dndDelegate, 'delegate should only be created once');
+    },
+
+    '_getDropPosition() should divide rows of nodes that can have children into thirds': function () {
+        var tv     = this.treeview,
+            two    = tv.children[1],
+            three  = tv.children[2],
+            region = {top: 0, bottom: 20};
+
+        Assert.areSame('before', tv._getDropPosition(two, three, region, 2).position);
+        Assert.areSame('inside', tv._getDropPosition(two, three, region, 10).position);
+        Assert.areSame('after', tv._getDropPosition(two, three, region, 18).position);
+    },
+
+    '_getDropPosition() should divide rows of leaf nodes into halves': function () {
+        var tv     = this.treeview,
+            region = {top: 0, bottom: 20};
+
+        Assert.areSame('before', tv._getDropPosition(tv.children[2], tv.children[1], region, 9).position);
+        Assert.areSame('after', tv._getDropPosition(tv.children[2], tv.children[1], region, 11).position);
+    },
+
+    '_getDropPosition() should treat the bottom of an open node as before its first child': function () {
+        var tv  = this.treeview,
+            one = tv.children[0],
+            drop;
+
+        one.open();
+        drop = tv._getDropPosition(tv.children[1], one, {top: 0, bottom: 20}, 19);
+
+        Assert.areSame(one.children[0], drop.target);
+        Assert.areSame('before', drop.position);
+    },
+
+    '_getDropPosition() should return null for disallowed drops': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        one.open();
+
+        Assert.isNull(tv._getDropPosition(one, one.children[0], {top: 0, bottom: 20}, 2));
+    },
+
+    'dragging over a row should show a drop indicator': function () {
+        var tv = this.treeview,
+            row;
+
+        dragStart(tv, tv.children[1]);
+
+        Assert.isTrue(tv.getHTMLNode(tv.children[1]).hasClass(classNames.dragging));
+
+        row = dragOver(tv, tv.children[0], 0.1);
+        Assert.isTrue(row.hasClass(classNames.dropBefore));
+
+        row = dragOver(tv, tv.children[0], 0.5);
+        Assert.isFalse(row.hasClass(classNames.dropBefore));
+        Assert.isTrue(row.hasClass(classNames.dropInside));
+
+        tv._onDnDExit();
+        Assert.isFalse(row.hasClass(classNames.dropInside));
+    },
+
+    'dragging over an invalid target should not show a drop indicator': function () {
+        var tv = this.treeview,
+            row;
+
+        dragStart(tv, tv.children[0]);
+
+        row = dragOver(tv, tv.children[1], 0.5);
+        Assert.isTrue(row.hasClass(classNames.dropAfter));
+
+        row = dragOver(tv, tv.children[0], 0.5);
+        Assert.isFalse(row.hasClass(classNames.dropInside));
+        Assert.isNull(tv.get('container').one('.' + classNames.dropAfter));
+        Assert.isNull(tv._dndDrop);
+    },
+
+    'dropping should move the node and clear the drag state': function () {
+        var tv = this.treeview,
+            two = tv.children[1],
+            src;
+
+        tv.after('move', function (e) {
+            src = e.src;
+        });
+
+        dragStart(tv, two);
+        dragOver(tv, tv.children[2], 0.5);
+        tv._onDnDEnd();
+
+        Assert.areSame('dnd', src);
+        Assert.areSame(tv.children[1], two.parent);
+        Assert.isNull(tv.get('container').one('.' + classNames.dragging));
+        Assert.isNull(tv.get('container').one('.' + classNames.dropInside));
+    },
+
+    'dropping without a drop target should not move the node': function () {
+        var tv = this.treeview,
+            fired = false;
+
+        tv.on('move', function () {
+            fired = true;
+        });
+
+        dragStart(tv, tv.children[1]);
+        dragOver(tv, tv.children[2], 0.5);
+        tv._onDnDExit();
+        tv._onDnDEnd();
+
+        Assert.isFalse(fired);
+    },
+
+    'hovering over a closed node should open it after dragOpenDelay': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        dragStart(tv, tv.children[1]);
+        dragOver(tv, one, 0.5);
+
+        Assert.isFalse(one.isOpen());
+
+        this.wait(function () {
+            Assert.isTrue(one.isOpen());
+            Assert.isNotNull(tv.getHTMLNode(one.children[0]).one('.' + Y.TreeView.classNames.row).drop,
+                'rows rendered during the drag should be drop targets');
+
+            tv._onDnDEnd();
+        }, 100);
+    },
+
+    'moving away from a node should cancel opening it': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        dragStart(tv, tv.children[1]);
+        dragOver(tv, one, 0.5);
+        dragOver(tv, one, 0.1);
+
+        this.wait(function () {
+            Assert.isFalse(one.isOpen());
+            tv._onDnDEnd();
+        }, 100);
+    },
+
+    'nodes should not be opened when dragOpenDelay is 0': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        tv.set('dragOpenDelay', 0);
+
+        dragStart(tv, tv.children[1]);
+        dragOver(tv, one, 0.5);
+
+        this.wait(function () {
+            Assert.isFalse(one.isOpen());
+            tv._onDnDEnd();
+        }, 100);
+    }
+}));
+
+}, '@VERSION@', {
+    requires: ['tree-dnd', 'test']
+});
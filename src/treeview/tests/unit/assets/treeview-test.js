@@ -0,0 +1,668 @@
+YUI.add('treeview-test', function (Y) {
+
+var Assert      = Y.Assert,
+    ArrayAssert = Y.ArrayAssert,
+    classNames  = Y.TreeView.classNames,
+
+    suite = Y.TreeViewTestSuite = new Y.Test.Suite('TreeView');
+
+function createTreeView(config, TreeViewClass) {
+    return new (TreeViewClass || Y.TreeView)(Y.merge({
+        container: Y.Node.create('<div/>').appendTo('#test'),
+        nodes: [
+            {id: 'one', label: 'One', children: [
+                {id: 'one-one', label: 'One One'},
+                {id: 'one-two', label: 'One Two', children: [
+                    {id: 'one-two-one', label: 'One Two One'}
+                ]}
+            ]},
+            {id: 'two', label: 'Two'},
+            {id: 'three', label: 'Three', canHaveChildren: true}
+        ]
+    }, config));
+}
+
+// Returns the labels of the rendered nodes, in document order
+function labels(treeview) {
+    var result = [];
+
+    treeview.get('container').all('.' + classNames.label).each(function (el) {
+        result.push(el.get('text'));
+    });
+
+    return result;
+}
+
+function key(treeview, node, keyCode, options) {
+    treeview.getHTMLNode(node).simulate('keydown',
+        Y.merge({keyCode: keyCode}, options));
+}
+
+function focused(treeview) {
+    var el = treeview.get('container').one('[tabindex="0"]');
+    return el && treeview.getTreeNode(el);
+}
+
+// -- Rendering ----------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Rendering',
+
+    setUp: function () {
+        this.treeview = createTreeView().render();
+    },
+
+    tearDown: function () {
+        this.treeview.destroy({remove: true});
+        delete this.treeview;
+    },
+
+    'render() should render the top-level nodes as an ARIA tree': function () {
+        var container = this.treeview.get('container'),
+            list      = container.one('ul');
+
+        Assert.isTrue(container.hasClass(classNames.treeview));
+        Assert.areSame('tree', list.getAttribute('role'));
+        Assert.areSame(3, list.all('> li').size());
+        Assert.areSame('treeitem', list.one('li').getAttribute('role'));
+        ArrayAssert.itemsAreSame(['One', 'Two', 'Three'], labels(this.treeview));
+    },
+
+    'render() should be chainable': function () {
+        Assert.areSame(this.treeview, this.treeview.render());
+    },
+
+    'nodes should use their ids as DOM ids': function () {
+        Assert.areSame('one', this.treeview.getHTMLNode(this.treeview.children[0]).get('id'));
+    },
+
+    'nodes that can have children should have aria-expanded': function () {
+        var tv = this.treeview;
+
+        Assert.areSame('false', tv.getHTMLNode(tv.children[0]).getAttribute('aria-expanded'));
+        Assert.areSame('false', tv.getHTMLNode(tv.children[2]).getAttribute('aria-expanded'));
+        Assert.isFalse(tv.getHTMLNode(tv.children[1]).hasAttribute('aria-expanded'));
+    },
+
+    'labels should be escaped': function () {
+        this.treeview.children[1].label = '<b>Two</b>';
+        this.treeview.render();
+
+        Assert.isNull(this.treeview.get('container').one('b'));
+        Assert.areSame('<b>Two</b>', labels(this.treeview)[1]);
+    },
+
+    'open nodes should have their children rendered': function () {
+        var tv = this.treeview;
+
+        tv.children[0].open({silent: true});
+        tv.render();
+
+        ArrayAssert.itemsAreSame(['One', 'One One', 'One Two', 'Two', 'Three'], labels(tv));
+        Assert.areSame('group', tv.getHTMLNode(tv.children[0]).one('ul').getAttribute('role'));
+    },
+
+    'getTreeNode() should return the node for an element': function () {
+        var tv = this.treeview,
+            el = tv.getHTMLNode(tv.children[1]).one('.' + classNames.label);
+
+        Assert.areSame(tv.children[1], tv.getTreeNode(el));
+        Assert.isNull(tv.getTreeNode(Y.one('#log')));
+    },
+
+    'getHTMLNode() should return null for unrendered nodes': function () {
+        Assert.isNull(this.treeview.getHTMLNode(this.treeview.children[0].children[0]));
+    },
+
+    'the first node should be focusable': function () {
+        Assert.areSame(this.treeview.children[0], focused(this.treeview));
+        Assert.areSame(1, this.treeview.get('container').all('[tabindex="0"]').size());
+    },
+
+    'the tree should be aria-multiselectable with multiSelect': function () {
+        var list = this.treeview.get('container').one('ul');
+
+        Assert.isFalse(list.hasAttribute('aria-multiselectable'));
+
+        this.treeview.set('multiSelect', true);
+        Assert.areSame('true', list.getAttribute('aria-multiselectable'));
+    }
+}));
+
+// -- Incremental Updates ------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Updates',
+
+    setUp: function () {
+        this.treeview = createTreeView().render();
+    },
+
+    tearDown: function () {
+        this.treeview.destroy({remove: true});
+        delete this.treeview;
+    },
+
+    'opening a node should render its children': function () {
+        var tv = this.treeview,
+            li = tv.getHTMLNode(tv.children[0]);
+
+        tv.children[0].open();
+
+        Assert.areSame(li, tv.getHTMLNode(tv.children[0]), 'node should not be re-rendered');
+        Assert.isTrue(li.hasClass(classNames.open));
+        Assert.areSame('true', li.getAttribute('aria-expanded'));
+        ArrayAssert.itemsAreSame(['One', 'One One', 'One Two', 'Two', 'Three'], labels(tv));
+    },
+
+    'closing a node should keep its children rendered but mark it closed': function () {
+        var tv = this.treeview,
+            li = tv.getHTMLNode(tv.children[0]);
+
+        tv.children[0].open();
+        tv.children[0].close();
+
+        Assert.isFalse(li.hasClass(classNames.open));
+        Assert.areSame('false', li.getAttribute('aria-expanded'));
+        Assert.isNotNull(tv.getHTMLNode(tv.children[0].children[0]));
+    },
+
+    'appending a node should render it in place': function () {
+        var tv = this.treeview,
+            existing = tv.getHTMLNode(tv.children[1]);
+
+        tv.insertNode(tv.rootNode, {label: 'One And A Half'}, {index: 1});
+        tv.rootNode.append({label: 'Four'});
+
+        ArrayAssert.itemsAreSame(['One', 'One And A Half', 'Two', 'Three', 'Four'], labels(tv));
+        Assert.areSame(existing, tv.getHTMLNode(tv.children[2]), 'siblings should not be re-rendered');
+    },
+
+    'adding the first child of an open node should render it': function () {
+        var tv = this.treeview,
+            three = tv.children[2];
+
+        three.open();
+        three.append({label: 'Three One'});
+
+        ArrayAssert.itemsAreSame(['One', 'Two', 'Three', 'Three One'], labels(tv));
+        Assert.areSame('true', tv.getHTMLNode(three).getAttribute('aria-expanded'));
+    },
+
+    'adding a child to a leaf should make it expandable': function () {
+        var tv = this.treeview,
+            two = tv.children[1];
+
+        two.append({label: 'Two One'});
+
+        Assert.isTrue(tv.getHTMLNode(two).hasClass(classNames.canHaveChildren));
+        Assert.areSame('false', tv.getHTMLNode(two).getAttribute('aria-expanded'));
+        ArrayAssert.itemsAreSame(['One', 'Two', 'Three'], labels(tv), 'closed children should not be rendered');
+
+        two.open();
+        ArrayAssert.itemsAreSame(['One', 'Two', 'Two One', 'Three'], labels(tv));
+    },
+
+    'removing a node should remove its element': function () {
+        var tv = this.treeview;
+
+        tv.children[0].open();
+        tv.children[0].children[0].remove();
+        tv.children[1].remove({destroy: true});
+
+        ArrayAssert.itemsAreSame(['One', 'One Two', 'Three'], labels(tv));
+    },
+
+    'moving a node should move its element': function () {
+        var tv = this.treeview;
+
+        tv.appendNode(tv.rootNode, tv.children[0]);
+
+        ArrayAssert.itemsAreSame(['Two', 'Three', 'One'], labels(tv));
+    },
+
+    'selecting a node should update its element': function () {
+        var tv = this.treeview,
+            li = tv.getHTMLNode(tv.children[1]);
+
+        tv.children[1].select();
+
+        Assert.isTrue(li.hasClass(classNames.selected));
+        Assert.areSame('true', li.getAttribute('aria-selected'));
+
+        tv.children[2].select();
+
+        Assert.isFalse(li.hasClass(classNames.selected));
+        Assert.isFalse(li.hasAttribute('aria-selected'));
+    },
+
+    'clearing the tree should re-render it': function () {
+        var tv = this.treeview;
+
+        tv.clear();
+        Assert.areSame(0, labels(tv).length);
+
+        tv.rootNode.append({label: 'New'});
+        ArrayAssert.itemsAreSame(['New'], labels(tv));
+        Assert.areSame(tv.children[0], focused(tv));
+    },
+
+    'sorting should re-render the sorted children': function () {
+        var SortableTreeView = Y.Base.create('sortableTreeView', Y.TreeView, [Y.Tree.Sortable]),
+            tv = new SortableTreeView({
+                container: Y.Node.create('<div/>'),
+                nodes: [{label: 'b'}, {label: 'c'}, {label: 'a'}],
+                sortComparator: function (node) {
+                    return node.label;
+                }
+            }).render();
+
+        ArrayAssert.itemsAreSame(['a', 'b', 'c'], labels(tv));
+
+        tv.children[0].label = 'd';
+        tv.sort();
+
+        ArrayAssert.itemsAreSame(['b', 'c', 'd'], labels(tv));
+
+        tv.destroy();
+    }
+}));
+
+// -- Mouse --------------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Mouse',
+
+    setUp: function () {
+        this.treeview = createTreeView().render();
+    },
+
+    tearDown: function () {
+        this.treeview.destroy({remove: true});
+        delete this.treeview;
+    },
+
+    'clicking the indicator should toggle the node': function () {
+        var tv = this.treeview,
+            indicator = tv.getHTMLNode(tv.children[0]).one('.' + classNames.indicator);
+
+        indicator.simulate('click');
+        Assert.isTrue(tv.children[0].isOpen());
+        Assert.isFalse(tv.children[0].isSelected());
+
+        indicator.simulate('click');
+        Assert.isFalse(tv.children[0].isOpen());
+    },
+
+    'clicking a label should select and focus the node': function () {
+        var tv = this.treeview;
+
+        tv.getHTMLNode(tv.children[1]).one('.' + classNames.label).simulate('click');
+
+        Assert.isTrue(tv.children[1].isSelected());
+        Assert.areSame(tv.children[1], focused(tv));
+    },
+
+    'ctrl+click should toggle selection with multiSelect': function () {
+        var tv = this.treeview;
+
+        tv.set('multiSelect', true);
+
+        tv.getHTMLNode(tv.children[0]).one('.' + classNames.label).simulate('click');
+        tv.getHTMLNode(tv.children[1]).one('.' + classNames.label).simulate('click', {ctrlKey: true});
+
+        Assert.areSame(2, tv.getSelectedNodes().length);
+
+        tv.getHTMLNode(tv.children[0]).one('.' + classNames.label).simulate('click', {ctrlKey: true});
+
+        ArrayAssert.itemsAreSame([tv.children[1]], tv.getSelectedNodes());
+
+        tv.getHTMLNode(tv.children[2]).one('.' + classNames.label).simulate('click');
+
+        ArrayAssert.itemsAreSame([tv.children[2]], tv.getSelectedNodes());
+    }
+}));
+
+// -- Keyboard -----------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Keyboard',
+
+    setUp: function () {
+        this.treeview = createTreeView().render();
+    },
+
+    tearDown: function () {
+        this.treeview.destroy({remove: true});
+        delete this.treeview;
+    },
+
+    'down and up should move through the visible nodes': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        one.open();
+
+        key(tv, one, 40);
+        Assert.areSame(one.children[0], focused(tv));
+
+        key(tv, one.children[0], 40);
+        key(tv, one.children[1], 40);
+        Assert.areSame(tv.children[1], focused(tv), 'closed children should be skipped');
+
+        key(tv, tv.children[1], 38);
+        Assert.areSame(one.children[1], focused(tv));
+
+        key(tv, one.children[1], 38);
+        key(tv, one.children[0], 38);
+        Assert.areSame(one, focused(tv));
+
+        key(tv, one, 38);
+        Assert.areSame(one, focused(tv), 'focus should not wrap');
+    },
+
+    'right should open a node and then move to its first child': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        key(tv, one, 39);
+        Assert.isTrue(one.isOpen());
+        Assert.areSame(one, focused(tv));
+
+        key(tv, one, 39);
+        Assert.areSame(one.children[0], focused(tv));
+    },
+
+    'left should close a node and then move to its parent': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        one.open();
+        one.children[1].open();
+
+        key(tv, one.children[1], 37);
+        Assert.isFalse(one.children[1].isOpen());
+
+        key(tv, one.children[1], 37);
+        Assert.areSame(one, focused(tv));
+    },
+
+    'home and end should move to the first and last visible nodes': function () {
+        var tv = this.treeview;
+
+        tv.children[2].append({label: 'Three One'});
+        tv.children[2].open();
+
+        key(tv, tv.children[0], 35);
+        Assert.areSame(tv.children[2].children[0], focused(tv));
+
+        key(tv, tv.children[2].children[0], 36);
+        Assert.areSame(tv.children[0], focused(tv));
+    },
+
+    'enter and space should select the node': function () {
+        var tv = this.treeview;
+
+        key(tv, tv.children[1], 13);
+        Assert.isTrue(tv.children[1].isSelected());
+
+        key(tv, tv.children[2], 32);
+        Assert.isTrue(tv.children[2].isSelected());
+        Assert.isFalse(tv.children[1].isSelected());
+    },
+
+    'space should toggle selection with multiSelect': function () {
+        var tv = this.treeview;
+
+        tv.set('multiSelect', true);
+
+        key(tv, tv.children[1], 32);
+        key(tv, tv.children[2], 32);
+        Assert.areSame(2, tv.getSelectedNodes().length);
+
+        key(tv, tv.children[1], 32);
+        ArrayAssert.itemsAreSame([tv.children[2]], tv.getSelectedNodes());
+    },
+
+    'closing a node should move the focus out of it': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        one.open();
+        tv.focusNode(one.children[1]);
+        one.close();
+
+        Assert.areSame(one, focused(tv));
+    },
+
+    'removing the focused node should move the focus to its parent': function () {
+        var tv  = this.treeview,
+            one = tv.children[0];
+
+        tv.focusNode(one.children[0]);
+        one.children[0].remove();
+
+        Assert.areSame(one, focused(tv));
+    },
+
+    'focusNode() should open the ancestors of the node': function () {
+        var tv   = this.treeview,
+            node = tv.getNodeById('one-two-one');
+
+        tv.focusNode(node);
+
+        Assert.isTrue(tv.children[0].isOpen());
+        Assert.isTrue(node.parent.isOpen());
+        Assert.areSame(node, focused(tv));
+    },
+
+    'typing should move to the next node starting with the text': function () {
+        var tv = this.treeview,
+            li = tv.getHTMLNode(tv.children[0]);
+
+        li.simulate('keypress', {charCode: 116}); // t
+        Assert.areSame(tv.children[1], focused(tv));
+
+        tv.getHTMLNode(tv.children[1]).simulate('keypress', {charCode: 116});
+        Assert.areSame(tv.children[2], focused(tv), 'repeating a character should cycle');
+
+        tv.getHTMLNode(tv.children[2]).simulate('keypress', {charCode: 116});
+        Assert.areSame(tv.children[1], focused(tv), 'search should wrap');
+    },
+
+    'typing several characters should match the whole prefix': function () {
+        var tv = this.treeview;
+
+        tv.getHTMLNode(tv.children[0]).simulate('keypress', {charCode: 116}); // t
+        tv.getHTMLNode(tv.children[1]).simulate('keypress', {charCode: 104}); // h
+
+        Assert.areSame(tv.children[2], focused(tv));
+    },
+
+    'type-ahead should reset after a delay': function () {
+        var tv = this.treeview;
+
+        tv.getHTMLNode(tv.children[0]).simulate('keypress', {charCode: 116}); // t
+
+        this.wait(function () {
+            tv.getHTMLNode(tv.children[1]).simulate('keypress', {charCode: 111}); // o
+            Assert.areSame(tv.children[0], focused(tv));
+        }, 600);
+    }
+}));
+
+// -- Filtering ----------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Filtering',
+
+    setUp: function () {
+        this.treeview = createTreeView(null, Y.Base.create('filterableTreeView',
+                Y.TreeView, [Y.Tree.Filterable]));
+    },
+
+    tearDown: function () {
+        this.treeview.destroy({remove: true});
+        delete this.treeview;
+    },
+
+    'filter() should hide the rendered nodes that don\'t match': function () {
+        var tv = this.treeview.render(),
+            li;
+
+        tv.filter({label: 'two', labelMatch: 'contains'});
+
+        Y.Array.each(['one-one', 'three'], function (id) {
+            li = tv.getHTMLNode(tv.getNodeById(id));
+
+            Assert.isTrue(li.hasClass(classNames.hidden), id + ' class');
+            Assert.isTrue(li.hasAttribute('hidden'), id + ' hidden');
+            Assert.areSame('true', li.getAttribute('aria-hidden'), id + ' aria-hidden');
+        });
+
+        Y.Array.each(['one', 'one-two', 'two'], function (id) {
+            li = tv.getHTMLNode(tv.getNodeById(id));
+
+            Assert.isFalse(li.hasClass(classNames.hidden), id + ' class');
+            Assert.isFalse(li.hasAttribute('hidden'), id + ' hidden');
+            Assert.isFalse(li.hasAttribute('aria-hidden'), id + ' aria-hidden');
+        });
+
+        Assert.isTrue(tv.children[0].isOpen(), 'ancestors of matches should be opened');
+    },
+
+    'clearFilter() should show the hidden nodes again': function () {
+        var tv = this.treeview.render();
+
+        tv.filter({label: 'two', labelMatch: 'contains'});
+        tv.clearFilter();
+
+        Assert.areSame(0, tv.get('container').all('.' + classNames.hidden).size());
+        Assert.areSame(0, tv.get('container').all('[hidden]').size());
+        Assert.areSame(0, tv.get('container').all('[aria-hidden="true"].' + classNames.node).size());
+        Assert.isFalse(tv.children[0].isOpen(), 'nodes opened by the filter should be closed');
+    },
+
+    'nodes rendered while filtered should reflect the filter': function () {
+        var tv = this.treeview;
+
+        tv.filter({label: 'two', labelMatch: 'contains'});
+        tv.render();
+
+        Assert.isTrue(tv.getHTMLNode(tv.getNodeById('three')).hasAttribute('hidden'));
+        Assert.isTrue(tv.getHTMLNode(tv.getNodeById('one-one')).hasClass(classNames.hidden));
+        Assert.isFalse(tv.getHTMLNode(tv.getNodeById('one-two')).hasAttribute('hidden'));
+    },
+
+    'adding and removing nodes while filtered should update their ancestors': function () {
+        var tv = this.treeview.render(),
+            three = tv.getNodeById('three');
+
+        tv.filter({label: 'two', labelMatch: 'contains'});
+
+        three.open();
+        three.append({id: 'three-two', label: 'Three Two'});
+
+        Assert.isFalse(tv.getHTMLNode(three).hasAttribute('hidden'), 'ancestor of an added match');
+        Assert.isFalse(tv.getHTMLNode(tv.getNodeById('three-two')).hasAttribute('hidden'));
+
+        three.append({id: 'three-three', label: 'Three Three'});
+
+        Assert.isTrue(tv.getHTMLNode(tv.getNodeById('three-three')).hasAttribute('hidden'));
+
+        tv.removeNode(tv.getNodeById('one-two'));
+
+        Assert.isTrue(tv.getHTMLNode(tv.children[0]).hasAttribute('hidden'),
+            'ancestor without matches after a removal');
+        Assert.areSame('true', tv.getHTMLNode(tv.children[0]).getAttribute('aria-hidden'));
+    },
+
+    'keyboard navigation should skip hidden nodes': function () {
+        var tv = this.treeview.render();
+
+        tv.filter(function (node) {
+            return node.id === 'one' || node.id === 'three';
+        });
+
+        key(tv, tv.children[0], 40);
+        Assert.areSame(tv.children[2], focused(tv), 'down');
+
+        key(tv, tv.children[2], 38);
+        Assert.areSame(tv.children[0], focused(tv), 'up');
+
+        tv.filter(function (node) {
+            return node.id === 'two' || node.id === 'three';
+        });
+
+        key(tv, tv.children[2], 36);
+        Assert.areSame(tv.children[1], focused(tv), 'home');
+    },
+
+    'hiding the focused node should move the focus to a visible node': function () {
+        var tv = this.treeview.render();
+
+        tv.focusNode(tv.children[2]);
+        tv.filter({label: 'two', labelMatch: 'contains'});
+
+        Assert.areSame(tv.children[0], focused(tv));
+
+        tv.filter({label: 'three', labelMatch: 'contains'});
+
+        Assert.areSame(tv.children[2], focused(tv));
+    }
+}));
+
+// -- Lazy Loading -------------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Lazy',
+
+    setUp: function () {
+        var self = this;
+
+        this.callbacks = [];
+
+        this.treeview = new Y.TreeView({
+            container: Y.Node.create('<div/>'),
+            nodes: [{label: 'Lazy', canHaveChildren: true}]
+        }).render();
+
+        this.treeview.plug(Y.Plugin.Tree.Lazy, {
+            load: function (node, callback) {
+                self.callbacks.push(function (err) {
+                    err || node.append([{label: 'Child'}]);
+                    callback(err);
+                });
+            }
+        });
+    },
+
+    tearDown: function () {
+        this.treeview.destroy();
+        delete this.treeview;
+    },
+
+    'nodes should show the loading state while loading': function () {
+        var tv = this.treeview,
+            li = tv.getHTMLNode(tv.children[0]);
+
+        tv.children[0].open();
+
+        Assert.isTrue(li.hasClass(classNames.loading));
+        Assert.areSame('true', li.getAttribute('aria-busy'));
+
+        this.callbacks[0]();
+
+        Assert.isFalse(li.hasClass(classNames.loading));
+        Assert.isFalse(li.hasAttribute('aria-busy'));
+        ArrayAssert.itemsAreSame(['Lazy', 'Child'], labels(tv));
+    },
+
+    'the loading state should be removed on error': function () {
+        var tv = this.treeview,
+            li = tv.getHTMLNode(tv.children[0]);
+
+        tv.children[0].open();
+        this.callbacks[0](new Error('Oops'));
+
+        Assert.isFalse(li.hasClass(classNames.loading));
+    }
+}));
+
+}, '@VERSION@', {
+    requires: ['treeview', 'tree-filterable', 'tree-lazy', 'tree-sortable', 'node-event-simulate', 'test']
+});